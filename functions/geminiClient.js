@@ -0,0 +1,102 @@
+// functions/geminiClient.js
+// Forwards generateContent requests to Gemini, or answers them with a stub model
+const GEMINI_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-pro-exp-02-05:generateContent';
+
+// Gives up before the function's own 300 s timeout, so a slow request is still refunded
+const GEMINI_TIMEOUT_MS = 240 * 1000;
+
+// The scored metric keys of the app's catalog (getScoredMetricKeys in src/utils/metricRegistry.js)
+const STUB_METRIC_KEYS = [
+  'backswing', 'stance', 'grip', 'swingForward', 'hipRotation',
+  'swingSpeed', 'shallowing', 'pacing', 'confidence', 'focus'
+];
+
+/**
+ * Error carrying the HTTP status and body Gemini answered with
+ */
+class UpstreamError extends Error {
+  constructor(status, body) {
+    super(body?.error?.message || `Gemini request failed with status ${status}`);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Create a model that calls the Gemini API with the server's key
+ * @param {string} apiKey - Gemini API key
+ * @returns {Function} (payload) => Promise<Object> Gemini response body
+ */
+const createGeminiModel = (apiKey) => async (payload) => {
+  const response = await fetch(`${GEMINI_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(GEMINI_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, body);
+  }
+  return body;
+};
+
+/**
+ * Canned answers for each feature, in the JSON shape the client prompts ask for
+ * @param {string} feature - analysis, insights or reference
+ * @returns {Object} The answer
+ */
+const getStubAnswer = (feature) => {
+  if (feature === 'insights') {
+    return {
+      goodAspects: ['Stub: balanced setup'],
+      improvementAreas: ['Stub: keep the tempo even'],
+      technicalBreakdown: ['Stub: the club stays on plane'],
+      recommendations: ['Stub: rehearse slow swings']
+    };
+  }
+
+  if (feature === 'reference') {
+    return {
+      technicalGuidelines: ['Stub guideline'],
+      idealForm: ['Stub ideal form'],
+      commonMistakes: ['Stub mistake'],
+      coachingCues: ['Stub cue']
+    };
+  }
+
+  return {
+    overallScore: 70,
+    metrics: Object.fromEntries(STUB_METRIC_KEYS.map(key => [key, 70])),
+    recommendations: [
+      'Stub: work on your takeaway',
+      'Stub: hold your finish',
+      'Stub: keep your head still'
+    ]
+  };
+};
+
+/**
+ * Model used with the Functions emulator: answers without calling Gemini
+ * @param {Object} payload - The generateContent request
+ * @param {string} feature - analysis, insights or reference
+ * @returns {Promise<Object>} A generateContent-shaped response
+ */
+const stubModel = async (payload, feature) => ({
+  candidates: [{
+    content: {
+      role: 'model',
+      parts: [{ text: JSON.stringify(getStubAnswer(feature)) }]
+    },
+    finishReason: 'STOP'
+  }],
+  stub: true
+});
+
+module.exports = {
+  UpstreamError,
+  createGeminiModel,
+  stubModel
+};
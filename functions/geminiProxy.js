@@ -0,0 +1,149 @@
+// functions/geminiProxy.js
+// HTTP handler that checks the caller and their limits before a request reaches the model.
+// Errors use Gemini's { error: { code, message, status } } shape so the client handles both alike.
+const { UpstreamError } = require('./geminiClient');
+const { sendError, getBearerToken } = require('./httpUtils');
+const { MAX_REQUEST_BYTES, getRequestBytes, sanitizePayload, resolveFeature } = require('./requestPolicy');
+
+const FEATURES = ['analysis', 'insights', 'reference'];
+
+const FEATURE_LABELS = {
+  analysis: 'swing analyses',
+  insights: 'metric insights',
+  reference: 'reference video analyses'
+};
+
+/**
+ * Message for a request over the user's limits
+ * @param {string} feature - analysis, insights or reference
+ * @param {Object} usage - The consumeRequest result
+ * @returns {string} The message
+ */
+const getLimitMessage = (feature, usage) => {
+  if (usage.code === 'rate-limited') {
+    return `Too many requests. Try again in ${usage.retryAfterSeconds} seconds.`;
+  }
+  const period = usage.period === 'month' ? 'this month' : 'today';
+  const reset = usage.period === 'month' ? 'on the 1st of next month' : 'at midnight UTC';
+  return `You have used all ${usage.limit} ${FEATURE_LABELS[feature]} for ${period}. Your limit resets ${reset}.`;
+};
+
+/**
+ * Create the proxy handler
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.verifyIdToken - (token) => Promise<DecodedIdToken>
+ * @param {Function} deps.canProcessReferences - (uid) => Promise<boolean>, whether the user may process reference videos
+ * @param {Function} deps.consumeRequest - (uid, feature) => Promise<{allowed, code, period, limit, retryAfterSeconds}>
+ * @param {Function} deps.refundRequest - (uid, feature, usage) => Promise<void>, gives back a request the model failed
+ * @param {Function} deps.getModel - () => (payload, feature) => Promise<Object> Gemini response body
+ * @param {Object} deps.logger - Logger with info/warn/error
+ * @returns {Function} (req, res) => Promise<void>
+ */
+const createGeminiProxy = ({ verifyIdToken, canProcessReferences, consumeRequest, refundRequest, getModel, logger = console }) => async (req, res) => {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST');
+    return;
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    sendError(res, 401, 'UNAUTHENTICATED', 'Sign in to use swing analysis');
+    return;
+  }
+
+  let user;
+  try {
+    user = await verifyIdToken(token);
+  } catch (error) {
+    logger.warn('Rejected Gemini proxy request with an invalid ID token', error.message);
+    sendError(res, 401, 'UNAUTHENTICATED', 'Your session has expired, please sign in again');
+    return;
+  }
+
+  if (getRequestBytes(req) > MAX_REQUEST_BYTES) {
+    sendError(res, 413, 'INVALID_ARGUMENT', `Requests are limited to ${MAX_REQUEST_BYTES / (1024 * 1024)}MB`);
+    return;
+  }
+
+  const { feature: requestedFeature = 'analysis' } = req.body || {};
+  if (!FEATURES.includes(requestedFeature)) {
+    sendError(res, 400, 'INVALID_ARGUMENT', 'Expected { feature, payload: { contents: [...] } }');
+    return;
+  }
+
+  const { payload, error: payloadError } = sanitizePayload(req.body?.payload);
+  if (payloadError) {
+    sendError(res, 400, 'INVALID_ARGUMENT', payloadError);
+    return;
+  }
+
+  let feature;
+  try {
+    const mayProcessReferences = requestedFeature === 'reference' && await canProcessReferences(user.uid);
+    feature = resolveFeature(requestedFeature, payload, mayProcessReferences);
+  } catch (error) {
+    logger.error('Could not read the user\'s roles', { uid: user.uid, message: error.message });
+    sendError(res, 503, 'UNAVAILABLE', 'The analysis service is unavailable, please try again');
+    return;
+  }
+  if (feature !== requestedFeature) {
+    logger.info('Gemini proxy request metered as another feature', { uid: user.uid, requestedFeature, feature });
+  }
+
+  let usage;
+  try {
+    usage = await consumeRequest(user.uid, feature);
+  } catch (error) {
+    logger.error('Could not check the user\'s limits', { uid: user.uid, feature, message: error.message });
+    sendError(res, 503, 'UNAVAILABLE', 'The analysis service is unavailable, please try again');
+    return;
+  }
+
+  if (!usage.allowed) {
+    logger.info('Gemini proxy request over the user\'s limits', { uid: user.uid, feature, reason: usage.code, period: usage.period });
+    res.set('Retry-After', String(usage.retryAfterSeconds));
+    sendError(res, 429, 'RESOURCE_EXHAUSTED', getLimitMessage(feature, usage), {
+      reason: usage.code,
+      feature,
+      period: usage.period,
+      limit: usage.limit,
+      retryAfterSeconds: usage.retryAfterSeconds
+    });
+    return;
+  }
+
+  let body;
+  try {
+    const model = getModel();
+    body = await model(payload, feature);
+  } catch (error) {
+    // The user didn't get an answer, so the request doesn't count against their limits
+    try {
+      await refundRequest(user.uid, feature, usage);
+    } catch (refundError) {
+      logger.error('Could not refund a failed request', { uid: user.uid, feature, message: refundError.message });
+    }
+
+    if (error instanceof UpstreamError) {
+      logger.error('Gemini rejected a proxied request', { uid: user.uid, feature, status: error.status });
+      // Keep 4xx answers (e.g. 413 for oversized videos) so the client can explain them
+      const code = error.status >= 400 && error.status < 500 && error.status !== 401 && error.status !== 403
+        ? error.status
+        : 502;
+      res.status(code).json(error.body || { error: { code, status: 'UNAVAILABLE', message: error.message } });
+      return;
+    }
+
+    logger.error('Gemini proxy request failed', error);
+    sendError(res, 502, 'UNAVAILABLE', 'The analysis service is unavailable, please try again');
+    return;
+  }
+
+  logger.info('Gemini proxy request served', { uid: user.uid, feature });
+  res.status(200).json(body);
+};
+
+module.exports = {
+  FEATURES,
+  createGeminiProxy
+};
@@ -0,0 +1,235 @@
+// functions/geminiProxy.test.js
+const { createGeminiProxy } = require('./geminiProxy');
+const { UpstreamError, stubModel } = require('./geminiClient');
+
+const createRequest = ({ method = 'POST', token = 'alice-token', body } = {}) => ({
+  method,
+  body: body === undefined
+    ? { feature: 'analysis', payload: { contents: [{ role: 'user', parts: [{ text: 'Score this swing' }] }] } }
+    : body,
+  get: (header) => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+});
+
+const createResponse = () => {
+  const res = { statusCode: null, body: null, headers: {} };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  return res;
+};
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const createHandler = (overrides = {}) => {
+  const deps = {
+    verifyIdToken: jest.fn(async (token) => {
+      if (token !== 'alice-token') throw new Error('invalid token');
+      return { uid: 'alice' };
+    }),
+    canProcessReferences: jest.fn(async () => false),
+    consumeRequest: jest.fn(async () => ({ allowed: true, day: '2026-05-14', month: '2026-05' })),
+    refundRequest: jest.fn(async () => {}),
+    model: jest.fn(stubModel),
+    ...overrides
+  };
+  const handler = createGeminiProxy({
+    verifyIdToken: deps.verifyIdToken,
+    canProcessReferences: deps.canProcessReferences,
+    consumeRequest: deps.consumeRequest,
+    refundRequest: deps.refundRequest,
+    getModel: () => deps.model,
+    logger: silentLogger
+  });
+  return { handler, deps };
+};
+
+const call = async (handler, request) => {
+  const res = createResponse();
+  await handler(request, res);
+  return res;
+};
+
+describe('geminiProxy', () => {
+  it('forwards the request for a signed-in user and counts it', async () => {
+    const { handler, deps } = createHandler();
+    const request = createRequest();
+    const res = await call(handler, request);
+
+    expect(res.statusCode).toBe(200);
+    expect(deps.consumeRequest).toHaveBeenCalledWith('alice', 'analysis');
+    expect(deps.model).toHaveBeenCalledWith(request.body.payload, 'analysis');
+    const answer = JSON.parse(res.body.candidates[0].content.parts[0].text);
+    expect(answer.recommendations).toHaveLength(3);
+  });
+
+  it('rejects requests without a valid ID token', async () => {
+    const { handler, deps } = createHandler();
+
+    expect((await call(handler, createRequest({ token: null }))).statusCode).toBe(401);
+    expect((await call(handler, createRequest({ token: 'forged' }))).statusCode).toBe(401);
+    expect(deps.consumeRequest).not.toHaveBeenCalled();
+    expect(deps.model).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown features and empty payloads', async () => {
+    const { handler, deps } = createHandler();
+
+    const unknown = await call(handler, createRequest({ body: { feature: 'chat', payload: { contents: [{}] } } }));
+    const empty = await call(handler, createRequest({ body: { feature: 'analysis', payload: {} } }));
+
+    expect(unknown.statusCode).toBe(400);
+    expect(empty.statusCode).toBe(400);
+    expect(deps.model).not.toHaveBeenCalled();
+  });
+
+  it('answers 429 with the reason when the user is over their limits', async () => {
+    const { handler, deps } = createHandler({
+      consumeRequest: jest.fn(async () => ({ allowed: false, code: 'quota-exceeded', period: 'day', limit: 20, retryAfterSeconds: 3600 }))
+    });
+    const res = await call(handler, createRequest());
+
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBe('3600');
+    expect(res.body.error).toMatchObject({
+      status: 'RESOURCE_EXHAUSTED',
+      reason: 'quota-exceeded',
+      feature: 'analysis',
+      period: 'day',
+      limit: 20,
+      retryAfterSeconds: 3600
+    });
+    expect(res.body.error.message).toBe('You have used all 20 swing analyses for today. Your limit resets at midnight UTC.');
+    expect(deps.model).not.toHaveBeenCalled();
+  });
+
+  it('meters insights and reference processing under their own feature', async () => {
+    const { handler, deps } = createHandler();
+    const contents = [{ role: 'user', parts: [{ text: 'Explain the grip' }] }];
+    const res = await call(handler, createRequest({ body: { feature: 'insights', payload: { contents } } }));
+
+    expect(res.statusCode).toBe(200);
+    expect(deps.consumeRequest).toHaveBeenCalledWith('alice', 'insights');
+    expect(deps.model).toHaveBeenCalledWith({ contents }, 'insights');
+  });
+
+  it('meters video requests as analyses whatever the client calls them', async () => {
+    const { handler, deps } = createHandler();
+    const contents = [{ role: 'user', parts: [{ text: 'Score this swing' }, { inlineData: { mimeType: 'video/mp4', data: 'AAAA' } }] }];
+
+    await call(handler, createRequest({ body: { feature: 'insights', payload: { contents } } }));
+    await call(handler, createRequest({ body: { feature: 'reference', payload: { contents } } }));
+
+    expect(deps.consumeRequest).toHaveBeenNthCalledWith(1, 'alice', 'analysis');
+    expect(deps.consumeRequest).toHaveBeenNthCalledWith(2, 'alice', 'analysis');
+    expect(deps.canProcessReferences).toHaveBeenCalledWith('alice');
+  });
+
+  it('meters reference processing by admins as reference', async () => {
+    const { handler, deps } = createHandler({ canProcessReferences: jest.fn(async () => true) });
+    const contents = [{ role: 'user', parts: [{ text: 'Score this pro swing' }, { inlineData: { mimeType: 'video/mp4', data: 'AAAA' } }] }];
+    const res = await call(handler, createRequest({ body: { feature: 'reference', payload: { contents } } }));
+
+    expect(res.statusCode).toBe(200);
+    expect(deps.consumeRequest).toHaveBeenCalledWith('alice', 'reference');
+    expect(deps.model).toHaveBeenCalledWith({ contents }, 'reference');
+  });
+
+  it('passes on Gemini\'s client errors and hides its server errors', async () => {
+    const tooLarge = { error: { code: 413, message: 'Request payload size exceeds the limit' } };
+    const { handler: rejecting } = createHandler({
+      model: jest.fn(async () => { throw new UpstreamError(413, tooLarge); })
+    });
+    const { handler: failing } = createHandler({
+      model: jest.fn(async () => { throw new Error('socket hang up'); })
+    });
+
+    const rejected = await call(rejecting, createRequest());
+    expect(rejected.statusCode).toBe(413);
+    expect(rejected.body).toEqual(tooLarge);
+
+    const failed = await call(failing, createRequest());
+    expect(failed.statusCode).toBe(502);
+    expect(failed.body.error.status).toBe('UNAVAILABLE');
+  });
+
+  it('refunds requests the model failed to answer', async () => {
+    const { handler, deps } = createHandler({
+      model: jest.fn(async () => { throw new UpstreamError(503, null); })
+    });
+    const res = await call(handler, createRequest());
+
+    expect(res.statusCode).toBe(502);
+    expect(deps.refundRequest).toHaveBeenCalledWith('alice', 'analysis', { allowed: true, day: '2026-05-14', month: '2026-05' });
+  });
+
+  it('still answers when the refund fails', async () => {
+    const { handler } = createHandler({
+      model: jest.fn(async () => { throw new Error('timeout'); }),
+      refundRequest: jest.fn(async () => { throw new Error('firestore down'); })
+    });
+    const res = await call(handler, createRequest());
+
+    expect(res.statusCode).toBe(502);
+    expect(res.body.error.status).toBe('UNAVAILABLE');
+  });
+
+  it('does not refund served requests', async () => {
+    const { handler, deps } = createHandler();
+    await call(handler, createRequest());
+    expect(deps.refundRequest).not.toHaveBeenCalled();
+  });
+
+  it('answers 503 with an error body when the limits can\'t be checked', async () => {
+    const { handler, deps } = createHandler({
+      consumeRequest: jest.fn(async () => { throw new Error('DEADLINE_EXCEEDED'); })
+    });
+    const res = await call(handler, createRequest());
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.error).toMatchObject({ code: 503, status: 'UNAVAILABLE' });
+    expect(deps.model).not.toHaveBeenCalled();
+  });
+
+  it('forwards only the allowed parts of the payload', async () => {
+    const { handler, deps } = createHandler();
+    const contents = [{ role: 'user', parts: [{ text: 'Score this swing' }] }];
+
+    const withModel = await call(handler, createRequest({
+      body: { feature: 'analysis', payload: { contents, model: 'gemini-ultra' } }
+    }));
+    const withConfig = await call(handler, createRequest({
+      body: { feature: 'analysis', payload: { contents, generationConfig: { maxOutputTokens: 100000 } } }
+    }));
+    const withFile = await call(handler, createRequest({
+      body: { feature: 'analysis', payload: { contents: [{ role: 'user', parts: [{ fileData: { mimeType: 'video/*', fileUri: 'gs://other-bucket/clip.mp4' } }] }] } }
+    }));
+
+    expect(withModel.statusCode).toBe(400);
+    expect(withConfig.statusCode).toBe(400);
+    expect(withFile.statusCode).toBe(400);
+    expect(deps.consumeRequest).not.toHaveBeenCalled();
+  });
+
+  it('rejects request bodies over the size limit', async () => {
+    const { handler, deps } = createHandler();
+    const request = { ...createRequest(), rawBody: Buffer.alloc(25 * 1024 * 1024) };
+    const res = await call(handler, request);
+
+    expect(res.statusCode).toBe(413);
+    expect(deps.consumeRequest).not.toHaveBeenCalled();
+  });
+
+  it('only accepts POST', async () => {
+    const { handler } = createHandler();
+    expect((await call(handler, createRequest({ method: 'GET' }))).statusCode).toBe(405);
+  });
+});
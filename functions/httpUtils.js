@@ -0,0 +1,41 @@
+// functions/httpUtils.js
+// Helpers shared by the HTTP functions. Errors use Gemini's { error: { code, message, status } }
+// shape so the client handles every function's errors alike.
+
+/**
+ * Send an error response
+ * @param {Object} res - Express response
+ * @param {number} code - HTTP status
+ * @param {string} status - Gemini-style status name
+ * @param {string} message - Message for the client
+ * @param {Object} extra - Additional fields for the error object
+ */
+const sendError = (res, code, status, message, extra = {}) => {
+  res.status(code).json({ error: { code, status, message, ...extra } });
+};
+
+/**
+ * Read the Firebase ID token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} The token
+ */
+const getBearerToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Whether a user document grants the admin role (roles array or the legacy isAdmin flag)
+ * @param {FirebaseFirestore.DocumentSnapshot} user - The users/{uid} document
+ * @returns {boolean} True for admins
+ */
+const isAdminUser = (user) => {
+  const roles = user.get('roles');
+  return (Array.isArray(roles) && roles.includes('admin')) || user.get('isAdmin') === true;
+};
+
+module.exports = {
+  sendError,
+  getBearerToken,
+  isAdminUser
+};
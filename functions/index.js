@@ -0,0 +1,70 @@
+// functions/index.js
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getStorage } = require('firebase-admin/storage');
+const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onObjectFinalized, onObjectDeleted } = require('firebase-functions/v2/storage');
+const { defineSecret } = require('firebase-functions/params');
+const logger = require('firebase-functions/logger');
+const { createGeminiProxy } = require('./geminiProxy');
+const { createGeminiModel, stubModel } = require('./geminiClient');
+const { consumeRequest, refundRequest } = require('./usageLimits');
+const { isAdminUser } = require('./httpUtils');
+const { createStorageAdmin } = require('./storageAdmin');
+const { recordStorageChange, runStorageLifecycle } = require('./storageLifecycle');
+
+initializeApp();
+
+// Set with: firebase functions:secrets:set GEMINI_API_KEY
+const geminiApiKey = defineSecret('GEMINI_API_KEY');
+
+// Only the emulator may answer with the stub model
+const isStubModelEnabled = () => process.env.FUNCTIONS_EMULATOR === 'true' && process.env.GEMINI_STUB === 'true';
+
+// Reference videos are processed and storage is managed from the admin page (metrics:edit,
+// pros:edit and storage:manage are admin-only)
+const isAdmin = async (uid) => isAdminUser(await getFirestore().collection('users').doc(uid).get());
+
+const runLifecycle = ({ dryRun }) => runStorageLifecycle({ db: getFirestore(), bucket: getStorage().bucket(), logger }, { dryRun });
+
+exports.geminiProxy = onRequest(
+  {
+    secrets: [geminiApiKey],
+    cors: true,
+    timeoutSeconds: 300,
+    memory: '512MiB'
+  },
+  createGeminiProxy({
+    verifyIdToken: (token) => getAuth().verifyIdToken(token),
+    canProcessReferences: isAdmin,
+    consumeRequest: (uid, feature) => consumeRequest(getFirestore(), uid, feature),
+    refundRequest: (uid, feature, usage) => refundRequest(getFirestore(), uid, feature, usage),
+    getModel: () => (isStubModelEnabled() ? stubModel : createGeminiModel(geminiApiKey.value())),
+    logger
+  })
+);
+
+// Keep storage_usage/{userId}, which the storage rules check uploads against, up to date
+exports.countStoredVideo = onObjectFinalized((event) => recordStorageChange(getFirestore(), event.data, 1));
+exports.uncountStoredVideo = onObjectDeleted((event) => recordStorageChange(getFirestore(), event.data, -1));
+
+// Retention, the orphan sweep and a recount of each user's usage, every night
+exports.storageLifecycleDaily = onSchedule(
+  { schedule: 'every day 03:00', timeZone: 'UTC', timeoutSeconds: 540 },
+  async () => {
+    const report = await runLifecycle({ dryRun: false });
+    logger.info('Storage lifecycle ran', { users: report.users.length, freedBytes: report.freedBytes });
+  }
+);
+
+exports.storageAdmin = onRequest(
+  { cors: true, timeoutSeconds: 540 },
+  createStorageAdmin({
+    verifyIdToken: (token) => getAuth().verifyIdToken(token),
+    canManageStorage: isAdmin,
+    runLifecycle,
+    logger
+  })
+);
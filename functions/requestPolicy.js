@@ -0,0 +1,169 @@
+// functions/requestPolicy.js
+// What the proxy forwards to Gemini. The model, its settings and the media it may fetch are
+// chosen here, so a signed-in user can't use the server's key for arbitrary requests.
+
+// Room for a 15 MB inline video (INLINE_VIDEO_LIMIT in the client) in base64, plus the prompt
+const MAX_REQUEST_BYTES = 24 * 1024 * 1024;
+
+// Conversation turns (a re-prompt adds two) and parts per turn (a prompt and up to 12 frames)
+const MAX_CONTENTS = 6;
+const MAX_PARTS = 32;
+
+const MAX_OUTPUT_TOKENS = 4096;
+
+// Videos Gemini fetches itself: only YouTube links
+const ALLOWED_FILE_URI = /^https:\/\/(youtu\.be\/|(www\.|m\.)?youtube\.com\/(watch\?v=|shorts\/))[\w-]{11}([?&#].*)?$/;
+
+const ALLOWED_INLINE_TYPE = /^(video|image)\/[\w.+-]+$/;
+
+/**
+ * Size of the request body in bytes
+ * @param {Object} req - Express request (rawBody is set by Cloud Functions)
+ * @returns {number} Bytes
+ */
+const getRequestBytes = (req) => (req.rawBody
+  ? req.rawBody.length
+  : Buffer.byteLength(JSON.stringify(req.body || {})));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const hasOnlyKeys = (value, keys) => Object.keys(value).every(key => keys.includes(key));
+
+/**
+ * Copy one part of a turn, keeping only what Gemini needs
+ * @param {Object} part - A contents[].parts[] entry
+ * @returns {Object|null} The part, or null when it isn't allowed
+ */
+const sanitizePart = (part) => {
+  if (!isPlainObject(part) || !hasOnlyKeys(part, ['text', 'inlineData', 'fileData', 'videoMetadata'])) {
+    return null;
+  }
+
+  const { text, inlineData, fileData, videoMetadata } = part;
+  if ([text, inlineData, fileData].filter(value => value !== undefined).length !== 1) {
+    return null;
+  }
+
+  let clean;
+  if (text !== undefined) {
+    if (typeof text !== 'string') return null;
+    clean = { text };
+  } else if (inlineData !== undefined) {
+    if (!isPlainObject(inlineData) || typeof inlineData.data !== 'string'
+      || !ALLOWED_INLINE_TYPE.test(inlineData.mimeType || '')) {
+      return null;
+    }
+    clean = { inlineData: { mimeType: inlineData.mimeType, data: inlineData.data } };
+  } else {
+    if (!isPlainObject(fileData) || !ALLOWED_FILE_URI.test(fileData.fileUri || '')) {
+      return null;
+    }
+    clean = { fileData: { mimeType: 'video/*', fileUri: fileData.fileUri } };
+  }
+
+  if (videoMetadata !== undefined) {
+    const { startOffset, endOffset } = videoMetadata || {};
+    const isOffset = (offset) => offset === undefined || /^\d+(\.\d+)?s$/.test(offset);
+    if (!isPlainObject(videoMetadata) || text !== undefined || !isOffset(startOffset) || !isOffset(endOffset)) {
+      return null;
+    }
+    clean.videoMetadata = {
+      ...(startOffset !== undefined ? { startOffset } : {}),
+      ...(endOffset !== undefined ? { endOffset } : {})
+    };
+  }
+
+  return clean;
+};
+
+/**
+ * Copy the generation settings the client may choose
+ * @param {Object} config - The payload's generationConfig (may be undefined)
+ * @returns {Object|null} The settings, or null when one isn't allowed
+ */
+const sanitizeGenerationConfig = (config = {}) => {
+  if (!isPlainObject(config) || !hasOnlyKeys(config, ['temperature', 'maxOutputTokens', 'topP', 'topK'])) {
+    return null;
+  }
+
+  const { temperature, maxOutputTokens, topP, topK } = config;
+  const inRange = (value, min, max) => value === undefined || (typeof value === 'number' && value >= min && value <= max);
+  if (!inRange(temperature, 0, 2) || !inRange(maxOutputTokens, 1, MAX_OUTPUT_TOKENS)
+    || !inRange(topP, 0, 1) || !inRange(topK, 1, 100)) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries({ temperature, maxOutputTokens, topP, topK })
+    .filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Build the generateContent request to forward from the client's payload
+ * @param {Object} payload - { contents, generationConfig } from the client
+ * @returns {Object} { payload } to forward, or { error } saying what isn't allowed
+ */
+const sanitizePayload = (payload) => {
+  if (!isPlainObject(payload) || !hasOnlyKeys(payload, ['contents', 'generationConfig'])) {
+    return { error: 'Only contents and generationConfig may be sent' };
+  }
+
+  const { contents } = payload;
+  if (!Array.isArray(contents) || contents.length === 0 || contents.length > MAX_CONTENTS) {
+    return { error: `Expected 1 to ${MAX_CONTENTS} contents` };
+  }
+
+  const cleanContents = [];
+  for (const content of contents) {
+    if (!isPlainObject(content) || !hasOnlyKeys(content, ['role', 'parts'])
+      || !['user', 'model', undefined].includes(content.role)
+      || !Array.isArray(content.parts) || content.parts.length === 0 || content.parts.length > MAX_PARTS) {
+      return { error: `Each content needs a user or model role and 1 to ${MAX_PARTS} parts` };
+    }
+
+    const parts = content.parts.map(sanitizePart);
+    if (parts.includes(null)) {
+      return { error: 'Parts may only be text, images, videos or YouTube links' };
+    }
+    cleanContents.push({ ...(content.role ? { role: content.role } : {}), parts });
+  }
+
+  const generationConfig = sanitizeGenerationConfig(payload.generationConfig);
+  if (!generationConfig) {
+    return { error: `generationConfig may only set temperature, topP, topK and up to ${MAX_OUTPUT_TOKENS} maxOutputTokens` };
+  }
+
+  return {
+    payload: {
+      contents: cleanContents,
+      ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {})
+    }
+  };
+};
+
+/**
+ * Decide which limit a request counts against. The client's label is only a hint: requests
+ * with images or video are swing analyses unless an admin is processing reference videos, and
+ * text-only requests are insights unless the client counts them as analyses.
+ * @param {string} requested - Feature the client named
+ * @param {Object} payload - The sanitized payload
+ * @param {boolean} canProcessReferences - Whether the user may process reference videos
+ * @returns {string} analysis, insights or reference
+ */
+const resolveFeature = (requested, payload, canProcessReferences) => {
+  if (requested === 'reference' && canProcessReferences) {
+    return 'reference';
+  }
+
+  const hasMedia = payload.contents.some(content => content.parts.some(part => part.inlineData || part.fileData));
+  if (hasMedia || requested === 'analysis') {
+    return 'analysis';
+  }
+  return 'insights';
+};
+
+module.exports = {
+  MAX_REQUEST_BYTES,
+  getRequestBytes,
+  sanitizePayload,
+  resolveFeature
+};
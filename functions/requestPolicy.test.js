@@ -0,0 +1,74 @@
+// functions/requestPolicy.test.js
+const { sanitizePayload, resolveFeature, getRequestBytes, MAX_REQUEST_BYTES } = require('./requestPolicy');
+
+const prompt = { text: 'Score this swing' };
+const video = { inlineData: { mimeType: 'video/mp4', data: 'AAAA' } };
+
+describe('sanitizePayload', () => {
+  it('keeps the requests the client sends', () => {
+    const payload = {
+      contents: [{
+        role: 'user',
+        parts: [prompt, { ...video, videoMetadata: { startOffset: '1.5s', endOffset: '3s' } }]
+      }],
+      generationConfig: { temperature: 0.5, maxOutputTokens: 2048 }
+    };
+    expect(sanitizePayload(payload)).toEqual({ payload });
+
+    const youtube = { contents: [{ parts: [prompt, { fileData: { mimeType: 'video/*', fileUri: 'https://youtu.be/dQw4w9WgXcQ' } }] }] };
+    expect(sanitizePayload(youtube)).toEqual({ payload: youtube });
+  });
+
+  it('rejects settings and fields the client may not choose', () => {
+    const contents = [{ role: 'user', parts: [prompt] }];
+    expect(sanitizePayload({ contents, model: 'gemini-ultra' }).error).toBeDefined();
+    expect(sanitizePayload({ contents, tools: [{ codeExecution: {} }] }).error).toBeDefined();
+    expect(sanitizePayload({ contents, generationConfig: { candidateCount: 8 } }).error).toBeDefined();
+    expect(sanitizePayload({ contents, generationConfig: { maxOutputTokens: 100000 } }).error).toBeDefined();
+    expect(sanitizePayload({ contents: [{ role: 'system', parts: [prompt] }] }).error).toBeDefined();
+  });
+
+  it('only lets Gemini fetch YouTube videos', () => {
+    const withUri = (fileUri) => sanitizePayload({ contents: [{ parts: [{ fileData: { mimeType: 'video/*', fileUri } }] }] });
+    expect(withUri('https://www.youtube.com/watch?v=dQw4w9WgXcQ').payload).toBeDefined();
+    expect(withUri('gs://someone-elses-bucket/video.mp4').error).toBeDefined();
+    expect(withUri('https://youtu.be.example.com/dQw4w9WgXcQ').error).toBeDefined();
+  });
+
+  it('rejects parts that mix or lack content', () => {
+    expect(sanitizePayload({ contents: [{ parts: [{ ...prompt, ...video }] }] }).error).toBeDefined();
+    expect(sanitizePayload({ contents: [{ parts: [{}] }] }).error).toBeDefined();
+    expect(sanitizePayload({ contents: [{ parts: [{ inlineData: { mimeType: 'application/pdf', data: 'AAAA' } }] }] }).error).toBeDefined();
+    expect(sanitizePayload({ contents: [] }).error).toBeDefined();
+  });
+});
+
+describe('resolveFeature', () => {
+  const textOnly = { contents: [{ parts: [prompt] }] };
+  const withVideo = { contents: [{ parts: [prompt, video] }] };
+  const withFrame = { contents: [{ parts: [prompt, { inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } }] }] };
+
+  it('meters images and video as analyses', () => {
+    expect(resolveFeature('insights', withVideo, false)).toBe('analysis');
+    expect(resolveFeature('insights', withFrame, false)).toBe('analysis');
+    expect(resolveFeature('reference', withVideo, false)).toBe('analysis');
+  });
+
+  it('meters reference processing as reference only for users allowed to do it', () => {
+    expect(resolveFeature('reference', withVideo, true)).toBe('reference');
+    expect(resolveFeature('reference', textOnly, false)).toBe('insights');
+  });
+
+  it('meters text as insights unless the client counts it as an analysis', () => {
+    expect(resolveFeature('insights', textOnly, false)).toBe('insights');
+    expect(resolveFeature('analysis', textOnly, false)).toBe('analysis');
+  });
+});
+
+describe('getRequestBytes', () => {
+  it('measures the raw body when Cloud Functions provides it', () => {
+    expect(getRequestBytes({ rawBody: Buffer.alloc(1024), body: {} })).toBe(1024);
+    expect(getRequestBytes({ body: { a: 1 } })).toBe(7);
+    expect(MAX_REQUEST_BYTES).toBeGreaterThan(20 * 1024 * 1024);
+  });
+});
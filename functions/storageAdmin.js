@@ -0,0 +1,54 @@
+// functions/storageAdmin.js
+// HTTP handler behind the admin storage page: a dry run of the storage lifecycle is the storage
+// report, and a real run is the cleanup the daily schedule does.
+const { sendError, getBearerToken } = require('./httpUtils');
+
+/**
+ * Create the storage admin handler
+ * @param {Object} deps - Dependencies
+ * @param {Function} deps.verifyIdToken - (token) => Promise<DecodedIdToken>
+ * @param {Function} deps.canManageStorage - (uid) => Promise<boolean>, whether the user has storage:manage
+ * @param {Function} deps.runLifecycle - ({ dryRun }) => Promise<Object> lifecycle report
+ * @param {Object} deps.logger - Logger with info/warn/error
+ * @returns {Function} (req, res) => Promise<void>
+ */
+const createStorageAdmin = ({ verifyIdToken, canManageStorage, runLifecycle, logger = console }) => async (req, res) => {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST');
+    return;
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    sendError(res, 401, 'UNAUTHENTICATED', 'Sign in to manage storage');
+    return;
+  }
+
+  let user;
+  try {
+    user = await verifyIdToken(token);
+  } catch (error) {
+    logger.warn('Rejected storage request with an invalid ID token', error.message);
+    sendError(res, 401, 'UNAUTHENTICATED', 'Your session has expired, please sign in again');
+    return;
+  }
+
+  const dryRun = req.body?.dryRun !== false;
+  try {
+    if (!await canManageStorage(user.uid)) {
+      sendError(res, 403, 'PERMISSION_DENIED', 'Only admins can manage storage');
+      return;
+    }
+
+    const report = await runLifecycle({ dryRun });
+    logger.info('Storage lifecycle run from the admin page', { uid: user.uid, dryRun, freedBytes: report.freedBytes });
+    res.status(200).json(report);
+  } catch (error) {
+    logger.error('Storage lifecycle failed', error);
+    sendError(res, 500, 'INTERNAL', 'The storage report failed, please try again');
+  }
+};
+
+module.exports = {
+  createStorageAdmin
+};
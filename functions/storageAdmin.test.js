@@ -0,0 +1,70 @@
+// functions/storageAdmin.test.js
+const { createStorageAdmin } = require('./storageAdmin');
+
+const createRequest = ({ method = 'POST', token = 'admin-token', body = { dryRun: true } } = {}) => ({
+  method,
+  body,
+  get: (header) => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+});
+
+const createResponse = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const createHandler = (overrides = {}) => {
+  const deps = {
+    verifyIdToken: jest.fn(async (token) => {
+      if (!token.endsWith('-token')) throw new Error('invalid token');
+      return { uid: token.replace('-token', '') };
+    }),
+    canManageStorage: jest.fn(async (uid) => uid === 'admin'),
+    runLifecycle: jest.fn(async ({ dryRun }) => ({ dryRun, users: [], freedBytes: 0 })),
+    logger: silentLogger,
+    ...overrides
+  };
+  return { handler: createStorageAdmin(deps), deps };
+};
+
+const call = async (handler, request) => {
+  const res = createResponse();
+  await handler(request, res);
+  return res;
+};
+
+describe('storageAdmin', () => {
+  it('runs a dry run unless asked for a real one', async () => {
+    const { handler, deps } = createHandler();
+
+    expect((await call(handler, createRequest({ body: {} }))).body.dryRun).toBe(true);
+    expect((await call(handler, createRequest({ body: { dryRun: false } }))).body.dryRun).toBe(false);
+    expect(deps.runLifecycle).toHaveBeenCalledTimes(2);
+  });
+
+  it('only lets admins run it', async () => {
+    const { handler, deps } = createHandler();
+
+    expect((await call(handler, createRequest({ token: 'alice-token' }))).statusCode).toBe(403);
+    expect((await call(handler, createRequest({ token: null }))).statusCode).toBe(401);
+    expect((await call(handler, createRequest({ token: 'forged' }))).statusCode).toBe(401);
+    expect((await call(handler, createRequest({ method: 'GET' }))).statusCode).toBe(405);
+    expect(deps.runLifecycle).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed run', async () => {
+    const { handler } = createHandler({ runLifecycle: jest.fn(async () => { throw new Error('bucket unavailable'); }) });
+    const res = await call(handler, createRequest());
+    expect(res.statusCode).toBe(500);
+    expect(res.body.error.status).toBe('INTERNAL');
+  });
+});
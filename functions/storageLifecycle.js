@@ -0,0 +1,332 @@
+// functions/storageLifecycle.js
+// Lifecycle of the swing videos kept in Cloud Storage under swings/{userId}/:
+//   quota     - storage_usage/{userId} holds the bytes a user stores and their quota; the
+//               storage rules refuse uploads past it. The counts follow every upload and delete
+//               and are recounted by the daily run. Files the run deletes are marked first, so
+//               the delete trigger doesn't subtract them again after the recount.
+//   retention - videos older than videoRetentionDays are deleted and the swing keeps only
+//               its analysis and keyframe thumbnails; kept originals expire after
+//               originalRetentionDays
+//   orphans   - files no swing points to (failed deletes, abandoned uploads) are removed,
+//               but only once they are older than ORPHAN_GRACE_DAYS: a device that was
+//               offline may still be about to save the swing that uses them
+//
+// Policies are storageDefaults.json, overridden by system/storage_policy, overridden by the
+// storagePolicy field of the user document. The defaults are written into system/storage_policy
+// for the app to read. Retention and the sweep run every day, and from the admin page.
+const { isDeepStrictEqual } = require('util');
+const { FieldValue } = require('firebase-admin/firestore');
+const DEFAULT_STORAGE_POLICY = require('./storageDefaults.json');
+
+const VIDEO_ROOT = 'swings';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORPHAN_GRACE_DAYS = 7;
+// Custom metadata set on files the lifecycle deletes (its recount already excludes them)
+const LIFECYCLE_DELETE_MARKER = 'golfguruLifecycleDelete';
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ * @param {*} value - The stored date
+ * @returns {Date|null} The date, or null when missing
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Storage path of a Firebase Storage download URL
+ * @param {string} url - Download URL
+ * @returns {string|null} The path, or null for other URLs (YouTube, placeholders)
+ */
+const getStoragePath = (url) => {
+  if (!url || !url.includes('/o/')) return null;
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/o/')[1]);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * User a stored video belongs to
+ * @param {string} path - Object name
+ * @returns {string|null} The user ID, or null outside swings/{userId}/
+ */
+const getPathOwner = (path) => {
+  const match = /^swings\/([^/]+)\/[^/]+$/.exec(path || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Read the system-wide policy, writing in the defaults the document doesn't have yet
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @returns {Promise<Object>} { quotaBytes, videoRetentionDays, originalRetentionDays }
+ */
+const getSystemPolicy = async (db) => {
+  const policyRef = db.collection('system').doc('storage_policy');
+  const snapshot = await policyRef.get();
+  const policy = { ...DEFAULT_STORAGE_POLICY, ...snapshot.data() };
+
+  if (!isDeepStrictEqual(snapshot.data(), policy)) {
+    await policyRef.set(policy);
+  }
+  return policy;
+};
+
+/**
+ * Get the storage policy of a user
+ * @param {Object} systemPolicy - From getSystemPolicy
+ * @param {FirebaseFirestore.DocumentSnapshot} user - The users/{uid} document
+ * @returns {Object} { quotaBytes, videoRetentionDays, originalRetentionDays }
+ */
+const getUserPolicy = (systemPolicy, user) => ({ ...systemPolicy, ...user.get('storagePolicy') });
+
+/**
+ * Count an uploaded or deleted video in its owner's usage
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {Object} object - Storage object metadata ({ name, size })
+ * @param {number} direction - 1 for an upload, -1 for a delete
+ * @returns {Promise<void>}
+ */
+const recordStorageChange = async (db, object, direction) => {
+  const userId = getPathOwner(object.name);
+  if (!userId) return;
+  if (direction < 0 && object.metadata?.[LIFECYCLE_DELETE_MARKER]) return;
+
+  const [systemPolicy, user] = await Promise.all([
+    getSystemPolicy(db),
+    db.collection('users').doc(userId).get()
+  ]);
+  await db.collection('storage_usage').doc(userId).set({
+    usedBytes: FieldValue.increment(direction * (Number(object.size) || 0)),
+    quotaBytes: getUserPolicy(systemPolicy, user).quotaBytes,
+    updatedAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+};
+
+/**
+ * Decide which videos are past a user's retention period.
+ * Swings split from one recording share a video, so they expire together.
+ * @param {Object} policy - The user's policy
+ * @param {Array<Object>} swings - Swings with videos ({ id, videoPath, originalPath, storedAt })
+ * @param {Map<string, number>} sizes - Size of each stored file by path
+ * @param {Date} now - Current time
+ * @returns {Object} { actions: [{ swingIds, expired, expireVideo }], report }
+ */
+const planRetention = (policy, swings, sizes, now) => {
+  const report = { expiredVideos: 0, expiredOriginals: 0, swingsUpdated: 0, freedBytes: 0 };
+  const actions = [];
+
+  // Group the swings by the video they share
+  const groups = new Map();
+  swings.forEach(swing => {
+    const key = swing.videoPath || swing.originalPath;
+    groups.set(key, [...(groups.get(key) || []), swing]);
+  });
+
+  for (const group of groups.values()) {
+    const storedAt = group.reduce((oldest, swing) => (
+      !oldest || (swing.storedAt && swing.storedAt < oldest) ? swing.storedAt : oldest
+    ), null);
+    const age = storedAt ? (now - storedAt) / DAY_MS : 0;
+    const { videoPath, originalPath } = group[0];
+
+    let expired = [];
+    let expireVideo = false;
+    if (age > policy.videoRetentionDays) {
+      expired = [videoPath, originalPath].filter(Boolean);
+      expireVideo = true;
+      if (videoPath) report.expiredVideos++;
+      if (originalPath) report.expiredOriginals++;
+    } else if (originalPath && age > policy.originalRetentionDays) {
+      expired = [originalPath];
+      report.expiredOriginals++;
+    }
+    if (expired.length === 0) continue;
+
+    report.swingsUpdated += group.length;
+    report.freedBytes += expired.reduce((sum, path) => sum + (sizes.get(path) || 0), 0);
+    actions.push({ swingIds: group.map(swing => swing.id), expired, expireVideo });
+  }
+
+  return { actions, report };
+};
+
+/**
+ * Find files no swing points to and that are past the grace period
+ * @param {Array<Object>} files - Stored files ({ path, size, updated })
+ * @param {Array<Object>} swings - Swings with videos ({ videoPath, originalPath })
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} The orphaned files
+ */
+const findOrphans = (files, swings, now) => {
+  const referenced = new Set(swings.flatMap(swing => [swing.videoPath, swing.originalPath]).filter(Boolean));
+  return files.filter(file => !referenced.has(file.path) && (now - file.updated) / DAY_MS > ORPHAN_GRACE_DAYS);
+};
+
+/**
+ * List every stored video, by user
+ * @param {Object} bucket - Admin Storage bucket
+ * @returns {Promise<Map<string, Array<Object>>>} Files ({ path, size, updated }) by user ID
+ */
+const listFilesByUser = async (bucket) => {
+  const [files] = await bucket.getFiles({ prefix: `${VIDEO_ROOT}/` });
+  const byUser = new Map();
+  files.forEach(file => {
+    const userId = getPathOwner(file.name);
+    if (!userId) return;
+    byUser.set(userId, [...(byUser.get(userId) || []), {
+      path: file.name,
+      size: Number(file.metadata.size) || 0,
+      updated: new Date(file.metadata.updated || file.metadata.timeCreated)
+    }]);
+  });
+  return byUser;
+};
+
+/**
+ * Get the user's swings that point to stored videos
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} Swings ({ id, videoPath, originalPath, storedAt })
+ */
+const getSwingVideos = async (db, userId) => {
+  const snapshot = await db.collection('swings').where('userId', '==', userId).get();
+  return snapshot.docs
+    .map(swingDoc => {
+      const data = swingDoc.data();
+      return {
+        id: swingDoc.id,
+        videoPath: getStoragePath(data.videoUrl),
+        originalPath: getStoragePath(data.originalVideoUrl),
+        storedAt: toDate(data.date) || toDate(data.createdAt)
+      };
+    })
+    .filter(swing => swing.videoPath || swing.originalPath);
+};
+
+/**
+ * Delete a file, treating a missing one as already deleted. The file is marked first so
+ * recordStorageChange leaves it out of the usage count.
+ * @param {Object} bucket - Admin Storage bucket
+ * @param {string} path - Object name
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (bucket, path) => {
+  const file = bucket.file(path);
+  try {
+    await file.setMetadata({ metadata: { [LIFECYCLE_DELETE_MARKER]: 'true' } });
+  } catch (error) {
+    if (error.code === 404) return;
+    throw error;
+  }
+  await file.delete({ ignoreNotFound: true });
+};
+
+/**
+ * Apply retention, sweep orphans and recount usage for one user
+ * @param {Object} deps - { db, bucket, systemPolicy }
+ * @param {string} userId - The user ID
+ * @param {Array<Object>} files - The user's stored files
+ * @param {Object} options - { dryRun, now }
+ * @returns {Promise<Object>} { userId, name, usedBytes, quotaBytes, fileCount, swingsWithVideo, policy,
+ *   retention, sweep } where usedBytes is before the run
+ */
+const runUserLifecycle = async ({ db, bucket, systemPolicy }, userId, files, { dryRun, now }) => {
+  const [user, swings] = await Promise.all([
+    db.collection('users').doc(userId).get(),
+    getSwingVideos(db, userId)
+  ]);
+  const policy = getUserPolicy(systemPolicy, user);
+  const sizes = new Map(files.map(file => [file.path, file.size]));
+  const { actions, report: retention } = planRetention(policy, swings, sizes, now);
+
+  // Retention first: the files it deletes no longer show up in the sweep
+  const expiredPaths = new Set(actions.flatMap(action => action.expired));
+  const orphans = findOrphans(files.filter(file => !expiredPaths.has(file.path)), swings, now);
+  const sweep = { orphans: orphans.length, deletedBytes: orphans.reduce((sum, file) => sum + file.size, 0) };
+
+  if (!dryRun) {
+    // Clear the references first: a swing never points to a deleted file
+    for (const action of actions) {
+      const updates = action.expireVideo
+        ? { videoUrl: null, originalVideoUrl: FieldValue.delete(), videoExpiredAt: now.toISOString() }
+        : { originalVideoUrl: FieldValue.delete() };
+      for (const swingId of action.swingIds) {
+        await db.collection('swings').doc(swingId).update(updates);
+      }
+      for (const path of action.expired) {
+        await deleteFile(bucket, path);
+      }
+    }
+    for (const file of orphans) {
+      await deleteFile(bucket, file.path);
+    }
+  }
+
+  const deleted = new Set([...expiredPaths, ...orphans.map(file => file.path)]);
+  const usedBytes = files.reduce((sum, file) => sum + file.size, 0);
+  const remainingBytes = files.filter(file => !deleted.has(file.path)).reduce((sum, file) => sum + file.size, 0);
+
+  if (!dryRun) {
+    // The recount corrects uploads that raced past the quota check and any missed events
+    await db.collection('storage_usage').doc(userId).set({
+      usedBytes: remainingBytes,
+      quotaBytes: policy.quotaBytes,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+
+  return {
+    userId,
+    name: user.get('displayName') || user.get('email') || userId,
+    usedBytes,
+    quotaBytes: policy.quotaBytes,
+    fileCount: files.length,
+    swingsWithVideo: swings.length,
+    policy,
+    retention,
+    sweep
+  };
+};
+
+/**
+ * Apply retention and sweep orphans for every user with stored videos
+ * @param {Object} deps - { db, bucket, logger }
+ * @param {Object} options - { dryRun, now }
+ * @returns {Promise<Object>} { dryRun, generatedAt, orphanGraceDays, users, freedBytes }
+ */
+const runStorageLifecycle = async ({ db, bucket, logger = console }, { dryRun = true, now = new Date() } = {}) => {
+  const [systemPolicy, filesByUser] = await Promise.all([getSystemPolicy(db), listFilesByUser(bucket)]);
+  const report = { dryRun, generatedAt: now.toISOString(), orphanGraceDays: ORPHAN_GRACE_DAYS, users: [], freedBytes: 0 };
+
+  for (const [userId, files] of filesByUser) {
+    try {
+      const result = await runUserLifecycle({ db, bucket, systemPolicy }, userId, files, { dryRun, now });
+      report.users.push(result);
+      report.freedBytes += result.retention.freedBytes + result.sweep.deletedBytes;
+    } catch (error) {
+      logger.error(`Storage lifecycle failed for ${userId}`, error);
+      report.users.push({ userId, name: userId, error: error.message, usedBytes: 0 });
+    }
+  }
+
+  report.users.sort((a, b) => b.usedBytes - a.usedBytes);
+  return report;
+};
+
+module.exports = {
+  DEFAULT_STORAGE_POLICY,
+  ORPHAN_GRACE_DAYS,
+  LIFECYCLE_DELETE_MARKER,
+  getStoragePath,
+  getPathOwner,
+  getSystemPolicy,
+  recordStorageChange,
+  planRetention,
+  findOrphans,
+  runStorageLifecycle
+};
@@ -0,0 +1,188 @@
+// functions/storageLifecycle.test.js
+const {
+  getStoragePath,
+  getPathOwner,
+  planRetention,
+  findOrphans,
+  recordStorageChange,
+  runStorageLifecycle,
+  DEFAULT_STORAGE_POLICY,
+  LIFECYCLE_DELETE_MARKER
+} = require('./storageLifecycle');
+
+const NOW = new Date('2026-05-14T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+const policy = { quotaBytes: 1000, videoRetentionDays: 90, originalRetentionDays: 30 };
+const urlOf = (path) => `https://firebasestorage.googleapis.com/v0/b/demo.appspot.com/o/${encodeURIComponent(path)}?alt=media`;
+
+describe('storage paths', () => {
+  it('reads the path of download URLs only', () => {
+    expect(getStoragePath(urlOf('swings/alice/1_swing.mp4'))).toBe('swings/alice/1_swing.mp4');
+    expect(getStoragePath('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+    expect(getStoragePath(null)).toBeNull();
+  });
+
+  it('finds the owner of videos in swings/{userId}/', () => {
+    expect(getPathOwner('swings/alice/1_swing.mp4')).toBe('alice');
+    expect(getPathOwner('swings/alice/nested/1_swing.mp4')).toBeNull();
+    expect(getPathOwner('exports/alice.csv')).toBeNull();
+  });
+});
+
+describe('planRetention', () => {
+  const sizes = new Map([['v1', 100], ['o1', 400], ['v2', 50], ['o2', 300]]);
+
+  it('expires whole videos past videoRetentionDays and originals past originalRetentionDays', () => {
+    const swings = [
+      { id: 'old', videoPath: 'v1', originalPath: 'o1', storedAt: daysAgo(100) },
+      { id: 'month', videoPath: 'v2', originalPath: 'o2', storedAt: daysAgo(40) },
+      { id: 'new', videoPath: 'v3', originalPath: null, storedAt: daysAgo(1) }
+    ];
+    const { actions, report } = planRetention(policy, swings, sizes, NOW);
+
+    expect(actions).toEqual([
+      { swingIds: ['old'], expired: ['v1', 'o1'], expireVideo: true },
+      { swingIds: ['month'], expired: ['o2'], expireVideo: false }
+    ]);
+    expect(report).toEqual({ expiredVideos: 1, expiredOriginals: 2, swingsUpdated: 2, freedBytes: 800 });
+  });
+
+  it('expires swings split from one recording together, by the oldest', () => {
+    const swings = [
+      { id: 'first', videoPath: 'v1', originalPath: null, storedAt: daysAgo(91) },
+      { id: 'second', videoPath: 'v1', originalPath: null, storedAt: daysAgo(89) }
+    ];
+    const { actions, report } = planRetention(policy, swings, sizes, NOW);
+    expect(actions).toEqual([{ swingIds: ['first', 'second'], expired: ['v1'], expireVideo: true }]);
+    expect(report.freedBytes).toBe(100);
+  });
+});
+
+describe('findOrphans', () => {
+  it('finds unreferenced files past the grace period', () => {
+    const files = [
+      { path: 'used', size: 1, updated: daysAgo(30) },
+      { path: 'abandoned', size: 2, updated: daysAgo(30) },
+      { path: 'pending', size: 3, updated: daysAgo(1) }
+    ];
+    const orphans = findOrphans(files, [{ videoPath: 'used', originalPath: null }], NOW);
+    expect(orphans.map(file => file.path)).toEqual(['abandoned']);
+  });
+});
+
+describe('runStorageLifecycle', () => {
+  // In-memory Firestore and bucket with just what the lifecycle uses
+  const createFakes = ({ swings, files, users = {}, systemPolicy = policy }) => {
+    const docs = new Map([['system/storage_policy', systemPolicy]]);
+    Object.entries(users).forEach(([id, data]) => docs.set(`users/${id}`, data));
+    Object.entries(swings).forEach(([id, data]) => docs.set(`swings/${id}`, data));
+
+    const snapshotOf = (path) => {
+      const data = docs.get(path);
+      return { id: path.split('/')[1], data: () => data, get: (field) => data?.[field] };
+    };
+    const docRef = (path) => ({
+      get: async () => snapshotOf(path),
+      set: jest.fn(async (data) => docs.set(path, { ...docs.get(path), ...data })),
+      update: jest.fn(async (data) => docs.set(path, { ...docs.get(path), ...data }))
+    });
+    const db = {
+      collection: (name) => ({
+        doc: (id) => docRef(`${name}/${id}`),
+        where: (field, op, value) => ({
+          get: async () => ({
+            docs: [...docs.keys()]
+              .filter(path => path.startsWith(`${name}/`) && docs.get(path)[field] === value)
+              .map(snapshotOf)
+          })
+        })
+      })
+    };
+
+    const deleted = [];
+    const marked = [];
+    const bucket = {
+      getFiles: async () => [files.map(file => ({
+        name: file.path,
+        metadata: { size: String(file.size), updated: file.updated.toISOString() }
+      }))],
+      file: (path) => ({
+        setMetadata: async ({ metadata }) => {
+          if (metadata[LIFECYCLE_DELETE_MARKER]) marked.push(path);
+        },
+        delete: async () => deleted.push(path)
+      })
+    };
+    return { db, bucket, docs, deleted, marked };
+  };
+
+  const setup = () => createFakes({
+    users: { alice: { displayName: 'Alice' } },
+    swings: {
+      old: { userId: 'alice', videoUrl: urlOf('swings/alice/old.mp4'), date: daysAgo(100).toISOString() },
+      recent: { userId: 'alice', videoUrl: urlOf('swings/alice/recent.mp4'), date: daysAgo(2).toISOString() }
+    },
+    files: [
+      { path: 'swings/alice/old.mp4', size: 300, updated: daysAgo(100) },
+      { path: 'swings/alice/recent.mp4', size: 200, updated: daysAgo(2) },
+      { path: 'swings/alice/abandoned.mp4', size: 100, updated: daysAgo(20) }
+    ]
+  });
+
+  it('reports what it would delete without deleting it', async () => {
+    const { db, bucket, deleted, docs } = setup();
+    const report = await runStorageLifecycle({ db, bucket }, { dryRun: true, now: NOW });
+
+    expect(report.freedBytes).toBe(400);
+    expect(report.users).toEqual([expect.objectContaining({
+      userId: 'alice',
+      name: 'Alice',
+      usedBytes: 600,
+      quotaBytes: 1000,
+      fileCount: 3,
+      swingsWithVideo: 2,
+      retention: { expiredVideos: 1, expiredOriginals: 0, swingsUpdated: 1, freedBytes: 300 },
+      sweep: { orphans: 1, deletedBytes: 100 }
+    })]);
+    expect(deleted).toEqual([]);
+    expect(docs.has('storage_usage/alice')).toBe(false);
+  });
+
+  it('clears the expired swing, deletes the files and recounts the usage', async () => {
+    const { db, bucket, deleted, marked, docs } = setup();
+    await runStorageLifecycle({ db, bucket }, { dryRun: false, now: NOW });
+
+    expect(deleted).toEqual(['swings/alice/old.mp4', 'swings/alice/abandoned.mp4']);
+    // Marked so the delete trigger doesn't count them again
+    expect(marked).toEqual(deleted);
+    expect(docs.get('swings/old')).toEqual(expect.objectContaining({ videoUrl: null, videoExpiredAt: NOW.toISOString() }));
+    expect(docs.get('swings/recent').videoUrl).toBe(urlOf('swings/alice/recent.mp4'));
+    expect(docs.get('storage_usage/alice')).toEqual(expect.objectContaining({ usedBytes: 200, quotaBytes: 1000 }));
+  });
+
+  it('applies a user\'s own policy over the system one', async () => {
+    const fakes = setup();
+    fakes.docs.set('users/alice', { storagePolicy: { videoRetentionDays: 365, quotaBytes: 5000 } });
+    const report = await runStorageLifecycle(fakes, { dryRun: true, now: NOW });
+    expect(report.users[0].retention.expiredVideos).toBe(0);
+    expect(report.users[0].quotaBytes).toBe(5000);
+  });
+
+  it('writes the default policy when the system has none', async () => {
+    const fakes = setup();
+    fakes.docs.delete('system/storage_policy');
+    await runStorageLifecycle(fakes, { dryRun: true, now: NOW });
+    expect(fakes.docs.get('system/storage_policy')).toEqual(DEFAULT_STORAGE_POLICY);
+  });
+
+  it('leaves files it deleted out of the delete trigger\'s count', async () => {
+    const { db, docs } = setup();
+    const object = { name: 'swings/alice/old.mp4', size: '300' };
+
+    await recordStorageChange(db, { ...object, metadata: { [LIFECYCLE_DELETE_MARKER]: 'true' } }, -1);
+    expect(docs.has('storage_usage/alice')).toBe(false);
+
+    await recordStorageChange(db, object, -1);
+    expect(docs.get('storage_usage/alice')).toEqual(expect.objectContaining({ quotaBytes: 1000 }));
+  });
+});
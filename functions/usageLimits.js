@@ -0,0 +1,203 @@
+// functions/usageLimits.js
+// Per-user metering of model requests. api_usage/{uid} holds the per-minute rate limit window;
+// api_usage/{uid}/days/{YYYY-MM-DD} and api_usage/{uid}/months/{YYYY-MM} count each feature's
+// requests in that UTC day and month. Past periods are kept, so the admin report has history.
+//
+// Limits are usageDefaults.json, overridden by system/usage_limits (set from the admin page),
+// overridden by usageLimits on the user's profile. The defaults are written into
+// system/usage_limits, so src/services/usageService.js reads every limit from Firestore to warn
+// users before they hit one; this file is the only copy of the defaults.
+const { isDeepStrictEqual } = require('util');
+const { FieldValue } = require('firebase-admin/firestore');
+const DEFAULT_USAGE_LIMITS = require('./usageDefaults.json');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Get the UTC day a timestamp falls on
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {string} Day as YYYY-MM-DD
+ */
+const getDayKey = (now) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * Get the UTC month a timestamp falls on
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {string} Month as YYYY-MM
+ */
+const getMonthKey = (now) => new Date(now).toISOString().slice(0, 7);
+
+/**
+ * Seconds until the current UTC day or month ends
+ * @param {string} period - 'day' or 'month'
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {number} Seconds
+ */
+const secondsUntilReset = (period, now) => {
+  const date = new Date(now);
+  const reset = period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return Math.ceil((reset - now) / 1000);
+};
+
+/**
+ * Merge limit overrides over the defaults
+ * @param {...Object} overrides - Partial limits, later ones win (missing ones are skipped)
+ * @returns {Object} { perMinute, daily, monthly }
+ */
+const resolveLimits = (...overrides) => overrides.filter(Boolean).reduce((limits, override) => ({
+  perMinute: override.perMinute ?? limits.perMinute,
+  daily: { ...limits.daily, ...override.daily },
+  monthly: { ...limits.monthly, ...override.monthly }
+}), DEFAULT_USAGE_LIMITS);
+
+/**
+ * Read the system-wide limits, writing in the defaults the document doesn't have yet
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @returns {Promise<Object>} { perMinute, daily, monthly }
+ */
+const getSystemLimits = async (db) => {
+  const limitsRef = db.collection('system').doc('usage_limits');
+  const snapshot = await limitsRef.get();
+  const limits = resolveLimits(snapshot.data());
+
+  if (!isDeepStrictEqual(snapshot.data(), limits)) {
+    await limitsRef.set(limits);
+  }
+  return limits;
+};
+
+/**
+ * Get the documents a request is counted in
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} uid - The signed-in user
+ * @param {string} day - Day as YYYY-MM-DD
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object} { rateRef, dayRef, monthRef }
+ */
+const getUsageRefs = (db, uid, day, month) => {
+  const rateRef = db.collection('api_usage').doc(uid);
+  return {
+    rateRef,
+    dayRef: rateRef.collection('days').doc(day),
+    monthRef: rateRef.collection('months').doc(month)
+  };
+};
+
+/**
+ * Decide whether one more request for a feature fits in a user's limits
+ * @param {Object} usage - { minuteStart, minuteCount } of api_usage/{uid} and the daily and
+ *   monthly counts by feature of the current day and month documents (any may be missing)
+ * @param {Object} limits - { perMinute, daily, monthly } from resolveLimits
+ * @param {string} feature - analysis, insights or reference
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {Object} { allowed, day, month, rate } where rate is the minute window to store, or
+ *   { allowed: false, code, period, limit, retryAfterSeconds }
+ */
+const checkUsage = ({ minuteStart, minuteCount, daily, monthly } = {}, limits, feature, now) => {
+  const usedToday = daily?.[feature] || 0;
+  const usedThisMonth = monthly?.[feature] || 0;
+
+  if (usedThisMonth >= limits.monthly[feature]) {
+    return {
+      allowed: false,
+      code: 'quota-exceeded',
+      period: 'month',
+      limit: limits.monthly[feature],
+      retryAfterSeconds: secondsUntilReset('month', now)
+    };
+  }
+
+  if (usedToday >= limits.daily[feature]) {
+    return {
+      allowed: false,
+      code: 'quota-exceeded',
+      period: 'day',
+      limit: limits.daily[feature],
+      retryAfterSeconds: secondsUntilReset('day', now)
+    };
+  }
+
+  const sameMinute = minuteStart && now - minuteStart < MINUTE_MS;
+  const countThisMinute = sameMinute ? minuteCount || 0 : 0;
+  if (countThisMinute >= limits.perMinute) {
+    return {
+      allowed: false,
+      code: 'rate-limited',
+      period: 'minute',
+      limit: limits.perMinute,
+      retryAfterSeconds: Math.ceil((minuteStart + MINUTE_MS - now) / 1000)
+    };
+  }
+
+  return {
+    allowed: true,
+    day: getDayKey(now),
+    month: getMonthKey(now),
+    rate: {
+      minuteStart: sameMinute ? minuteStart : now,
+      minuteCount: countThisMinute + 1
+    }
+  };
+};
+
+/**
+ * Count a request against the user's limits in a transaction
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} uid - The signed-in user
+ * @param {string} feature - analysis, insights or reference
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {Promise<Object>} The checkUsage result
+ */
+const consumeRequest = async (db, uid, feature, now = Date.now()) => {
+  const day = getDayKey(now);
+  const month = getMonthKey(now);
+  const { rateRef, dayRef, monthRef } = getUsageRefs(db, uid, day, month);
+  const [systemLimits, user] = await Promise.all([
+    getSystemLimits(db),
+    db.collection('users').doc(uid).get()
+  ]);
+  const limits = resolveLimits(systemLimits, user.get('usageLimits'));
+
+  return db.runTransaction(async (transaction) => {
+    const [rate, daily, monthly] = await transaction.getAll(rateRef, dayRef, monthRef);
+    const result = checkUsage({ ...rate.data(), daily: daily.data(), monthly: monthly.data() }, limits, feature, now);
+
+    if (result.allowed) {
+      const updatedAt = FieldValue.serverTimestamp();
+      transaction.set(rateRef, { ...result.rate, updatedAt });
+      transaction.set(dayRef, { day, [feature]: FieldValue.increment(1), updatedAt }, { merge: true });
+      transaction.set(monthRef, { month, [feature]: FieldValue.increment(1), updatedAt }, { merge: true });
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Give back a request that was counted but never served (the model failed)
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore instance
+ * @param {string} uid - The signed-in user
+ * @param {string} feature - analysis, insights or reference
+ * @param {Object} usage - The allowed consumeRequest result, naming the day and month it was counted in
+ * @returns {Promise<void>}
+ */
+const refundRequest = async (db, uid, feature, usage) => {
+  const { dayRef, monthRef } = getUsageRefs(db, uid, usage.day, usage.month);
+  const batch = db.batch();
+  batch.update(dayRef, { [feature]: FieldValue.increment(-1) });
+  batch.update(monthRef, { [feature]: FieldValue.increment(-1) });
+  await batch.commit();
+};
+
+module.exports = {
+  DEFAULT_USAGE_LIMITS,
+  getDayKey,
+  getMonthKey,
+  resolveLimits,
+  getSystemLimits,
+  checkUsage,
+  consumeRequest,
+  refundRequest
+};
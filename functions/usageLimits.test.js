@@ -0,0 +1,119 @@
+// functions/usageLimits.test.js
+const { checkUsage, resolveLimits, getSystemLimits, getDayKey, getMonthKey, DEFAULT_USAGE_LIMITS } = require('./usageLimits');
+
+const limits = {
+  perMinute: 2,
+  daily: { analysis: 3, insights: 10, reference: 1 },
+  monthly: { analysis: 5, insights: 50, reference: 2 }
+};
+const NOON = Date.parse('2026-05-14T12:00:00.000Z');
+
+const usageAt = (overrides = {}) => ({
+  minuteStart: NOON - 120000,
+  minuteCount: 1,
+  daily: { analysis: 1 },
+  monthly: { analysis: 1 },
+  ...overrides
+});
+
+describe('checkUsage', () => {
+  it('starts counting for a new user', () => {
+    const result = checkUsage(undefined, limits, 'analysis', NOON);
+    expect(result).toEqual({
+      allowed: true,
+      day: '2026-05-14',
+      month: '2026-05',
+      rate: { minuteStart: NOON, minuteCount: 1 }
+    });
+  });
+
+  it('counts each feature separately', () => {
+    const usage = usageAt({ daily: { analysis: 3 }, monthly: { analysis: 5 } });
+    expect(checkUsage(usage, limits, 'analysis', NOON).allowed).toBe(false);
+    expect(checkUsage(usage, limits, 'insights', NOON).allowed).toBe(true);
+  });
+
+  it('rate limits within the same minute', () => {
+    const usage = usageAt({ minuteStart: NOON, minuteCount: 2 });
+    const result = checkUsage(usage, limits, 'analysis', NOON + 15000);
+    expect(result).toEqual({ allowed: false, code: 'rate-limited', period: 'minute', limit: 2, retryAfterSeconds: 45 });
+  });
+
+  it('opens a new minute window once the last one has passed', () => {
+    const usage = usageAt({ minuteStart: NOON, minuteCount: 2 });
+    const result = checkUsage(usage, limits, 'analysis', NOON + 61000);
+    expect(result.allowed).toBe(true);
+    expect(result.rate).toEqual({ minuteStart: NOON + 61000, minuteCount: 1 });
+  });
+
+  it('stops at the daily limit until midnight UTC', () => {
+    const usage = usageAt({ daily: { analysis: 3 }, monthly: { analysis: 3 } });
+    const result = checkUsage(usage, limits, 'analysis', NOON);
+    expect(result).toEqual({ allowed: false, code: 'quota-exceeded', period: 'day', limit: 3, retryAfterSeconds: 12 * 60 * 60 });
+  });
+
+  it('stops at the monthly limit until the month ends', () => {
+    const usage = usageAt({ daily: undefined, monthly: { analysis: 5 } });
+    const result = checkUsage(usage, limits, 'analysis', NOON);
+    expect(result).toMatchObject({ allowed: false, code: 'quota-exceeded', period: 'month', limit: 5 });
+    expect(result.retryAfterSeconds).toBe((Date.parse('2026-06-01T00:00:00.000Z') - NOON) / 1000);
+  });
+
+  it('names the day and month documents the request is counted in', () => {
+    const lastSecondOfMonth = Date.parse('2026-05-31T23:59:59.000Z');
+    expect(checkUsage(undefined, limits, 'insights', lastSecondOfMonth)).toMatchObject({ day: '2026-05-31', month: '2026-05' });
+  });
+});
+
+describe('resolveLimits', () => {
+  it('uses the defaults when nothing is configured', () => {
+    expect(resolveLimits(undefined, undefined)).toEqual(DEFAULT_USAGE_LIMITS);
+  });
+
+  it('lets the user\'s limits override the system limits', () => {
+    const resolved = resolveLimits(
+      { perMinute: 5, daily: { analysis: 10 } },
+      { daily: { analysis: 50 }, monthly: { reference: 0 } }
+    );
+    expect(resolved.perMinute).toBe(5);
+    expect(resolved.daily).toEqual({ ...DEFAULT_USAGE_LIMITS.daily, analysis: 50 });
+    expect(resolved.monthly).toEqual({ ...DEFAULT_USAGE_LIMITS.monthly, reference: 0 });
+  });
+});
+
+describe('getSystemLimits', () => {
+  const createDb = (stored) => {
+    const limitsRef = {
+      get: async () => ({ data: () => stored }),
+      set: jest.fn(async () => {})
+    };
+    return { db: { collection: () => ({ doc: () => limitsRef }) }, limitsRef };
+  };
+
+  it('writes the defaults for the client to read', async () => {
+    const { db, limitsRef } = createDb(undefined);
+    await expect(getSystemLimits(db)).resolves.toEqual(DEFAULT_USAGE_LIMITS);
+    expect(limitsRef.set).toHaveBeenCalledWith(DEFAULT_USAGE_LIMITS);
+  });
+
+  it('fills in limits missing from the stored ones and keeps the rest', async () => {
+    const { db, limitsRef } = createDb({ perMinute: 3, daily: { analysis: 5 } });
+    const limits = await getSystemLimits(db);
+    expect(limits).toEqual({ ...DEFAULT_USAGE_LIMITS, perMinute: 3, daily: { ...DEFAULT_USAGE_LIMITS.daily, analysis: 5 } });
+    expect(limitsRef.set).toHaveBeenCalledWith(limits);
+  });
+
+  it('leaves complete limits alone', async () => {
+    const { db, limitsRef } = createDb(JSON.parse(JSON.stringify(DEFAULT_USAGE_LIMITS)));
+    await getSystemLimits(db);
+    expect(limitsRef.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('period keys', () => {
+  it('use the UTC day and month', () => {
+    const lateUtc = Date.parse('2026-05-31T23:59:59.000Z');
+    expect(getDayKey(lateUtc)).toBe('2026-05-31');
+    expect(getMonthKey(lateUtc)).toBe('2026-05');
+  });
+});
@@ -1,5 +1,5 @@
 // src/App.js - Updated to handle swing ownership properly for storage
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
 import VideoUpload from './components/VideoUpload';
 import SwingAnalysis from './components/SwingAnalysis';
@@ -9,6 +9,9 @@ import SwingTracker from './components/SwingTracker';
 import Navigation from './components/Navigation';
 import MobileNavDropdown from './components/MobileNavDropdown';
 import ProComparison from './components/ProComparison';
+import SwingCompare from './components/SwingCompare';
+import CoachDashboard from './components/CoachDashboard';
+import CoachAccessCheck from './components/CoachAccessCheck';
 import Dashboard from './components/Dashboard';
 import Login from './components/Login';
 import UserProfile from './components/UserProfile';
@@ -22,6 +25,16 @@ import AdminAccessCheck from './components/AdminAccessCheck';
 import AdminPage from './admin/AdminPage';
 import HomePage from './components/HomePage';
 import UserLoginIndicator from './components/UserLoginIndicator';
+import SwingBatchSummary from './components/SwingBatchSummary';
+import SessionControls from './components/SessionControls';
+import SessionSummary from './components/SessionSummary';
+import sessionService from './services/sessionService';
+import syncService from './services/syncService';
+import { isUsageLimitError } from './services/geminiProxy';
+import { fitToQuota } from './services/storageLifecycleService';
+import { hashVideoFile } from './utils/videoHash';
+import { transcodeVideo, getTranscodeSettings, MAX_STORED_VIDEO_SIZE } from './utils/videoTranscoder';
+import { probeFrameRate } from './utils/frameRate';
 
 // Modal component for login and other modal content
 const Modal = ({ isOpen, onClose, children, canClose = true }) => {
@@ -82,6 +95,19 @@ const AppContent = () => {
   // State for video preview
   const [uploadedVideoFile, setUploadedVideoFile] = useState(null);
   const [uploadedVideoUrl, setUploadedVideoUrl] = useState(null);
+  // Last analyzed file and metadata, kept so a cached result can be re-analyzed
+  const lastAnalysisInput = useRef(null);
+  // Swings split from one recording, shown on the batch summary page
+  const [batchResult, setBatchResult] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  // Practice session that new swings are attached to
+  const [activeSession, setActiveSession] = useState(null);
+  // Swings and feedback saved on this device, waiting for a connection
+  const [syncStatus, setSyncStatus] = useState({ remaining: 0, failed: 0 });
+  // Progress of the video upload ({ loaded, total }) and the controller that cancels it
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [transcodeProgress, setTranscodeProgress] = useState(null);
+  const uploadController = useRef(null);
   
   // Check if the screen is mobile size
   useEffect(() => {
@@ -95,6 +121,41 @@ const AppContent = () => {
     };
   }, []);
 
+  // Load the active practice session for the signed-in user
+  useEffect(() => {
+    if (!currentUser) {
+      setActiveSession(null);
+      return;
+    }
+    
+    sessionService.getActiveSession(currentUser.uid)
+      .then(setActiveSession)
+      .catch(error => console.error("Error loading active session:", error));
+  }, [currentUser]);
+
+  // Update the UI after the sync queue has been replayed
+  const applySyncResult = useCallback((result) => {
+    setSyncStatus({ remaining: result.remaining, failed: result.failed });
+    if (result.synced.length > 0) {
+      // Swap the local copies for the stored swings
+      const syncedById = Object.fromEntries(result.synced.map(({ localId, swing }) => [localId, swing]));
+      setSwingHistory(prev => prev.map(swing => syncedById[swing.id] || swing));
+      firestoreService.getUserStats(currentUser.uid)
+        .then(setUserStats)
+        .catch(error => console.error("Error refreshing stats after sync:", error));
+    }
+  }, [currentUser]);
+
+  // Replay writes saved while offline, now and whenever the connection returns
+  useEffect(() => {
+    if (!currentUser) {
+      setSyncStatus({ remaining: 0, failed: 0 });
+      return;
+    }
+    
+    return syncService.startBackgroundSync(currentUser.uid, applySyncResult);
+  }, [currentUser, applySyncResult]);
+  
   // Listen for the openLoginModal event
   useEffect(() => {
     const handleOpenLoginModal = () => {
@@ -143,111 +204,193 @@ const AppContent = () => {
     navigateTo('upload-preview');
   };
 
+  const handleStartSession = async (details) => {
+    const session = await sessionService.startSession(currentUser.uid, details);
+    setActiveSession(session);
+  };
+  
+  const handleEndSession = async (sessionId = activeSession?.id) => {
+    if (!sessionId) return;
+    await sessionService.endSession(sessionId);
+    if (activeSession?.id === sessionId) {
+      setActiveSession(null);
+    }
+  };
+
+  // Options for the resumable video upload: progress reporting and cancellation
+  const createUploadOptions = () => {
+    uploadController.current = new AbortController();
+    return {
+      signal: uploadController.current.signal,
+      onProgress: (loaded, total) => setUploadProgress({ loaded, total })
+    };
+  };
+  
+  const handleCancelUpload = () => {
+    if (uploadController.current) {
+      uploadController.current.abort();
+    }
+  };
+  
+  // Explain videos left out because the user's storage quota is full
+  const getQuotaMessage = (fitted) => {
+    if (!fitted.droppedVideo && !fitted.droppedOriginal) return null;
+    const usage = `${Math.round(fitted.usage.usedBytes / (1024 * 1024))} MB of ${Math.round(fitted.usage.quotaBytes / (1024 * 1024))} MB used`;
+    return {
+      type: 'info',
+      message: fitted.droppedVideo
+        ? `Your video storage is full (${usage}), so the analysis was saved without the video. Delete old swings to make room.`
+        : `Your video storage is almost full (${usage}), so the original video was not kept.`
+    };
+  };
+  
+  // Compress the recording before it is analyzed and stored (see videoTranscoder).
+  // Returns the file to use, the original when the user keeps it, the content hash
+  // for the analysis cache and the size/format details saved with the swing.
+  const prepareVideo = async (videoFile) => {
+    const settings = getTranscodeSettings();
+    // Hash the recording itself so picking the same clip again still hits the cache
+    // (larger ones are hashed after compression to keep memory use down)
+    const originalHash = videoFile.size <= MAX_STORED_VIDEO_SIZE ? await hashVideoFile(videoFile) : null;
+    
+    uploadController.current = new AbortController();
+    let result;
+    try {
+      result = await transcodeVideo(videoFile, settings, {
+        signal: uploadController.current.signal,
+        onProgress: setTranscodeProgress
+      });
+    } catch (error) {
+      if (error.code === 'transcode/canceled') {
+        throw error;
+      }
+      console.warn("Could not compress the video, using the original:", error);
+      result = { file: videoFile, transcoded: false };
+    } finally {
+      setTranscodeProgress(null);
+    }
+    
+    if (result.file.size > MAX_STORED_VIDEO_SIZE) {
+      throw new Error('This video is over 100MB and could not be compressed in this browser. Please trim it or record at a lower resolution.');
+    }
+    
+    // The players step one frame at a time, so the rate is kept for clips stored as recorded too
+    const frameRate = result.transcoded ? result.frameRate : await probeFrameRate(result.file);
+    
+    return {
+      videoFile: result.file,
+      originalVideo: result.transcoded && settings.keepOriginal ? videoFile : null,
+      contentHash: originalHash || await hashVideoFile(result.file),
+      videoInfo: result.transcoded ? {
+        width: result.width,
+        height: result.height,
+        frameRate,
+        size: result.size,
+        originalSize: result.originalSize,
+        method: result.method
+      } : (frameRate ? { frameRate, size: result.file.size } : null)
+    };
+  };
+  
   // Function to analyze swing with ownership metadata
-  const handleVideoUpload = async (videoFile, metadata) => {
+  const handleVideoUpload = async (videoFile, metadata, options = {}) => {
+    // Analyses go through the authenticated proxy (VideoUpload asks for sign-in first)
+    if (!currentUser) {
+      setError('Sign in to analyze your swing.');
+      return;
+    }
     setIsAnalyzing(true);
     setError(null);
+    // The user's own swings join the active practice session
+    if (activeSession && metadata.swingOwnership === 'self' && !metadata.sessionId) {
+      metadata = { ...metadata, sessionId: activeSession.id };
+    }
     console.log("Analyzing video with metadata:", metadata);
+    lastAnalysisInput.current = null;
     
     try {
-      // Get analysis from Gemini (or mock data)
-      const analysisResult = await geminiService.analyzeGolfSwing(videoFile, metadata);
-  
-      // Save to Firestore if user is logged in
-      if (currentUser) {
-        // Important: For non-user swings, inform user that video won't be stored
-        let infoMessage = null;
-        if (metadata.swingOwnership !== 'self' && videoFile) {
-          infoMessage = {
-            type: 'info',
-            message: metadata.swingOwnership === 'pro' 
-              ? `Analysis for ${metadata.proGolferName || 'a professional golfer'}'s swing. Video not stored to optimize storage.` 
-              : "Analysis for a friend's swing. Video not stored to optimize storage."
-          };
-          // Set info message
-          setError(infoMessage);
-        }
-  
-        const savedSwing = await firestoreService.saveSwingAnalysis(
-          analysisResult,
-          currentUser.uid,
-          metadata.swingOwnership === 'self' ? videoFile : null, // Only save video if it's the user's own swing
-          metadata // Pass metadata including ownership info
-        );
+      // Compressed clip for analysis and storage; the original only goes along when kept
+      let saveMetadata = metadata;
+      let quotaMessage = null;
+      if (videoFile) {
+        const prepared = await prepareVideo(videoFile);
+        videoFile = prepared.videoFile;
+        options = { ...options, contentHash: prepared.contentHash };
+        // Kept compressed so a re-analysis doesn't transcode the clip again
+        lastAnalysisInput.current = { videoFile, metadata, options };
+        saveMetadata = {
+          ...metadata,
+          ...(prepared.videoInfo && { videoInfo: prepared.videoInfo }),
+          ...(prepared.originalVideo && metadata.swingOwnership === 'self' && { originalVideo: prepared.originalVideo })
+        };
+      }
+      
+      // Get analysis from Gemini (or mock data), served from the cache for a known clip
+      const analysisResult = await geminiService.analyzeGolfSwing(videoFile, metadata, options);
   
-        // For non-user swings, create a temporary videoUrl for analysis display
-        // This will be used for in-memory analysis but won't be saved to Storage
-        if (videoFile && metadata.swingOwnership !== 'self') {
-          savedSwing._temporaryVideoUrl = URL.createObjectURL(videoFile);
-          // Add flag to track temporary URLs so we can revoke them later
-          savedSwing._hasTemporaryUrl = true;
+      // Important: For non-user swings, inform user that video won't be stored
+      let infoMessage = null;
+      if (metadata.swingOwnership !== 'self' && videoFile) {
+        infoMessage = {
+          type: 'info',
+          message: metadata.swingOwnership === 'pro' 
+            ? `Analysis for ${metadata.proGolferName || 'a professional golfer'}'s swing. Video not stored to optimize storage.` 
+            : "Analysis for a friend's swing. Video not stored to optimize storage."
+        };
+        // Set info message
+        setError(infoMessage);
+      }
+
+      // Only save video if it's the user's own swing, and only what fits in the quota
+      let videoToSave = null;
+      if (metadata.swingOwnership === 'self' && videoFile) {
+        const fitted = await fitToQuota(currentUser.uid, videoFile, saveMetadata.originalVideo);
+        videoToSave = fitted.videoFile;
+        if (fitted.droppedOriginal) {
+          const { originalVideo, ...withoutOriginal } = saveMetadata;
+          saveMetadata = withoutOriginal;
         }
-  
-        // Update state with the saved data (includes Firestore ID)
-        setSwingData(savedSwing);
+        quotaMessage = getQuotaMessage(fitted);
+      }
+
+      // Kept on the device and synced later when Firestore can't be reached
+      const savedSwing = await syncService.saveSwingOrQueue(
+        analysisResult,
+        currentUser.uid,
+        videoToSave,
+        saveMetadata, // Pass metadata including ownership info
+        createUploadOptions()
+      );
+      if (savedSwing._syncStatus === 'pending') {
+        setSyncStatus(prev => ({ ...prev, remaining: prev.remaining + 1 }));
+        setError({
+          type: 'info',
+          message: "The connection dropped before the upload finished. This swing is saved on your device and will sync when you reconnect."
+        });
+      }
+
+      // For non-user swings, create a temporary videoUrl for analysis display
+      // This will be used for in-memory analysis but won't be saved to Storage
+      if (videoFile && metadata.swingOwnership !== 'self') {
+        savedSwing._temporaryVideoUrl = URL.createObjectURL(videoFile);
+        // Add flag to track temporary URLs so we can revoke them later
+        savedSwing._hasTemporaryUrl = true;
+      }
+
+      // Update state with the saved data (includes Firestore ID)
+      setSwingData(savedSwing);
+      
+      // Only add to swing history if it's the user's own swing
+      if (metadata.swingOwnership === 'self') {
+        setSwingHistory(prev => [savedSwing, ...prev]);
         
-        // Only add to swing history if it's the user's own swing
-        if (metadata.swingOwnership === 'self') {
-          setSwingHistory(prev => [savedSwing, ...prev]);
-          
-          // Refresh user stats
-          const stats = await firestoreService.getUserStats(currentUser.uid);
-          setUserStats(stats);
-        } else {
-          console.log(`Swing for ${metadata.swingOwnership} not added to user's history/tracker`);
-        }
+        // Refresh user stats
+        const stats = await firestoreService.getUserStats(currentUser.uid);
+        setUserStats(stats);
       } else {
-        // For non-authenticated users
-        const isNonUserSwing = metadata.swingOwnership !== 'self';
-        
-        const localResult = {
-          ...analysisResult,
-          _isLocalOnly: true,
-          // Create object URL for video display
-          videoUrl: videoFile ? URL.createObjectURL(videoFile) : null,
-          // For YouTube videos
-          ...(metadata.youtubeVideo ? { 
-            videoUrl: metadata.youtubeVideo.embedUrl, 
-            youtubeVideoId: metadata.youtubeVideo.videoId, 
-            isYouTubeVideo: true 
-          } : {}),
-          // Flag non-user swings appropriately
-          isVideoSkipped: isNonUserSwing,
-          // Include all metadata
-          recordedDate: metadata.recordedDate,
-          swingOwnership: metadata.swingOwnership,
-          proGolferName: metadata.proGolferName,
-          // Club data if available
-          ...(metadata.clubId && { clubId: metadata.clubId }),
-          ...(metadata.clubName && { clubName: metadata.clubName }),
-          ...(metadata.clubType && { clubType: metadata.clubType }),
-          ...(metadata.outcome && { outcome: metadata.outcome })
-        };
-  
-        setSwingData(localResult);
-        
-        // Only add to local swing history if it's the user's own swing
-        if (metadata.swingOwnership === 'self') {
-          setSwingHistory(prev => [localResult, ...prev]);
-        } else {
-          console.log(`Swing for ${metadata.swingOwnership} not added to local history`);
-          
-          // Display info message for non-user swings
-          if (videoFile) {
-            setError({
-              type: 'info',
-              message: metadata.swingOwnership === 'pro' 
-                ? `Analysis for ${metadata.proGolferName || 'a professional golfer'}'s swing.` 
-                : "Analysis for a friend's swing."
-            });
-          }
-        }
-  
-        // Prompt user to login to save their data
-        // We'll keep this commented out for now to avoid immediate login prompt
-        // setIsLoginModalOpen(true);
+        console.log(`Swing for ${metadata.swingOwnership} not added to user's history/tracker`);
       }
-  
+
       // Clean up video preview if we came from there
       if (currentPage === 'upload-preview') {
         if (uploadedVideoUrl) {
@@ -259,13 +402,222 @@ const AppContent = () => {
   
       // CRITICAL CHANGE: Always navigate to analysis page instead of dashboard
       navigateTo('analysis');
+      if (quotaMessage) {
+        setError(quotaMessage);
+      }
     } catch (error) {
+      if (error.code === 'storage/canceled' || error.code === 'transcode/canceled') {
+        setError({ type: 'info', message: 'Upload cancelled. Your swing was not saved.' });
+        return;
+      }
       console.error("Error analyzing swing:", error);
       setError(error.message || "Failed to analyze swing. Please try again.");
     } finally {
       setIsAnalyzing(false);
+      setUploadProgress(null);
+      uploadController.current = null;
     }
   };
+
+  // Score the swing on screen again without the cache, keeping it under the same id
+  const handleReanalyze = async () => {
+    const { videoFile, metadata, options } = lastAnalysisInput.current;
+    const swing = swingData;
+    setIsAnalyzing(true);
+    setError(null);
+
+    try {
+      const analysisResult = await geminiService.analyzeGolfSwing(videoFile, metadata, { ...options, forceReanalysis: true });
+
+      if (swing.swingOwnership === 'self') {
+        const updatedSwing = await firestoreService.updateSwingAnalysis(swing.id, currentUser.uid, analysisResult);
+        setSwingData(updatedSwing);
+        setSwingHistory(prev => prev.map(item => (item.id === swing.id ? updatedSwing : item)));
+
+        const stats = await firestoreService.getUserStats(currentUser.uid);
+        setUserStats(stats);
+      } else {
+        // Others' swings aren't stored, so only the one on screen changes
+        const { fromCache, cachedAt, ...shownSwing } = swing;
+        setSwingData({ ...shownSwing, ...analysisResult, id: swing.id });
+      }
+    } catch (error) {
+      console.error("Error re-analyzing swing:", error);
+      setError(error.message || "Failed to analyze swing. Please try again.");
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  // Analyze each swing segment of one recording and save them as a session
+  const handleBatchUpload = async (videoFile, metadata, segments, options = {}) => {
+    if (!currentUser) {
+      setError('Sign in to analyze your swing.');
+      return;
+    }
+    setIsAnalyzing(true);
+    setError(null);
+    lastAnalysisInput.current = null;
+    
+    const isOwnSwing = metadata.swingOwnership === 'self';
+    const videoName = videoFile.name;
+    let sessionId = `session_${Date.now()}`;
+    let isSavedSession = false;
+    let createdSessionId = null;
+    const swings = [];
+    const failed = [];
+    let limitStop = null;
+    let storedVideoUrl = null;
+    let localVideoUrl = null;
+    
+    try {
+      // Compress and hash the clip once rather than once per segment
+      const prepared = await prepareVideo(videoFile);
+      const { contentHash } = prepared;
+      videoFile = prepared.videoFile;
+      let storedOriginalUrl = null;
+      
+      // The swings join the active session, or get a session of their own
+      if (isOwnSwing) {
+        try {
+          const session = activeSession || await sessionService.createSession(currentUser.uid, {
+            notes: videoName ? `Recorded in ${videoName}` : null,
+            endedAt: new Date()
+          });
+          sessionId = session.id;
+          isSavedSession = true;
+          createdSessionId = activeSession ? null : session.id;
+        } catch (sessionError) {
+          // Offline: the swings still share the local session id
+          console.warn("Could not create a session for this recording:", sessionError);
+        }
+      }
+      
+      // The shared video is only stored when it fits in the user's quota
+      let videoToSave = isOwnSwing ? videoFile : null;
+      let originalToSave = isOwnSwing ? prepared.originalVideo : null;
+      let quotaMessage = null;
+      if (videoToSave) {
+        const fitted = await fitToQuota(currentUser.uid, videoToSave, originalToSave);
+        videoToSave = fitted.videoFile;
+        originalToSave = fitted.originalVideo;
+        quotaMessage = getQuotaMessage(fitted);
+      }
+      
+      for (let index = 0; index < segments.length; index++) {
+        setBatchProgress({ current: index + 1, total: segments.length });
+        const segmentMetadata = {
+          ...metadata,
+          trim: segments[index],
+          sessionId,
+          segmentIndex: index
+        };
+        
+        try {
+          const analysisResult = await geminiService.analyzeGolfSwing(
+            videoFile,
+            segmentMetadata,
+            { ...options, contentHash }
+          );
+          
+          // The video is uploaded with the first swing and shared by the rest
+          // (offline, it is kept on the device once under the session id)
+          const savedSwing = await syncService.saveSwingOrQueue(
+            analysisResult,
+            currentUser.uid,
+            !storedVideoUrl ? videoToSave : null,
+            {
+              ...segmentMetadata,
+              storedVideoUrl,
+              storedOriginalUrl,
+              videoKey: sessionId,
+              ...(prepared.videoInfo && { videoInfo: prepared.videoInfo }),
+              ...(originalToSave && !storedVideoUrl && { originalVideo: originalToSave })
+            },
+            createUploadOptions()
+          );
+          if (savedSwing._syncStatus === 'pending') {
+            setSyncStatus(prev => ({ ...prev, remaining: prev.remaining + 1 }));
+          } else if (isOwnSwing && !storedVideoUrl) {
+            storedVideoUrl = savedSwing.videoUrl;
+            storedOriginalUrl = savedSwing.originalVideoUrl || null;
+          }
+          if (!isOwnSwing) {
+            localVideoUrl = localVideoUrl || URL.createObjectURL(videoFile);
+            savedSwing._temporaryVideoUrl = localVideoUrl;
+            savedSwing._hasTemporaryUrl = true;
+          }
+          swings.push(savedSwing);
+        } catch (segmentError) {
+          if (segmentError.code === 'storage/canceled') {
+            throw segmentError;
+          }
+          // Every later segment would hit the same limit, so the batch stops here
+          if (isUsageLimitError(segmentError)) {
+            if (swings.length === 0) {
+              throw segmentError;
+            }
+            limitStop = { message: segmentError.message, unprocessed: segments.length - index };
+            break;
+          }
+          // One bad segment should not lose the rest of the session
+          console.error(`Error analyzing swing ${index + 1} of ${segments.length}:`, segmentError);
+          failed.push({ segmentIndex: index, trim: segments[index], message: segmentError.message });
+        }
+      }
+      
+      if (swings.length === 0) {
+        throw new Error('None of the swings in this video could be analyzed. Please try again.');
+      }
+      
+      if (isOwnSwing) {
+        setSwingHistory(prev => [...[...swings].reverse(), ...prev]);
+        const stats = await firestoreService.getUserStats(currentUser.uid);
+        setUserStats(stats);
+      }
+      
+      setBatchResult({
+        sessionId,
+        isSavedSession,
+        videoName,
+        swings,
+        failed,
+        limitStop
+      });
+      
+      if (uploadedVideoUrl) {
+        URL.revokeObjectURL(uploadedVideoUrl);
+      }
+      setUploadedVideoFile(null);
+      setUploadedVideoUrl(null);
+      
+      navigateTo('batch-summary');
+      if (quotaMessage) {
+        setError(quotaMessage);
+      }
+    } catch (error) {
+      // Don't leave an empty session behind when no swing was saved
+      if (createdSessionId && swings.length === 0) {
+        sessionService.deleteSession(createdSessionId).catch(() => {});
+      }
+      if (error.code === 'transcode/canceled') {
+        setError({ type: 'info', message: 'Upload cancelled. Your swings were not saved.' });
+        return;
+      }
+      if (error.code === 'storage/canceled') {
+        setError({ type: 'info', message: 'Upload cancelled. The remaining swings were not saved.' });
+        return;
+      }
+      console.error("Error analyzing swing session:", error);
+      setError(error.message || "Failed to analyze the swings. Please try again.");
+    } finally {
+      setIsAnalyzing(false);
+      setBatchProgress(null);
+      setUploadProgress(null);
+      uploadController.current = null;
+    }
+  };
+
   const ProComparisonWrapper = ({ currentUser, swingData }) => {
     const [loading, setLoading] = useState(!swingData);
     const [latestSwing, setLatestSwing] = useState(swingData);
@@ -341,25 +693,44 @@ const AppContent = () => {
           userClubs={userClubs}
         />;
       case 'upload':
-        return <VideoUpload 
-          onVideoUpload={handleVideoUpload}
-          onVideoSelect={handleVideoFileSelect}
-          isAnalyzing={isAnalyzing}
-          navigateTo={navigateTo}
-        />;
+        return (
+          <>
+            {currentUser && (
+              <SessionControls
+                activeSession={activeSession}
+                onStart={handleStartSession}
+                onEnd={() => handleEndSession()}
+                onView={() => navigateTo('session-summary', { sessionId: activeSession.id })}
+              />
+            )}
+            <VideoUpload 
+              onVideoUpload={handleVideoUpload}
+              onVideoSelect={handleVideoFileSelect}
+              isAnalyzing={isAnalyzing}
+              navigateTo={navigateTo}
+            />
+          </>
+        );
       case 'upload-preview':
         return <VideoUploadPreview 
           videoFile={uploadedVideoFile}
           videoUrl={uploadedVideoUrl}
-          onAnalyze={(metadata) => {
+          onAnalyze={(metadata, options) => {
             // Start analysis with the uploaded video file and ownership metadata
             if (uploadedVideoFile) {
-              handleVideoUpload(uploadedVideoFile, {
+              const uploadMetadata = {
                 // Default date if not provided
                 recordedDate: new Date(),
                 // Ownership data from the component
                 ...metadata
-              });
+              };
+              // Several swings in one recording are analyzed one by one
+              const { segments, ...analysisOptions } = options || {};
+              if (segments && segments.length > 1) {
+                handleBatchUpload(uploadedVideoFile, uploadMetadata, segments, analysisOptions);
+              } else {
+                handleVideoUpload(uploadedVideoFile, uploadMetadata, analysisOptions);
+              }
             }
           }}
           onDelete={() => {
@@ -373,12 +744,39 @@ const AppContent = () => {
           }}
           navigateTo={navigateTo}
         isProcessing={isAnalyzing}
+        batchProgress={batchProgress}
+        uploadProgress={uploadProgress}
+        transcodeProgress={transcodeProgress}
+        onCancelUpload={handleCancelUpload}
+      />;
+    case 'batch-summary':
+      return <SwingBatchSummary
+        batch={batchResult}
+        navigateTo={navigateTo}
+        onSelectSwing={(swing) => {
+          setSwingData(swing);
+          navigateTo('analysis');
+        }}
+      />;
+    case 'session-summary':
+      return <SessionSummary
+        sessionId={pageParams?.sessionId}
+        navigateTo={navigateTo}
+        onSelectSwing={(swing) => {
+          setSwingData(swing);
+          navigateTo('analysis');
+        }}
+        onEndSession={handleEndSession}
       />;
     case 'analysis':
       return <SwingAnalysis 
         swingData={swingData} 
         navigateTo={navigateTo}
         setSwingHistory={setSwingHistory}
+        onReanalyze={swingData?.fromCache && swingData._syncStatus !== 'pending' && lastAnalysisInput.current
+          ? handleReanalyze
+          : null}
+        isReanalyzing={isAnalyzing}
       />;
     case 'progress': // Changed from 'tracker'
       // Redirect to the profile page with the progress tab active
@@ -396,6 +794,24 @@ const AppContent = () => {
           swingData={swingData}
           navigateTo={navigateTo} 
         />;
+    case 'swing-compare':
+      return <SwingCompare
+        navigateTo={navigateTo}
+        swingHistory={swingHistory}
+        initialSwingId={pageParams?.swingId}
+      />;
+    case 'coach':
+      return (
+        <CoachAccessCheck>
+          <CoachDashboard
+            navigateTo={navigateTo}
+            onSelectSwing={(swing) => {
+              setSwingData(swing);
+              navigateTo('analysis');
+            }}
+          />
+        </CoachAccessCheck>
+      );
       
     case 'profile':
       return <UserProfile 
@@ -532,6 +948,32 @@ const AppContent = () => {
           </div>
         )}
         
+        {syncStatus.remaining > 0 && (
+          <div style={{ 
+            backgroundColor: '#fff3cd', 
+            color: '#856404', 
+            padding: '10px 15px', 
+            borderRadius: '5px', 
+            textAlign: 'center',
+            maxWidth: '800px',
+            margin: '0 auto 15px auto'
+          }}>
+            {syncStatus.remaining} item{syncStatus.remaining === 1 ? '' : 's'} saved on this device
+            {syncStatus.failed > 0
+              ? ` (${syncStatus.failed} could not be synced).`
+              : ' will sync when you are back online.'}
+            {syncStatus.failed > 0 && (
+              <button
+                onClick={() => syncService.processQueue(currentUser.uid, { includeFailed: true })
+                  .then(applySyncResult)}
+                style={{ marginLeft: '10px', background: 'none', border: 'none', color: '#856404', textDecoration: 'underline', cursor: 'pointer' }}
+              >
+                Retry
+              </button>
+            )}
+          </div>
+        )}
+        
         {renderPage()}
       </main>
       
@@ -0,0 +1,134 @@
+// src/admin/migrations.js
+// Versioned data migrations for stored swing history.
+//
+// Each migration is a plain object:
+//   {
+//     id: '001-canonical-metric-keys',   // unique, never reused
+//     version: 1,                        // migrations run in ascending version order
+//     description: '...',
+//     targets: [
+//       { collection: 'swings', transform: (data) => updates | null }
+//     ]
+//   }
+//
+// A transform receives the stored document data and returns the fields to update, or null
+// when the document is already in the expected shape. Transforms must be idempotent: running
+// them on their own output returns null. Published migrations are never edited - renaming or
+// splitting a metric again means adding a new migration (and an alias in metricRegistry).
+
+/**
+ * Rewrite the keys of a metric map using a rename table.
+ * When both the legacy and the current key are present the current value is kept.
+ * @param {Object} metricMap - Map keyed by metric
+ * @param {Object} renames - Legacy key -> current key
+ * @returns {Object|null} Rewritten map, or null when nothing needed renaming
+ */
+export const renameMetricKeys = (metricMap, renames) => {
+  if (!metricMap || typeof metricMap !== 'object' || Array.isArray(metricMap)) {
+    return null;
+  }
+
+  const legacyKeys = Object.keys(metricMap).filter(key => renames[key]);
+  if (legacyKeys.length === 0) {
+    return null;
+  }
+
+  const rewritten = { ...metricMap };
+  legacyKeys.forEach(legacyKey => {
+    const currentKey = renames[legacyKey];
+    if (rewritten[currentKey] === undefined || rewritten[currentKey] === null) {
+      rewritten[currentKey] = metricMap[legacyKey];
+    }
+    delete rewritten[legacyKey];
+  });
+  return rewritten;
+};
+
+/**
+ * Build a transform that renames metric keys inside the given map fields
+ * @param {Array<string>} fields - Fields holding metric maps
+ * @param {Object} renames - Legacy key -> current key
+ * @returns {Function} Transform returning updates or null
+ */
+const renameMetricFields = (fields, renames) => (data) => {
+  const updates = {};
+  fields.forEach(field => {
+    const rewritten = renameMetricKeys(data[field], renames);
+    if (rewritten) {
+      updates[field] = rewritten;
+    }
+  });
+  return Object.keys(updates).length > 0 ? updates : null;
+};
+
+// Keys the early prompts produced for what the catalog now calls backswing and swingForward
+const LEGACY_TRAJECTORY_KEYS = {
+  clubTrajectoryBackswing: 'backswing',
+  clubTrajectoryForswing: 'swingForward'
+};
+
+// swingBack was scored separately from backswing under the same title; the catalog now
+// keeps one Backswing metric
+const MERGED_BACKSWING_KEYS = {
+  swingBack: 'backswing'
+};
+
+/**
+ * Copy the isAdmin / isCoach flags of a users document into its roles array
+ * @param {Object} data - users document data
+ * @returns {Object|null} { roles } or null when the roles already cover the flags
+ */
+const flagsToRoles = (data) => {
+  const roles = Array.isArray(data.roles) ? data.roles : [];
+  const flagged = [
+    data.isAdmin === true && 'admin',
+    data.isCoach === true && 'coach'
+  ].filter(role => role && !roles.includes(role));
+  return flagged.length > 0 ? { roles: [...roles, ...flagged] } : null;
+};
+
+export const MIGRATIONS = [
+  {
+    id: '001-canonical-metric-keys',
+    version: 1,
+    description: 'Rename club trajectory metric keys to backswing / swingForward',
+    targets: [
+      {
+        collection: 'swings',
+        transform: renameMetricFields(['metrics'], LEGACY_TRAJECTORY_KEYS)
+      },
+      {
+        collection: 'analysis_feedback',
+        transform: renameMetricFields(['originalMetrics', 'metricFeedback'], LEGACY_TRAJECTORY_KEYS)
+      }
+    ]
+  },
+  {
+    id: '002-user-roles',
+    version: 2,
+    description: 'Copy the isAdmin / isCoach flags into the roles array of each user',
+    targets: [
+      {
+        collection: 'users',
+        transform: flagsToRoles
+      }
+    ]
+  },
+  {
+    id: '003-merge-swing-back',
+    version: 3,
+    description: 'Merge the duplicate swingBack metric into backswing',
+    targets: [
+      {
+        collection: 'swings',
+        transform: renameMetricFields(['metrics'], MERGED_BACKSWING_KEYS)
+      },
+      {
+        collection: 'analysis_feedback',
+        transform: renameMetricFields(['originalMetrics', 'metricFeedback'], MERGED_BACKSWING_KEYS)
+      }
+    ]
+  }
+];
+
+export default MIGRATIONS;
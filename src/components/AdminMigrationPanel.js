@@ -0,0 +1,113 @@
+// src/components/AdminMigrationPanel.js
+import React, { useState } from 'react';
+import { runMigrations } from '../services/migrationService';
+
+const STATUS_LABELS = {
+  already_applied: 'Already applied',
+  dry_run: 'Would apply',
+  applied: 'Applied',
+  failed: 'Failed'
+};
+
+const AdminMigrationPanel = () => {
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun && !window.confirm('Apply pending migrations to the swing history? Run a dry run first if unsure.')) {
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+    try {
+      const result = await runMigrations({ dryRun });
+      setReport(result);
+    } catch (err) {
+      console.error('Error running migrations:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Data Migrations</h2>
+      <p className="text-sm text-gray-600">
+        Rewrites stored swings and feedback when metric keys are renamed or split.
+        A dry run reports what would change without writing anything.
+      </p>
+
+      <div style={{ marginTop: '15px' }}>
+        <button
+          onClick={() => handleRun(true)}
+          disabled={running}
+          className="button"
+          style={{ marginRight: '10px' }}
+        >
+          {running ? 'Running...' : 'Dry Run'}
+        </button>
+        <button
+          onClick={() => handleRun(false)}
+          disabled={running}
+          className="button"
+        >
+          Apply Migrations
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          borderRadius: '5px'
+        }}>
+          Error: {error}
+        </div>
+      )}
+
+      {report && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#f0f0f0',
+          borderRadius: '5px'
+        }}>
+          <h3>{report.dryRun ? 'Dry Run Report' : 'Migration Report'}</h3>
+          {report.migrations.map(migration => (
+            <div key={migration.id} style={{ marginTop: '10px' }}>
+              <p>
+                <strong>{migration.id}</strong> - {STATUS_LABELS[migration.status] || migration.status}
+              </p>
+              <p className="text-sm text-gray-600">{migration.description}</p>
+              <ul>
+                {migration.targets.map(target => (
+                  <li key={target.collection}>
+                    {target.collection}: {target.changed} of {target.scanned} documents
+                    {report.dryRun ? ' would change' : ' changed'}
+                    {target.failed > 0 && `, ${target.failed} failed`}
+                    {target.samples.length > 0 && (
+                      <ul>
+                        {target.samples.map(sample => (
+                          <li key={sample.id} className="text-sm">
+                            {sample.id}: {Object.keys(sample.updates).join(', ')}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminMigrationPanel;
@@ -0,0 +1,386 @@
+// src/components/AdminProGolferPanel.js
+import React, { useEffect, useState } from 'react';
+import proGolferService, {
+  PRO_TOURS,
+  PRO_BODY_TYPES,
+  PRO_SWING_STYLES,
+  PRO_SWING_CLUBS,
+  getProOptionLabel
+} from '../services/proGolferService';
+
+const EMPTY_PROFILE = {
+  id: null,
+  name: '',
+  tour: PRO_TOURS[0],
+  bodyType: '',
+  swingStyle: '',
+  characteristics: '',
+  imageUrl: ''
+};
+
+const STATUS_COLORS = {
+  pending: '#f39c12',
+  analyzed: '#27ae60',
+  failed: '#e74c3c'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  borderRadius: '5px',
+  border: '1px solid #ddd',
+  marginTop: '4px'
+};
+
+const AdminProGolferPanel = () => {
+  const [pros, setPros] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [profile, setProfile] = useState(null);
+  const [newSwing, setNewSwing] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [status, setStatus] = useState({ type: '', message: '' });
+
+  const loadPros = async () => {
+    setLoading(true);
+    try {
+      setPros(await proGolferService.getProGolfers());
+    } catch (error) {
+      setStatus({ type: 'error', message: `Error loading pro golfers: ${error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPros();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const replacePro = (updated) => {
+    setPros(previous => previous.map(pro => (pro.id === updated.id ? updated : pro)));
+  };
+
+  // Wrap an action so only one runs at a time and failures land in the status line
+  const run = async (key, action) => {
+    setBusy(key);
+    setStatus({ type: '', message: '' });
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSeed = () => run('seed', async () => {
+    const added = await proGolferService.seedDefaultProGolfers();
+    await loadPros();
+    setStatus({
+      type: 'success',
+      message: added > 0
+        ? `Added ${added} pro golfers. Analyze their swings to fill in their metrics.`
+        : 'The default pro golfers are already in the library.'
+    });
+  });
+
+  const handleSaveProfile = (e) => {
+    e.preventDefault();
+    run('profile', async () => {
+      const saved = await proGolferService.saveProGolfer({
+        ...profile,
+        characteristics: profile.characteristics.split('\n')
+      });
+      setPros(previous => [...previous.filter(pro => pro.id !== saved.id), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setProfile(null);
+      setStatus({ type: 'success', message: `Saved ${saved.name}` });
+    });
+  };
+
+  const handleEditProfile = (pro) => {
+    setProfile({
+      id: pro.id,
+      name: pro.name,
+      tour: pro.tour || '',
+      bodyType: pro.bodyType || '',
+      swingStyle: pro.swingStyle || '',
+      characteristics: pro.characteristics.join('\n'),
+      imageUrl: pro.imageUrl || ''
+    });
+  };
+
+  const handleDeletePro = (pro) => {
+    if (!window.confirm(`Remove ${pro.name} and all of their reference swings from the library?`)) return;
+    run(`delete-${pro.id}`, async () => {
+      await proGolferService.deleteProGolfer(pro.id);
+      setPros(previous => previous.filter(item => item.id !== pro.id));
+    });
+  };
+
+  const handleAddSwing = (pro) => {
+    const swing = { club: PRO_SWING_CLUBS[0].name, youtubeUrl: '', ...newSwing[pro.id] };
+    run(`add-${pro.id}`, async () => {
+      replacePro(await proGolferService.addProSwing(pro.id, swing));
+      setNewSwing(previous => ({ ...previous, [pro.id]: { club: swing.club, youtubeUrl: '' } }));
+    });
+  };
+
+  const handleRemoveSwing = (pro, swing) => {
+    if (!window.confirm(`Remove ${pro.name}'s ${swing.club} swing?`)) return;
+    run(`swing-${swing.id}`, async () => {
+      replacePro(await proGolferService.removeProSwing(pro.id, swing.id));
+    });
+  };
+
+  const handleAnalyzeSwing = (pro, swing) => run(`swing-${swing.id}`, async () => {
+    const updated = await proGolferService.analyzeProSwing(pro.id, swing.id);
+    replacePro(updated);
+    const result = updated.swings.find(item => item.id === swing.id);
+    setStatus(result?.status === 'failed'
+      ? { type: 'error', message: `Analysis failed: ${result.error}` }
+      : { type: 'success', message: `Analyzed ${pro.name}'s ${swing.club} swing` });
+  });
+
+  // Analyze every swing that hasn't been analyzed yet, one at a time
+  const handleAnalyzePending = () => run('analyze-all', async () => {
+    const queue = pros.flatMap(pro => pro.swings
+      .filter(swing => swing.status !== 'analyzed')
+      .map(swing => ({ pro, swing })));
+
+    let failed = 0;
+    for (let i = 0; i < queue.length; i++) {
+      const { pro, swing } = queue[i];
+      setStatus({ type: 'info', message: `Analyzing ${i + 1} of ${queue.length}: ${pro.name}, ${swing.club}` });
+      const updated = await proGolferService.analyzeProSwing(pro.id, swing.id);
+      replacePro(updated);
+      if (updated.swings.find(item => item.id === swing.id)?.status === 'failed') failed++;
+    }
+
+    setStatus({
+      type: failed > 0 ? 'error' : 'success',
+      message: `Analyzed ${queue.length - failed} of ${queue.length} swings${failed > 0 ? `, ${failed} failed` : ''}`
+    });
+  });
+
+  const updateNewSwing = (proId, field, value) => {
+    setNewSwing(previous => ({ ...previous, [proId]: { ...previous[proId], [field]: value } }));
+  };
+
+  const pendingCount = pros.reduce((count, pro) => count + pro.swings.filter(swing => swing.status !== 'analyzed').length, 0);
+
+  const renderProfileForm = () => (
+    <form onSubmit={handleSaveProfile} className="mb-6 p-4 bg-gray-50 border rounded">
+      <h3 className="font-medium mb-2">{profile.id ? `Edit ${profile.name}` : 'Add Pro Golfer'}</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '10px' }}>
+        <label className="text-sm">
+          Name
+          <input
+            value={profile.name}
+            onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+            disabled={!!profile.id}
+            required
+            style={inputStyle}
+          />
+        </label>
+        <label className="text-sm">
+          Tour
+          <select value={profile.tour} onChange={(e) => setProfile({ ...profile, tour: e.target.value })} style={inputStyle}>
+            <option value="">—</option>
+            {PRO_TOURS.map(tour => <option key={tour} value={tour}>{tour}</option>)}
+          </select>
+        </label>
+        <label className="text-sm">
+          Body Type
+          <select value={profile.bodyType} onChange={(e) => setProfile({ ...profile, bodyType: e.target.value })} style={inputStyle}>
+            <option value="">—</option>
+            {PRO_BODY_TYPES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </label>
+        <label className="text-sm">
+          Swing Style
+          <select value={profile.swingStyle} onChange={(e) => setProfile({ ...profile, swingStyle: e.target.value })} style={inputStyle}>
+            <option value="">—</option>
+            {PRO_SWING_STYLES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </label>
+      </div>
+      <label className="text-sm" style={{ display: 'block', marginTop: '10px' }}>
+        Image URL (optional)
+        <input
+          value={profile.imageUrl}
+          onChange={(e) => setProfile({ ...profile, imageUrl: e.target.value })}
+          style={inputStyle}
+        />
+      </label>
+      <label className="text-sm" style={{ display: 'block', marginTop: '10px' }}>
+        Characteristics (one per line)
+        <textarea
+          value={profile.characteristics}
+          onChange={(e) => setProfile({ ...profile, characteristics: e.target.value })}
+          rows={4}
+          style={inputStyle}
+        />
+      </label>
+      <div style={{ marginTop: '10px' }}>
+        <button type="submit" disabled={busy === 'profile'} className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50 mr-2">
+          {busy === 'profile' ? 'Saving...' : 'Save'}
+        </button>
+        <button type="button" onClick={() => setProfile(null)} className="px-4 py-2 border rounded">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderSwing = (pro, swing) => (
+    <li key={swing.id} style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '6px 0',
+      borderBottom: '1px solid #eee'
+    }}>
+      <strong style={{ minWidth: '110px' }}>{swing.club}</strong>
+      <a href={swing.youtubeUrl} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600">
+        {swing.videoId}
+      </a>
+      <span className="text-sm" style={{ color: STATUS_COLORS[swing.status] || '#666' }}>
+        {swing.status === 'analyzed' ? `Analyzed · ${swing.overallScore}` : swing.status}
+        {swing.status === 'failed' && swing.error ? ` (${swing.error})` : ''}
+      </span>
+      <span style={{ marginLeft: 'auto' }}>
+        <button
+          onClick={() => handleAnalyzeSwing(pro, swing)}
+          disabled={!!busy}
+          className="px-2 py-1 text-sm border rounded mr-2 disabled:opacity-50"
+        >
+          {busy === `swing-${swing.id}` ? 'Working...' : swing.status === 'analyzed' ? 'Re-analyze' : 'Analyze'}
+        </button>
+        <button
+          onClick={() => handleRemoveSwing(pro, swing)}
+          disabled={!!busy}
+          className="px-2 py-1 text-sm border rounded text-red-600 disabled:opacity-50"
+        >
+          Remove
+        </button>
+      </span>
+    </li>
+  );
+
+  const renderPro = (pro) => {
+    const draft = { club: PRO_SWING_CLUBS[0].name, youtubeUrl: '', ...newSwing[pro.id] };
+    return (
+      <div key={pro.id} className="mb-4 p-4 border rounded">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px' }}>
+          <div>
+            <h3 className="font-bold">{pro.name}</h3>
+            <p className="text-sm text-gray-600">
+              {[pro.tour, getProOptionLabel(PRO_BODY_TYPES, pro.bodyType), getProOptionLabel(PRO_SWING_STYLES, pro.swingStyle)]
+                .filter(Boolean)
+                .join(' · ')}
+              {pro.analyzedSwings > 0 && ` · average ${pro.overallScore} over ${pro.analyzedSwings} swings`}
+            </p>
+          </div>
+          <div style={{ whiteSpace: 'nowrap' }}>
+            <button onClick={() => handleEditProfile(pro)} className="px-2 py-1 text-sm border rounded mr-2">
+              Edit
+            </button>
+            <button
+              onClick={() => handleDeletePro(pro)}
+              disabled={!!busy}
+              className="px-2 py-1 text-sm border rounded text-red-600 disabled:opacity-50"
+            >
+              Delete
+            </button>
+          </div>
+        </div>
+
+        {pro.swings.length > 0 ? (
+          <ul style={{ listStyle: 'none', padding: 0, margin: '10px 0' }}>
+            {pro.swings.map(swing => renderSwing(pro, swing))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-600" style={{ margin: '10px 0' }}>No reference swings yet.</p>
+        )}
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+          <select
+            value={draft.club}
+            onChange={(e) => updateNewSwing(pro.id, 'club', e.target.value)}
+            style={{ ...inputStyle, width: 'auto', marginTop: 0 }}
+          >
+            {PRO_SWING_CLUBS.map(club => <option key={club.name} value={club.name}>{club.name}</option>)}
+          </select>
+          <input
+            value={draft.youtubeUrl}
+            onChange={(e) => updateNewSwing(pro.id, 'youtubeUrl', e.target.value)}
+            placeholder="YouTube URL of the swing"
+            style={{ ...inputStyle, flex: 1, minWidth: '200px', marginTop: 0 }}
+          />
+          <button
+            onClick={() => handleAddSwing(pro)}
+            disabled={!!busy || !draft.youtubeUrl.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50"
+          >
+            {busy === `add-${pro.id}` ? 'Adding...' : 'Add Swing'}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        Pros users can compare their swings with. Each reference swing is a YouTube clip filed under
+        a club; analyzing it runs the same analysis as a user's swing, and a pro's metrics are the
+        average of their analyzed swings (overall and per club).
+      </p>
+
+      <div className="mb-4">
+        <button
+          onClick={() => setProfile({ ...EMPTY_PROFILE })}
+          disabled={!!profile}
+          className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50 mr-2"
+        >
+          Add Pro Golfer
+        </button>
+        <button
+          onClick={handleAnalyzePending}
+          disabled={!!busy || pendingCount === 0}
+          className="px-4 py-2 border rounded disabled:opacity-50 mr-2"
+        >
+          {busy === 'analyze-all' ? 'Analyzing...' : `Analyze Pending Swings (${pendingCount})`}
+        </button>
+        {!loading && pros.length === 0 && (
+          <button onClick={handleSeed} disabled={!!busy} className="px-4 py-2 border rounded disabled:opacity-50">
+            {busy === 'seed' ? 'Adding...' : 'Add Default Pros'}
+          </button>
+        )}
+      </div>
+
+      {status.message && (
+        <div className={`p-3 mb-4 rounded ${
+          status.type === 'error' ? 'bg-red-100 text-red-800' :
+          status.type === 'success' ? 'bg-green-100 text-green-800' :
+          'bg-blue-100 text-blue-800'
+        }`}>
+          {status.message}
+        </div>
+      )}
+
+      {profile && renderProfileForm()}
+
+      {loading ? (
+        <p>Loading pro golfers...</p>
+      ) : pros.length === 0 ? (
+        <p>No pro golfers in the library yet.</p>
+      ) : (
+        pros.map(renderPro)
+      )}
+    </div>
+  );
+};
+
+export default AdminProGolferPanel;
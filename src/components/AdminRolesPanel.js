@@ -0,0 +1,160 @@
+// src/components/AdminRolesPanel.js
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import roleService from '../services/roleService';
+import { ROLES, ROLE_PERMISSIONS } from '../utils/permissions';
+
+const ROLE_DESCRIPTIONS = {
+  [ROLES.ADMIN]: 'Everything in the admin dashboard',
+  [ROLES.REVIEWER]: 'Feedback processing and model metrics',
+  [ROLES.COACH]: 'Invite students and review their swings (users can turn this on themselves)',
+  [ROLES.PLAYER]: 'Analyze and keep their own swings (every user)'
+};
+
+const AdminRolesPanel = () => {
+  const { currentUser, refreshRoles } = useAuth();
+  const [staff, setStaff] = useState([]);
+  const [email, setEmail] = useState('');
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadStaff = async () => {
+    try {
+      setStaff(await roleService.getStaffUsers());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStaff();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const selectUser = (user) => {
+    setSelectedUser(user);
+    setRoles(user.roles);
+    setMessage(null);
+    setError(null);
+  };
+
+  const handleFind = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const user = await roleService.findUserByEmail(email);
+      if (user) {
+        selectUser(user);
+      } else {
+        setSelectedUser(null);
+        setError(`No user with the email ${email}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleRole = (role) => {
+    setRoles(previous => (previous.includes(role)
+      ? previous.filter(item => item !== role)
+      : [...previous, role]));
+  };
+
+  const handleSave = async () => {
+    if (selectedUser.userId === currentUser.uid && !roles.includes(ROLES.ADMIN)
+      && !window.confirm('Remove your own admin role? You will lose access to this page.')) {
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const saved = await roleService.setUserRoles(selectedUser.userId, roles);
+      setSelectedUser({ ...selectedUser, roles: saved });
+      setMessage(`Saved roles for ${selectedUser.name}`);
+      await loadStaff();
+      if (selectedUser.userId === currentUser.uid) {
+        await refreshRoles();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <p className="text-sm text-gray-600">
+        Roles decide what each user can do. Find a user by the email they signed up with to change
+        their roles.
+      </p>
+
+      <form onSubmit={handleFind} style={{ display: 'flex', gap: '10px', marginTop: '15px' }}>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="User's email"
+          required
+          style={{ flex: 1, padding: '8px', borderRadius: '5px', border: '1px solid #ddd' }}
+        />
+        <button type="submit" className="button" disabled={busy}>Find User</button>
+      </form>
+
+      {error && (
+        <div style={{ padding: '15px', marginTop: '20px', backgroundColor: '#f8d7da', color: '#721c24', borderRadius: '5px' }}>
+          Error: {error}
+        </div>
+      )}
+      {message && <p style={{ color: '#27ae60', marginTop: '15px' }}>{message}</p>}
+
+      {selectedUser && (
+        <div style={{ padding: '15px', marginTop: '20px', backgroundColor: '#f0f0f0', borderRadius: '5px' }}>
+          <h3>{selectedUser.name}</h3>
+          <p className="text-sm text-gray-600">{selectedUser.email}</p>
+          {Object.keys(ROLE_PERMISSIONS).map(role => (
+            <label key={role} style={{ display: 'block', margin: '8px 0' }}>
+              <input
+                type="checkbox"
+                checked={role === ROLES.PLAYER || roles.includes(role)}
+                disabled={role === ROLES.PLAYER}
+                onChange={() => toggleRole(role)}
+                style={{ marginRight: '8px' }}
+              />
+              <strong>{role}</strong>
+              <span className="text-sm text-gray-600"> — {ROLE_DESCRIPTIONS[role]}</span>
+            </label>
+          ))}
+          <button onClick={handleSave} disabled={busy} className="button" style={{ marginTop: '10px' }}>
+            {busy ? 'Saving...' : 'Save Roles'}
+          </button>
+        </div>
+      )}
+
+      <h3 style={{ marginTop: '25px' }}>Admins and Reviewers</h3>
+      {staff.length === 0 && <p className="text-sm text-gray-600">No admins or reviewers found.</p>}
+      <ul>
+        {staff.map(user => (
+          <li key={user.userId} style={{ padding: '4px 0' }}>
+            <button
+              onClick={() => selectUser(user)}
+              style={{ background: 'none', border: 'none', color: '#546e47', cursor: 'pointer', textDecoration: 'underline', padding: 0 }}
+            >
+              {user.name}
+            </button>
+            <span className="text-sm text-gray-600"> {user.roles.filter(role => role !== ROLES.PLAYER).join(', ')}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AdminRolesPanel;
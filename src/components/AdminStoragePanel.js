@@ -0,0 +1,201 @@
+// src/components/AdminStoragePanel.js
+import React, { useState } from 'react';
+import { runStorageLifecycle, setStoragePolicy } from '../services/storageLifecycleService';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 MB';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const getPercentUsed = (user) => (user.quotaBytes > 0 ? Math.round((user.usedBytes / user.quotaBytes) * 100) : 0);
+
+const AdminStoragePanel = () => {
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const [cleanup, setCleanup] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The report is a dry run of the nightly cleanup
+  const loadReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await runStorageLifecycle({ dryRun: true }));
+    } catch (err) {
+      console.error('Error loading storage report:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCleanup = async () => {
+    if (!window.confirm('Delete expired videos and orphaned files for all users now instead of tonight? Check the report first if unsure.')) {
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+    try {
+      setCleanup(await runStorageLifecycle({ dryRun: false }));
+      await loadReport();
+    } catch (err) {
+      console.error('Error running storage cleanup:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleEditPolicy = async (user) => {
+    const quota = window.prompt(`Storage quota for ${user.name} in GB:`, (user.policy.quotaBytes / (1024 * 1024 * 1024)).toString());
+    if (quota === null) return;
+    const retention = window.prompt('Keep full videos for how many days?', user.policy.videoRetentionDays.toString());
+    if (retention === null) return;
+
+    const quotaBytes = Math.round(Number(quota) * 1024 * 1024 * 1024);
+    const videoRetentionDays = Math.round(Number(retention));
+    if (!(quotaBytes >= 0) || !(videoRetentionDays > 0)) {
+      setError('Quota and retention must be positive numbers');
+      return;
+    }
+
+    try {
+      await setStoragePolicy(user.userId, { quotaBytes, videoRetentionDays });
+      await loadReport();
+    } catch (err) {
+      console.error('Error saving storage policy:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Video Storage</h2>
+      <p className="text-sm text-gray-600">
+        Storage used by each user's swing videos. Every night, cleanup deletes videos past each
+        user's retention period (the analysis and keyframes are kept) and files no swing points to
+        {report ? ` that are older than ${report.orphanGraceDays} days` : ' once they are past a grace period'}.
+        Uploads over a user's quota are refused.
+      </p>
+
+      <div style={{ marginTop: '15px' }}>
+        <button onClick={loadReport} disabled={loading} className="button" style={{ marginRight: '10px' }}>
+          {loading ? 'Loading...' : report ? 'Refresh Report' : 'Load Report'}
+        </button>
+        <button onClick={handleCleanup} disabled={running || loading} className="button">
+          {running ? 'Running...' : 'Run Cleanup Now'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          borderRadius: '5px'
+        }}>
+          Error: {error}
+        </div>
+      )}
+
+      {cleanup && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#f0f0f0',
+          borderRadius: '5px'
+        }}>
+          <h3>Cleanup Report</h3>
+          <p>
+            {formatBytes(cleanup.freedBytes)} freed across {cleanup.users.length} users
+          </p>
+          <ul>
+            {cleanup.users
+              .filter(user => user.error || user.retention.swingsUpdated > 0 || user.sweep.orphans > 0)
+              .map(user => (
+                <li key={user.userId} className="text-sm">
+                  {user.name}: {user.error
+                    ? `failed (${user.error})`
+                    : `${user.retention.expiredVideos} videos and ${user.retention.expiredOriginals} originals expired, ${user.sweep.orphans} orphaned files`}
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+
+      {report && (
+        <div style={{ marginTop: '20px', overflowX: 'auto' }}>
+          <p>
+            <strong>{formatBytes(report.users.reduce((sum, user) => sum + user.usedBytes, 0))}</strong> in{' '}
+            {report.users.reduce((sum, user) => sum + (user.fileCount || 0), 0)} files for {report.users.length} users,{' '}
+            {formatBytes(report.freedBytes)} to free tonight
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>User</th>
+                <th style={{ padding: '8px' }}>Used</th>
+                <th style={{ padding: '8px' }}>Files</th>
+                <th style={{ padding: '8px' }}>Orphaned</th>
+                <th style={{ padding: '8px' }}>Past Retention</th>
+                <th style={{ padding: '8px' }}>Policy</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.users.map(user => (
+                <tr key={user.userId} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{user.name}</td>
+                  {user.error ? (
+                    <td colSpan={5} style={{ padding: '8px', color: '#c0392b' }}>{user.error}</td>
+                  ) : (
+                    <>
+                      <td style={{ padding: '8px', minWidth: '160px' }}>
+                        {formatBytes(user.usedBytes)} of {formatBytes(user.quotaBytes)}
+                        <div style={{ height: '6px', backgroundColor: '#eee', borderRadius: '3px', marginTop: '4px' }}>
+                          <div style={{
+                            width: `${Math.min(100, getPercentUsed(user))}%`,
+                            height: '100%',
+                            backgroundColor: getPercentUsed(user) >= 90 ? '#e74c3c' : '#546e47',
+                            borderRadius: '3px'
+                          }} />
+                        </div>
+                      </td>
+                      <td style={{ padding: '8px' }}>{user.fileCount} ({user.swingsWithVideo} swings)</td>
+                      <td style={{ padding: '8px' }}>
+                        {user.sweep.orphans > 0 ? `${user.sweep.orphans} (${formatBytes(user.sweep.deletedBytes)})` : '—'}
+                      </td>
+                      <td style={{ padding: '8px' }}>{user.retention.swingsUpdated || '—'}</td>
+                      <td style={{ padding: '8px' }}>
+                        {user.policy.videoRetentionDays} days
+                        <button
+                          onClick={() => handleEditPolicy(user)}
+                          style={{
+                            marginLeft: '8px',
+                            background: 'none',
+                            border: 'none',
+                            color: '#546e47',
+                            cursor: 'pointer',
+                            textDecoration: 'underline',
+                            padding: 0
+                          }}
+                        >
+                          Edit
+                        </button>
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminStoragePanel;
@@ -0,0 +1,299 @@
+// src/components/AdminUsagePanel.js
+import React, { useState, useEffect } from 'react';
+import {
+  getUsageReport,
+  getSystemUsageLimits,
+  saveSystemUsageLimits,
+  setUserUsageLimits,
+  USAGE_FEATURES,
+  FEATURE_LABELS
+} from '../services/usageService';
+
+const linkButtonStyle = {
+  marginLeft: '8px',
+  background: 'none',
+  border: 'none',
+  color: '#546e47',
+  cursor: 'pointer',
+  textDecoration: 'underline',
+  padding: 0
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Usage count with its limit, highlighted when the limit is reached
+ */
+const UsageCell = ({ used = 0, limit }) => (
+  <td style={{ padding: '8px', color: limit !== undefined && used >= limit ? '#c0392b' : 'inherit' }}>
+    {limit !== undefined ? `${used} / ${limit}` : used}
+  </td>
+);
+
+const AdminUsagePanel = () => {
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [report, setReport] = useState(null);
+  const [limits, setLimits] = useState(null);
+  const [limitsLoaded, setLimitsLoaded] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    getSystemUsageLimits()
+      .then(systemLimits => {
+        setLimits(systemLimits);
+        setLimitsLoaded(true);
+      })
+      .catch(err => {
+        console.error('Error loading usage limits:', err);
+        setError(err.message);
+      });
+  }, []);
+
+  const loadReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setReport(await getUsageReport());
+    } catch (err) {
+      console.error('Error loading usage report:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLimitChange = (period, feature, value) => {
+    const count = Math.max(0, Math.round(Number(value) || 0));
+    setLimits(prev => period === 'perMinute'
+      ? { ...prev, perMinute: count }
+      : { ...prev, [period]: { ...prev[period], [feature]: count } });
+  };
+
+  const handleSaveLimits = async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      setLimits(await saveSystemUsageLimits(limits));
+      setMessage('Limits saved. They apply from the next request.');
+      if (report) {
+        await loadReport();
+      }
+    } catch (err) {
+      console.error('Error saving usage limits:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditUserLimits = async (user) => {
+    if (!user.limits) return;
+    const daily = window.prompt(`Swing analyses per day for ${user.name}:`, user.limits.daily.analysis.toString());
+    if (daily === null) return;
+    const monthly = window.prompt('Swing analyses per month:', user.limits.monthly.analysis.toString());
+    if (monthly === null) return;
+
+    const perDay = Math.round(Number(daily));
+    const perMonth = Math.round(Number(monthly));
+    if (!(perDay >= 0) || !(perMonth >= 0)) {
+      setError('Limits must be zero or more');
+      return;
+    }
+
+    try {
+      await setUserUsageLimits(user.userId, {
+        daily: { analysis: perDay },
+        monthly: { analysis: perMonth }
+      });
+      await loadReport();
+    } catch (err) {
+      console.error('Error saving user usage limits:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleResetUserLimits = async (user) => {
+    try {
+      await setUserUsageLimits(user.userId, null);
+      await loadReport();
+    } catch (err) {
+      console.error('Error resetting user usage limits:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>Model Usage</h2>
+      <p className="text-sm text-gray-600">
+        Every request to the model is counted per user, for each UTC day and month.
+        Users are warned as they approach a limit and can't start more requests once they reach it.
+      </p>
+
+      {error && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          borderRadius: '5px'
+        }}>
+          Error: {error}
+        </div>
+      )}
+
+      {message && (
+        <div style={{
+          padding: '15px',
+          marginTop: '20px',
+          backgroundColor: '#d4edda',
+          color: '#155724',
+          borderRadius: '5px'
+        }}>
+          {message}
+        </div>
+      )}
+
+      {limitsLoaded && !limits && (
+        <p className="text-sm text-gray-600" style={{ marginTop: '20px' }}>
+          The limits are set up by the geminiProxy function when it serves its first request
+          (from functions/usageDefaults.json). They can be changed here after that.
+        </p>
+      )}
+
+      {limits && (
+        <div style={{ marginTop: '20px', padding: '15px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
+          <h3>Limits for Every User</h3>
+          <table style={{ borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}></th>
+                <th style={{ padding: '8px' }}>Per Day</th>
+                <th style={{ padding: '8px' }}>Per Month</th>
+              </tr>
+            </thead>
+            <tbody>
+              {USAGE_FEATURES.map(feature => (
+                <tr key={feature}>
+                  <td style={{ padding: '8px' }}>{capitalize(FEATURE_LABELS[feature].other)}</td>
+                  {['daily', 'monthly'].map(period => (
+                    <td key={period} style={{ padding: '8px' }}>
+                      <input
+                        type="number"
+                        min="0"
+                        value={limits[period][feature]}
+                        onChange={(e) => handleLimitChange(period, feature, e.target.value)}
+                        style={{ width: '90px', padding: '4px' }}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td style={{ padding: '8px' }}>Requests per minute</td>
+                <td style={{ padding: '8px' }}>
+                  <input
+                    type="number"
+                    min="1"
+                    value={limits.perMinute}
+                    onChange={(e) => handleLimitChange('perMinute', null, e.target.value)}
+                    style={{ width: '90px', padding: '4px' }}
+                  />
+                </td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+          <button onClick={handleSaveLimits} disabled={saving} className="button" style={{ marginTop: '10px' }}>
+            {saving ? 'Saving...' : 'Save Limits'}
+          </button>
+        </div>
+      )}
+
+      <div style={{ marginTop: '20px' }}>
+        <button onClick={loadReport} disabled={loading} className="button">
+          {loading ? 'Loading...' : report ? 'Refresh Report' : 'Load Report'}
+        </button>
+      </div>
+
+      {report && (
+        <div style={{ marginTop: '20px', overflowX: 'auto' }}>
+          <p>
+            Today ({report.day}): {USAGE_FEATURES.map(feature => `${report.totals.daily[feature]} ${FEATURE_LABELS[feature].other}`).join(', ')}.
+            {' '}This month ({report.month}): {USAGE_FEATURES.map(feature => `${report.totals.monthly[feature]} ${FEATURE_LABELS[feature].other}`).join(', ')}.
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>User</th>
+                <th style={{ padding: '8px' }}>Analyses Today</th>
+                <th style={{ padding: '8px' }}>Analyses This Month</th>
+                <th style={{ padding: '8px' }}>Insights Today</th>
+                <th style={{ padding: '8px' }}>Insights This Month</th>
+                <th style={{ padding: '8px' }}>Reference Videos This Month</th>
+                <th style={{ padding: '8px' }}>Last Used</th>
+                <th style={{ padding: '8px' }}>Limits</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.users.map(user => (
+                <tr key={user.userId} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{user.name}</td>
+                  <UsageCell used={user.daily.analysis} limit={user.limits?.daily.analysis} />
+                  <UsageCell used={user.monthly.analysis} limit={user.limits?.monthly.analysis} />
+                  <UsageCell used={user.daily.insights} limit={user.limits?.daily.insights} />
+                  <UsageCell used={user.monthly.insights} limit={user.limits?.monthly.insights} />
+                  <UsageCell used={user.monthly.reference} limit={user.limits?.monthly.reference} />
+                  <td style={{ padding: '8px' }}>{user.lastUsedAt ? user.lastUsedAt.toLocaleString() : '—'}</td>
+                  <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                    {user.hasOwnLimits ? 'Custom' : 'Default'}
+                    {user.limits && (
+                      <button onClick={() => handleEditUserLimits(user)} style={linkButtonStyle}>
+                        Edit
+                      </button>
+                    )}
+                    {user.hasOwnLimits && (
+                      <button onClick={() => handleResetUserLimits(user)} style={linkButtonStyle}>
+                        Reset
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.users.length === 0 && (
+            <p className="text-sm text-gray-600">No one has used the model yet.</p>
+          )}
+
+          <h3 style={{ marginTop: '20px' }}>By Month</h3>
+          <table style={{ borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Month</th>
+                {USAGE_FEATURES.map(feature => (
+                  <th key={feature} style={{ padding: '8px' }}>{capitalize(FEATURE_LABELS[feature].other)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {report.history.map(({ month, counts }) => (
+                <tr key={month} style={{ borderBottom: '1px solid #eee' }}>
+                  <td style={{ padding: '8px' }}>{month}</td>
+                  {USAGE_FEATURES.map(feature => (
+                    <td key={feature} style={{ padding: '8px' }}>{counts[feature]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsagePanel;
@@ -0,0 +1,58 @@
+// src/components/CoachAccessCheck.js
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coachService from '../services/coachService';
+import RequirePermission from './RequirePermission';
+import { PERMISSIONS } from '../utils/permissions';
+
+const CoachAccessCheck = ({ children }) => {
+  const { currentUser, refreshRoles } = useAuth();
+  const [enabling, setEnabling] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleEnable = async () => {
+    setEnabling(true);
+    setError(null);
+    try {
+      await coachService.enableCoachAccount(currentUser.uid);
+      await refreshRoles();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setEnabling(false);
+    }
+  };
+
+  if (!currentUser) {
+    return (
+      <div className="card">
+        <h2>Unauthorized</h2>
+        <p>You need to log in to access this page.</p>
+      </div>
+    );
+  }
+
+  // Users without the coach role are offered one; it's self-service
+  return (
+    <RequirePermission
+      permission={PERMISSIONS.STUDENTS_MANAGE}
+      fallback={(
+        <div className="card">
+          <h2>Coach Account</h2>
+          <p>
+            A coach account lets you invite students by email. Once a student accepts, you can see
+            their swings, stats and progress, and leave feedback and corrected scores on their swings.
+          </p>
+          {error && <p style={{ color: '#e74c3c' }}>{error}</p>}
+          <button className="button" onClick={handleEnable} disabled={enabling} style={{ marginTop: '15px' }}>
+            {enabling ? 'Setting up...' : 'Set Up Coach Account'}
+          </button>
+        </div>
+      )}
+    >
+      {children}
+    </RequirePermission>
+  );
+};
+
+export default CoachAccessCheck;
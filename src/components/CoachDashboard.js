@@ -0,0 +1,325 @@
+// src/components/CoachDashboard.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coachService, { LINK_STATUS } from '../services/coachService';
+import firestoreService from '../services/firestoreService';
+import { getMetricInfo, getScoreColor, summarizeSwingSet } from '../utils/swingUtils';
+
+// Number of recent swings shown in a student's progress chart and list
+const RECENT_SWINGS = 10;
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  : '—');
+
+/**
+ * Progress stats of a student's swings
+ * @param {Array} swings - The student's swings, newest first
+ * @returns {Object|null} { summary, improvement, lastSwingDate, weakestMetrics, clubs }
+ */
+const getStudentProgress = (swings) => {
+  const summary = summarizeSwingSet(swings);
+  if (!summary) return null;
+
+  const oldest = swings[swings.length - 1];
+  const clubs = swings.reduce((acc, swing) => {
+    if (swing.clubName) acc[swing.clubName] = (acc[swing.clubName] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    summary,
+    improvement: swings[0].overallScore - oldest.overallScore,
+    lastSwingDate: swings[0].recordedDate,
+    weakestMetrics: Object.entries(summary.metrics)
+      .sort((a, b) => a[1].average - b[1].average)
+      .slice(0, 3)
+      .map(([key, stats]) => ({ key, title: getMetricInfo(key).title, average: stats.average })),
+    clubs: Object.entries(clubs).sort((a, b) => b[1] - a[1])
+  };
+};
+
+/**
+ * Coach's view of their students: invite students, see each student's swings, stats and
+ * progress, and open a swing to review it
+ * @param {Object} props
+ * @param {Function} props.navigateTo - Navigation function
+ * @param {Function} props.onSelectSwing - Opens a student's swing in the analysis page
+ */
+const CoachDashboard = ({ navigateTo, onSelectSwing }) => {
+  const { currentUser } = useAuth();
+  const [roster, setRoster] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviting, setInviting] = useState(false);
+  const [selectedLinkId, setSelectedLinkId] = useState(null);
+  const [studentSwings, setStudentSwings] = useState([]);
+  const [loadingSwings, setLoadingSwings] = useState(false);
+  const [status, setStatus] = useState({ type: '', message: '' });
+
+  useEffect(() => {
+    const loadRoster = async () => {
+      try {
+        setRoster(await coachService.getCoachRoster(currentUser.uid));
+      } catch (error) {
+        setStatus({ type: 'error', message: 'Could not load your students. Please try again later.' });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRoster();
+  }, [currentUser]);
+
+  const students = roster.filter(link => link.status === LINK_STATUS.ACTIVE);
+  const invites = roster.filter(link => link.status === LINK_STATUS.PENDING);
+  const selectedStudent = students.find(link => link.id === selectedLinkId) || null;
+
+  useEffect(() => {
+    if (!selectedStudent) return;
+
+    const loadSwings = async () => {
+      setLoadingSwings(true);
+      setStudentSwings([]);
+      try {
+        setStudentSwings(await firestoreService.getUserSwings(selectedStudent.studentId));
+      } catch (error) {
+        setStatus({ type: 'error', message: `Could not load ${selectedStudent.studentName}'s swings.` });
+      } finally {
+        setLoadingSwings(false);
+      }
+    };
+
+    loadSwings();
+  }, [selectedStudent?.studentId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const progress = useMemo(() => getStudentProgress(studentSwings), [studentSwings]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setStatus({ type: '', message: '' });
+    try {
+      const link = await coachService.inviteStudent(currentUser, inviteEmail);
+      setRoster(previous => [...previous, link]);
+      setInviteEmail('');
+      setStatus({ type: 'success', message: `Invited ${link.studentEmail}. They'll see the invite on their dashboard once they have verified that address.` });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRemove = async (link) => {
+    const confirmText = link.status === LINK_STATUS.ACTIVE
+      ? `Remove ${link.studentName} from your students? You will no longer see their swings.`
+      : `Withdraw the invite to ${link.studentEmail}?`;
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      await coachService.removeLink(link.id);
+      setRoster(previous => previous.filter(item => item.id !== link.id));
+      if (link.id === selectedLinkId) setSelectedLinkId(null);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const statBox = (label, value, color = '#333') => (
+    <div style={{ flex: '1 1 120px', padding: '12px', backgroundColor: '#f8f9fa', borderRadius: '8px', textAlign: 'center' }}>
+      <div style={{ fontSize: '1.4rem', fontWeight: 'bold', color }}>{value}</div>
+      <div style={{ fontSize: '0.8rem', color: '#666' }}>{label}</div>
+    </div>
+  );
+
+  const renderStudent = () => {
+    if (loadingSwings) {
+      return (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '20px' }}>
+          <div className="spinner"></div>
+          <p>Loading swings...</p>
+        </div>
+      );
+    }
+
+    if (!progress) {
+      return <p>{selectedStudent.studentName} hasn't analyzed any swings yet.</p>;
+    }
+
+    const recent = studentSwings.slice(0, RECENT_SWINGS);
+
+    return (
+      <>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+          {statBox('Swings', progress.summary.count)}
+          {statBox('Average Score', progress.summary.averageScore, getScoreColor(progress.summary.averageScore))}
+          {statBox('Best Score', progress.summary.bestSwing.overallScore, getScoreColor(progress.summary.bestSwing.overallScore))}
+          {statBox(
+            'Since First Swing',
+            progress.improvement > 0 ? `+${progress.improvement}` : progress.improvement,
+            progress.improvement > 0 ? '#27ae60' : progress.improvement < 0 ? '#e74c3c' : '#333'
+          )}
+          {statBox('Last Swing', formatDate(progress.lastSwingDate))}
+        </div>
+
+        {/* Recent scores, oldest to newest */}
+        <h4 style={{ margin: '0 0 10px 0' }}>Recent Scores</h4>
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px', height: '100px', marginBottom: '20px' }}>
+          {[...recent].reverse().map(swing => (
+            <div
+              key={swing.id}
+              title={`${formatDate(swing.recordedDate)}: ${swing.overallScore}`}
+              style={{
+                flex: 1,
+                height: `${swing.overallScore}%`,
+                backgroundColor: getScoreColor(swing.overallScore),
+                borderRadius: '4px 4px 0 0'
+              }}
+            ></div>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginBottom: '20px', fontSize: '0.9rem' }}>
+          <div style={{ flex: '1 1 200px' }}>
+            <h4 style={{ margin: '0 0 8px 0' }}>Weakest Metrics</h4>
+            {progress.weakestMetrics.map(metric => (
+              <div key={metric.key} style={{ display: 'flex', justifyContent: 'space-between', padding: '3px 0' }}>
+                <span>{metric.title}</span>
+                <strong style={{ color: getScoreColor(metric.average) }}>{metric.average}</strong>
+              </div>
+            ))}
+          </div>
+          <div style={{ flex: '1 1 200px' }}>
+            <h4 style={{ margin: '0 0 8px 0' }}>Clubs</h4>
+            {progress.clubs.length === 0 && <span style={{ color: '#666' }}>No clubs recorded</span>}
+            {progress.clubs.map(([club, count]) => (
+              <div key={club} style={{ display: 'flex', justifyContent: 'space-between', padding: '3px 0' }}>
+                <span>{club}</span>
+                <span>{count} swings</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <h4 style={{ margin: '0 0 10px 0' }}>Swings to Review</h4>
+        {recent.map(swing => (
+          <div
+            key={swing.id}
+            onClick={() => onSelectSwing(swing)}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              padding: '10px 12px',
+              marginBottom: '6px',
+              border: '1px solid #eee',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            <span>
+              {formatDate(swing.recordedDate)}
+              {swing.clubName && <span style={{ color: '#666' }}> · {swing.clubName}</span>}
+            </span>
+            <strong style={{ color: getScoreColor(swing.overallScore) }}>{swing.overallScore}</strong>
+          </div>
+        ))}
+      </>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '20px' }}>
+        <div className="spinner"></div>
+        <p>Loading your students...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <h2>Coach Dashboard</h2>
+
+      <form onSubmit={handleInvite} style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', margin: '15px 0' }}>
+        <input
+          type="email"
+          value={inviteEmail}
+          onChange={(e) => setInviteEmail(e.target.value)}
+          placeholder="Student's email"
+          required
+          style={{ flex: '1 1 220px', padding: '8px', borderRadius: '5px', border: '1px solid #ddd' }}
+        />
+        <button type="submit" className="button" disabled={inviting}>
+          {inviting ? 'Inviting...' : 'Invite Student'}
+        </button>
+      </form>
+
+      {status.message && (
+        <p style={{ color: status.type === 'error' ? '#e74c3c' : '#27ae60', fontSize: '0.9rem' }}>{status.message}</p>
+      )}
+
+      <h3>Students</h3>
+      {students.length === 0 && (
+        <p style={{ color: '#666' }}>No students yet. Invite a student and they'll appear here once they accept.</p>
+      )}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '15px' }}>
+        {students.map(link => (
+          <button
+            key={link.id}
+            onClick={() => setSelectedLinkId(link.id)}
+            style={{
+              padding: '6px 14px',
+              backgroundColor: link.id === selectedLinkId ? '#546e47' : 'white',
+              color: link.id === selectedLinkId ? 'white' : '#546e47',
+              border: '1px solid #546e47',
+              borderRadius: '15px',
+              cursor: 'pointer'
+            }}
+          >
+            {link.studentName}
+          </button>
+        ))}
+      </div>
+
+      {invites.length > 0 && (
+        <div style={{ fontSize: '0.9rem', marginBottom: '15px' }}>
+          <strong>Waiting to accept:</strong>
+          {invites.map(link => (
+            <div key={link.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '4px 0' }}>
+              <span>{link.studentEmail} <span style={{ color: '#666' }}>(invited {formatDate(link.createdAt)})</span></span>
+              <button
+                onClick={() => handleRemove(link)}
+                style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer' }}
+              >
+                Withdraw
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {selectedStudent && (
+        <div style={{ borderTop: '1px solid #eee', paddingTop: '15px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+            <h3 style={{ margin: 0 }}>{selectedStudent.studentName}</h3>
+            <button
+              onClick={() => handleRemove(selectedStudent)}
+              style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              Remove student
+            </button>
+          </div>
+          {renderStudent()}
+        </div>
+      )}
+
+      <button className="button" onClick={() => navigateTo('dashboard')} style={{ marginTop: '20px' }}>
+        Back to My Dashboard
+      </button>
+    </div>
+  );
+};
+
+export default CoachDashboard;
@@ -0,0 +1,186 @@
+// src/components/CoachReviewPanel.js
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coachService, { getReviewId } from '../services/coachService';
+import { getMetricInfo, getScoreColor } from '../utils/swingUtils';
+import { resolveMetricKey } from '../utils/metricRegistry';
+
+/**
+ * Coach feedback on a saved swing. The swing's owner reads their coaches' reviews; a coach
+ * of the owner writes their own review (a comment and corrected metric scores).
+ * @param {Object} props
+ * @param {Object} props.swing - The swing ({ id, userId, metrics })
+ * @param {boolean} props.isOwner - Whether the current user owns the swing
+ */
+const CoachReviewPanel = ({ swing, isOwner }) => {
+  const { currentUser } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [canReview, setCanReview] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [comment, setComment] = useState('');
+  const [scores, setScores] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const swingId = swing?.id;
+  const ownerId = swing?.userId;
+
+  useEffect(() => {
+    setReviews([]);
+    setCanReview(false);
+    setEditing(false);
+    if (!currentUser || !swingId) return;
+
+    // Ignore results for a swing that is no longer shown
+    let cancelled = false;
+    const loadReviews = async () => {
+      const isCoach = !isOwner && await coachService.isCoachOf(currentUser.uid, ownerId);
+      if (cancelled) return;
+      setCanReview(isCoach);
+      if (!isOwner && !isCoach) return;
+
+      try {
+        const loaded = await coachService.getSwingReviews({ id: swingId, userId: ownerId });
+        if (!cancelled) setReviews(loaded);
+      } catch (err) {
+        console.error('Error loading coach reviews:', err);
+      }
+    };
+
+    loadReviews();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, swingId, ownerId, isOwner]);
+
+  const ownReview = currentUser ? reviews.find(review => review.id === getReviewId(swing.id, currentUser.uid)) : null;
+
+  const startEditing = () => {
+    setComment(ownReview?.comment || '');
+    setScores(Object.fromEntries(Object.entries(ownReview?.metricScores || {}).map(([key, value]) => [key, String(value)])));
+    setError(null);
+    setEditing(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await coachService.saveSwingReview(swing, currentUser, { comment, metricScores: scores });
+      setReviews(previous => [saved, ...previous.filter(review => review.id !== saved.id)]);
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!ownReview || !window.confirm('Delete your review of this swing?')) return;
+    try {
+      await coachService.deleteSwingReview(ownReview.id);
+      setReviews(previous => previous.filter(review => review.id !== ownReview.id));
+      setEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!canReview && reviews.length === 0) return null;
+
+  // The swing's own scores under their current keys, to show next to the coach's corrections
+  const swingScores = Object.entries(swing.metrics || {}).reduce((acc, [key, value]) => {
+    acc[resolveMetricKey(key)] = value;
+    return acc;
+  }, {});
+
+  const renderReview = (review) => (
+    <div key={review.id} style={{ padding: '12px', marginBottom: '10px', backgroundColor: 'white', borderRadius: '8px', border: '1px solid #eee' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', color: '#666', marginBottom: '6px' }}>
+        <strong style={{ color: '#546e47' }}>{review.coachName}</strong>
+        <span>{review.updatedAt ? review.updatedAt.toLocaleDateString() : ''}</span>
+      </div>
+      {review.comment && <p style={{ margin: '0 0 8px 0', whiteSpace: 'pre-wrap' }}>{review.comment}</p>}
+      {Object.keys(review.metricScores || {}).length > 0 && (
+        <div style={{ fontSize: '0.85rem' }}>
+          {Object.entries(review.metricScores).map(([key, score]) => (
+            <div key={key} style={{ display: 'flex', justifyContent: 'space-between', padding: '2px 0' }}>
+              <span>{getMetricInfo(key).title}</span>
+              <span>
+                {typeof swingScores[key] === 'number' && (
+                  <span style={{ color: '#999', textDecoration: 'line-through', marginRight: '8px' }}>{swingScores[key]}</span>
+                )}
+                <strong style={{ color: getScoreColor(score) }}>{score}</strong>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderEditor = () => (
+    <div style={{ padding: '12px', backgroundColor: 'white', borderRadius: '8px', border: '1px solid #d4e4cc' }}>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Feedback for your student"
+        rows={4}
+        style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ddd', boxSizing: 'border-box' }}
+      />
+      <div style={{ fontSize: '0.85rem', margin: '10px 0 5px 0', color: '#666' }}>
+        Corrected scores (leave blank to keep the analysis score)
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '6px 15px' }}>
+        {Object.entries(swingScores).map(([key, value]) => (
+          <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '0.85rem' }}>
+            <span>{getMetricInfo(key).title} <span style={{ color: '#999' }}>({value})</span></span>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={scores[key] ?? ''}
+              onChange={(e) => setScores(previous => ({ ...previous, [key]: e.target.value }))}
+              style={{ width: '60px', padding: '4px', borderRadius: '4px', border: '1px solid #ddd' }}
+            />
+          </label>
+        ))}
+      </div>
+      {error && <p style={{ color: '#e74c3c', fontSize: '0.85rem' }}>{error}</p>}
+      <div style={{ display: 'flex', gap: '10px', marginTop: '12px' }}>
+        <button className="button" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Review'}
+        </button>
+        <button onClick={() => setEditing(false)} style={{ background: 'none', border: 'none', color: '#666', cursor: 'pointer' }}>
+          Cancel
+        </button>
+        {ownReview && (
+          <button onClick={handleDelete} style={{ background: 'none', border: 'none', color: '#e74c3c', cursor: 'pointer', marginLeft: 'auto' }}>
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="coach-reviews" style={{
+      marginTop: '20px',
+      padding: '15px',
+      backgroundColor: '#f5f9f3',
+      borderRadius: '10px',
+      textAlign: 'left'
+    }}>
+      <h3 style={{ margin: '0 0 12px 0' }}>Coach Feedback</h3>
+      {reviews.filter(review => !editing || review.id !== ownReview?.id).map(renderReview)}
+      {canReview && (editing ? renderEditor() : (
+        <button className="button" onClick={startEditing}>
+          {ownReview ? 'Edit Your Review' : 'Review This Swing'}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default CoachReviewPanel;
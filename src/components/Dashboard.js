@@ -2,6 +2,10 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import firestoreService from '../services/firestoreService';
+import sessionService, { getSessionLocationLabel } from '../services/sessionService';
+import { groupSwingsBySession } from '../utils/sessionUtils';
+import { summarizeSwingSet } from '../utils/swingUtils';
+import StudentCoachPanel from './StudentCoachPanel';
 
 const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
   const { currentUser } = useAuth();
@@ -10,6 +14,7 @@ const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
   const [localSwingHistory, setLocalSwingHistory] = useState(swingHistory || []);
   const [localStats, setLocalStats] = useState(userStats || {});
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+  const [sessions, setSessions] = useState([]);
   
   // Check if screen is mobile on resize
   useEffect(() => {
@@ -45,6 +50,25 @@ const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
     fetchUserData();
   }, [currentUser, swingHistory]);
   
+  // Load practice sessions to aggregate swings by session
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    sessionService.getUserSessions(currentUser.uid, 10)
+      .then(setSessions)
+      .catch(error => console.error("Error fetching sessions:", error));
+  }, [currentUser]);
+  
+  // Sessions with at least one swing, most recent first
+  const swingsBySession = groupSwingsBySession(localSwingHistory);
+  const recentSessions = sessions
+    .filter(session => swingsBySession[session.id])
+    .slice(0, 3)
+    .map(session => ({
+      ...session,
+      summary: summarizeSwingSet(swingsBySession[session.id])
+    }));
+  
   // Calculate stats for display from most accurate source
   const hasHistory = localSwingHistory && localSwingHistory.length > 0;
   
@@ -99,6 +123,8 @@ const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
           fontFamily: 'serif'
         }}>Welcome to Swing AI</h1>
         
+        <StudentCoachPanel />
+        
         <p style={{
           fontSize: '1.1rem',
           color: '#555',
@@ -163,6 +189,8 @@ const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
         Swing AI
       </h1>
       
+      <StudentCoachPanel />
+      
       {/* New Upload Button at the top */}
       <div style={{
         display: 'flex',
@@ -641,6 +669,72 @@ const Dashboard = ({ swingHistory, navigateTo, userStats, userClubs }) => {
         </div>
       )}
       
+      {/* Recent practice sessions */}
+      {recentSessions.length > 0 && (
+        <div style={{
+          width: '100%',
+          marginBottom: '20px'
+        }}>
+          <h3 style={{ 
+            fontSize: isMobile ? '1.2rem' : '1.4rem',
+            margin: '0 0 15px 0' 
+          }}>
+            Recent Sessions
+          </h3>
+          
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '10px'
+          }}>
+            {recentSessions.map(session => (
+              <div 
+                key={session.id}
+                onClick={() => navigateTo('session-summary', { sessionId: session.id })}
+                style={{
+                  backgroundColor: 'white',
+                  borderRadius: '10px',
+                  padding: isMobile ? '12px' : '15px',
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  cursor: 'pointer',
+                  boxShadow: '0 1px 3px rgba(0,0,0,0.05)'
+                }}
+              >
+                <div>
+                  <div style={{ fontSize: '1rem', fontWeight: '500', color: '#333' }}>
+                    {getSessionLocationLabel(session.location)} · {session.startedAt?.toLocaleDateString('en-US', {
+                      month: 'short',
+                      day: 'numeric'
+                    })}
+                  </div>
+                  <div style={{ fontSize: '0.9rem', color: '#666', marginTop: '5px' }}>
+                    {session.summary.count} swing{session.summary.count === 1 ? '' : 's'} · best {session.summary.bestSwing.overallScore}
+                    {session.status === 'active' ? ' · in progress' : ''}
+                  </div>
+                </div>
+                
+                <div style={{
+                  width: '40px',
+                  height: '40px',
+                  borderRadius: '50%',
+                  backgroundColor: getScoreColor(session.summary.averageScore),
+                  color: 'white',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontWeight: 'bold',
+                  fontSize: '1rem'
+                }}>
+                  {session.summary.averageScore}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* Bottom Navigation - Mobile-friendly */}
       <div className="dashboard-nav" style={{
         display: 'flex',
@@ -1,24 +1,12 @@
 // In MobileNavDropdown.js
-import { useAuth } from '../contexts/AuthContext';
-import { useState, useEffect } from 'react';
+import { usePermission } from '../contexts/AuthContext';
+import { useState } from 'react';
+import { PERMISSIONS } from '../utils/permissions';
 
 const MobileNavDropdown = ({ currentPage, navigateTo, showProfile = false, pageParams }) => {
-  const { currentUser, isAdmin } = useAuth();
-  const [isAdminUser, setIsAdminUser] = useState(false);
+  const canAccessAdmin = usePermission(PERMISSIONS.ADMIN_ACCESS);
   const [isOpen, setIsOpen] = useState(false);
   
-  useEffect(() => {
-    // Only check admin status if user is logged in
-    if (currentUser) {
-      const checkAdmin = async () => {
-        const admin = await isAdmin(currentUser.uid);
-        setIsAdminUser(admin);
-      };
-      
-      checkAdmin();
-    }
-  }, [currentUser, isAdmin]);
-  
   const handleNavigate = (page, params = null) => {
     navigateTo(page, params);
     setIsOpen(false);
@@ -30,6 +18,8 @@ const MobileNavDropdown = ({ currentPage, navigateTo, showProfile = false, pageP
     'upload': 'Upload Swing',
     'progress': 'Progress Analysis',
     'comparison': 'Pro Comparison',
+    'swing-compare': 'Compare Swings',
+    'coach': 'Coach Dashboard',
     'profile': 'Profile',
     'analysis': 'Swing Analysis'
   };
@@ -145,6 +135,36 @@ const MobileNavDropdown = ({ currentPage, navigateTo, showProfile = false, pageP
           >
             Pro Comparison
           </div>
+          <div 
+            className={`dropdown-item ${currentPage === 'swing-compare' ? 'active' : ''}`}
+            onClick={() => handleNavigate('swing-compare')}
+            style={{
+              padding: '12px 16px',
+              cursor: 'pointer',
+              backgroundColor: currentPage === 'swing-compare' ? '#f0f7ff' : 'transparent',
+              borderBottom: '1px solid #eee',
+              color: '#333',
+              fontWeight: currentPage === 'swing-compare' ? 'bold' : 'normal'
+            }}
+          >
+            Compare Swings
+          </div>
+          {showProfile && (
+            <div 
+              className={`dropdown-item ${currentPage === 'coach' ? 'active' : ''}`}
+              onClick={() => handleNavigate('coach')}
+              style={{
+                padding: '12px 16px',
+                cursor: 'pointer',
+                backgroundColor: currentPage === 'coach' ? '#f0f7ff' : 'transparent',
+                borderBottom: '1px solid #eee',
+                color: '#333',
+                fontWeight: currentPage === 'coach' ? 'bold' : 'normal'
+              }}
+            >
+              Coach Dashboard
+            </div>
+          )}
           {currentPage === 'analysis' && (
             <div 
               className="dropdown-item active"
@@ -262,7 +282,7 @@ const MobileNavDropdown = ({ currentPage, navigateTo, showProfile = false, pageP
           }}
         />
       )}
-      {isAdminUser && (
+      {canAccessAdmin && (
         <div 
           className={`dropdown-item ${currentPage === 'admin' ? 'active' : ''}`}
           onClick={() => handleNavigate('admin')}
@@ -1,37 +1,10 @@
 // In src/components/Navigation.js
-import React, { useState, useEffect } from 'react';
-import { useAuth } from '../contexts/AuthContext';
-import { doc, getDoc } from 'firebase/firestore';
-import { db } from '../firebase/firebase';
+import React from 'react';
+import { usePermission } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../utils/permissions';
 
 const Navigation = ({ currentPage, navigateTo, showProfile = false }) => {
-  const { currentUser } = useAuth();
-  const [isAdmin, setIsAdmin] = useState(false);
-  
-  useEffect(() => {
-    const checkAdminStatus = async () => {
-      if (!currentUser) {
-        setIsAdmin(false);
-        return;
-      }
-      
-      try {
-        const userRef = doc(db, 'users', currentUser.uid);
-        const userDoc = await getDoc(userRef);
-        
-        if (userDoc.exists() && userDoc.data().isAdmin === true) {
-          setIsAdmin(true);
-        } else {
-          setIsAdmin(false);
-        }
-      } catch (error) {
-        console.error('Error checking admin status:', error);
-        setIsAdmin(false);
-      }
-    };
-    
-    checkAdminStatus();
-  }, [currentUser]);
+  const canAccessAdmin = usePermission(PERMISSIONS.ADMIN_ACCESS);
 
   // Handle navigation click with direct function call - no local function to ensure it always uses the latest navigateTo
   return (
@@ -80,6 +53,30 @@ const Navigation = ({ currentPage, navigateTo, showProfile = false }) => {
       >
         Pro Comparison
       </div>
+      <div 
+        className={`nav-item ${currentPage === 'swing-compare' ? 'active' : ''}`}
+        onClick={() => navigateTo('swing-compare')}
+        style={{ 
+          padding: '10px 20px', 
+          cursor: 'pointer',
+          borderBottom: currentPage === 'swing-compare' ? '2px solid #3498db' : 'none'
+        }}
+      >
+        Compare Swings
+      </div>
+      {showProfile && (
+        <div 
+          className={`nav-item ${currentPage === 'coach' ? 'active' : ''}`}
+          onClick={() => navigateTo('coach')}
+          style={{ 
+            padding: '10px 20px', 
+            cursor: 'pointer',
+            borderBottom: currentPage === 'coach' ? '2px solid #3498db' : 'none'
+          }}
+        >
+          Coach
+        </div>
+      )}
       {showProfile && (
         <div 
           className={`nav-item ${currentPage === 'profile' ? 'active' : ''}`}
@@ -94,8 +91,8 @@ const Navigation = ({ currentPage, navigateTo, showProfile = false }) => {
         </div>
       )}
       
-      {/* Admin link - only show if isAdmin state is true */}
-      {isAdmin && (
+      {/* Admin link - only for users who can open the admin dashboard */}
+      {canAccessAdmin && (
         <div 
           className={`nav-item ${currentPage === 'admin' ? 'active' : ''}`}
           onClick={() => navigateTo('admin')}
@@ -1,190 +1,103 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { extractYouTubeVideoId, getYouTubeEmbedUrl, getYouTubeThumbnailUrl } from '../utils/youtubeUtils';
+import React, { useEffect, useMemo, useState } from 'react';
+import { extractYouTubeVideoId, getYouTubeEmbedUrl } from '../utils/youtubeUtils';
+import proGolferService, {
+  PRO_TOURS,
+  PRO_BODY_TYPES,
+  PRO_SWING_STYLES,
+  filterProGolfers,
+  getProClubForSwing,
+  getProMetricValue,
+  getProOptionLabel
+} from '../services/proGolferService';
+import { createReferenceModel } from '../services/referenceModelService';
+import firestoreService from '../services/firestoreService';
+import { useAuth } from '../contexts/AuthContext';
+import { findClosestPros, getMetricProfile } from '../utils/proMatching';
+import SwingPlayer from './SwingPlayer';
 
 const ProComparison = ({ swingData }) => {
-  const [selectedPro, setSelectedPro] = useState('tiger_woods');
-  const [thumbnailUrl, setThumbnailUrl] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
+  const { currentUser } = useAuth();
+  const [proGolfers, setProGolfers] = useState([]);
+  const [loadingPros, setLoadingPros] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [filters, setFilters] = useState({ search: '', tour: '', bodyType: '', swingStyle: '' });
+  const [selectedPro, setSelectedPro] = useState(null);
+  const [selectedClub, setSelectedClub] = useState(null);
+  const [customVideos, setCustomVideos] = useState({});
   const [proYoutubeUrl, setProYoutubeUrl] = useState('');
   const [showProYoutubeInput, setShowProYoutubeInput] = useState(false);
   const [proYoutubeError, setProYoutubeError] = useState(null);
-  const [proGolfers, setProGolfers] = useState({
-    tiger_woods: {
-      name: 'Tiger Woods',
-      metrics: {
-        backswing: 95,
-        stance: 92,
-        grip: 90,
-        swingBack: 94,
-        swingForward: 96,
-        hipRotation: 95,
-        swingSpeed: 93,
-        swingPlane: 94,
-        shallowing: 91,
-        pacing: 97,
-        confidence: 98,
-        focus: 99
-      },
-      characteristics: [
-        'Extremely powerful swing',
-        'Incredible focus and mental toughness',
-        'Precise ball striking',
-        'Great course management'
-      ],
-      imageUrl: 'https://via.placeholder.com/300x200?text=Tiger+Woods',
-      defaultYouTubeVideo: {
-        videoId: 'JoA1vvsWV68',
-        embedUrl: 'https://www.youtube.com/embed/JoA1vvsWV68'
-      }
-    },
-    rory_mcilroy: {
-      name: 'Rory McIlroy',
-      metrics: {
-        backswing: 93,
-        stance: 90,
-        grip: 88,
-        swingBack: 96,
-        swingForward: 95,
-        hipRotation: 92,
-        swingSpeed: 98,
-        swingPlane: 91,
-        shallowing: 89,
-        pacing: 90,
-        confidence: 94,
-        focus: 93
-      },
-      characteristics: [
-        'Exceptional swing speed',
-        'Great rhythm and tempo',
-        'Long off the tee',
-        'Natural athletic movement'
-      ],
-      imageUrl: 'https://via.placeholder.com/300x200?text=Rory+McIlroy',
-      defaultYouTubeVideo: {
-        videoId: 'k72MSCnSPIM',
-        embedUrl: 'https://www.youtube.com/embed/k72MSCnSPIM'
-      }
-    },
-    jordan_spieth: {
-      name: 'Jordan Spieth',
-      metrics: {
-        backswing: 88,
-        stance: 91,
-        grip: 90,
-        swingBack: 87,
-        swingForward: 89,
-        hipRotation: 88,
-        swingSpeed: 85,
-        swingPlane: 90,
-        shallowing: 92,
-        pacing: 93,
-        confidence: 95,
-        focus: 96
-      },
-      characteristics: [
-        'Exceptional short game',
-        'Great putting skills',
-        'Strong mental game',
-        'Creative shot making'
-      ],
-      imageUrl: 'https://via.placeholder.com/300x200?text=Jordan+Spieth',
-      defaultYouTubeVideo: {
-        videoId: 'ALqxk9Xyzsw',
-        embedUrl: 'https://www.youtube.com/embed/ALqxk9Xyzsw'
-      }
-    }
-  });
-  
-  const videoRef = useRef(null);
+  const [userSwings, setUserSwings] = useState([]);
+  const [referenceModel, setReferenceModel] = useState(null);
 
-  // Generate thumbnail from video when swingData changes
   useEffect(() => {
-    if (swingData && swingData.videoUrl) {
-      if (swingData.isYouTubeVideo) {
-        // Use YouTube thumbnail if available
-        if (swingData.youtubeVideoId) {
-          setThumbnailUrl(getYouTubeThumbnailUrl(swingData.youtubeVideoId));
-        }
-      } else {
-        // Generate thumbnail from video file
-        generateThumbnail(swingData.videoUrl);
-      }
-    }
-    
-    // Reset playing state when swing data changes
-    setIsPlaying(false);
-    
-    // Clean up function for when component unmounts or swingData changes
-    return () => {
-      if (videoRef.current) {
-        videoRef.current.pause();
-      }
-    };
-  }, [swingData]);
-
-  // Function to generate thumbnail from video URL
-  const generateThumbnail = (videoUrl) => {
-    const videoElement = document.createElement('video');
-    videoElement.preload = 'metadata';
-    videoElement.muted = true;
-    videoElement.playsInline = true;
-    videoElement.src = videoUrl;
-    
-    // When video data is loaded, create thumbnail
-    videoElement.onloadeddata = () => {
-      // Seek to 1 second or 1/4 through the video, whichever is less
-      const seekTime = Math.min(1, videoElement.duration * 0.25);
-      videoElement.currentTime = seekTime;
-    };
-    
-    // Once we've seeked to the right place, capture the frame
-    videoElement.onseeked = () => {
-      const canvas = document.createElement('canvas');
-      // Set canvas dimensions to match video
-      canvas.width = videoElement.videoWidth;
-      canvas.height = videoElement.videoHeight;
-      
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
-      
-      // Create thumbnail URL from canvas
+    const loadPros = async () => {
       try {
-        const thumbnailUrl = canvas.toDataURL('image/jpeg', 0.8);
-        setThumbnailUrl(thumbnailUrl);
-      } catch (err) {
-        console.error('Error generating thumbnail:', err);
-        // If thumbnail generation fails, fall back to showing the video element
-        setThumbnailUrl(null);
+        setProGolfers(await proGolferService.getProGolfers());
+      } catch (error) {
+        setLoadError('Could not load the pro golfer library. Please try again later.');
       } finally {
-        // Clean up by releasing the video element
-        URL.revokeObjectURL(videoUrl);
+        setLoadingPros(false);
       }
     };
-    
-    // Handle errors
-    videoElement.onerror = (err) => {
-      console.error('Error loading video for thumbnail:', err);
-      setThumbnailUrl(null);
+
+    loadPros();
+  }, []);
+
+  // The user's own swings and the reference model's spreads feed the closest-pro match;
+  // either can be missing, in which case the match uses this swing and the library's spread
+  useEffect(() => {
+    const loadMatchData = async () => {
+      try {
+        setReferenceModel(await createReferenceModel());
+      } catch (error) {
+        console.error('Error loading reference model:', error);
+      }
+
+      if (!currentUser) return;
+      try {
+        setUserSwings(await firestoreService.getUserSwings(currentUser.uid));
+      } catch (error) {
+        console.error('Error loading swings for pro matching:', error);
+      }
     };
-    
-    // Explicitly trigger load
-    videoElement.load();
+
+    loadMatchData();
+  }, [currentUser]);
+
+  const filteredPros = useMemo(() => filterProGolfers(proGolfers, filters), [proGolfers, filters]);
+
+  const userProfile = useMemo(
+    () => getMetricProfile(userSwings.length > 0 ? userSwings : [swingData]),
+    [userSwings, swingData]
+  );
+
+  const proMatches = useMemo(
+    () => (userProfile ? findClosestPros(userProfile.metrics, filteredPros, referenceModel) : []),
+    [userProfile, filteredPros, referenceModel]
+  );
+
+  // Keep the selection within the filtered list
+  const proData = filteredPros.find(pro => pro.id === selectedPro) || filteredPros[0] || null;
+
+  const proClubs = proData ? [...new Set(proData.swings.map(swing => swing.club))] : [];
+  const activeClub = proClubs.includes(selectedClub)
+    ? selectedClub
+    : getProClubForSwing(proData, swingData?.clubName, swingData?.clubType);
+  const proSwing = proData?.swings.find(swing => swing.club === activeClub && swing.status === 'analyzed')
+    || proData?.swings.find(swing => swing.club === activeClub)
+    || null;
+  const proMetrics = (proData && activeClub && proData.metricsByClub[activeClub]) || {};
+  const customVideo = proData ? customVideos[proData.id] : null;
+
+  const filterStyle = {
+    padding: '8px',
+    borderRadius: '5px',
+    border: '1px solid #ddd'
   };
 
-  // Handle playing the video when thumbnail is clicked
-  const handleThumbnailClick = () => {
-    if (videoRef.current) {
-      // Show and play the video
-      setIsPlaying(true);
-      
-      // Small timeout to ensure state update happens before trying to play
-      setTimeout(() => {
-        if (videoRef.current) {
-          videoRef.current.play()
-            .catch(error => console.error("Error playing video:", error));
-        }
-      }, 50);
-    }
+  const updateFilter = (field, value) => {
+    setFilters(previous => ({ ...previous, [field]: value }));
   };
 
   // Handle loading a custom YouTube video for the pro
@@ -199,19 +112,13 @@ const ProComparison = ({ swingData }) => {
       return;
     }
     
-    // Update the currently selected pro with custom YouTube video
-    const updatedProData = {
-      ...proGolfers[selectedPro],
-      customYoutubeVideo: {
+    // Show the custom video for the currently selected pro
+    setCustomVideos({
+      ...customVideos,
+      [proData.id]: {
         videoId,
         embedUrl: getYouTubeEmbedUrl(videoId)
       }
-    };
-    
-    // Update pro golfers data
-    setProGolfers({
-      ...proGolfers,
-      [selectedPro]: updatedProData
     });
     
     // Hide YouTube input
@@ -221,35 +128,10 @@ const ProComparison = ({ swingData }) => {
 
   // Render pro swing content based on available media
   const renderProSwing = () => {
-    const proData = proGolfers[selectedPro];
-    
-    // Use custom YouTube video if available, otherwise use default YouTube video if available, otherwise use image
-    if (proData.customYoutubeVideo) {
-      return (
-        <div className="pro-youtube-container" style={{
-          position: 'relative',
-          paddingBottom: '56.25%', // 16:9 aspect ratio
-          height: 0,
-          overflow: 'hidden',
-          borderRadius: '8px'
-        }}>
-          <iframe
-            src={proData.customYoutubeVideo.embedUrl}
-            title={`${proData.name}'s swing`}
-            frameBorder="0"
-            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-            allowFullScreen
-            style={{
-              position: 'absolute',
-              top: 0,
-              left: 0,
-              width: '100%',
-              height: '100%'
-            }}
-          ></iframe>
-        </div>
-      );
-    } else if (proData.defaultYouTubeVideo) {
+    const video = customVideo || proSwing;
+
+    // Use custom YouTube video if available, otherwise the pro's swing with this club, otherwise the image
+    if (video) {
       return (
         <div className="pro-youtube-container" style={{
           position: 'relative',
@@ -259,7 +141,7 @@ const ProComparison = ({ swingData }) => {
           borderRadius: '8px'
         }}>
           <iframe
-            src={proData.defaultYouTubeVideo.embedUrl}
+            src={video.embedUrl}
             title={`${proData.name}'s swing`}
             frameBorder="0"
             allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
@@ -285,19 +167,21 @@ const ProComparison = ({ swingData }) => {
           overflow: 'hidden',
           position: 'relative'
         }}>
-          <img 
-            src={proData.imageUrl} 
-            alt={`${proData.name} swing`} 
-            style={{ 
-              position: 'absolute',
-              top: 0,
-              left: 0,
-              width: '100%',
-              height: '100%',
-              borderRadius: '8px',
-              objectFit: 'cover'
-            }}
-          />
+          {proData.imageUrl && (
+            <img 
+              src={proData.imageUrl} 
+              alt={`${proData.name} swing`} 
+              style={{ 
+                position: 'absolute',
+                top: 0,
+                left: 0,
+                width: '100%',
+                height: '100%',
+                borderRadius: '8px',
+                objectFit: 'cover'
+              }}
+            />
+          )}
         </div>
       );
     }
@@ -367,7 +251,29 @@ const ProComparison = ({ swingData }) => {
     );
   }
 
-  const proData = proGolfers[selectedPro];
+  if (loadingPros) {
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '20px' }}>
+        <div className="spinner"></div>
+        <p>Loading pro golfers...</p>
+      </div>
+    );
+  }
+
+  if (loadError || proGolfers.length === 0) {
+    return (
+      <div className="card">
+        <h2>Pro Comparison</h2>
+        <p>{loadError || 'No pro golfers have been added to the library yet.'}</p>
+      </div>
+    );
+  }
+
+  // Swing metrics where the pro has a score, with how far the user is behind
+  const comparableMetrics = Object.entries(swingData.metrics)
+    .map(([key, value]) => ({ key, value, proValue: getProMetricValue(proMetrics, key) }));
+  const improvementAreas = comparableMetrics
+    .filter(({ value, proValue }) => proValue !== null && proValue - value > 15); // Only metrics that are significantly worse
 
   const getComparisonColor = (userValue, proValue) => {
     const diff = userValue - proValue;
@@ -403,69 +309,80 @@ const ProComparison = ({ swingData }) => {
           ></iframe>
         </div>
       );
-    } else if (!isPlaying && thumbnailUrl) {
-      return (
-        <div style={{ position: 'relative', height: '100%', width: '100%' }}>
-          <img 
-            src={thumbnailUrl} 
-            alt="Video preview" 
-            style={{ 
-              position: 'absolute',
-              top: 0,
-              left: 0,
-              width: '100%',
-              height: '100%',
-              objectFit: 'contain',
-              borderRadius: '8px',
-              cursor: 'pointer',
-              backgroundColor: '#333' 
-            }}
-            onClick={handleThumbnailClick}
-          />
-          <div 
-            style={{
-              position: 'absolute',
-              top: '50%',
-              left: '50%',
-              transform: 'translate(-50%, -50%)',
-              backgroundColor: 'rgba(52, 152, 219, 0.7)',
-              borderRadius: '50%',
-              width: '60px',
-              height: '60px',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              cursor: 'pointer',
-              boxShadow: '0 4px 8px rgba(0,0,0,0.3)'
-            }}
-            onClick={handleThumbnailClick}
-          >
-            <svg width="28" height="28" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M8 5V19L19 12L8 5Z" fill="white" />
-            </svg>
+    }
+
+    // Cue the clip at address, as on the analysis page
+    const addressTime = swingData.keyframes?.find(keyframe => keyframe.phase === 'address')?.time
+      ?? swingData.trim?.address
+      ?? swingData.trim?.start
+      ?? null;
+
+    return (
+      <SwingPlayer
+        src={swingData.videoUrl}
+        keyframes={swingData.keyframes}
+        initialTime={addressTime}
+        frameRate={swingData.videoInfo?.frameRate}
+        compact
+      />
+    );
+  };
+
+  // Closest pro by metric profile, what makes them a match, and the gap worth closing first
+  const renderClosestPro = () => {
+    const [best, ...others] = proMatches;
+    const lever = best.biggestLever;
+
+    return (
+      <div className="closest-pro" style={{
+        padding: '15px',
+        marginBottom: '20px',
+        backgroundColor: '#f5f9f3',
+        border: '1px solid #d4e4cc',
+        borderRadius: '8px'
+      }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+          <div>
+            <div style={{ fontSize: '0.85rem', color: '#666' }}>Your closest pro</div>
+            <h3 style={{ margin: '2px 0' }}>
+              {best.pro.name}
+              <span style={{ marginLeft: '8px', fontSize: '0.9rem', color: '#546e47' }}>{best.similarity}% match</span>
+            </h3>
+            <div style={{ fontSize: '0.8rem', color: '#666' }}>
+              Based on {userProfile.swingCount === 1 ? 'this swing' : `the average of your ${userProfile.swingCount} swings`} across {best.sharedMetrics} metrics
+            </div>
           </div>
+          {best.pro.id !== proData?.id && (
+            <button
+              onClick={() => {
+                setSelectedPro(best.pro.id);
+                setSelectedClub(null);
+              }}
+              className="button"
+            >
+              Compare with {best.pro.name}
+            </button>
+          )}
         </div>
-      );
-    } else {
-      return (
-        <video 
-          ref={videoRef}
-          src={swingData.videoUrl} 
-          controls 
-          style={{ 
-            position: 'absolute',
-            top: 0,
-            left: 0,
-            width: '100%',
-            height: '100%',
-            borderRadius: '8px',
-            objectFit: 'contain',
-            backgroundColor: '#333',
-            display: 'block'
-          }}
-        />
-      );
-    }
+
+        <p style={{ fontSize: '0.9rem', margin: '12px 0 6px 0' }}>
+          <strong>What you share:</strong>{' '}
+          {best.closestMetrics.map(row => `${row.title} (you ${row.user}, pro ${row.pro})`).join(', ')}
+        </p>
+        <p style={{ fontSize: '0.9rem', margin: 0 }}>
+          <strong>Biggest lever:</strong>{' '}
+          {lever.gap > 0
+            ? `${lever.title}. You're ${lever.gap} points behind (${lever.user} vs ${lever.pro}), the largest gap relative to how much pros vary on it.`
+            : `${lever.title}. You're ${Math.abs(lever.gap)} points ahead (${lever.user} vs ${lever.pro}); it's the metric that sets your swing apart the most.`}
+        </p>
+
+        {others.length > 0 && (
+          <div style={{ fontSize: '0.8rem', color: '#666', marginTop: '10px' }}>
+            Also close: {others.slice(0, 2).map(match => `${match.pro.name} (${match.similarity}%)`).join(', ')}
+          </div>
+        )}
+      </div>
+    );
   };
 
   return (
@@ -473,204 +390,251 @@ const ProComparison = ({ swingData }) => {
       <h2>Pro Comparison</h2>
       <p>Compare your swing metrics with pro golfers</p>
       
-      <div className="pro-selector" style={{ marginBottom: '20px' }}>
-        <label htmlFor="pro-select">Compare with:</label>
-        <select 
-          id="pro-select"
-          value={selectedPro}
-          onChange={(e) => setSelectedPro(e.target.value)}
-          style={{
-            padding: '8px',
-            borderRadius: '5px',
-            border: '1px solid #ddd',
-            marginLeft: '10px'
-          }}
-        >
-          {Object.entries(proGolfers).map(([key, golfer]) => (
-            <option key={key} value={key}>
-              {golfer.name}
-            </option>
-          ))}
+      {/* Search and filter the pro library */}
+      <div className="pro-filters" style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '15px' }}>
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+          placeholder="Search pros"
+          style={{ ...filterStyle, flex: '1 1 180px' }}
+        />
+        <select value={filters.tour} onChange={(e) => updateFilter('tour', e.target.value)} style={filterStyle}>
+          <option value="">All tours</option>
+          {PRO_TOURS.map(tour => <option key={tour} value={tour}>{tour}</option>)}
+        </select>
+        <select value={filters.bodyType} onChange={(e) => updateFilter('bodyType', e.target.value)} style={filterStyle}>
+          <option value="">Any body type</option>
+          {PRO_BODY_TYPES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+        <select value={filters.swingStyle} onChange={(e) => updateFilter('swingStyle', e.target.value)} style={filterStyle}>
+          <option value="">Any swing style</option>
+          {PRO_SWING_STYLES.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
         </select>
       </div>
+
+      {proMatches.length > 0 && renderClosestPro()}
+
+      {!proData ? (
+        <p>No pro golfers match these filters.</p>
+      ) : (
+        <>
+          <div className="pro-selector" style={{ marginBottom: '20px' }}>
+            <label htmlFor="pro-select">Compare with:</label>
+            <select 
+              id="pro-select"
+              value={proData.id}
+              onChange={(e) => {
+                setSelectedPro(e.target.value);
+                setSelectedClub(null);
+              }}
+              style={{ ...filterStyle, marginLeft: '10px' }}
+            >
+              {filteredPros.map(golfer => (
+                <option key={golfer.id} value={golfer.id}>
+                  {golfer.name}
+                </option>
+              ))}
+            </select>
+            <div style={{ fontSize: '0.85rem', color: '#666', marginTop: '5px' }}>
+              {[proData.tour, getProOptionLabel(PRO_BODY_TYPES, proData.bodyType), getProOptionLabel(PRO_SWING_STYLES, proData.swingStyle)]
+                .filter(Boolean)
+                .join(' · ')}
+            </div>
+
+            {/* The pro's reference swings, one per club */}
+            {proClubs.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '10px' }}>
+                {proClubs.map(club => (
+                  <button
+                    key={club}
+                    onClick={() => setSelectedClub(club)}
+                    style={{
+                      padding: '4px 12px',
+                      fontSize: '0.85rem',
+                      backgroundColor: club === activeClub ? '#546e47' : 'white',
+                      color: club === activeClub ? 'white' : '#546e47',
+                      border: '1px solid #546e47',
+                      borderRadius: '15px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {club}
+                  </button>
+                ))}
+              </div>
+            )}
+            {swingData.clubName && activeClub && activeClub !== swingData.clubName && !proClubs.includes(swingData.clubName) && (
+              <p style={{ fontSize: '0.85rem', color: '#666', margin: '8px 0 0 0' }}>
+                {proData.name} has no {swingData.clubName} swing in the library, so you're compared with their {activeClub} swing.
+              </p>
+            )}
+          </div>
       
-      <div className="pro-comparison-container" style={{ 
-        display: 'flex', 
-        flexDirection: 'row', 
-        flexWrap: 'wrap',
-        gap: '20px',
-        justifyContent: 'center' 
-      }}>
-        <div className="your-swing" style={{ 
-          marginBottom: '20px',
-          flex: '1',
-          minWidth: '280px',
-          maxWidth: '500px'
-        }}>
-          <h3>Your Swing</h3>
-          <div className="video-container" style={{ 
-            width: '100%', 
-            margin: '0 auto',
-            backgroundColor: '#333',
-            borderRadius: '8px',
-            overflow: 'hidden',
-            position: 'relative',
-            paddingBottom: '56.25%', /* 16:9 aspect ratio */
-            height: 0
+          <div className="pro-comparison-container" style={{ 
+            display: 'flex', 
+            flexDirection: 'row', 
+            flexWrap: 'wrap',
+            gap: '20px',
+            justifyContent: 'center' 
           }}>
-            {renderUserSwing()}
-          </div>
-        </div>
+            <div className="your-swing" style={{ 
+              marginBottom: '20px',
+              flex: '1',
+              minWidth: '280px',
+              maxWidth: '500px'
+            }}>
+              <h3>Your Swing</h3>
+              {renderUserSwing()}
+            </div>
         
-        <div className="pro-swing" style={{ 
-          marginBottom: '20px',
-          flex: '1',
-          minWidth: '280px',
-          maxWidth: '500px'
-        }}>
-          <h3>{proData.name}'s Swing</h3>
-          {renderProSwing()}
+            <div className="pro-swing" style={{ 
+              marginBottom: '20px',
+              flex: '1',
+              minWidth: '280px',
+              maxWidth: '500px'
+            }}>
+              <h3>{proData.name}'s Swing</h3>
+              {renderProSwing()}
           
-          {/* YouTube button */}
-          {!showProYoutubeInput && (
-            <button
-              onClick={() => setShowProYoutubeInput(true)}
-              style={{
-                display: 'block',
-                margin: '10px auto 0',
-                padding: '6px 12px',
-                backgroundColor: '#f8f9fa',
-                border: '1px solid #ddd',
-                borderRadius: '5px',
-                fontSize: '0.9rem',
-                cursor: 'pointer'
-              }}
-            >
-              {proData.customYoutubeVideo ? 'Change YouTube video' : 'Use a YouTube video'}
-            </button>
-          )}
+              {/* YouTube button */}
+              {!showProYoutubeInput && (
+                <button
+                  onClick={() => setShowProYoutubeInput(true)}
+                  style={{
+                    display: 'block',
+                    margin: '10px auto 0',
+                    padding: '6px 12px',
+                    backgroundColor: '#f8f9fa',
+                    border: '1px solid #ddd',
+                    borderRadius: '5px',
+                    fontSize: '0.9rem',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {customVideo ? 'Change YouTube video' : 'Use a YouTube video'}
+                </button>
+              )}
           
-          {/* YouTube input form */}
-          {showProYoutubeInput && renderYoutubeInput()}
-        </div>
-      </div>
+              {/* YouTube input form */}
+              {showProYoutubeInput && renderYoutubeInput()}
+            </div>
+          </div>
       
-      <div className="metrics-comparison" style={{ marginTop: '30px' }}>
-        <h3>Metrics Comparison</h3>
+          <div className="metrics-comparison" style={{ marginTop: '30px' }}>
+            <h3>Metrics Comparison</h3>
+            {Object.keys(proMetrics).length === 0 && (
+              <p style={{ fontSize: '0.9rem', color: '#666' }}>
+                {proData.name}'s {activeClub ? `${activeClub} ` : ''}swing hasn't been analyzed yet, so there are no pro scores to compare with.
+              </p>
+            )}
         
-        {Object.entries(swingData.metrics).map(([key, value]) => {
-          const proValue = proData.metrics[key] || 0;
-          
-          return (
-            <div key={key} className="metric-comparison-item" style={{ marginBottom: '20px' }}>
-              <div className="metric-label" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
-                <span>{key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}</span>
-                <span>
-                  <span style={{ color: '#3498db', fontWeight: 'bold' }}>You: {value}</span> / 
-                  <span style={{ color: '#e74c3c', fontWeight: 'bold' }}> Pro: {proValue}</span>
-                </span>
-              </div>
+            {comparableMetrics.map(({ key, value, proValue }) => {
+              return (
+                <div key={key} className="metric-comparison-item" style={{ marginBottom: '20px' }}>
+                  <div className="metric-label" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+                    <span>{key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}</span>
+                    <span>
+                      <span style={{ color: '#3498db', fontWeight: 'bold' }}>You: {value}</span> / 
+                      <span style={{ color: '#e74c3c', fontWeight: 'bold' }}> Pro: {proValue ?? '—'}</span>
+                    </span>
+                  </div>
               
-              {/* Stacked bars for comparison */}
-              <div className="comparison-stacked-bars" style={{ 
-                width: '100%', 
-                position: 'relative', 
-                height: '40px', 
-                backgroundColor: '#f5f5f5',
-                borderRadius: '5px',
-                overflow: 'hidden'
-              }}>
-                {/* Background bar (100%) */}
-                <div style={{ 
-                  position: 'absolute',
-                  width: '100%',
-                  height: '100%',
-                  backgroundColor: '#f5f5f5',
-                  zIndex: 1
-                }}></div>
+                  {/* Stacked bars for comparison */}
+                  <div className="comparison-stacked-bars" style={{ 
+                    width: '100%', 
+                    position: 'relative', 
+                    height: '40px', 
+                    backgroundColor: '#f5f5f5',
+                    borderRadius: '5px',
+                    overflow: 'hidden'
+                  }}>
+                    {/* Background bar (100%) */}
+                    <div style={{ 
+                      position: 'absolute',
+                      width: '100%',
+                      height: '100%',
+                      backgroundColor: '#f5f5f5',
+                      zIndex: 1
+                    }}></div>
                 
-                {/* Pro value bar */}
-                <div style={{ 
-                  position: 'absolute',
-                  width: `${proValue}%`,
-                  height: '20px',
-                  backgroundColor: '#e74c3c',
-                  borderRadius: '5px',
-                  zIndex: 2,
-                  opacity: 0.8,
-                  bottom: '0'
-                }}></div>
+                    {/* Pro value bar */}
+                    <div style={{ 
+                      position: 'absolute',
+                      width: `${proValue ?? 0}%`,
+                      height: '20px',
+                      backgroundColor: '#e74c3c',
+                      borderRadius: '5px',
+                      zIndex: 2,
+                      opacity: 0.8,
+                      bottom: '0'
+                    }}></div>
                 
-                {/* User value bar */}
-                <div style={{ 
-                  position: 'absolute',
-                  width: `${value}%`,
-                  height: '20px',
-                  backgroundColor: '#3498db',
-                  borderRadius: '5px',
-                  zIndex: 3,
-                  top: '0'
-                }}></div>
+                    {/* User value bar */}
+                    <div style={{ 
+                      position: 'absolute',
+                      width: `${value}%`,
+                      height: '20px',
+                      backgroundColor: '#3498db',
+                      borderRadius: '5px',
+                      zIndex: 3,
+                      top: '0'
+                    }}></div>
                 
-                {/* Comparison indicator */}
-                <div style={{
-                  position: 'absolute',
-                  left: `${value}%`,
-                  top: '0',
-                  bottom: '0',
-                  width: '2px',
-                  backgroundColor: getComparisonColor(value, proValue),
-                  zIndex: 4
-                }}></div>
-              </div>
-            </div>
-          );
-        })}
-      </div>
+                    {/* Comparison indicator */}
+                    {proValue !== null && (
+                      <div style={{
+                        position: 'absolute',
+                        left: `${value}%`,
+                        top: '0',
+                        bottom: '0',
+                        width: '2px',
+                        backgroundColor: getComparisonColor(value, proValue),
+                        zIndex: 4
+                      }}></div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
       
-      <div className="pro-characteristics" style={{ marginTop: '30px' }}>
-        <h3>{proData.name}'s Key Characteristics</h3>
-        <ul>
-          {proData.characteristics.map((char, index) => (
-            <li key={index}>{char}</li>
-          ))}
-        </ul>
-      </div>
+          <div className="pro-characteristics" style={{ marginTop: '30px' }}>
+            <h3>{proData.name}'s Key Characteristics</h3>
+            <ul>
+              {proData.characteristics.map((char, index) => (
+                <li key={index}>{char}</li>
+              ))}
+            </ul>
+          </div>
       
-      <div className="improvement-tips" style={{ marginTop: '30px' }}>
-        <h3>How to Get Closer to {proData.name}'s Swing</h3>
-        <ul>
-          {Object.entries(swingData.metrics)
-            .filter(([key, value]) => {
-              const proValue = proData.metrics[key] || 0;
-              return proValue - value > 15; // Only show tips for metrics that are significantly worse
-            })
-            .slice(0, 3) // Limit to top 3 areas for improvement
-            .map(([key, value], index) => {
-              const metricName = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-              const proValue = proData.metrics[key] || 0;
+          <div className="improvement-tips" style={{ marginTop: '30px' }}>
+            <h3>How to Get Closer to {proData.name}'s Swing</h3>
+            <ul>
+              {improvementAreas
+                .slice(0, 3) // Limit to top 3 areas for improvement
+                .map(({ key, value, proValue }, index) => {
+                  const metricName = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
               
-              return (
-                <li key={index}>
-                  <strong>{metricName}:</strong> Your score ({value}) is {proValue - value} points below {proData.name}'s ({proValue}). 
-                  Focus on improving this aspect of your swing.
-                </li>
-              );
-            })}
+                  return (
+                    <li key={index}>
+                      <strong>{metricName}:</strong> Your score ({value}) is {proValue - value} points below {proData.name}'s ({proValue}). 
+                      Focus on improving this aspect of your swing.
+                    </li>
+                  );
+                })}
           
-          {/* Show a default tip if no specific metrics are far below */}
-          {Object.entries(swingData.metrics)
-            .filter(([key, value]) => {
-              const proValue = proData.metrics[key] || 0;
-              return proValue - value > 15;
-            }).length === 0 && (
-              <li>
-                <strong>Overall:</strong> Your swing metrics are relatively close to {proData.name}'s! 
-                Continue practicing your technique and focus on consistency.
-              </li>
-            )}
-        </ul>
-      </div>
+              {/* Show a default tip if no specific metrics are far below */}
+              {Object.keys(proMetrics).length > 0 && improvementAreas.length === 0 && (
+                  <li>
+                    <strong>Overall:</strong> Your swing metrics are relatively close to {proData.name}'s! 
+                    Continue practicing your technique and focus on consistency.
+                  </li>
+                )}
+            </ul>
+          </div>
+        </>
+      )}
     </div>
   );
 };
@@ -1,12 +1,20 @@
 // src/components/ProgressAnalysis.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import firestoreService from '../services/firestoreService';
 import clubUtils from '../utils/clubUtils';
+import { aggregateSwingsBySession } from '../utils/sessionUtils';
 import './ProgressAnalysis.css';
 // Also add the import at the top of ProgressAnalysis.js
 import { getMetricInfo, getCategoryColor, getScoreColor } from '../utils/swingUtils';
 
+// Helper function to calculate standard deviation
+const calculateStandardDeviation = (values) => {
+  const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+  const squareDiffs = values.map(value => Math.pow(value - mean, 2));
+  const variance = squareDiffs.reduce((sum, squareDiff) => sum + squareDiff, 0) / values.length;
+  return Math.sqrt(variance);
+};
 
 const ProgressAnalysis = ({ swingHistory, userClubs }) => {
   const { currentUser } = useAuth();
@@ -15,6 +23,7 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
   const [clubs, setClubs] = useState([]);
   const [analysisData, setAnalysisData] = useState(null);
   const [timeRange, setTimeRange] = useState('all'); // 'all', 'month', 'week'
+  const [grouping, setGrouping] = useState('swing'); // 'swing', 'session'
   const [error, setError] = useState(null);
 
   // Load data on component mount
@@ -34,13 +43,9 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
           clubsData = await firestoreService.getUserClubs(currentUser.uid);
         }
         
+        // The analysis is generated by the effect below once these are set
         setSwings(swingsData || []);
         setClubs(clubsData || []);
-        
-        // Generate analysis
-        if (swingsData && swingsData.length > 0) {
-          generateAnalysis(swingsData, clubsData, timeRange);
-        }
       } catch (err) {
         console.error('Error loading data for progress analysis:', err);
         setError('Failed to load your progress data. Please try again.');
@@ -52,15 +57,8 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
     loadData();
   }, [currentUser, swingHistory, userClubs]);
 
-  // Re-generate analysis when time range changes
-  useEffect(() => {
-    if (swings.length > 0) {
-      generateAnalysis(swings, clubs, timeRange);
-    }
-  }, [timeRange, swings, clubs]);
-
   // Generate comprehensive analysis from swings data
-  const generateAnalysis = (swingsData, clubsData, range) => {
+  const generateAnalysis = useCallback((swingsData, clubsData, range, groupBy = 'swing') => {
     // Filter swings by time range
     const now = new Date();
     const filteredSwings = swingsData.filter(swing => {
@@ -96,9 +94,14 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
       new Date(a.recordedDate) - new Date(b.recordedDate)
     );
     
+    // Overall and metric trends compare individual swings, or session averages
+    const trendEntries = groupBy === 'session'
+      ? aggregateSwingsBySession(sortedSwings).sort((a, b) => new Date(a.recordedDate) - new Date(b.recordedDate))
+      : sortedSwings;
+    
     // Get first and last swings for comparison
-    const firstSwing = sortedSwings[0];
-    const lastSwing = sortedSwings[sortedSwings.length - 1];
+    const firstSwing = trendEntries[0];
+    const lastSwing = trendEntries[trendEntries.length - 1];
     
     // Overall progress calculation
     const overallProgress = {
@@ -107,7 +110,8 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
       change: lastSwing.overallScore - firstSwing.overallScore,
       percentChange: ((lastSwing.overallScore - firstSwing.overallScore) / firstSwing.overallScore) * 100,
       daysElapsed: Math.round((new Date(lastSwing.recordedDate) - new Date(firstSwing.recordedDate)) / (1000 * 60 * 60 * 24)),
-      swingCount: sortedSwings.length
+      swingCount: sortedSwings.length,
+      sessionCount: groupBy === 'session' ? trendEntries.length : null
     };
 
     // Club-specific progress
@@ -238,7 +242,7 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
     }
     
     // Consistency insight
-    const scoreStdDev = calculateStandardDeviation(sortedSwings.map(swing => swing.overallScore));
+    const scoreStdDev = calculateStandardDeviation(trendEntries.map(entry => entry.overallScore));
     if (scoreStdDev > 10) {
       insights.push(
         `Your swing performance has been inconsistent (high variability). Work on developing a more consistent swing.`
@@ -327,15 +331,14 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
       insights,
       correlations
     });
-  };
-  
-  // Helper function to calculate standard deviation
-  const calculateStandardDeviation = (values) => {
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    const squareDiffs = values.map(value => Math.pow(value - mean, 2));
-    const variance = squareDiffs.reduce((sum, squareDiff) => sum + squareDiff, 0) / values.length;
-    return Math.sqrt(variance);
-  };
+  }, []);
+
+  // Generate the analysis when the data, time range or grouping changes
+  useEffect(() => {
+    if (swings.length > 0) {
+      generateAnalysis(swings, clubs, timeRange, grouping);
+    }
+  }, [generateAnalysis, timeRange, grouping, swings, clubs]);
   
   // Format date function
   const formatDate = (dateString) => {
@@ -347,7 +350,8 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
     });
   };
 
-  if (loading) {
+  // Swings that are loaded but not yet analyzed still count as loading
+  if (loading || (swings.length > 0 && !analysisData)) {
     return (
       <div className="card">
         <h2>Analyzing Your Progress...</h2>
@@ -434,6 +438,32 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
           </div>
         </div>
         
+        {/* Compare individual swings or session averages */}
+        <div className="time-range-selector" style={{ marginBottom: '20px' }}>
+          <label style={{ marginRight: '10px' }}>Compare:</label>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            {[
+              { id: 'swing', label: 'Swings' },
+              { id: 'session', label: 'Sessions' }
+            ].map(option => (
+              <button 
+                key={option.id}
+                onClick={() => setGrouping(option.id)}
+                style={{ 
+                  padding: '8px 16px', 
+                  backgroundColor: grouping === option.id ? '#3498db' : '#f8f9fa',
+                  color: grouping === option.id ? 'white' : '#333',
+                  border: '1px solid #ddd',
+                  borderRadius: '5px',
+                  cursor: 'pointer'
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        
         {/* Overall progress section */}
         <div className="progress-section" style={{ marginBottom: '30px' }}>
           <h3>Overall Progress</h3>
@@ -451,6 +481,9 @@ const ProgressAnalysis = ({ swingHistory, userClubs }) => {
               <p>Latest Swing: <strong>{formatDate(swings.sort((a, b) => new Date(b.recordedDate) - new Date(a.recordedDate))[0].recordedDate)}</strong></p>
               <p>Days tracked: <strong>{analysisData.overallProgress.daysElapsed}</strong></p>
               <p>Swings analyzed: <strong>{analysisData.overallProgress.swingCount}</strong></p>
+              {analysisData.overallProgress.sessionCount !== null && (
+                <p>Sessions compared: <strong>{analysisData.overallProgress.sessionCount}</strong></p>
+              )}
             </div>
             <div style={{ textAlign: 'center' }}>
               <div style={{ 
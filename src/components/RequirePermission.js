@@ -0,0 +1,41 @@
+// src/components/RequirePermission.js
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+/**
+ * Renders its children only for users whose roles grant a permission
+ * @param {Object} props
+ * @param {string} props.permission - Permission name (see utils/permissions)
+ * @param {React.ReactNode} props.fallback - Shown instead of the Unauthorized card
+ */
+const RequirePermission = ({ permission, fallback, children }) => {
+  const { currentUser, rolesLoading, hasPermission } = useAuth();
+
+  if (rolesLoading) {
+    return (
+      <div className="card">
+        <h2>Checking permissions...</h2>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!currentUser || !hasPermission(permission)) {
+    if (fallback !== undefined) return fallback;
+
+    return (
+      <div className="card">
+        <h2>Unauthorized</h2>
+        <p>
+          {currentUser
+            ? "You don't have permission to access this page."
+            : 'You need to log in to access this page.'}
+        </p>
+      </div>
+    );
+  }
+
+  return children;
+};
+
+export default RequirePermission;
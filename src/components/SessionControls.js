@@ -0,0 +1,136 @@
+// src/components/SessionControls.js
+import React, { useState } from 'react';
+import { SESSION_LOCATIONS, getSessionLocationLabel } from '../services/sessionService';
+
+/**
+ * Start/end controls for the active practice session, shown above the upload flow.
+ * Swings uploaded while a session is active are attached to it.
+ * @param {Object} props
+ * @param {Object|null} props.activeSession - The active session
+ * @param {Function} props.onStart - Called with { location, goal, notes }
+ * @param {Function} props.onEnd - Ends the active session
+ * @param {Function} props.onView - Opens the summary of the active session
+ */
+const SessionControls = ({ activeSession, onStart, onEnd, onView }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [location, setLocation] = useState('range');
+  const [goal, setGoal] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const containerStyle = {
+    width: '100%',
+    maxWidth: '500px',
+    margin: '0 auto 20px auto',
+    padding: '15px 20px',
+    backgroundColor: '#f0f4ee',
+    borderRadius: '15px',
+    boxSizing: 'border-box',
+    fontSize: '0.9rem'
+  };
+
+  const linkButtonStyle = {
+    background: 'none',
+    border: 'none',
+    color: '#546e47',
+    cursor: 'pointer',
+    fontSize: '0.9rem',
+    textDecoration: 'underline',
+    padding: 0
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error updating practice session:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await onStart({ location, goal, notes });
+      setShowForm(false);
+      setGoal('');
+      setNotes('');
+    });
+  };
+
+  if (activeSession) {
+    return (
+      <div style={containerStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+          <div>
+            <strong>{getSessionLocationLabel(activeSession.location)} session in progress</strong>
+            {activeSession.goal && (
+              <div style={{ color: '#555', marginTop: '3px' }}>Goal: {activeSession.goal}</div>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '12px', flexShrink: 0 }}>
+            <button onClick={onView} style={linkButtonStyle}>View</button>
+            <button onClick={() => run(onEnd)} disabled={saving} style={linkButtonStyle}>
+              {saving ? 'Ending...' : 'End Session'}
+            </button>
+          </div>
+        </div>
+        <div style={{ color: '#666', marginTop: '6px', fontSize: '0.85rem' }}>
+          New swings are added to this session.
+        </div>
+      </div>
+    );
+  }
+
+  if (!showForm) {
+    return (
+      <div style={{ ...containerStyle, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ color: '#555' }}>Practicing? Group today's swings into a session.</span>
+        <button onClick={() => setShowForm(true)} style={linkButtonStyle}>Start Session</button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleStart} style={containerStyle}>
+      <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>Location</label>
+      <select
+        value={location}
+        onChange={(e) => setLocation(e.target.value)}
+        style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ddd', marginBottom: '10px' }}
+      >
+        {SESSION_LOCATIONS.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+
+      <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>Goal</label>
+      <input
+        type="text"
+        value={goal}
+        onChange={(e) => setGoal(e.target.value)}
+        placeholder="e.g. Keep the lead arm straight"
+        style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ddd', marginBottom: '10px', boxSizing: 'border-box' }}
+      />
+
+      <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>Notes</label>
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        rows={2}
+        style={{ width: '100%', padding: '8px', borderRadius: '5px', border: '1px solid #ddd', marginBottom: '10px', boxSizing: 'border-box' }}
+      />
+
+      <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+        <button type="button" onClick={() => setShowForm(false)} style={linkButtonStyle}>Cancel</button>
+        <button type="submit" className="button" disabled={saving}>
+          {saving ? 'Starting...' : 'Start Session'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SessionControls;
@@ -0,0 +1,219 @@
+// src/components/SessionSummary.js
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import sessionService, { getSessionLocationLabel } from '../services/sessionService';
+import { summarizeSession } from '../utils/sessionUtils';
+import { getScoreColor } from '../utils/swingUtils';
+import { SHOT_OUTCOMES } from './ShotOutcomeSelector';
+
+const formatDateTime = (date) => date?.toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+const getOutcomeLabel = (outcomeId) => SHOT_OUTCOMES.find(outcome => outcome.id === outcomeId)?.label || outcomeId;
+
+/**
+ * Summary page for one practice session
+ * @param {Object} props
+ * @param {string} props.sessionId - The session to show
+ * @param {Function} props.navigateTo - Navigation function
+ * @param {Function} props.onSelectSwing - Called with a swing to open its analysis
+ * @param {Function} props.onEndSession - Ends the session (shown while it is active)
+ */
+const SessionSummary = ({ sessionId, navigateTo, onSelectSwing, onEndSession }) => {
+  const { currentUser } = useAuth();
+  const [session, setSession] = useState(null);
+  const [swings, setSwings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSession = async () => {
+      if (!currentUser || !sessionId) {
+        setLoading(false);
+        return;
+      }
+      setLoading(true);
+      try {
+        const [sessionData, sessionSwings] = await Promise.all([
+          sessionService.getSession(sessionId, currentUser.uid),
+          sessionService.getSessionSwings(sessionId, currentUser.uid)
+        ]);
+        setSession(sessionData);
+        setSwings(sessionSwings);
+      } catch (err) {
+        console.error('Error loading session:', err);
+        setError('Failed to load this session. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSession();
+  }, [currentUser, sessionId]);
+
+  if (loading) {
+    return (
+      <div className="card">
+        <h2>Loading Session...</h2>
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error || !session) {
+    return (
+      <div className="card">
+        <h2>Session Summary</h2>
+        <p>{error || 'This session could not be found.'}</p>
+        <button className="button" onClick={() => navigateTo('dashboard')}>Go to Dashboard</button>
+      </div>
+    );
+  }
+
+  const summary = summarizeSession(swings);
+  const isActive = session.status === 'active';
+
+  const handleEnd = async () => {
+    await onEndSession(session.id);
+    setSession(prev => ({ ...prev, status: 'ended', endedAt: new Date() }));
+  };
+
+  const renderDistribution = (title, entries, getLabel = (value) => value) => (
+    <div style={{ flex: '1 1 220px' }}>
+      <h4 style={{ margin: '0 0 10px 0' }}>{title}</h4>
+      {entries.length === 0 ? (
+        <p style={{ color: '#999', fontSize: '0.9rem', margin: 0 }}>Not recorded</p>
+      ) : entries.map(entry => (
+        <div key={entry.value} style={{ marginBottom: '8px', fontSize: '0.9rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>{getLabel(entry.value)}</span>
+            <span style={{ color: '#666' }}>{entry.count} ({entry.percentage}%)</span>
+          </div>
+          <div style={{ height: '6px', backgroundColor: '#eee', borderRadius: '3px', marginTop: '3px' }}>
+            <div style={{
+              width: `${entry.percentage}%`,
+              height: '100%',
+              backgroundColor: '#546e47',
+              borderRadius: '3px'
+            }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px' }}>
+        <div>
+          <h2 style={{ margin: 0 }}>{getSessionLocationLabel(session.location)} Session</h2>
+          <p style={{ color: '#666', margin: '5px 0 0 0' }}>
+            {formatDateTime(session.startedAt)}
+            {session.endedAt ? ` – ${formatDateTime(session.endedAt)}` : ' (in progress)'}
+          </p>
+        </div>
+        {isActive && onEndSession && (
+          <button className="button" onClick={handleEnd}>End Session</button>
+        )}
+      </div>
+
+      {(session.goal || session.notes) && (
+        <div style={{ margin: '15px 0', padding: '12px 15px', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+          {session.goal && <div><strong>Goal:</strong> {session.goal}</div>}
+          {session.notes && <div style={{ marginTop: session.goal ? '5px' : 0 }}><strong>Notes:</strong> {session.notes}</div>}
+        </div>
+      )}
+
+      {!summary ? (
+        <p style={{ marginTop: '20px' }}>No swings have been analyzed in this session yet.</p>
+      ) : (
+        <>
+          {/* Headline numbers */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', margin: '20px 0' }}>
+            {[
+              { label: 'Swings', value: summary.count, color: '#333' },
+              { label: 'Average Score', value: summary.averageScore },
+              { label: 'Best Swing', value: summary.bestSwing.overallScore },
+              { label: 'Worst Swing', value: summary.worstSwing.overallScore }
+            ].map(item => (
+              <div key={item.label} style={{
+                flex: '1 1 120px',
+                padding: '15px',
+                backgroundColor: '#f8f9fa',
+                borderRadius: '10px',
+                textAlign: 'center'
+              }}>
+                <div style={{ fontSize: '2rem', fontWeight: 'bold', color: item.color || getScoreColor(item.value) }}>
+                  {item.value}
+                </div>
+                <div style={{ fontSize: '0.85rem', color: '#666' }}>{item.label}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginBottom: '25px' }}>
+            {renderDistribution('Club Mix', summary.clubMix)}
+            {renderDistribution('Shot Outcomes', summary.outcomeDistribution, getOutcomeLabel)}
+          </div>
+
+          <h3>Swings</h3>
+          {swings.map((swing, index) => (
+            <div
+              key={swing.id}
+              onClick={() => onSelectSwing(swing)}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                padding: '10px',
+                borderBottom: '1px solid #eee',
+                cursor: 'pointer'
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: '500' }}>
+                  Swing {index + 1}
+                  {swing === summary.bestSwing && <span style={{ color: '#27ae60', marginLeft: '8px' }}>Best</span>}
+                  {swing === summary.worstSwing && summary.count > 1 && (
+                    <span style={{ color: '#e74c3c', marginLeft: '8px' }}>Worst</span>
+                  )}
+                </div>
+                <div style={{ fontSize: '0.85rem', color: '#666' }}>
+                  {[swing.clubName, swing.outcome && getOutcomeLabel(swing.outcome)].filter(Boolean).join(' · ') || '—'}
+                </div>
+              </div>
+              <div style={{
+                width: '40px',
+                height: '40px',
+                borderRadius: '50%',
+                backgroundColor: getScoreColor(swing.overallScore),
+                color: 'white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontWeight: 'bold'
+              }}>
+                {Math.round(swing.overallScore)}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '15px', marginTop: '25px' }}>
+        {isActive && (
+          <button className="button" onClick={() => navigateTo('upload')}>Add Swing</button>
+        )}
+        <button className="button" onClick={() => navigateTo('dashboard')} style={{ backgroundColor: '#6c757d' }}>
+          Go to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SessionSummary;
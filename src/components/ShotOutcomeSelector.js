@@ -1,6 +1,6 @@
 import React from 'react';
 
-const SHOT_OUTCOMES = [
+export const SHOT_OUTCOMES = [
   { id: 'straight', label: 'Straight' },
   { id: 'fade', label: 'Fade/Slice' },
   { id: 'draw', label: 'Draw/Hook' },
@@ -0,0 +1,124 @@
+// src/components/StudentCoachPanel.js
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import coachService from '../services/coachService';
+
+/**
+ * A student's coach invites (accept or decline) and current coaches (leave).
+ * Renders nothing when the user has neither.
+ */
+const StudentCoachPanel = () => {
+  const { currentUser } = useAuth();
+  const [invites, setInvites] = useState([]);
+  const [coaches, setCoaches] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const loadLinks = async () => {
+      try {
+        const links = await coachService.getStudentLinks(currentUser);
+        setInvites(links.invites);
+        setCoaches(links.coaches);
+      } catch (err) {
+        // Coaching is optional; the dashboard works without it
+        console.error('Error loading coach links:', err);
+      }
+    };
+
+    loadLinks();
+  }, [currentUser]);
+
+  const handleAccept = async (invite) => {
+    setBusyId(invite.id);
+    setError(null);
+    try {
+      const link = await coachService.acceptInvite(invite, currentUser);
+      setInvites(previous => previous.filter(item => item.id !== invite.id));
+      setCoaches(previous => [...previous, link]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (link, isInvite) => {
+    if (!isInvite && !window.confirm(`Stop sharing your swings with ${link.coachName}?`)) return;
+
+    setBusyId(link.id);
+    setError(null);
+    try {
+      await coachService.removeLink(link.id);
+      if (isInvite) {
+        setInvites(previous => previous.filter(item => item.id !== link.id));
+      } else {
+        setCoaches(previous => previous.filter(item => item.id !== link.id));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (invites.length === 0 && coaches.length === 0) return null;
+
+  const linkButton = (color) => ({
+    background: 'none',
+    border: 'none',
+    color,
+    cursor: 'pointer',
+    fontSize: '0.85rem',
+    marginLeft: '10px'
+  });
+
+  return (
+    <div style={{
+      padding: '15px',
+      marginBottom: '20px',
+      backgroundColor: '#f5f9f3',
+      border: '1px solid #d4e4cc',
+      borderRadius: '10px',
+      textAlign: 'left'
+    }}>
+      {invites.map(invite => (
+        <div key={invite.id} style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '10px', marginBottom: '8px' }}>
+          <span>
+            <strong>{invite.coachName}</strong> wants to coach you. Accepting lets them see your swings and progress
+            and leave feedback on your swings.
+          </span>
+          <span style={{ whiteSpace: 'nowrap' }}>
+            <button className="button" onClick={() => handleAccept(invite)} disabled={busyId === invite.id}>
+              Accept
+            </button>
+            <button onClick={() => handleRemove(invite, true)} disabled={busyId === invite.id} style={linkButton('#666')}>
+              Decline
+            </button>
+          </span>
+        </div>
+      ))}
+
+      {coaches.length > 0 && (
+        <div style={{ fontSize: '0.9rem', color: '#546e47' }}>
+          Coached by{' '}
+          {coaches.map((coach, index) => (
+            <span key={coach.id}>
+              {index > 0 && ', '}
+              <strong>{coach.coachName}</strong>
+              <button onClick={() => handleRemove(coach, false)} disabled={busyId === coach.id} style={linkButton('#e74c3c')}>
+                Leave
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {error && <p style={{ color: '#e74c3c', fontSize: '0.85rem', margin: '8px 0 0 0' }}>{error}</p>}
+    </div>
+  );
+};
+
+export default StudentCoachPanel;
@@ -2,12 +2,16 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import SwingOwnershipHandler from './SwingOwnershipHandler';
+import SwingAnnotator from './SwingAnnotator';
+import CoachReviewPanel from './CoachReviewPanel';
 import useVideoUrl from '../hooks/useVideoUrl';
+import coachService from '../services/coachService';
 import { metricInsightsGenerator } from '../services/geminiService';
-import { getMetricInfo, getCategoryColor, getScoreColor } from '../utils/swingUtils';
+import { isUsageLimitError } from '../services/geminiProxy';
+import { getMetricInfo, getCategoryColor, getScoreColor, getScoreBand } from '../utils/swingUtils';
 import './SwingAnalysis.css';
 
-const SwingAnalysis = ({ swingData, navigateTo }) => {
+const SwingAnalysis = ({ swingData, navigateTo, onReanalyze = null, isReanalyzing = false }) => {
   const { currentUser } = useAuth();
   const [selectedMetric, setSelectedMetric] = useState(null);
   const [metricInsights, setMetricInsights] = useState(null);
@@ -31,6 +35,7 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
   
   // Handle video URL management
   const { videoUrl, isTemporary, isYouTube, hasVideo } = useVideoUrl(swingData);
+  const playerRef = useRef(null);
   
   // Get ownership information
   const ownershipHandler = SwingOwnershipHandler({ swingData });
@@ -57,6 +62,24 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
       mainTable: null
     });
   }, [swingData]);
+
+  // A linked coach opening a student's swing may mark it up too
+  const [isOwnersCoach, setIsOwnersCoach] = useState(false);
+  const viewerId = currentUser?.uid;
+  const ownerId = swingData?.userId;
+  const isOthersSavedSwing = !!(viewerId && swingData?.id && ownerId && ownerId !== viewerId && !isTemporary);
+  useEffect(() => {
+    setIsOwnersCoach(false);
+    if (!isOthersSavedSwing) return;
+
+    let cancelled = false;
+    coachService.isCoachOf(viewerId, ownerId).then(isCoach => {
+      if (!cancelled) setIsOwnersCoach(isCoach);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [viewerId, ownerId, isOthersSavedSwing]);
   
   // Toggle section expansion
   const toggleSection = (section) => {
@@ -84,7 +107,10 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
       setMetricInsights(insights);
     } catch (error) {
       console.error(`Error getting insights for ${metricKey}:`, error);
-      setError(`Failed to analyze ${getMetricInfo(metricKey).title}. Please try again.`);
+      // Limit errors carry the proxy's message saying when the user can try again
+      setError(isUsageLimitError(error)
+        ? error.message
+        : `Failed to analyze ${getMetricInfo(metricKey).title}. Please try again.`);
       
       // Use defaults as fallback
       const defaultInsights = metricInsightsGenerator.getDefaultInsights(metricKey, swingData);
@@ -255,6 +281,36 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
     };
   });
 
+  // Playback starts at address: the detected keyframe, else the trimmed in point
+  const playbackStart = swingData?.keyframes?.find(keyframe => keyframe.phase === 'address')?.time
+    ?? swingData?.trim?.address
+    ?? swingData?.trim?.start
+    ?? null;
+  
+  // The user's own saved swing; swings still waiting to sync have no final ID yet
+  const isOwnSavedSwing = !!(currentUser && swingData?.id && swingData.userId === currentUser.uid
+    && !isTemporary && swingData._syncStatus !== 'pending');
+  
+  // Jump the swing video to a storyboard keyframe
+  const seekVideo = (time) => {
+    if (playerRef.current) {
+      playerRef.current.seek(time);
+    }
+  };
+  
+  // High-confidence analyses show the range of the runs instead of a single score
+  const renderMetricScore = (metricKey, value) => {
+    const band = getScoreBand(value, swingData.metricSpread?.[metricKey]);
+    if (!band || band.low === band.high) return value;
+    return (
+      <span title={`Median ${value} across ${swingData.ensemble?.runs || 'several'} analyses`}>
+        {band.low}–{band.high}
+      </span>
+    );
+  };
+  
+  const overallBand = getScoreBand(Math.round(swingData.overallScore), swingData.overallSpread);
+
   // Render the metric insights component
   const renderMetricInsights = (metricKey, section) => {
     if (!selectedMetric || selectedMetric !== metricKey) return null;
@@ -463,6 +519,35 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
       {ownershipHandler.renderOwnershipBadge()}
       {ownershipHandler.renderStorageMessage()}
       
+      {swingData.fromCache && (
+        <div style={{ 
+          backgroundColor: '#e8f0e3', 
+          color: '#546e47', 
+          padding: '10px 15px', 
+          borderRadius: '5px', 
+          marginBottom: '15px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '10px'
+        }}>
+          <span>
+            This clip was analyzed before
+            {swingData.cachedAt && ` on ${new Date(swingData.cachedAt).toLocaleDateString()}`}
+            , so the saved analysis is shown.
+          </span>
+          {onReanalyze && (
+            <button 
+              className="button"
+              onClick={onReanalyze}
+              disabled={isReanalyzing}
+            >
+              {isReanalyzing ? 'Analyzing...' : 'Re-analyze'}
+            </button>
+          )}
+        </div>
+      )}
+      
       {error && (
         <div style={{ 
           backgroundColor: '#f8d7da', 
@@ -514,6 +599,11 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
                 <div style={{ fontSize: '1.2rem', color: '#666' }}>
                   Out of 100
                 </div>
+                {overallBand && (
+                  <div style={{ fontSize: '0.9rem', color: '#666' }}>
+                    Range {overallBand.low}–{overallBand.high} across {swingData.ensemble?.runs} analyses
+                  </div>
+                )}
                 <div style={{ fontSize: '1rem', color: '#666' }}>
                   {new Date(swingData.recordedDate).toLocaleDateString('en-US', { 
                     year: 'numeric', 
@@ -557,7 +647,7 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
                         }}
                       >
                         <span style={{ fontWeight: 'bold', marginRight: '10px', fontSize: '1.1rem', color: '#333' }}>
-                          {value}
+                          {renderMetricScore(key, value)}
                         </span>
                         <span>{metricInfo.title}</span>
                       </div>
@@ -686,7 +776,7 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
                         }}
                       >
                         <span style={{ fontWeight: 'bold', marginRight: '10px', fontSize: '1.1rem', color: '#333' }}>
-                          {value}
+                          {renderMetricScore(key, value)}
                         </span>
                         <span>{metricInfo.title}</span>
                       </div>
@@ -833,7 +923,7 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
                           fontWeight: (selectedMetric === metric.key && expandedMetric.mainTable === metric.key) || expandedMetric.mainTable === metric.key ? 'bold' : 'normal',
                           fontSize: isMobile ? '1rem' : 'inherit'
                         }}>
-                          {metric.value}
+                          {renderMetricScore(metric.key, metric.value)}
                         </td>
                         <td style={{ 
                           padding: isMobile ? '12px 8px' : '8px 10px', 
@@ -973,6 +1063,59 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
           </div>
         )}
         
+        {/* Storyboard of the detected swing keyframes */}
+        {swingData.keyframes?.length > 0 && (
+          <div style={{ marginTop: '20px' }}>
+            <h3 style={{ 
+              margin: '0 0 10px 0', 
+              color: '#333',
+              fontSize: isMobile ? '1.1rem' : '1.3rem'
+            }}>
+              Swing Storyboard
+            </h3>
+            <div style={{ 
+              display: 'grid', 
+              gridTemplateColumns: `repeat(${isMobile ? 2 : swingData.keyframes.length}, 1fr)`, 
+              gap: '10px' 
+            }}>
+              {swingData.keyframes.map(keyframe => (
+                <button
+                  key={keyframe.phase}
+                  onClick={() => seekVideo(keyframe.time)}
+                  disabled={!keyframe.image}
+                  style={{
+                    padding: 0,
+                    border: '1px solid #ddd',
+                    borderRadius: '8px',
+                    overflow: 'hidden',
+                    backgroundColor: 'white',
+                    cursor: hasVideo && !isYouTube ? 'pointer' : 'default'
+                  }}
+                >
+                  {keyframe.image && (
+                    <img 
+                      src={keyframe.image} 
+                      alt={`${keyframe.phase} position`} 
+                      style={{ width: '100%', display: 'block' }}
+                    />
+                  )}
+                  <div style={{ padding: '5px', fontSize: '0.85rem', color: '#546e47', textTransform: 'capitalize' }}>
+                    {keyframe.phase} · {keyframe.time.toFixed(2)}s
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+        
+        {/* The stored video was removed by the retention policy */}
+        {!hasVideo && swingData.videoExpiredAt && (
+          <p style={{ marginTop: '20px', fontSize: '0.9rem', color: '#666', textAlign: 'center' }}>
+            The video of this swing was removed on {new Date(swingData.videoExpiredAt).toLocaleDateString()} to save
+            storage{swingData.keyframes?.length > 0 ? '; the storyboard keyframes are kept' : ''}.
+          </p>
+        )}
+        
         {/* Video Display - Mobile optimized */}
         {hasVideo && (
           <div className="video-container" style={{ 
@@ -981,7 +1124,7 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
             justifyContent: 'center',
             borderRadius: '8px',
             overflow: 'hidden',
-            backgroundColor: '#2c3e50'
+            backgroundColor: isYouTube ? '#2c3e50' : 'transparent'
           }}>
             {isYouTube ? (
               <iframe
@@ -1000,20 +1143,40 @@ const SwingAnalysis = ({ swingData, navigateTo }) => {
                 }}
               ></iframe>
             ) : (
-              <video
+              <SwingAnnotator
+                ref={playerRef}
+                swing={swingData}
                 src={videoUrl}
-                controls
-                playsInline
-                style={{ 
-                  maxWidth: '100%', 
-                  maxHeight: isMobile ? '240px' : '400px', 
-                  borderRadius: '8px',
-                  backgroundColor: '#2c3e50'
-                }}
-              ></video>
+                initialTime={playbackStart}
+                compact={isMobile}
+                canAnnotate={isOwnSavedSwing || isOwnersCoach}
+                author={currentUser}
+              />
             )}
           </div>
         )}
+        
+        {isOwnSavedSwing && (
+          <div style={{ marginTop: '15px', textAlign: 'center' }}>
+            <button
+              onClick={() => navigateTo('swing-compare', { swingId: swingData.id })}
+              style={{
+                background: 'none',
+                border: 'none',
+                color: '#546e47',
+                cursor: 'pointer',
+                textDecoration: 'underline',
+                fontSize: '0.9rem'
+              }}
+            >
+              Compare with another of your swings
+            </button>
+          </div>
+        )}
+        
+        {swingData?.id && !isTemporary && swingData._syncStatus !== 'pending' && (
+          <CoachReviewPanel swing={swingData} isOwner={isOwnSavedSwing} />
+        )}
       </div>
       
       {/* Bottom Navigation */}
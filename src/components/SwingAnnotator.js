@@ -0,0 +1,419 @@
+// src/components/SwingAnnotator.js
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import SwingPlayer from './SwingPlayer';
+import annotationService from '../services/annotationService';
+
+export const ANNOTATION_TOOLS = [
+  { id: 'plane', label: 'Swing Plane', type: 'line', color: '#f39c12' },
+  { id: 'head', label: 'Head', type: 'circle', color: '#e74c3c' },
+  { id: 'spine', label: 'Spine Angle', type: 'line', color: '#3498db' },
+  { id: 'arrow', label: 'Arrow', type: 'arrow', color: '#2ecc71' }
+];
+
+// Video seconds an annotation stays on screen after its frame during playback
+const ANNOTATION_HOLD_SECONDS = 0.5;
+
+// Free-hand points closer than this (as a fraction of the frame) are dropped
+const MIN_POINT_DISTANCE = 0.005;
+
+// Shorter strokes are treated as accidental taps
+const MIN_SHAPE_SIZE = 0.01;
+
+const DEFAULT_FRAME_RATE = 30;
+
+/**
+ * Keep stored coordinates short; 4 decimals is well under a pixel
+ * @param {Object} point - { x, y } as fractions of the frame
+ * @returns {Object} Rounded point
+ */
+const roundPoint = ({ x, y }) => ({
+  x: Math.round(x * 10000) / 10000,
+  y: Math.round(y * 10000) / 10000
+});
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+/**
+ * Angle of a line drawn on the frame, in pixels so the video's aspect ratio is respected
+ * @param {Object} start - Start point in pixels
+ * @param {Object} end - End point in pixels
+ * @param {string} reference - 'vertical' (spine angle) or 'horizontal' (swing plane)
+ * @returns {number} Angle in degrees, 0-90
+ */
+const getLineAngle = (start, end, reference) => {
+  const dx = Math.abs(end.x - start.x);
+  const dy = Math.abs(end.y - start.y);
+  const radians = reference === 'vertical' ? Math.atan2(dx, dy) : Math.atan2(dy, dx);
+  return radians * 180 / Math.PI;
+};
+
+/**
+ * Draw one annotation shape on the overlay canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} shape - { tool, type, color, points } with points as fractions of the frame
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ */
+const drawShape = (ctx, shape, width, height) => {
+  const points = (shape.points || []).map(point => ({ x: point.x * width, y: point.y * height }));
+  if (points.length === 0) return;
+
+  const lineWidth = Math.max(2, width / 200);
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  const start = points[0];
+  const end = points[points.length - 1];
+
+  if (shape.type === 'circle') {
+    ctx.beginPath();
+    ctx.arc(start.x, start.y, distance(start, end), 0, Math.PI * 2);
+    ctx.stroke();
+    return;
+  }
+
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+  ctx.stroke();
+
+  if (shape.type === 'arrow' && points.length > 1) {
+    // Aim the head from a few points back so jitter at the end of the stroke doesn't twist it
+    const base = points[Math.max(0, points.length - 4)];
+    const angle = Math.atan2(end.y - base.y, end.x - base.x);
+    const headLength = lineWidth * 5;
+    ctx.beginPath();
+    ctx.moveTo(end.x, end.y);
+    ctx.lineTo(end.x - headLength * Math.cos(angle - Math.PI / 6), end.y - headLength * Math.sin(angle - Math.PI / 6));
+    ctx.lineTo(end.x - headLength * Math.cos(angle + Math.PI / 6), end.y - headLength * Math.sin(angle + Math.PI / 6));
+    ctx.closePath();
+    ctx.fill();
+    return;
+  }
+
+  // Label plane and spine lines with their angle
+  if (shape.type === 'line' && distance(start, end) > 0) {
+    const angle = getLineAngle(start, end, shape.tool === 'spine' ? 'vertical' : 'horizontal');
+    const label = `${Math.round(angle)}°`;
+    ctx.font = `bold ${Math.max(12, Math.round(width / 40))}px sans-serif`;
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    const labelX = (start.x + end.x) / 2 + lineWidth * 3;
+    const labelY = (start.y + end.y) / 2;
+    ctx.strokeText(label, labelX, labelY);
+    ctx.fillText(label, labelX, labelY);
+  }
+};
+
+/**
+ * Swing player with a drawing overlay. Lines, circles and arrows drawn on a paused frame
+ * are saved to Firestore for that frame and shown again when playback passes it.
+ *
+ * The ref exposes the same seek(time), play() and pause() as SwingPlayer.
+ * @param {Object} props
+ * @param {Object} props.swing - The swing ({ id, userId, keyframes, videoInfo })
+ * @param {string} props.src - Video URL
+ * @param {number} props.initialTime - Where to cue the video once it loads
+ * @param {boolean} props.compact - Smaller player for narrow screens
+ * @param {boolean} props.canAnnotate - Whether the current user may draw on this swing
+ * @param {Object} props.author - The current user ({ uid, displayName })
+ */
+const SwingAnnotator = forwardRef(({ swing, src, initialTime = null, compact = false, canAnnotate = false, author = null }, ref) => {
+  const playerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const drawRef = useRef(null);
+  const [annotations, setAnnotations] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [tool, setTool] = useState(ANNOTATION_TOOLS[0]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const swingId = swing?.id;
+  const swingOwnerId = swing?.userId;
+  const frameRate = swing?.videoInfo?.frameRate || DEFAULT_FRAME_RATE;
+  const halfFrame = 0.5 / frameRate;
+
+  useImperativeHandle(ref, () => ({
+    seek: (time) => playerRef.current?.seek(time),
+    play: () => playerRef.current?.play(),
+    pause: () => playerRef.current?.pause()
+  }), []);
+
+  // Load everyone's annotations for the swing
+  useEffect(() => {
+    setAnnotations([]);
+    setEditing(false);
+    setError(null);
+    if (!swingId) return undefined;
+
+    let cancelled = false;
+    annotationService.getSwingAnnotations({ id: swingId, userId: swingOwnerId })
+      .then(result => {
+        if (!cancelled) setAnnotations(result);
+      })
+      .catch(err => {
+        console.error('Error loading annotations:', err);
+        if (!cancelled) setError('Could not load the annotations for this swing');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [swingId, swingOwnerId]);
+
+  const isOnFrame = (annotation) => Math.abs(annotation.time - currentTime) < halfFrame;
+
+  // While drawing only the paused frame's annotations are shown; during playback each
+  // annotation is held on screen for a moment after its frame
+  const visibleAnnotations = annotations.filter(annotation => (editing
+    ? isOnFrame(annotation)
+    : currentTime >= annotation.time - halfFrame && currentTime <= annotation.time + ANNOTATION_HOLD_SECONDS));
+
+  const ownFrame = author ? annotations.find(annotation => annotation.authorId === author.uid && isOnFrame(annotation)) : null;
+
+  drawRef.current = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    visibleAnnotations.forEach(annotation => {
+      annotation.shapes.forEach(shape => drawShape(ctx, shape, width, height));
+    });
+    if (draft) drawShape(ctx, draft, width, height);
+  };
+
+  // Redraw after every render; there are only ever a handful of shapes on screen
+  useEffect(() => {
+    drawRef.current();
+  });
+
+  // The overlay follows the video's size
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || typeof ResizeObserver === 'undefined') return undefined;
+
+    const observer = new ResizeObserver(() => drawRef.current());
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [src]);
+
+  const saveOwnFrame = async (shapes) => {
+    const time = ownFrame ? ownFrame.time : currentTime;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await annotationService.saveFrameAnnotations(swing, author, time, shapes);
+      setAnnotations(previous => {
+        const others = previous.filter(annotation => annotation.id !== (ownFrame?.id || saved?.id));
+        return saved ? [...others, saved].sort((a, b) => a.time - b.time) : others;
+      });
+    } catch (err) {
+      console.error('Error saving annotation:', err);
+      setError('Could not save the annotation. Check your connection and try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Convert a pointer position to a point on the frame (fractions of its width and height)
+  const pointFromEvent = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!editing || saving) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    playerRef.current?.pause();
+
+    const point = pointFromEvent(e);
+    setDraft({
+      tool: tool.id,
+      type: tool.type,
+      color: tool.color,
+      points: tool.type === 'arrow' ? [point] : [point, point]
+    });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const point = pointFromEvent(e);
+
+    if (draft.type === 'arrow') {
+      const last = draft.points[draft.points.length - 1];
+      if (distance(last, point) >= MIN_POINT_DISTANCE) {
+        setDraft({ ...draft, points: [...draft.points, point] });
+      }
+    } else {
+      setDraft({ ...draft, points: [draft.points[0], point] });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const shape = { ...draft, points: draft.points.map(roundPoint) };
+    setDraft(null);
+
+    const size = distance(shape.points[0], shape.points[shape.points.length - 1]);
+    if (size < MIN_SHAPE_SIZE) return;
+
+    saveOwnFrame([...(ownFrame?.shapes || []), shape]);
+  };
+
+  const handleUndo = () => {
+    if (!ownFrame) return;
+    saveOwnFrame(ownFrame.shapes.slice(0, -1));
+  };
+
+  const handleClearFrame = () => {
+    if (!ownFrame) return;
+    saveOwnFrame([]);
+  };
+
+  const toggleEditing = () => {
+    if (!editing) playerRef.current?.pause();
+    setDraft(null);
+    setEditing(!editing);
+  };
+
+  const formatAuthor = (annotation) => (
+    author && annotation.authorId === author.uid ? '' : ` · ${annotation.authorName || 'Coach'}`
+  );
+
+  const buttonStyle = (active = false, color = '#546e47') => ({
+    padding: '5px 10px',
+    fontSize: '0.8rem',
+    backgroundColor: active ? color : 'white',
+    color: active ? 'white' : color,
+    border: `1px solid ${color}`,
+    borderRadius: '4px',
+    cursor: saving ? 'default' : 'pointer',
+    opacity: saving ? 0.7 : 1
+  });
+
+  return (
+    <div style={{ width: '100%' }}>
+      <SwingPlayer
+        ref={playerRef}
+        src={src}
+        keyframes={swing?.keyframes}
+        initialTime={initialTime}
+        frameRate={swing?.videoInfo?.frameRate}
+        compact={compact}
+        onTimeUpdate={setCurrentTime}
+      >
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDraft(null)}
+          style={{
+            position: 'absolute',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            pointerEvents: editing ? 'auto' : 'none',
+            cursor: editing ? 'crosshair' : 'default',
+            touchAction: 'none'
+          }}
+        />
+      </SwingPlayer>
+
+      {canAnnotate && (
+        <div style={{ marginTop: '10px' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+            <button onClick={toggleEditing} style={buttonStyle(editing)}>
+              {editing ? 'Done Drawing' : 'Draw on Frame'}
+            </button>
+
+            {editing && ANNOTATION_TOOLS.map(option => (
+              <button
+                key={option.id}
+                onClick={() => setTool(option)}
+                disabled={saving}
+                style={buttonStyle(tool.id === option.id, option.color)}
+              >
+                {option.label}
+              </button>
+            ))}
+
+            {editing && (
+              <>
+                <button onClick={handleUndo} disabled={saving || !ownFrame} style={buttonStyle()}>
+                  Undo
+                </button>
+                <button onClick={handleClearFrame} disabled={saving || !ownFrame} style={buttonStyle()}>
+                  Clear Frame
+                </button>
+              </>
+            )}
+          </div>
+
+          {editing && (
+            <p style={{ fontSize: '0.8rem', color: '#666', margin: '6px 0 0 0' }}>
+              Drawing on the frame at {currentTime.toFixed(2)}s. Each shape is saved to this frame and
+              shown again when playback reaches it.
+            </p>
+          )}
+        </div>
+      )}
+
+      {annotations.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center', marginTop: '10px', fontSize: '0.8rem' }}>
+          <span style={{ color: '#666' }}>Annotated frames:</span>
+          {annotations.map(annotation => (
+            <button
+              key={annotation.id}
+              onClick={() => playerRef.current?.seek(annotation.time)}
+              style={{
+                padding: '3px 8px',
+                fontSize: '0.75rem',
+                backgroundColor: isOnFrame(annotation) ? '#546e47' : '#f0f4e8',
+                color: isOnFrame(annotation) ? 'white' : '#546e47',
+                border: 'none',
+                borderRadius: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              {annotation.time.toFixed(2)}s{formatAuthor(annotation)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div style={{ color: '#e74c3c', fontSize: '0.85rem', marginTop: '8px' }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+});
+
+SwingAnnotator.displayName = 'SwingAnnotator';
+
+export default SwingAnnotator;
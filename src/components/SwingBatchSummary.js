@@ -0,0 +1,188 @@
+// src/components/SwingBatchSummary.js
+import React from 'react';
+import { getMetricInfo, getScoreColor, summarizeSwingSet } from '../utils/swingUtils';
+
+// Number of metrics listed as most/least consistent
+const CONSISTENCY_LIST_SIZE = 3;
+
+const formatTime = (seconds) => `${Number(seconds).toFixed(1)}s`;
+
+/**
+ * Summary of the swings split from one recording (one session)
+ * @param {Object} props
+ * @param {Object} props.batch - { sessionId, isSavedSession, videoName, swings, failed, limitStop }
+ *   (limitStop is { message, unprocessed } when a usage limit ended the batch early)
+ * @param {Function} props.navigateTo - Navigation function
+ * @param {Function} props.onSelectSwing - Called with a swing to open its analysis
+ */
+const SwingBatchSummary = ({ batch, navigateTo, onSelectSwing }) => {
+  if (!batch || !batch.swings?.length) {
+    return (
+      <div className="card">
+        <h2>No Session Results</h2>
+        <p>Upload a video with several swings to analyze them as a session.</p>
+        <button className="button" onClick={() => navigateTo('upload')} style={{ marginTop: '15px' }}>
+          Upload Video
+        </button>
+      </div>
+    );
+  }
+
+  const summary = summarizeSwingSet(batch.swings);
+  const metricEntries = Object.entries(summary.metrics);
+  const mostConsistent = metricEntries.slice(0, CONSISTENCY_LIST_SIZE);
+  const leastConsistent = metricEntries.slice(-CONSISTENCY_LIST_SIZE).reverse();
+  const swingNumber = (swing) => (swing.segmentIndex ?? batch.swings.indexOf(swing)) + 1;
+
+  const scoreBadge = (score) => (
+    <span style={{
+      display: 'inline-block',
+      minWidth: '40px',
+      padding: '4px 8px',
+      borderRadius: '12px',
+      backgroundColor: getScoreColor(score),
+      color: 'white',
+      fontWeight: 'bold',
+      textAlign: 'center'
+    }}>
+      {score}
+    </span>
+  );
+
+  const renderConsistencyList = (title, entries) => (
+    <div style={{ flex: '1 1 220px' }}>
+      <h4 style={{ margin: '0 0 10px 0' }}>{title}</h4>
+      {entries.map(([key, stats]) => (
+        <div key={key} style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          padding: '6px 0',
+          borderBottom: '1px solid #eee',
+          fontSize: '0.9rem'
+        }}>
+          <span>{getMetricInfo(key).title}</span>
+          <span style={{ color: '#666' }}>
+            {stats.min}–{stats.max} (±{stats.stdDev})
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="card">
+      <h2 style={{ marginTop: 0 }}>Session Summary</h2>
+      <p style={{ color: '#666', marginTop: 0 }}>
+        {summary.count} swing{summary.count === 1 ? '' : 's'} analyzed
+        {batch.videoName ? ` from ${batch.videoName}` : ''}
+      </p>
+
+      {/* Headline numbers */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', marginBottom: '25px' }}>
+        {[
+          { label: 'Average Score', value: summary.averageScore },
+          { label: `Best (Swing ${swingNumber(summary.bestSwing)})`, value: summary.bestSwing.overallScore },
+          { label: `Lowest (Swing ${swingNumber(summary.worstSwing)})`, value: summary.worstSwing.overallScore }
+        ].map(item => (
+          <div key={item.label} style={{
+            flex: '1 1 140px',
+            padding: '15px',
+            backgroundColor: '#f8f9fa',
+            borderRadius: '10px',
+            textAlign: 'center'
+          }}>
+            <div style={{ fontSize: '2rem', fontWeight: 'bold', color: getScoreColor(item.value) }}>
+              {item.value}
+            </div>
+            <div style={{ fontSize: '0.85rem', color: '#666' }}>{item.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Consistency across the session */}
+      {summary.count > 1 && metricEntries.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginBottom: '25px' }}>
+          {renderConsistencyList('Most Consistent', mostConsistent)}
+          {renderConsistencyList('Least Consistent', leastConsistent)}
+        </div>
+      )}
+
+      {/* Individual swings */}
+      <h3>Swings</h3>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+            <th style={{ padding: '8px' }}>Swing</th>
+            <th style={{ padding: '8px' }}>Time in Video</th>
+            <th style={{ padding: '8px' }}>Score</th>
+            <th style={{ padding: '8px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {batch.swings.map(swing => (
+            <tr key={swingNumber(swing)} style={{ borderBottom: '1px solid #eee' }}>
+              <td style={{ padding: '8px' }}>Swing {swingNumber(swing)}</td>
+              <td style={{ padding: '8px', color: '#666' }}>
+                {swing.trim ? `${formatTime(swing.trim.start)} – ${formatTime(swing.trim.end)}` : '—'}
+              </td>
+              <td style={{ padding: '8px' }}>{scoreBadge(swing.overallScore)}</td>
+              <td style={{ padding: '8px', textAlign: 'right' }}>
+                <button
+                  className="button"
+                  onClick={() => onSelectSwing(swing)}
+                  style={{ padding: '6px 12px', fontSize: '0.85rem' }}
+                >
+                  View Analysis
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {batch.failed?.length > 0 && (
+        <div style={{
+          marginTop: '20px',
+          padding: '12px 15px',
+          backgroundColor: '#fff3cd',
+          color: '#856404',
+          borderRadius: '8px',
+          fontSize: '0.9rem'
+        }}>
+          {batch.failed.length} swing{batch.failed.length === 1 ? '' : 's'} could not be analyzed
+          ({batch.failed.map(item => `Swing ${item.segmentIndex + 1}`).join(', ')}).
+        </div>
+      )}
+
+      {batch.limitStop && (
+        <div style={{
+          marginTop: '20px',
+          padding: '12px 15px',
+          backgroundColor: '#f8d7da',
+          color: '#721c24',
+          borderRadius: '8px',
+          fontSize: '0.9rem'
+        }}>
+          {batch.limitStop.message} {batch.limitStop.unprocessed} swing{batch.limitStop.unprocessed === 1 ? ' was' : 's were'} not
+          analyzed - upload the video again once your limit resets.
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '15px', marginTop: '25px' }}>
+        {batch.isSavedSession && (
+          <button className="button" onClick={() => navigateTo('session-summary', { sessionId: batch.sessionId })}>
+            View Session
+          </button>
+        )}
+        <button className="button" onClick={() => navigateTo('upload')}>
+          Upload Another Video
+        </button>
+        <button className="button" onClick={() => navigateTo('dashboard')} style={{ backgroundColor: '#6c757d' }}>
+          Go to Dashboard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SwingBatchSummary;
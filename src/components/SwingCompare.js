@@ -0,0 +1,281 @@
+// src/components/SwingCompare.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import firestoreService from '../services/firestoreService';
+import SyncedSwingPlayer from './SyncedSwingPlayer';
+import { getSyncAnchor, getMetricDeltas } from '../utils/swingComparison';
+import { getScoreColor } from '../utils/swingUtils';
+
+/**
+ * Short description of a swing for the pickers and labels
+ * @param {Object} swing - Swing data
+ * @returns {string} e.g. "Mar 4, 2025 · 7 Iron · 72"
+ */
+const describeSwing = (swing) => {
+  const date = new Date(swing.recordedDate || swing.date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  return [date, swing.clubName, swing.overallScore].filter(part => part !== null && part !== undefined && part !== '').join(' · ');
+};
+
+const hasPlayableVideo = (swing) => !!(swing?.videoUrl
+  && swing.videoUrl !== 'non-user-swing'
+  && !swing.isYouTubeVideo);
+
+/**
+ * Default pair to compare: the chosen (or latest) swing and an earlier swing with the same
+ * club, falling back to the swing before it
+ * @param {Array} swings - The user's swings, newest first
+ * @param {string} swingId - Swing to start from (optional)
+ * @returns {Array<string|null>} [earlier swing ID, later swing ID]
+ */
+const getDefaultPair = (swings, swingId) => {
+  if (swings.length < 2) return [null, null];
+
+  const laterIndex = Math.max(0, swings.findIndex(swing => swing.id === swingId));
+  const later = swings[laterIndex];
+  const older = swings.slice(laterIndex + 1);
+  const earlier = older.find(swing => later.clubName && swing.clubName === later.clubName)
+    || older[0]
+    || swings.find(swing => swing.id !== later.id);
+
+  return [earlier.id, later.id];
+};
+
+/**
+ * Compare two of the user's own swings: synced video (side by side or overlaid) and the
+ * change in each metric
+ * @param {Object} props
+ * @param {Function} props.navigateTo - Navigation function
+ * @param {Array} props.swingHistory - Swings already loaded in the app (used if loading fails)
+ * @param {string} props.initialSwingId - Swing to compare first (optional)
+ */
+const SwingCompare = ({ navigateTo, swingHistory = [], initialSwingId = null }) => {
+  const { currentUser } = useAuth();
+  const [swings, setSwings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selection, setSelection] = useState([null, null]);
+  const [mode, setMode] = useState('side');
+  const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+
+  useEffect(() => {
+    const handleResize = () => setIsMobile(window.innerWidth <= 768);
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  useEffect(() => {
+    const loadSwings = async () => {
+      setLoading(true);
+      let loaded = [];
+      try {
+        loaded = currentUser ? await firestoreService.getUserSwings(currentUser.uid) : [];
+      } catch (error) {
+        console.error('Error loading swings to compare:', error);
+      }
+
+      // Fall back to what the app already has (e.g. offline), own swings only
+      if (loaded.length === 0) {
+        loaded = (swingHistory || [])
+          .filter(swing => !swing.swingOwnership || swing.swingOwnership === 'self')
+          .sort((a, b) => new Date(b.recordedDate) - new Date(a.recordedDate));
+      }
+
+      setSwings(loaded);
+      setSelection(getDefaultPair(loaded, initialSwingId));
+      setLoading(false);
+    };
+
+    loadSwings();
+  }, [currentUser, initialSwingId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const [first, second] = selection.map(id => swings.find(swing => swing.id === id) || null);
+
+  const deltas = useMemo(() => (first && second ? getMetricDeltas(first, second) : []), [first, second]);
+
+  const clips = useMemo(() => {
+    if (!hasPlayableVideo(first) || !hasPlayableVideo(second)) return null;
+    return [first, second].map(swing => {
+      const anchor = getSyncAnchor(swing);
+      return {
+        src: swing.videoUrl,
+        label: describeSwing(swing),
+        anchor: anchor.time,
+        anchorPhase: anchor.phase,
+        start: swing.trim?.start ?? null,
+        end: swing.trim?.end ?? null,
+        frameRate: swing.videoInfo?.frameRate
+      };
+    });
+  }, [first, second]);
+
+  const selectSwing = (index, swingId) => {
+    setSelection(previous => previous.map((id, i) => (i === index ? swingId : id)));
+  };
+
+  const formatDelta = (delta) => {
+    if (delta === null) return '—';
+    if (delta === 0) return '0';
+    return delta > 0 ? `+${delta}` : `${delta}`;
+  };
+
+  const deltaColor = (delta) => {
+    if (!delta) return '#666';
+    return delta > 0 ? '#27ae60' : '#e74c3c';
+  };
+
+  if (loading) {
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', padding: '20px' }}>
+        <div className="spinner"></div>
+        <p>Loading your swings...</p>
+      </div>
+    );
+  }
+
+  if (swings.length < 2) {
+    return (
+      <div className="card">
+        <h2>Compare Swings</h2>
+        <p>You need at least two analyzed swings of your own to compare them.</p>
+        <button className="button" onClick={() => navigateTo('upload')} style={{ marginTop: '15px' }}>
+          Upload Swing
+        </button>
+      </div>
+    );
+  }
+
+  const unsyncedClips = (clips || []).filter(clip => clip.anchorPhase !== 'impact');
+
+  const selectStyle = {
+    width: '100%',
+    padding: '8px',
+    borderRadius: '5px',
+    border: '1px solid #ddd',
+    marginTop: '5px'
+  };
+
+  return (
+    <div className="card">
+      <h2>Compare Swings</h2>
+      <p>Pick two of your swings to play them side by side, lined up on impact.</p>
+
+      <div style={{
+        display: 'flex',
+        flexDirection: isMobile ? 'column' : 'row',
+        gap: '15px',
+        alignItems: isMobile ? 'stretch' : 'flex-end',
+        marginBottom: '20px'
+      }}>
+        {['Swing A', 'Swing B'].map((label, index) => (
+          <label key={label} style={{ flex: 1, fontSize: '0.9rem', fontWeight: '500' }}>
+            {label}
+            <select
+              value={selection[index] || ''}
+              onChange={(e) => selectSwing(index, e.target.value)}
+              style={selectStyle}
+            >
+              {swings.map(swing => (
+                <option key={swing.id} value={swing.id} disabled={swing.id === selection[1 - index]}>
+                  {describeSwing(swing)}{hasPlayableVideo(swing) ? '' : ' (no video)'}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <button
+          onClick={() => setSelection([selection[1], selection[0]])}
+          className="button"
+          style={{ whiteSpace: 'nowrap' }}
+        >
+          Swap
+        </button>
+      </div>
+
+      {clips ? (
+        <>
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+            {[{ id: 'side', label: 'Side by Side' }, { id: 'onion', label: 'Onion Skin' }].map(option => (
+              <button
+                key={option.id}
+                onClick={() => setMode(option.id)}
+                style={{
+                  padding: '6px 14px',
+                  fontSize: '0.85rem',
+                  backgroundColor: mode === option.id ? '#546e47' : 'white',
+                  color: mode === option.id ? 'white' : '#546e47',
+                  border: '1px solid #546e47',
+                  borderRadius: '15px',
+                  cursor: 'pointer'
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <SyncedSwingPlayer clips={clips} mode={mode} compact={isMobile} />
+
+          {unsyncedClips.length > 0 && (
+            <p style={{ fontSize: '0.85rem', color: '#666', marginTop: '8px' }}>
+              No impact frame was found for {unsyncedClips.map(clip => clip.label).join(' or ')}, so it is
+              lined up on the start of the swing instead.
+            </p>
+          )}
+        </>
+      ) : (
+        <p style={{ fontSize: '0.9rem', color: '#666' }}>
+          Both swings need a stored video to play them together. The metric comparison is below.
+        </p>
+      )}
+
+      {/* Per-metric change from swing A to swing B */}
+      {first && second && (
+        <div style={{ marginTop: '25px', overflowX: 'auto' }}>
+          <h3 style={{ margin: '0 0 10px 0' }}>Metric Changes</h3>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                <th style={{ padding: '8px' }}>Metric</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>A</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>B</th>
+                <th style={{ padding: '8px', textAlign: 'right' }}>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deltas.map(row => (
+                <tr
+                  key={row.key}
+                  style={{
+                    borderBottom: '1px solid #eee',
+                    fontWeight: row.key === 'overallScore' ? 'bold' : 'normal'
+                  }}
+                >
+                  <td style={{ padding: '8px' }}>
+                    {row.title}
+                    {row.category && (
+                      <span style={{ marginLeft: '6px', fontSize: '0.75rem', color: '#999' }}>{row.category}</span>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right', color: row.before !== null ? getScoreColor(row.before) : '#999' }}>
+                    {row.before ?? '—'}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right', color: row.after !== null ? getScoreColor(row.after) : '#999' }}>
+                    {row.after ?? '—'}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'right', fontWeight: 'bold', color: deltaColor(row.delta) }}>
+                    {formatDelta(row.delta)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SwingCompare;
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../firebase/firebase';
 import { getMetricInfo, getScoreColor } from '../utils/swingUtils';
+import useVideoUrl from '../hooks/useVideoUrl';
+import SwingPlayer from './SwingPlayer';
 
 const SwingComparisonComponent = ({ metricKey, userValue, swingData }) => {
   const [referenceData, setReferenceData] = useState(null);
@@ -11,6 +13,7 @@ const SwingComparisonComponent = ({ metricKey, userValue, swingData }) => {
   // Get the metric info for display
   const metricInfo = getMetricInfo(metricKey);
   const metricName = metricInfo.title || metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+  const { videoUrl, isYouTube } = useVideoUrl(swingData);
   
   useEffect(() => {
     const loadReferenceData = async () => {
@@ -36,6 +39,32 @@ const SwingComparisonComponent = ({ metricKey, userValue, swingData }) => {
     loadReferenceData();
   }, [metricKey]);
   
+  // The user's swing, cued to the phase where this metric is judged
+  const renderSwingClip = () => {
+    if (!videoUrl || isYouTube) return null;
+
+    const keyframes = swingData.keyframes || [];
+    const cueTime = keyframes.find(keyframe => keyframe.phase === metricInfo.phase)?.time
+      ?? keyframes.find(keyframe => keyframe.phase === 'address')?.time
+      ?? swingData.trim?.start
+      ?? null;
+
+    return (
+      <div className="mt-2">
+        <div className="text-xs font-medium mb-1">
+          Your Swing{metricInfo.phase ? ` at ${metricInfo.phase}` : ''}
+        </div>
+        <SwingPlayer
+          src={videoUrl}
+          keyframes={keyframes}
+          initialTime={cueTime}
+          frameRate={swingData.videoInfo?.frameRate}
+          compact
+        />
+      </div>
+    );
+  };
+  
   if (loading) {
     return <div className="text-sm text-gray-400">Loading comparison data...</div>;
   }
@@ -55,6 +84,7 @@ const SwingComparisonComponent = ({ metricKey, userValue, swingData }) => {
             <p><strong>Reference:</strong> {metricInfo.description}</p>
             <p className="mt-1"><strong>Difficulty:</strong> {metricInfo.difficulty}/10</p>
             <p className="mt-1"><strong>Category:</strong> {metricInfo.category}</p>
+            {renderSwingClip()}
             {metricInfo.exampleUrl && (
               <p className="mt-2">
                 <a 
@@ -86,6 +116,8 @@ const SwingComparisonComponent = ({ metricKey, userValue, swingData }) => {
         <div className="mt-2 p-3 bg-gray-50 rounded border border-gray-200">
           <h4 className="font-medium text-sm">{metricName} Comparison</h4>
           
+          {renderSwingClip()}
+          
           <div className="mt-2 flex space-x-2">
             <div className="w-1/2 p-2 bg-white rounded shadow-sm">
               <div className="text-xs font-medium mb-1">Your Technique</div>
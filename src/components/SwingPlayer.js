@@ -0,0 +1,497 @@
+// src/components/SwingPlayer.js
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import { SWING_PHASES } from '../utils/frameExtraction';
+import { observeFrameRate } from '../utils/frameRate';
+
+export const PLAYBACK_RATES = [0.25, 0.5, 1];
+
+// Frame rate assumed for stepping until the clip's own rate is known
+const DEFAULT_FRAME_RATE = 30;
+
+const PHASE_COLORS = {
+  address: '#3498db',
+  top: '#9b59b6',
+  impact: '#e74c3c',
+  finish: '#27ae60'
+};
+
+const formatTime = (seconds) => `${(seconds || 0).toFixed(2)}s`;
+
+/**
+ * Swing video player with frame stepping, slow motion, a scrub bar showing the swing
+ * phases and A-B looping.
+ *
+ * Keyboard (when the player has focus): space plays/pauses, left/right step one frame,
+ * A and B set the loop points and Escape clears the loop.
+ *
+ * The ref exposes seek(time), play(), pause() and video (the element) so parents can
+ * drive playback, e.g. jumping to a storyboard keyframe.
+ * @param {Object} props
+ * @param {string} props.src - Video URL
+ * @param {Array} props.keyframes - Swing phases ({ phase, time }) shown as markers
+ * @param {number} props.initialTime - Where to cue the video once it loads
+ * @param {number} props.frameRate - Frames per second of the clip, for stepping (measured
+ *   while the clip plays when not given)
+ * @param {boolean} props.compact - Smaller video and controls for embedded players
+ * @param {Function} props.onTimeUpdate - Called with the playback position
+ * @param {Object} props.style - Extra styles for the outer container
+ * @param {React.ReactNode} props.children - Overlay drawn over the video frame (e.g. annotations)
+ */
+const SwingPlayer = forwardRef(({
+  src,
+  keyframes = [],
+  initialTime = null,
+  frameRate = null,
+  compact = false,
+  onTimeUpdate,
+  style = {},
+  children
+}, ref) => {
+  const videoRef = useRef(null);
+  const trackRef = useRef(null);
+  const pendingCueRef = useRef(null);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [loopStart, setLoopStart] = useState(null);
+  const [loopEnd, setLoopEnd] = useState(null);
+  const [scrubbing, setScrubbing] = useState(false);
+
+  const [measuredFrameRate, setMeasuredFrameRate] = useState(null);
+
+  const frameDuration = 1 / (frameRate || measuredFrameRate || DEFAULT_FRAME_RATE);
+  const loop = useMemo(() => (
+    loopStart !== null && loopEnd !== null && loopEnd > loopStart
+      ? { start: loopStart, end: loopEnd }
+      : null
+  ), [loopStart, loopEnd]);
+
+  const updateTime = useCallback((time) => {
+    setCurrentTime(time);
+    if (onTimeUpdate) onTimeUpdate(time);
+  }, [onTimeUpdate]);
+
+  const seek = useCallback((time) => {
+    const video = videoRef.current;
+    if (!video) return;
+    const max = duration || video.duration || 0;
+    const target = Math.max(0, Number.isFinite(max) && max > 0 ? Math.min(time, max) : time);
+    video.currentTime = target;
+    updateTime(target);
+  }, [duration, updateTime]);
+
+  const play = useCallback(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (loop && (video.currentTime < loop.start || video.currentTime >= loop.end)) {
+      video.currentTime = loop.start;
+    }
+    video.play().catch(err => console.error('Error playing video:', err));
+  }, [loop]);
+
+  const pause = useCallback(() => {
+    if (videoRef.current) videoRef.current.pause();
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    seek: (time) => {
+      pause();
+      seek(time);
+    },
+    play,
+    pause,
+    get video() {
+      return videoRef.current;
+    }
+  }), [seek, play, pause]);
+
+  // timeupdate only fires a few times a second, so follow the playhead per frame while
+  // playing to keep the scrub bar smooth and the loop tight
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    let handle;
+    const tick = () => {
+      const video = videoRef.current;
+      if (video) {
+        if (loop && video.currentTime >= loop.end) {
+          video.currentTime = loop.start;
+        }
+        updateTime(video.currentTime);
+      }
+      handle = requestAnimationFrame(tick);
+    };
+    handle = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(handle);
+  }, [isPlaying, loop, updateTime]);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.playbackRate = playbackRate;
+  }, [playbackRate, src]);
+
+  // Swings saved without their frame rate get it measured the first time they play
+  useEffect(() => {
+    setMeasuredFrameRate(null);
+    if (frameRate || !videoRef.current) return undefined;
+    return observeFrameRate(videoRef.current, setMeasuredFrameRate);
+  }, [src, frameRate]);
+
+  // A new clip starts without a loop
+  useEffect(() => {
+    setLoopStart(null);
+    setLoopEnd(null);
+    setDuration(0);
+    updateTime(0);
+  }, [src]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.playbackRate = playbackRate;
+
+    // WebM files recorded in the browser report an infinite duration until the end has been
+    // read; seeking far past the end makes the browser work it out (see durationchange)
+    if (!Number.isFinite(video.duration)) {
+      pendingCueRef.current = initialTime ?? 0;
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      return;
+    }
+
+    setDuration(video.duration);
+    if (initialTime !== null) seek(initialTime);
+  };
+
+  const handleDurationChange = () => {
+    const video = videoRef.current;
+    if (!video || !Number.isFinite(video.duration)) return;
+    setDuration(video.duration);
+    if (pendingCueRef.current !== null) {
+      const cue = pendingCueRef.current;
+      pendingCueRef.current = null;
+      video.currentTime = cue;
+      updateTime(cue);
+    }
+  };
+
+  const handleEnded = () => {
+    if (loop) {
+      play();
+    }
+  };
+
+  const togglePlay = () => {
+    if (isPlaying) pause();
+    else play();
+  };
+
+  const stepFrame = (direction) => {
+    const video = videoRef.current;
+    if (!video) return;
+    pause();
+    seek(video.currentTime + direction * frameDuration);
+  };
+
+  const markLoopStart = () => {
+    const time = videoRef.current ? videoRef.current.currentTime : currentTime;
+    setLoopStart(time);
+    if (loopEnd !== null && loopEnd <= time) setLoopEnd(null);
+  };
+
+  const markLoopEnd = () => {
+    const time = videoRef.current ? videoRef.current.currentTime : currentTime;
+    if (time <= (loopStart ?? 0)) return;
+    if (loopStart === null) setLoopStart(0);
+    setLoopEnd(time);
+  };
+
+  const clearLoop = () => {
+    setLoopStart(null);
+    setLoopEnd(null);
+  };
+
+  // Convert a pointer position on the scrub bar to a time in the clip
+  const timeFromPointer = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return ratio * duration;
+  };
+
+  const handleScrubStart = (e) => {
+    if (!duration) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pause();
+    setScrubbing(true);
+    seek(timeFromPointer(e.clientX));
+  };
+
+  const handleScrubMove = (e) => {
+    if (!scrubbing) return;
+    seek(timeFromPointer(e.clientX));
+  };
+
+  const handleScrubEnd = () => setScrubbing(false);
+
+  const handleKeyDown = (e) => {
+    // Space on a focused control button already clicks it
+    if (e.key === ' ' && e.target.tagName === 'BUTTON') return;
+
+    switch (e.key) {
+      case ' ':
+        e.preventDefault();
+        togglePlay();
+        break;
+      case 'ArrowLeft':
+        e.preventDefault();
+        stepFrame(-1);
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        stepFrame(1);
+        break;
+      case 'a':
+      case 'A':
+        markLoopStart();
+        break;
+      case 'b':
+      case 'B':
+        markLoopEnd();
+        break;
+      case 'Escape':
+        clearLoop();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const toPercent = (time) => `${duration ? (Math.min(time, duration) / duration) * 100 : 0}%`;
+
+  const markers = (keyframes || [])
+    .filter(keyframe => SWING_PHASES.includes(keyframe.phase) && Number.isFinite(keyframe.time))
+    .sort((a, b) => a.time - b.time);
+
+  const buttonStyle = (active = false) => ({
+    padding: compact ? '4px 8px' : '6px 12px',
+    fontSize: compact ? '0.75rem' : '0.85rem',
+    backgroundColor: active ? '#546e47' : 'white',
+    color: active ? 'white' : '#546e47',
+    border: '1px solid #546e47',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    lineHeight: 1.2
+  });
+
+  if (!src) return null;
+
+  return (
+    <div
+      className="swing-player"
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      style={{ width: '100%', outline: 'none', ...style }}
+    >
+      <div style={{
+        display: 'flex',
+        justifyContent: 'center',
+        backgroundColor: '#2c3e50',
+        borderRadius: '8px',
+        overflow: 'hidden'
+      }}>
+        <div style={{ position: 'relative', maxWidth: '100%' }}>
+          <video
+            ref={videoRef}
+            src={src}
+            playsInline
+            preload="metadata"
+            onClick={togglePlay}
+            onLoadedMetadata={handleLoadedMetadata}
+            onDurationChange={handleDurationChange}
+            onPlay={() => setIsPlaying(true)}
+            onPause={() => setIsPlaying(false)}
+            onEnded={handleEnded}
+            onSeeked={() => !isPlaying && updateTime(videoRef.current.currentTime)}
+            style={{
+              maxWidth: '100%',
+              maxHeight: compact ? '220px' : '400px',
+              display: 'block',
+              cursor: 'pointer'
+            }}
+          ></video>
+          {children}
+        </div>
+      </div>
+
+      {/* Scrub bar with the swing phases and the loop segment */}
+      <div style={{ padding: markers.length > 0 ? '18px 7px 4px 7px' : '10px 7px 4px 7px' }}>
+        <div
+          ref={trackRef}
+          role="slider"
+          aria-label="Playback position"
+          aria-valuemin={0}
+          aria-valuemax={duration}
+          aria-valuenow={currentTime}
+          onPointerDown={handleScrubStart}
+          onPointerMove={handleScrubMove}
+          onPointerUp={handleScrubEnd}
+          onPointerCancel={handleScrubEnd}
+          style={{
+            position: 'relative',
+            height: '10px',
+            backgroundColor: '#e0e0d8',
+            borderRadius: '5px',
+            cursor: duration ? 'pointer' : 'default',
+            touchAction: 'none'
+          }}
+        >
+          {/* Played portion */}
+          <div style={{
+            position: 'absolute',
+            left: 0,
+            width: toPercent(currentTime),
+            top: 0,
+            bottom: 0,
+            backgroundColor: 'rgba(84, 110, 71, 0.5)',
+            borderRadius: '5px',
+            pointerEvents: 'none'
+          }} />
+
+          {loop && (
+            <div style={{
+              position: 'absolute',
+              left: toPercent(loop.start),
+              width: `calc(${toPercent(loop.end)} - ${toPercent(loop.start)})`,
+              top: '-3px',
+              bottom: '-3px',
+              border: '2px solid #f39c12',
+              borderRadius: '3px',
+              pointerEvents: 'none'
+            }} />
+          )}
+
+          {duration > 0 && markers.map(marker => (
+            <div
+              key={marker.phase}
+              title={`${marker.phase} · ${formatTime(marker.time)}`}
+              onPointerDown={(e) => {
+                e.stopPropagation();
+                pause();
+                seek(marker.time);
+              }}
+              style={{
+                position: 'absolute',
+                left: toPercent(marker.time),
+                top: '-14px',
+                transform: 'translateX(-50%)',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                cursor: 'pointer',
+                zIndex: 1
+              }}
+            >
+              <span style={{
+                fontSize: '0.65rem',
+                color: PHASE_COLORS[marker.phase],
+                textTransform: 'capitalize',
+                lineHeight: 1,
+                whiteSpace: 'nowrap'
+              }}>
+                {compact ? marker.phase.charAt(0).toUpperCase() : marker.phase}
+              </span>
+              <span style={{
+                width: '3px',
+                height: '14px',
+                marginTop: '1px',
+                backgroundColor: PHASE_COLORS[marker.phase],
+                borderRadius: '1px'
+              }} />
+            </div>
+          ))}
+
+          {/* Playhead */}
+          <div style={{
+            position: 'absolute',
+            left: toPercent(currentTime),
+            top: '-4px',
+            width: '14px',
+            height: '18px',
+            marginLeft: '-7px',
+            backgroundColor: '#333',
+            borderRadius: '4px',
+            pointerEvents: 'none',
+            zIndex: 2
+          }} />
+        </div>
+      </div>
+
+      {/* Transport controls */}
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px',
+        marginTop: '8px'
+      }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={() => stepFrame(-1)} title="Previous frame (←)" style={buttonStyle()}>
+            ‹ Frame
+          </button>
+          <button onClick={togglePlay} title="Play/pause (space)" style={{ ...buttonStyle(true), minWidth: compact ? '50px' : '64px' }}>
+            {isPlaying ? 'Pause' : 'Play'}
+          </button>
+          <button onClick={() => stepFrame(1)} title="Next frame (→)" style={buttonStyle()}>
+            Frame ›
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {PLAYBACK_RATES.map(rate => (
+            <button
+              key={rate}
+              onClick={() => setPlaybackRate(rate)}
+              title={`Play at ${rate}x speed`}
+              style={buttonStyle(playbackRate === rate)}
+            >
+              {rate}x
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={markLoopStart} title="Set loop start (A)" style={buttonStyle(loopStart !== null)}>
+            A
+          </button>
+          <button onClick={markLoopEnd} title="Set loop end (B)" style={buttonStyle(loopEnd !== null)}>
+            B
+          </button>
+          {(loopStart !== null || loopEnd !== null) && (
+            <button onClick={clearLoop} title="Clear loop (Esc)" style={buttonStyle()}>
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '0.75rem',
+        color: '#666',
+        marginTop: '6px'
+      }}>
+        <span>
+          {formatTime(currentTime)} / {formatTime(duration)} · frame {Math.round(currentTime / frameDuration)}
+        </span>
+        {loop && <span>Looping {formatTime(loop.start)} – {formatTime(loop.end)}</span>}
+      </div>
+    </div>
+  );
+});
+
+SwingPlayer.displayName = 'SwingPlayer';
+
+export default SwingPlayer;
@@ -0,0 +1,155 @@
+// src/components/SwingTrimmer.js
+import React, { useRef, useState } from 'react';
+
+// Shortest segment the handles can be squeezed to, in seconds
+const MIN_SEGMENT = 0.5;
+
+/**
+ * Timeline with draggable in/out handles for trimming a swing clip
+ * @param {Object} props
+ * @param {number} props.duration - Clip duration in seconds
+ * @param {{start: number, end: number}} props.trim - Current in/out points
+ * @param {Function} props.onChange - Called with the new { start, end }
+ * @param {Function} props.onSeek - Called with a time to preview while dragging
+ * @param {number} props.currentTime - Playback position for the playhead
+ * @param {boolean} props.disabled - Disable dragging
+ */
+const SwingTrimmer = ({ duration, trim, onChange, onSeek, currentTime = 0, disabled = false }) => {
+  const trackRef = useRef(null);
+  const [dragging, setDragging] = useState(null); // 'start' | 'end' | null
+
+  if (!duration || !trim) return null;
+
+  const toPercent = (time) => `${(time / duration) * 100}%`;
+
+  const formatTime = (seconds) => `${seconds.toFixed(1)}s`;
+
+  // Convert a pointer position on the track to a time in the clip
+  const timeFromPointer = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return ratio * duration;
+  };
+
+  const moveHandle = (handle, time) => {
+    const next = handle === 'start'
+      ? { start: Math.min(time, trim.end - MIN_SEGMENT), end: trim.end }
+      : { start: trim.start, end: Math.max(time, trim.start + MIN_SEGMENT) };
+    next.start = Math.max(0, next.start);
+    next.end = Math.min(duration, next.end);
+    onChange(next);
+    if (onSeek) onSeek(handle === 'start' ? next.start : next.end);
+  };
+
+  const handlePointerDown = (handle) => (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragging(handle);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    moveHandle(dragging, timeFromPointer(e.clientX));
+  };
+
+  const handlePointerUp = () => setDragging(null);
+
+  // Keyboard nudging for accessibility
+  const handleKeyDown = (handle) => (e) => {
+    if (disabled) return;
+    const step = e.shiftKey ? 1 : 0.1;
+    if (e.key === 'ArrowLeft') moveHandle(handle, trim[handle] - step);
+    if (e.key === 'ArrowRight') moveHandle(handle, trim[handle] + step);
+  };
+
+  const handleStyle = (time, handle) => ({
+    position: 'absolute',
+    left: toPercent(time),
+    top: '-6px',
+    width: '14px',
+    height: '32px',
+    marginLeft: '-7px',
+    backgroundColor: dragging === handle ? '#3d5234' : '#546e47',
+    borderRadius: '4px',
+    cursor: disabled ? 'default' : 'ew-resize',
+    touchAction: 'none',
+    zIndex: 2
+  });
+
+  return (
+    <div style={{ width: '100%', maxWidth: '350px', margin: '0 auto 20px auto' }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        fontSize: '0.85rem',
+        color: '#546e47',
+        marginBottom: '10px'
+      }}>
+        <span>In {formatTime(trim.start)}</span>
+        <span>Swing {formatTime(trim.end - trim.start)}</span>
+        <span>Out {formatTime(trim.end)}</span>
+      </div>
+
+      <div
+        ref={trackRef}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        style={{
+          position: 'relative',
+          height: '20px',
+          backgroundColor: '#e0e0d8',
+          borderRadius: '10px',
+          opacity: disabled ? 0.6 : 1
+        }}
+      >
+        {/* Selected segment */}
+        <div style={{
+          position: 'absolute',
+          left: toPercent(trim.start),
+          width: toPercent(trim.end - trim.start),
+          top: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(84, 110, 71, 0.35)'
+        }} />
+
+        {/* Playhead */}
+        <div style={{
+          position: 'absolute',
+          left: toPercent(Math.min(currentTime, duration)),
+          top: '-2px',
+          bottom: '-2px',
+          width: '2px',
+          backgroundColor: '#333',
+          pointerEvents: 'none'
+        }} />
+
+        <div
+          role="slider"
+          tabIndex={disabled ? -1 : 0}
+          aria-label="Swing start"
+          aria-valuemin={0}
+          aria-valuemax={duration}
+          aria-valuenow={trim.start}
+          onPointerDown={handlePointerDown('start')}
+          onKeyDown={handleKeyDown('start')}
+          style={handleStyle(trim.start, 'start')}
+        />
+        <div
+          role="slider"
+          tabIndex={disabled ? -1 : 0}
+          aria-label="Swing end"
+          aria-valuemin={0}
+          aria-valuemax={duration}
+          aria-valuenow={trim.end}
+          onPointerDown={handlePointerDown('end')}
+          onKeyDown={handleKeyDown('end')}
+          style={handleStyle(trim.end, 'end')}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default SwingTrimmer;
@@ -0,0 +1,327 @@
+// src/components/SyncedSwingPlayer.js
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { getSyncWindow } from '../utils/swingComparison';
+import { PLAYBACK_RATES } from './SwingPlayer';
+
+const DEFAULT_FRAME_RATE = 30;
+
+const formatOffset = (seconds) => `${seconds >= 0 ? '+' : '−'}${Math.abs(seconds).toFixed(2)}s`;
+
+/**
+ * Plays two swing videos in lockstep, lined up on an anchor point (normally impact).
+ * The first clip leads; the second is nudged back in line whenever it drifts by more
+ * than a frame.
+ * @param {Object} props
+ * @param {Array<Object>} props.clips - Two clips ({ src, label, anchor, start, end, frameRate }),
+ *   times in seconds of the clip's own video; end defaults to the video's duration
+ * @param {string} props.mode - 'side' for side by side, 'onion' to overlay the second clip
+ * @param {boolean} props.compact - Smaller videos for narrow screens
+ */
+const SyncedSwingPlayer = ({ clips, mode = 'side', compact = false }) => {
+  const firstRef = useRef(null);
+  const secondRef = useRef(null);
+  const [durations, setDurations] = useState([null, null]);
+  const [time, setTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(0.5);
+  const [loop, setLoop] = useState(true);
+  const [opacity, setOpacity] = useState(0.5);
+
+  const [first, second] = clips;
+  const frameRate = Math.max(first.frameRate || DEFAULT_FRAME_RATE, second.frameRate || DEFAULT_FRAME_RATE);
+
+  const syncWindow = useMemo(() => {
+    if (durations.some(duration => !duration)) return null;
+    return getSyncWindow(clips.map((clip, index) => ({
+      anchor: clip.anchor,
+      start: Math.max(0, clip.start ?? 0),
+      end: Math.min(durations[index], clip.end ?? durations[index])
+    })));
+  }, [durations, first.anchor, first.start, first.end, second.anchor, second.start, second.end]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const seekTo = useCallback((target) => {
+    if (!syncWindow) return;
+    const clamped = Math.min(syncWindow.end, Math.max(syncWindow.start, target));
+    if (firstRef.current) firstRef.current.currentTime = first.anchor + clamped;
+    if (secondRef.current) secondRef.current.currentTime = second.anchor + clamped;
+    setTime(clamped);
+  }, [syncWindow, first.anchor, second.anchor]);
+
+  const playBoth = useCallback(() => {
+    [firstRef.current, secondRef.current].forEach(video => {
+      if (video && video.paused) {
+        video.play().catch(err => console.error('Error playing video:', err));
+      }
+    });
+  }, []);
+
+  const pause = useCallback(() => {
+    [firstRef.current, secondRef.current].forEach(video => video && video.pause());
+    setIsPlaying(false);
+  }, []);
+
+  // New clips start over: wait for both durations, then cue both at the anchor
+  useEffect(() => {
+    pause();
+    setDurations([null, null]);
+  }, [first.src, second.src]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (syncWindow) seekTo(0);
+  }, [syncWindow]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    [firstRef.current, secondRef.current].forEach(video => {
+      if (video) video.playbackRate = playbackRate;
+    });
+  }, [playbackRate, durations]);
+
+  // Follow the leading video per frame: loop or stop at the end of the shared window and
+  // pull the second video back in line when it drifts
+  useEffect(() => {
+    if (!isPlaying || !syncWindow) return undefined;
+
+    let handle;
+    const tick = () => {
+      const [leader, follower] = [firstRef.current, secondRef.current];
+      if (leader && follower) {
+        const current = leader.currentTime - first.anchor;
+        if (current >= syncWindow.end || leader.ended) {
+          if (loop) {
+            seekTo(syncWindow.start);
+            playBoth();
+          } else {
+            pause();
+            seekTo(syncWindow.end);
+            return;
+          }
+        } else {
+          const expected = second.anchor + current;
+          if (Math.abs(follower.currentTime - expected) > 1 / frameRate) {
+            follower.currentTime = expected;
+          }
+          setTime(current);
+        }
+      }
+      handle = requestAnimationFrame(tick);
+    };
+    handle = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(handle);
+  }, [isPlaying, syncWindow, loop, first.anchor, second.anchor, frameRate, seekTo, playBoth, pause]);
+
+  const handleLoadedMetadata = (index) => (e) => {
+    const video = e.currentTarget;
+    video.playbackRate = playbackRate;
+
+    // Browser-recorded WebM reports an infinite duration until the end has been read
+    if (!Number.isFinite(video.duration)) {
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      return;
+    }
+    setDurations(previous => previous.map((duration, i) => (i === index ? video.duration : duration)));
+  };
+
+  const handleDurationChange = (index) => (e) => {
+    const video = e.currentTarget;
+    if (!Number.isFinite(video.duration)) return;
+    setDurations(previous => (previous[index] === video.duration
+      ? previous
+      : previous.map((duration, i) => (i === index ? video.duration : duration))));
+  };
+
+  const play = () => {
+    if (!syncWindow) return;
+    if (time >= syncWindow.end - 0.5 / frameRate) {
+      seekTo(syncWindow.start);
+    } else {
+      seekTo(time);
+    }
+    playBoth();
+    setIsPlaying(true);
+  };
+
+  const stepFrame = (direction) => {
+    pause();
+    seekTo(time + direction / frameRate);
+  };
+
+  const buttonStyle = (active = false) => ({
+    padding: compact ? '4px 8px' : '6px 12px',
+    fontSize: compact ? '0.75rem' : '0.85rem',
+    backgroundColor: active ? '#546e47' : 'white',
+    color: active ? 'white' : '#546e47',
+    border: '1px solid #546e47',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  });
+
+  const isOnion = mode === 'onion';
+  const videoHeight = compact ? '240px' : '360px';
+
+  const renderClip = (clip, index) => {
+    const overlaid = isOnion && index === 1;
+    return (
+      <div
+        key={index}
+        style={overlaid ? {
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          opacity,
+          pointerEvents: 'none'
+        } : {
+          flex: 1,
+          minWidth: 0
+        }}
+      >
+        <div style={{
+          display: isOnion ? 'none' : 'block',
+          fontSize: '0.85rem',
+          fontWeight: '500',
+          color: '#546e47',
+          marginBottom: '5px',
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis'
+        }}>
+          {clip.label}
+        </div>
+        <video
+          ref={index === 0 ? firstRef : secondRef}
+          src={clip.src}
+          muted
+          playsInline
+          preload="auto"
+          onLoadedMetadata={handleLoadedMetadata(index)}
+          onDurationChange={handleDurationChange(index)}
+          style={{
+            width: '100%',
+            height: videoHeight,
+            objectFit: 'contain',
+            display: 'block',
+            borderRadius: '8px',
+            backgroundColor: overlaid ? 'transparent' : '#2c3e50'
+          }}
+        ></video>
+      </div>
+    );
+  };
+
+  const windowLength = syncWindow ? syncWindow.end - syncWindow.start : 0;
+  const anchorPercent = syncWindow && windowLength > 0 && syncWindow.start <= 0 && syncWindow.end >= 0
+    ? (-syncWindow.start / windowLength) * 100
+    : null;
+
+  return (
+    <div style={{ width: '100%' }}>
+      {isOnion && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', marginBottom: '5px' }}>
+          <span style={{ color: '#546e47', fontWeight: '500' }}>{first.label}</span>
+          <span style={{ color: '#e67e22', fontWeight: '500' }}>{second.label} (overlay)</span>
+        </div>
+      )}
+
+      <div style={isOnion
+        ? { position: 'relative' }
+        : { display: 'flex', gap: '10px' }}
+      >
+        {clips.map(renderClip)}
+      </div>
+
+      {!syncWindow && durations.every(Boolean) && (
+        <p style={{ fontSize: '0.85rem', color: '#e74c3c', marginTop: '8px' }}>
+          These clips can't be lined up: one of them ends before the other reaches the sync point.
+        </p>
+      )}
+
+      {/* Shared scrub bar, in seconds from the sync point */}
+      <div style={{ position: 'relative', marginTop: '12px' }}>
+        <input
+          type="range"
+          min={syncWindow ? syncWindow.start : 0}
+          max={syncWindow ? syncWindow.end : 1}
+          step={1 / frameRate}
+          value={time}
+          disabled={!syncWindow}
+          onChange={(e) => {
+            pause();
+            seekTo(Number(e.target.value));
+          }}
+          aria-label="Synced playback position"
+          style={{ width: '100%', accentColor: '#546e47' }}
+        />
+        {anchorPercent !== null && (
+          <div style={{
+            position: 'absolute',
+            left: `${anchorPercent}%`,
+            top: '-14px',
+            transform: 'translateX(-50%)',
+            fontSize: '0.65rem',
+            color: '#e74c3c',
+            pointerEvents: 'none'
+          }}>
+            Impact
+          </div>
+        )}
+      </div>
+
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px',
+        marginTop: '8px'
+      }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <button onClick={() => stepFrame(-1)} disabled={!syncWindow} style={buttonStyle()}>‹ Frame</button>
+          <button onClick={isPlaying ? pause : play} disabled={!syncWindow} style={{ ...buttonStyle(true), minWidth: '64px' }}>
+            {isPlaying ? 'Pause' : 'Play'}
+          </button>
+          <button onClick={() => stepFrame(1)} disabled={!syncWindow} style={buttonStyle()}>Frame ›</button>
+          <button onClick={() => { pause(); seekTo(0); }} disabled={!syncWindow} style={buttonStyle()}>
+            Impact
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {PLAYBACK_RATES.map(rate => (
+            <button key={rate} onClick={() => setPlaybackRate(rate)} style={buttonStyle(playbackRate === rate)}>
+              {rate}x
+            </button>
+          ))}
+        </div>
+
+        <label style={{ fontSize: '0.85rem', color: '#546e47', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} />
+          Loop
+        </label>
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: '#666', marginTop: '6px' }}>
+        {formatOffset(time)} from impact
+      </div>
+
+      {isOnion && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '0.85rem', marginTop: '10px' }}>
+          Overlay opacity
+          <input
+            type="range"
+            min={0}
+            max={1}
+            step={0.05}
+            value={opacity}
+            onChange={(e) => setOpacity(Number(e.target.value))}
+            style={{ flex: 1, accentColor: '#e67e22' }}
+          />
+          {Math.round(opacity * 100)}%
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default SyncedSwingPlayer;
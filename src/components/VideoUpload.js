@@ -1,6 +1,8 @@
 // src/components/VideoUpload.js - Mobile-optimized version
 import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { getMaxSourceSize } from '../utils/videoTranscoder';
+import { getUsageStatus, getUsageMessage } from '../services/usageService';
 
 /**
  * Improved mobile-friendly video upload component
@@ -12,7 +14,10 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
   const [uploadMethod, setUploadMethod] = useState('file'); // 'file' or 'youtube'
   const [error, setError] = useState(null);
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
+  const [usageMessage, setUsageMessage] = useState(null);
   const videoFileInputRef = useRef(null);
+  // Larger recordings are accepted when they can be compressed before upload
+  const maxSizeMB = Math.round(getMaxSourceSize() / (1024 * 1024));
 
   // Check for mobile screen size
   useEffect(() => {
@@ -24,11 +29,47 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  // Warn signed-in users close to their analysis limits (checked again after each analysis)
+  useEffect(() => {
+    if (!currentUser || isAnalyzing) return;
+    let cancelled = false;
+
+    getUsageStatus(currentUser.uid, 'analysis')
+      .then(status => {
+        if (!cancelled) setUsageMessage(getUsageMessage(status));
+      })
+      .catch(err => console.error('Error loading analysis usage:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser, isAnalyzing]);
+
+  const limitReached = !!usageMessage?.blocked;
+
+  // Analysis goes through the authenticated proxy, so ask for sign-in before any work starts
+  const requireSignIn = () => {
+    if (currentUser) return false;
+    setError('Sign in to analyze your swing.');
+    window.dispatchEvent(new Event('openLoginModal'));
+    return true;
+  };
+
   // Handle file selection
   const handleFileSelect = (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
+    if (requireSignIn()) {
+      e.target.value = '';
+      return;
+    }
+
+    if (limitReached) {
+      setError(usageMessage.message);
+      return;
+    }
+
     // Check if file is a video
     if (!file.type.includes('video/')) {
       setError('Please select a video file');
@@ -36,9 +77,9 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
       return;
     }
 
-    // Check file size (limit to 100MB)
-    if (file.size > 100 * 1024 * 1024) {
-      setError('File size too large. Please select a video file under 100MB');
+    // Check file size
+    if (file.size > maxSizeMB * 1024 * 1024) {
+      setError(`File size too large. Please select a video file under ${maxSizeMB}MB`);
       setVideoFile(null);
       return;
     }
@@ -88,6 +129,15 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
   const handleSubmit = (e) => {
     e.preventDefault();
 
+    if (requireSignIn()) {
+      return;
+    }
+
+    if (limitReached) {
+      setError(usageMessage.message);
+      return;
+    }
+
     // Validate based on upload method
     if (uploadMethod === 'file') {
       if (!videoFile) {
@@ -171,6 +221,39 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
           </div>
         )}
 
+        {!currentUser && !error && (
+          <div style={{ 
+            backgroundColor: '#fff3cd', 
+            color: '#856404', 
+            padding: '10px 15px', 
+            borderRadius: '5px', 
+            marginBottom: '15px',
+            fontSize: isMobile ? '0.9rem' : '1rem'
+          }}>
+            Sign in to analyze your swing.
+            <button
+              type="button"
+              onClick={() => window.dispatchEvent(new Event('openLoginModal'))}
+              style={{ marginLeft: '8px', background: 'none', border: 'none', color: '#546e47', cursor: 'pointer', textDecoration: 'underline', padding: 0 }}
+            >
+              Sign in
+            </button>
+          </div>
+        )}
+
+        {usageMessage && !error && (
+          <div style={{ 
+            backgroundColor: usageMessage.type === 'error' ? '#f8d7da' : '#fff3cd', 
+            color: usageMessage.type === 'error' ? '#721c24' : '#856404', 
+            padding: '10px 15px', 
+            borderRadius: '5px', 
+            marginBottom: '15px',
+            fontSize: isMobile ? '0.9rem' : '1rem'
+          }}>
+            {usageMessage.message}
+          </div>
+        )}
+
         {/* Upload method selector - Mobile friendly tabs */}
         <div className="upload-method-selector" style={{
           display: 'flex',
@@ -312,7 +395,7 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
                       Or drag and drop a video file here
                     </p>
                     <p style={{ fontSize: '0.8rem', marginTop: '10px', color: '#888' }}>
-                      Supports MP4, MOV, AVI formats (max 100MB)
+                      Supports MP4, MOV, AVI formats (max {maxSizeMB}MB)
                     </p>
                   </>
                 )}
@@ -389,7 +472,8 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
                 color: 'white',
                 border: 'none',
                 borderRadius: '5px',
-                cursor: isAnalyzing ? 'not-allowed' : 'pointer',
+                cursor: isAnalyzing || limitReached ? 'not-allowed' : 'pointer',
+                opacity: limitReached ? 0.6 : 1,
                 display: 'flex',
                 alignItems: 'center',
                 justifyContent: 'center',
@@ -397,7 +481,7 @@ const VideoUpload = ({ onVideoUpload, onVideoSelect, isAnalyzing, navigateTo })
                 flex: isMobile ? 'none' : '2',
                 order: isMobile ? 1 : 2
               }}
-              disabled={isAnalyzing}
+              disabled={isAnalyzing || limitReached}
             >
               {isAnalyzing ? (
                 <>
@@ -3,6 +3,15 @@ import { useAuth } from '../contexts/AuthContext';
 import UserLoginIndicator from './UserLoginIndicator';
 import ClubSelector from './ClubSelector';
 import ShotOutcomeSelector from './ShotOutcomeSelector';
+import SwingTrimmer from './SwingTrimmer';
+import { detectSwingSegments } from '../utils/frameExtraction';
+import {
+  TRANSCODE_RESOLUTIONS,
+  TRANSCODE_FRAME_RATES,
+  getTranscodeSettings,
+  saveTranscodeSettings,
+  isTranscodingSupported
+} from '../utils/videoTranscoder';
 
 const VideoUploadPreview = ({ 
   videoFile, 
@@ -10,7 +19,11 @@ const VideoUploadPreview = ({
   onAnalyze, 
   onDelete, 
   navigateTo,
-  isProcessing = false 
+  isProcessing = false,
+  batchProgress = null,
+  uploadProgress = null,
+  transcodeProgress = null,
+  onCancelUpload
 }) => {
   const { currentUser } = useAuth();
   const [isPlaying, setIsPlaying] = useState(false);
@@ -33,6 +46,25 @@ const VideoUploadPreview = ({
   // Step management (steps: ownership > club > analyze)
   const [step, setStep] = useState('ownership');
   
+  // Opt-in: run several analyses and report the spread of the scores
+  const [highConfidence, setHighConfidence] = useState(false);
+  
+  // Compression settings, remembered on this device
+  const [transcodeSettings, setTranscodeSettings] = useState(getTranscodeSettings);
+  const canTranscode = isTranscodingSupported();
+  
+  // Swing segment (in/out points in seconds), detected automatically and adjustable
+  const [trim, setTrim] = useState(null);
+  const [swingAddress, setSwingAddress] = useState(null);
+  const [detectingSwing, setDetectingSwing] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  
+  // Range sessions: every swing found in the clip, analyzed one by one when splitSwings is on
+  const [swingSegments, setSwingSegments] = useState([]);
+  const [includedSegments, setIncludedSegments] = useState([]);
+  const [splitSwings, setSplitSwings] = useState(false);
+  const [activeSegment, setActiveSegment] = useState(null);
+  
   // Reference to the video element
   const videoRef = useRef(null);
   
@@ -78,6 +110,94 @@ const VideoUploadPreview = ({
     }
   }, [videoUrl, videoRef]);
   
+  // Detect the swing segment once the clip has loaded
+  useEffect(() => {
+    if (!videoFile || !videoLoaded || !videoDuration) return;
+    
+    let cancelled = false;
+    setDetectingSwing(true);
+    detectSwingSegments(videoFile)
+      .then(({ segments, primary }) => {
+        if (cancelled) return;
+        const segment = segments[primary];
+        setTrim({ start: segment.start, end: segment.end });
+        setSwingAddress(segment.address);
+        setSwingSegments(segments);
+        setIncludedSegments(segments.map(() => true));
+        setSplitSwings(segments.length > 1);
+        setActiveSegment(primary);
+        if (videoRef.current) {
+          videoRef.current.currentTime = segment.start;
+        }
+      })
+      .catch(error => {
+        console.error('Error detecting swing segment:', error);
+        if (!cancelled) {
+          setTrim({ start: 0, end: videoDuration });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setDetectingSwing(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [videoFile, videoLoaded, videoDuration]);
+  
+  // Keep playback inside the trimmed segment
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !trim) return;
+    
+    const handleTimeUpdate = () => {
+      setCurrentTime(video.currentTime);
+      if (!video.paused && video.currentTime >= trim.end) {
+        video.currentTime = trim.start;
+      }
+    };
+    
+    video.addEventListener('timeupdate', handleTimeUpdate);
+    return () => video.removeEventListener('timeupdate', handleTimeUpdate);
+  }, [trim]);
+  
+  // Handle edits also adjust the swing being previewed when the clip is split
+  const handleTrimChange = (nextTrim) => {
+    setTrim(nextTrim);
+    if (splitSwings && activeSegment !== null) {
+      setSwingSegments(prev => prev.map((segment, index) => (
+        index === activeSegment ? { ...segment, ...nextTrim } : segment
+      )));
+    }
+  };
+  
+  // Preview one of the detected swings
+  const selectSegment = (index) => {
+    const segment = swingSegments[index];
+    setActiveSegment(index);
+    setTrim({ start: segment.start, end: segment.end });
+    setSwingAddress(segment.address);
+    handleTrimSeek(segment.start);
+  };
+  
+  const toggleSegment = (index) => {
+    setIncludedSegments(prev => prev.map((included, i) => (i === index ? !included : included)));
+  };
+  
+  // Segments that will be analyzed as separate swings
+  const selectedSegments = splitSwings
+    ? swingSegments.filter((segment, index) => includedSegments[index])
+    : [];
+  const isBatch = selectedSegments.length > 1;
+  
+  // Preview a handle position while dragging
+  const handleTrimSeek = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+      setCurrentTime(time);
+    }
+  };
+  
   // Helper function to get label for shot outcome
   const getShotOutcomeLabel = (outcomeId) => {
     const outcomeMap = {
@@ -100,6 +220,10 @@ const VideoUploadPreview = ({
       if (isPlaying) {
         videoRef.current.pause();
       } else {
+        // Start from the in point when the playhead is outside the segment
+        if (trim && (videoRef.current.currentTime < trim.start || videoRef.current.currentTime >= trim.end)) {
+          videoRef.current.currentTime = trim.start;
+        }
         videoRef.current.play().catch(err => {
           console.error("Error playing video:", err);
           // Some browsers require user interaction before autoplay
@@ -138,6 +262,23 @@ const VideoUploadPreview = ({
         metadata.proGolferName = proName.trim();
       }
       
+      // A single swing picked from a split clip is analyzed on its own
+      const singleSegment = selectedSegments.length === 1 ? selectedSegments[0] : null;
+      const analysisTrim = singleSegment || trim;
+      const address = singleSegment ? singleSegment.address : swingAddress;
+      
+      // Trimmed swing segment, only when it is narrower than the whole clip
+      if (analysisTrim && (analysisTrim.start > 0 || analysisTrim.end < videoDuration)) {
+        metadata.trim = {
+          start: Number(analysisTrim.start.toFixed(2)),
+          end: Number(analysisTrim.end.toFixed(2))
+        };
+        // Detected address position, when it lies inside the chosen segment
+        if (address !== null && address >= analysisTrim.start && address < analysisTrim.end) {
+          metadata.trim.address = Number(address.toFixed(2));
+        }
+      }
+      
       // Add club and shot outcome data if available
       if (clubData) {
         metadata.clubId = clubData.clubId;
@@ -146,10 +287,28 @@ const VideoUploadPreview = ({
         metadata.outcome = clubData.outcome;
       }
       
-      onAnalyze(metadata);
+      // Several swings: each segment replaces the single trim
+      if (isBatch) {
+        delete metadata.trim;
+        const segments = selectedSegments.map(segment => ({
+          start: Number(segment.start.toFixed(2)),
+          end: Number(segment.end.toFixed(2)),
+          ...(segment.address >= segment.start && segment.address < segment.end
+            ? { address: Number(segment.address.toFixed(2)) }
+            : {})
+        }));
+        onAnalyze(metadata, { highConfidence, segments });
+        return;
+      }
+      
+      onAnalyze(metadata, { highConfidence });
     }
   };
   
+  const updateTranscodeSettings = (changes) => {
+    setTranscodeSettings(saveTranscodeSettings(changes));
+  };
+  
   // Handle club selection completion
   const handleClubSelectionComplete = (data) => {
     // Save the club data for later use in analysis
@@ -450,6 +609,91 @@ const VideoUploadPreview = ({
         )}
       </div>
       
+      {/* Swing trimming */}
+      {videoUrl && videoLoaded && (
+        detectingSwing ? (
+          <p style={{ fontSize: '0.9rem', color: '#666', margin: '0 0 20px 0' }}>
+            Finding your swing in the clip...
+          </p>
+        ) : (
+          <>
+          {swingSegments.length > 1 && (
+            <div style={{
+              width: '100%',
+              maxWidth: '350px',
+              marginBottom: '15px',
+              backgroundColor: 'white',
+              borderRadius: '15px',
+              padding: '15px 20px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+              boxSizing: 'border-box'
+            }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', fontWeight: 'bold' }}>
+                <input
+                  type="checkbox"
+                  checked={splitSwings}
+                  onChange={(e) => setSplitSwings(e.target.checked)}
+                  disabled={isProcessing}
+                />
+                {swingSegments.length} swings found — analyze each one
+              </label>
+              
+              {splitSwings && (
+                <div style={{ marginTop: '10px' }}>
+                  {swingSegments.map((segment, index) => (
+                    <div key={index} style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      padding: '6px 8px',
+                      borderRadius: '8px',
+                      backgroundColor: activeSegment === index ? '#f0f4ee' : 'transparent',
+                      fontSize: '0.9rem'
+                    }}>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                        <input
+                          type="checkbox"
+                          checked={!!includedSegments[index]}
+                          onChange={() => toggleSegment(index)}
+                          disabled={isProcessing}
+                        />
+                        Swing {index + 1}
+                        <span style={{ color: '#666' }}>
+                          {segment.start.toFixed(1)}s – {segment.end.toFixed(1)}s
+                        </span>
+                      </label>
+                      <button
+                        onClick={() => selectSegment(index)}
+                        disabled={isProcessing}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#546e47',
+                          cursor: 'pointer',
+                          fontSize: '0.85rem',
+                          textDecoration: 'underline'
+                        }}
+                      >
+                        {activeSegment === index ? 'Editing' : 'Preview'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          <SwingTrimmer
+            duration={videoDuration}
+            trim={trim}
+            onChange={handleTrimChange}
+            onSeek={handleTrimSeek}
+            currentTime={currentTime}
+            disabled={isProcessing}
+          />
+          </>
+        )
+      )}
+      
       {/* Ownership selection - only shown in ownership step */}
       {step === 'ownership' && (
         <div style={{
@@ -695,12 +939,169 @@ const VideoUploadPreview = ({
             </>
           )}
           
+          <label style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', marginTop: '15px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={highConfidence}
+              onChange={(e) => setHighConfidence(e.target.checked)}
+              disabled={isProcessing}
+              style={{ marginTop: '3px' }}
+            />
+            <span>
+              <span style={{ fontWeight: 'bold' }}>High-confidence analysis</span>
+              <span style={{ display: 'block', fontSize: '0.85rem', color: '#666' }}>
+                Analyzes the swing several times and shows a score range for each metric. Takes longer.
+              </span>
+            </span>
+          </label>
+          
+          {canTranscode && (
+            <div style={{ marginTop: '15px' }}>
+              <label style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={transcodeSettings.enabled}
+                  onChange={(e) => updateTranscodeSettings({ enabled: e.target.checked })}
+                  disabled={isProcessing}
+                  style={{ marginTop: '3px' }}
+                />
+                <span>
+                  <span style={{ fontWeight: 'bold' }}>Compress video</span>
+                  <span style={{ display: 'block', fontSize: '0.85rem', color: '#666' }}>
+                    Re-encodes large recordings on this device before analysis, for faster uploads.
+                  </span>
+                </span>
+              </label>
+              
+              {transcodeSettings.enabled && (
+                <div style={{ marginLeft: '24px', marginTop: '8px', fontSize: '0.9rem' }}>
+                  <div style={{ display: 'flex', gap: '10px', marginBottom: '8px' }}>
+                    <select
+                      value={transcodeSettings.resolution}
+                      onChange={(e) => updateTranscodeSettings({ resolution: Number(e.target.value) })}
+                      disabled={isProcessing}
+                      style={{ padding: '4px 6px', borderRadius: '4px', border: '1px solid #ccc' }}
+                    >
+                      {TRANSCODE_RESOLUTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={transcodeSettings.frameRate}
+                      onChange={(e) => updateTranscodeSettings({ frameRate: Number(e.target.value) })}
+                      disabled={isProcessing}
+                      style={{ padding: '4px 6px', borderRadius: '4px', border: '1px solid #ccc' }}
+                    >
+                      {TRANSCODE_FRAME_RATES.map(frameRate => (
+                        <option key={frameRate} value={frameRate}>{frameRate} fps</option>
+                      ))}
+                    </select>
+                  </div>
+                  {swingOwnership === 'self' && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', color: '#666' }}>
+                      <input
+                        type="checkbox"
+                        checked={transcodeSettings.keepOriginal}
+                        onChange={(e) => updateTranscodeSettings({ keepOriginal: e.target.checked })}
+                        disabled={isProcessing}
+                      />
+                      Also keep the original video (uses more storage)
+                    </label>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          
           <div style={{ marginTop: '20px', fontSize: '0.9rem', color: '#666' }}>
             Our AI will analyze your swing and provide detailed feedback on your technique.
           </div>
         </div>
       )}
       
+      {/* Compression progress, shown before the analysis starts */}
+      {isProcessing && transcodeProgress !== null && (
+        <div style={{ width: '100%', maxWidth: '350px', marginBottom: '20px' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            fontSize: '0.85rem',
+            color: '#546e47',
+            marginBottom: '6px'
+          }}>
+            <span>Compressing video {Math.round(transcodeProgress * 100)}%</span>
+            {onCancelUpload && (
+              <button
+                onClick={onCancelUpload}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#c0392b',
+                  cursor: 'pointer',
+                  fontSize: '0.85rem',
+                  textDecoration: 'underline',
+                  padding: 0
+                }}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          <div style={{ height: '8px', backgroundColor: '#e0e0d8', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${transcodeProgress * 100}%`,
+              height: '100%',
+              backgroundColor: '#546e47',
+              transition: 'width 0.2s'
+            }} />
+          </div>
+        </div>
+      )}
+      
+      {/* Video upload progress, shown once the analysis is done and the clip is being saved */}
+      {isProcessing && uploadProgress && uploadProgress.total > 0 && (
+        <div style={{ width: '100%', maxWidth: '350px', marginBottom: '20px' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            fontSize: '0.85rem',
+            color: '#546e47',
+            marginBottom: '6px'
+          }}>
+            <span>
+              Uploading video {Math.round((uploadProgress.loaded / uploadProgress.total) * 100)}%
+              {' '}({(uploadProgress.loaded / (1024 * 1024)).toFixed(1)} of {(uploadProgress.total / (1024 * 1024)).toFixed(1)} MB)
+            </span>
+            {onCancelUpload && (
+              <button
+                onClick={onCancelUpload}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#c0392b',
+                  cursor: 'pointer',
+                  fontSize: '0.85rem',
+                  textDecoration: 'underline',
+                  padding: 0
+                }}
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+          <div style={{ height: '8px', backgroundColor: '#e0e0d8', borderRadius: '4px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${(uploadProgress.loaded / uploadProgress.total) * 100}%`,
+              height: '100%',
+              backgroundColor: '#546e47',
+              transition: 'width 0.2s'
+            }} />
+          </div>
+        </div>
+      )}
+      
       {/* Action buttons */}
       <div style={{
         display: 'flex',
@@ -822,10 +1223,14 @@ const VideoUploadPreview = ({
                     animation: 'spin 1s linear infinite',
                     marginRight: '8px'
                   }}></div>
-                  Analyzing...
+                  {transcodeProgress !== null
+                    ? 'Compressing...'
+                    : batchProgress
+                      ? `Analyzing swing ${batchProgress.current} of ${batchProgress.total}...`
+                      : 'Analyzing...'}
                 </div>
               </>
-            ) : 'Analyze'}
+            ) : (isBatch ? `Analyze ${selectedSegments.length} Swings` : 'Analyze')}
             </button>
           )}
           
@@ -1,5 +1,5 @@
 // src/contexts/AuthContext.js
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { 
   signInWithPopup, 
   signOut, 
@@ -8,6 +8,7 @@ import {
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
   sendPasswordResetEmail,
+  sendEmailVerification,
   updateProfile
 } from 'firebase/auth';
 import { 
@@ -17,6 +18,7 @@ import {
   serverTimestamp 
 } from 'firebase/firestore';
 import { auth, db } from '../firebase/firebase';
+import { getUserRoles, getRolePermissions } from '../utils/permissions';
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -29,10 +31,18 @@ export const useAuth = () => {
   return useContext(AuthContext);
 };
 
+// Whether the current user has a permission (false while their roles are loading)
+export const usePermission = (permission) => {
+  const { hasPermission } = useContext(AuthContext);
+  return hasPermission(permission);
+};
+
 // Provider component to wrap the app
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Roles of the signed-in user, tagged with their uid so a previous user's roles never leak
+  const [roleState, setRoleState] = useState({ uid: null, roles: [] });
 
   // Sign in with Google
   const signInWithGoogle = async () => {
@@ -97,6 +107,13 @@ export const AuthProvider = ({ children }) => {
           });
         }
         
+        // Coach invites are only shown to verified addresses
+        try {
+          await sendEmailVerification(result.user);
+        } catch (verificationError) {
+          console.error("Error sending the verification email:", verificationError);
+        }
+        
         // Always mark this as a new user for profile setup
         localStorage.setItem('needsProfileSetup', 'true');
         console.log("Signup: New user created, setting needsProfileSetup flag");
@@ -187,20 +204,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Load the user's roles from their profile document
+  const refreshRoles = useCallback(async () => {
+    const user = auth.currentUser;
+    if (!user) {
+      setRoleState({ uid: null, roles: [] });
+      return;
+    }
 
-const isAdmin = async (userId) => {
-  if (!userId) return false;
-  
-  try {
-    const userRef = doc(db, USERS_COLLECTION, userId);
-    const userDoc = await getDoc(userRef);
-    
-    return userDoc.exists() && userDoc.data().isAdmin === true;
-  } catch (error) {
-    console.error('Error checking admin status:', error);
-    return false;
-  }
-};
+    try {
+      const userDoc = await getDoc(doc(db, USERS_COLLECTION, user.uid));
+      setRoleState({ uid: user.uid, roles: getUserRoles(userDoc.exists() ? userDoc.data() : null) });
+    } catch (error) {
+      console.error('Error loading user roles:', error);
+      setRoleState({ uid: user.uid, roles: getUserRoles(null) });
+    }
+  }, []);
 
   // Listen for auth state changes
   useEffect(() => {
@@ -214,6 +233,15 @@ const isAdmin = async (userId) => {
     return unsubscribe;
   }, []);
 
+  // Roles are loaded once per sign-in; refreshRoles reloads them after a change
+  useEffect(() => {
+    refreshRoles();
+  }, [currentUser, refreshRoles]);
+
+  const rolesLoading = !!currentUser && roleState.uid !== currentUser.uid;
+  const roles = rolesLoading ? [] : roleState.roles;
+  const permissions = getRolePermissions(roles);
+
   // Context value to provide
   const value = {
     currentUser,
@@ -222,7 +250,12 @@ const isAdmin = async (userId) => {
     login,
     resetPassword,
     logout,
-    isAdmin
+    roles,
+    permissions,
+    rolesLoading,
+    hasRole: (role) => roles.includes(role),
+    hasPermission: (permission) => permissions.has(permission),
+    refreshRoles
   };
 
   return (
@@ -0,0 +1,518 @@
+/**
+ * @jest-environment node
+ */
+// src/firebase/firestoreRules.test.js
+// The rules tests need the Firestore emulator:
+//   firebase emulators:exec --only firestore "CI=true npm test -- firestoreRules"
+// Without FIRESTORE_EMULATOR_HOST only the check that the rules and permissions.js agree runs.
+import fs from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} from '@firebase/rules-unit-testing';
+import {
+  doc, getDoc, getDocs, setDoc, addDoc, updateDoc, deleteDoc, collection, query, where, writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { PERMISSIONS, ROLE_PERMISSIONS } from '../utils/permissions';
+
+const RULES = fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8');
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+describe('firestore.rules permission table', () => {
+  it('grants each permission to the same roles as permissions.js', () => {
+    const table = {};
+    for (const [, permission, roles] of RULES.matchAll(/'([a-z]+:[a-z]+)': \[([^\]]*)\]/g)) {
+      table[permission] = roles.split(',').map(role => role.trim().replace(/'/g, '')).sort();
+    }
+
+    const expected = {};
+    Object.values(PERMISSIONS).forEach(permission => {
+      expected[permission] = Object.keys(ROLE_PERMISSIONS)
+        .filter(role => ROLE_PERMISSIONS[role].includes(permission))
+        .sort();
+    });
+
+    expect(table).toEqual(expected);
+  });
+});
+
+describeWithEmulator('Firestore rules (emulator)', () => {
+  let testEnv;
+
+  // Firestore clients for each kind of user
+  const asUser = (uid, email = `${uid}@example.com`, emailVerified = true) => testEnv.authenticatedContext(uid, { email, email_verified: emailVerified }).firestore();
+  const asGuest = () => testEnv.unauthenticatedContext().firestore();
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-golf-guru-rules',
+      firestore: { rules: RULES }
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await setDoc(doc(db, 'users/admin'), { email: 'admin@example.com', roles: ['player', 'admin'] });
+      await setDoc(doc(db, 'users/legacyAdmin'), { email: 'legacy@example.com', isAdmin: true });
+      await setDoc(doc(db, 'users/reviewer'), { email: 'reviewer@example.com', roles: ['reviewer'] });
+      await setDoc(doc(db, 'users/coach'), { email: 'coach@example.com', roles: ['coach'] });
+      await setDoc(doc(db, 'users/student'), { email: 'student@example.com' });
+      await setDoc(doc(db, 'users/player'), { email: 'player@example.com' });
+      await setDoc(doc(db, 'swings/studentSwing'), { userId: 'student', swingOwnership: 'self', overallScore: 70 });
+      await setDoc(doc(db, 'metrics/grip'), { title: 'Grip' });
+      await setDoc(doc(db, 'system/adjustment_factors'), { factors: { overall: 0, metrics: {} } });
+    });
+  });
+
+  // Seed an accepted coach link between coach and student
+  const linkCoachToStudent = () => testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), 'coach_links/coach_student'), {
+      coachId: 'coach',
+      studentId: 'student',
+      studentEmail: 'student@example.com',
+      status: 'active'
+    });
+  });
+
+  describe('roles on user profiles', () => {
+    it('lets users read their own profile but not others', async () => {
+      await assertSucceeds(getDoc(doc(asUser('player'), 'users/player')));
+      await assertFails(getDoc(doc(asUser('player'), 'users/student')));
+      await assertFails(getDoc(doc(asGuest(), 'users/player')));
+    });
+
+    it('lets admins read every profile', async () => {
+      await assertSucceeds(getDoc(doc(asUser('admin'), 'users/player')));
+      await assertSucceeds(getDocs(collection(asUser('legacyAdmin'), 'users')));
+      await assertFails(getDoc(doc(asUser('reviewer'), 'users/player')));
+    });
+
+    it('lets users give themselves the coach role', async () => {
+      await assertSucceeds(updateDoc(doc(asUser('player'), 'users/player'), { roles: ['player', 'coach'] }));
+    });
+
+    it('does not let users give themselves admin-given roles', async () => {
+      await assertFails(updateDoc(doc(asUser('player'), 'users/player'), { roles: ['admin'] }));
+      await assertFails(updateDoc(doc(asUser('player'), 'users/player'), { roles: ['reviewer'] }));
+      await assertFails(updateDoc(doc(asUser('player'), 'users/player'), { isAdmin: true }));
+      await assertFails(setDoc(doc(asUser('newUser'), 'users/newUser'), { roles: ['admin'] }));
+    });
+
+    it('does not let reviewers drop their own role to gain another', async () => {
+      await assertFails(updateDoc(doc(asUser('reviewer'), 'users/reviewer'), { roles: ['admin'] }));
+    });
+
+    it('lets admins change other users\' roles', async () => {
+      await assertSucceeds(updateDoc(doc(asUser('admin'), 'users/player'), { roles: ['player', 'reviewer'] }));
+      await assertFails(updateDoc(doc(asUser('coach'), 'users/player'), { roles: ['player', 'coach'] }));
+    });
+
+    it('still creates plain profiles on sign up', async () => {
+      await assertSucceeds(setDoc(doc(asUser('newUser'), 'users/newUser'), {
+        email: 'newUser@example.com',
+        setupCompleted: false
+      }));
+    });
+  });
+
+  describe('admin-managed collections', () => {
+    it('lets anyone read metrics but only metric editors write them', async () => {
+      await assertSucceeds(getDoc(doc(asGuest(), 'metrics/grip')));
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'metrics/grip'), { title: 'Grip' }));
+      await assertSucceeds(setDoc(doc(asUser('legacyAdmin'), 'reference_models/grip'), { mean: 70 }));
+      await assertFails(setDoc(doc(asUser('reviewer'), 'metrics/grip'), { title: 'Grip' }));
+      await assertFails(setDoc(doc(asUser('player'), 'reference_models/grip'), { mean: 70 }));
+    });
+
+    it('only lets pro editors change the pro library', async () => {
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'pro_golfers/pro'), { name: 'Pro' }));
+      await assertFails(setDoc(doc(asUser('coach'), 'pro_golfers/pro'), { name: 'Pro' }));
+    });
+
+    it('only lets migration runners see migration records', async () => {
+      await assertSucceeds(getDoc(doc(asUser('admin'), 'migrations/001-canonical-metric-keys')));
+      await assertFails(getDoc(doc(asUser('reviewer'), 'migrations/001-canonical-metric-keys')));
+    });
+  });
+
+  describe('coach links', () => {
+    const invite = {
+      coachId: 'coach',
+      studentEmail: 'student@example.com',
+      studentId: null,
+      status: 'pending'
+    };
+
+    it('lets coaches invite students', async () => {
+      await assertSucceeds(setDoc(doc(asUser('coach'), 'coach_links/invite'), invite));
+    });
+
+    it('does not let players or other coaches invite on a coach\'s behalf', async () => {
+      await assertFails(setDoc(doc(asUser('player'), 'coach_links/invite'), { ...invite, coachId: 'player' }));
+      await assertFails(setDoc(doc(asUser('admin'), 'coach_links/invite'), invite));
+    });
+
+    it('does not let coaches create an accepted link themselves', async () => {
+      await assertFails(setDoc(doc(asUser('coach'), 'coach_links/coach_student'), {
+        ...invite,
+        studentId: 'student',
+        status: 'active'
+      }));
+    });
+
+    it('lets the invited student accept', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'coach_links/invite'), invite);
+      });
+
+      const db = asUser('student');
+      const invites = await assertSucceeds(getDocs(query(
+        collection(db, 'coach_links'),
+        where('studentEmail', '==', 'student@example.com'),
+        where('status', '==', 'pending')
+      )));
+      expect(invites.size).toBe(1);
+
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'coach_links/coach_student'), {
+        ...invite,
+        studentId: 'student',
+        status: 'active',
+        inviteId: 'invite'
+      });
+      batch.delete(doc(db, 'coach_links/invite'));
+      await assertSucceeds(batch.commit());
+    });
+
+    it('does not let someone else accept the invite', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'coach_links/invite'), invite);
+      });
+
+      await assertFails(getDoc(doc(asUser('player'), 'coach_links/invite')));
+      await assertFails(setDoc(doc(asUser('player'), 'coach_links/coach_player'), {
+        ...invite,
+        studentId: 'player',
+        status: 'active',
+        inviteId: 'invite'
+      }));
+    });
+
+    it('does not let an unverified account with the invited address accept the invite', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'coach_links/invite'), invite);
+      });
+
+      const db = asUser('impostor', 'student@example.com', false);
+      await assertFails(getDoc(doc(db, 'coach_links/invite')));
+      await assertFails(setDoc(doc(db, 'coach_links/coach_impostor'), {
+        ...invite,
+        studentId: 'impostor',
+        status: 'active',
+        inviteId: 'invite'
+      }));
+    });
+
+    it('lets either side end a link', async () => {
+      await linkCoachToStudent();
+      await assertFails(deleteDoc(doc(asUser('player'), 'coach_links/coach_student')));
+      await assertSucceeds(deleteDoc(doc(asUser('student'), 'coach_links/coach_student')));
+    });
+  });
+
+  describe('swing reviews', () => {
+    const review = {
+      swingId: 'studentSwing',
+      studentId: 'student',
+      coachId: 'coach',
+      comment: 'Keep your head still'
+    };
+
+    it('lets a linked coach review a student\'s swing', async () => {
+      await linkCoachToStudent();
+      const db = asUser('coach');
+      await assertSucceeds(getDoc(doc(db, 'swing_reviews/studentSwing_coach')));
+      await assertSucceeds(setDoc(doc(db, 'swing_reviews/studentSwing_coach'), review));
+    });
+
+    it('does not let coaches review swings of users they don\'t coach', async () => {
+      await assertFails(setDoc(doc(asUser('coach'), 'swing_reviews/studentSwing_coach'), review));
+    });
+
+    it('shows reviews to the student and their coaches only', async () => {
+      await linkCoachToStudent();
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'swing_reviews/studentSwing_coach'), review);
+      });
+
+      const reviewsOf = (db) => getDocs(query(
+        collection(db, 'swing_reviews'),
+        where('swingId', '==', 'studentSwing'),
+        where('studentId', '==', 'student')
+      ));
+      await assertSucceeds(reviewsOf(asUser('student')));
+      await assertSucceeds(reviewsOf(asUser('coach')));
+      await assertFails(reviewsOf(asUser('player')));
+    });
+  });
+
+  describe('swing ownership', () => {
+    const studentSwings = (db) => getDocs(query(collection(db, 'swings'), where('userId', '==', 'student')));
+
+    it('lets users read and change only their own swings', async () => {
+      await assertSucceeds(getDoc(doc(asUser('student'), 'swings/studentSwing')));
+      await assertSucceeds(studentSwings(asUser('student')));
+      await assertSucceeds(updateDoc(doc(asUser('student'), 'swings/studentSwing'), { outcome: 'fade' }));
+
+      await assertFails(getDoc(doc(asUser('player'), 'swings/studentSwing')));
+      await assertFails(studentSwings(asUser('player')));
+      await assertFails(updateDoc(doc(asUser('player'), 'swings/studentSwing'), { overallScore: 10 }));
+      await assertFails(deleteDoc(doc(asUser('player'), 'swings/studentSwing')));
+    });
+
+    it('does not let users save swings for someone else or hand theirs over', async () => {
+      await assertSucceeds(addDoc(collection(asUser('player'), 'swings'), { userId: 'player', overallScore: 60 }));
+      await assertFails(addDoc(collection(asUser('player'), 'swings'), { userId: 'student', overallScore: 60 }));
+      await assertFails(updateDoc(doc(asUser('student'), 'swings/studentSwing'), { userId: 'player' }));
+    });
+
+    it('lets users check for a swing id that isn\'t taken', async () => {
+      await assertSucceeds(getDoc(doc(asUser('player'), 'swings/notSavedYet')));
+    });
+
+    it('lets coaches read their students\' swings', async () => {
+      await assertFails(studentSwings(asUser('coach')));
+      await linkCoachToStudent();
+      await assertSucceeds(studentSwings(asUser('coach')));
+      await assertFails(updateDoc(doc(asUser('coach'), 'swings/studentSwing'), { overallScore: 90 }));
+    });
+
+    it('lets admins read swings for storage cleanup', async () => {
+      await assertSucceeds(studentSwings(asUser('admin')));
+      await assertFails(studentSwings(asUser('reviewer')));
+    });
+
+    it('keeps sessions private to their owner', async () => {
+      await assertSucceeds(setDoc(doc(asUser('student'), 'sessions/range'), { userId: 'student', status: 'active' }));
+      await assertFails(getDoc(doc(asUser('player'), 'sessions/range')));
+      await assertFails(setDoc(doc(asUser('player'), 'sessions/other'), { userId: 'student', status: 'active' }));
+    });
+  });
+
+  describe('profiles', () => {
+    it('does not let users change their own storage policy', async () => {
+      await assertSucceeds(updateDoc(doc(asUser('player'), 'users/player'), { totalSwings: 3 }));
+      await assertFails(updateDoc(doc(asUser('player'), 'users/player'), {
+        storagePolicy: { quotaBytes: 1e12, videoRetentionDays: 9999 }
+      }));
+      await assertSucceeds(updateDoc(doc(asUser('admin'), 'users/player'), {
+        storagePolicy: { quotaBytes: 1e9, videoRetentionDays: 30 }
+      }));
+    });
+  });
+
+  describe('swing annotations', () => {
+    const annotation = {
+      swingId: 'studentSwing',
+      ownerId: 'student',
+      authorId: 'student',
+      time: 1.5,
+      shapes: []
+    };
+
+    it('lets the swing owner draw on their swing', async () => {
+      await assertSucceeds(setDoc(doc(asUser('student'), 'swing_annotations/studentSwing_student_1500'), annotation));
+    });
+
+    it('does not let others draw on a swing or claim to be its owner', async () => {
+      await assertFails(setDoc(doc(asUser('player'), 'swing_annotations/studentSwing_player_1500'), {
+        ...annotation,
+        authorId: 'player'
+      }));
+      await assertFails(setDoc(doc(asUser('player'), 'swing_annotations/studentSwing_player_1500'), {
+        ...annotation,
+        ownerId: 'player',
+        authorId: 'player'
+      }));
+    });
+
+    it('lets coaches draw on their students\' swings', async () => {
+      await linkCoachToStudent();
+      await assertSucceeds(setDoc(doc(asUser('coach'), 'swing_annotations/studentSwing_coach_1500'), {
+        ...annotation,
+        authorId: 'coach'
+      }));
+    });
+  });
+
+  describe('system settings', () => {
+    it('lets signed-in users read the shared settings', async () => {
+      await assertSucceeds(getDoc(doc(asUser('player'), 'system/adjustment_factors')));
+      await assertFails(getDoc(doc(asGuest(), 'system/adjustment_factors')));
+    });
+
+    it('only lets admins write them', async () => {
+      const factors = { factors: { overall: 5, metrics: {} } };
+      await assertFails(setDoc(doc(asUser('player'), 'system/adjustment_factors'), factors));
+      await assertFails(setDoc(doc(asUser('coach'), 'system/technical_patterns'), { commonMistakes: [] }));
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'system/adjustment_factors'), factors));
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'system/technical_patterns'), { commonMistakes: [] }));
+    });
+
+    it('lets reviewers save the results of feedback processing only', async () => {
+      await assertSucceeds(setDoc(doc(asUser('reviewer'), 'system/adjustment_factors'), { factors: {} }));
+      await assertFails(setDoc(doc(asUser('reviewer'), 'system/technical_patterns'), { commonMistakes: [] }));
+      await assertFails(setDoc(doc(asUser('reviewer'), 'system/other'), {}));
+    });
+  });
+
+  describe('API usage', () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'api_usage/player'), { minuteStart: 0, minuteCount: 1 });
+        await setDoc(doc(context.firestore(), 'api_usage/player/days/2026-05-01'), { day: '2026-05-01', analysis: 20 });
+        await setDoc(doc(context.firestore(), 'api_usage/player/months/2026-05'), { month: '2026-05', analysis: 20 });
+      });
+    });
+
+    it('lets users read their own usage and admins read everyone\'s', async () => {
+      await assertSucceeds(getDoc(doc(asUser('player'), 'api_usage/player')));
+      await assertFails(getDoc(doc(asUser('student'), 'api_usage/player')));
+      await assertFails(getDocs(collection(asUser('reviewer'), 'api_usage')));
+      await assertSucceeds(getDocs(collection(asUser('admin'), 'api_usage')));
+      await assertSucceeds(getDoc(doc(asUser('player'), 'api_usage/player/days/2026-05-01')));
+      await assertFails(getDocs(collection(asUser('student'), 'api_usage/player/months')));
+      await assertSucceeds(getDocs(collection(asUser('admin'), 'api_usage/player/months')));
+    });
+
+    it('does not let users reset their usage', async () => {
+      await assertFails(setDoc(doc(asUser('player'), 'api_usage/player'), { minuteStart: 0, minuteCount: 0 }));
+      await assertFails(setDoc(doc(asUser('player'), 'api_usage/player/days/2026-05-01'), { analysis: 0 }));
+      await assertFails(deleteDoc(doc(asUser('player'), 'api_usage/player/months/2026-05')));
+    });
+
+    it('only lets admins change usage limits', async () => {
+      const limits = { daily: { analysis: 500 } };
+      await assertFails(updateDoc(doc(asUser('player'), 'users/player'), { usageLimits: limits }));
+      await assertFails(setDoc(doc(asUser('player'), 'system/usage_limits'), limits));
+      await assertSucceeds(getDoc(doc(asUser('player'), 'system/usage_limits')));
+      await assertSucceeds(updateDoc(doc(asUser('admin'), 'users/player'), { usageLimits: limits }));
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'system/usage_limits'), limits));
+    });
+  });
+
+  describe('storage usage', () => {
+    beforeEach(async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'storage_usage/player'), { usedBytes: 500, quotaBytes: 1000 });
+      });
+    });
+
+    it('lets users read their own usage and admins read everyone\'s', async () => {
+      await assertSucceeds(getDoc(doc(asUser('player'), 'storage_usage/player')));
+      await assertFails(getDoc(doc(asUser('student'), 'storage_usage/player')));
+      await assertSucceeds(getDoc(doc(asUser('admin'), 'storage_usage/player')));
+    });
+
+    it('lets admins change the quota but nobody change the count', async () => {
+      await assertFails(updateDoc(doc(asUser('player'), 'storage_usage/player'), { quotaBytes: 1e12 }));
+      await assertFails(updateDoc(doc(asUser('player'), 'storage_usage/player'), { usedBytes: 0 }));
+      await assertFails(updateDoc(doc(asUser('admin'), 'storage_usage/player'), { usedBytes: 0 }));
+      await assertSucceeds(updateDoc(doc(asUser('admin'), 'storage_usage/player'), { quotaBytes: 5000 }));
+      await assertSucceeds(setDoc(doc(asUser('admin'), 'storage_usage/student'), { quotaBytes: 5000 }, { merge: true }));
+    });
+  });
+
+  describe('analysis feedback', () => {
+    const feedback = (uid, overrides = {}) => ({
+      swingId: 'studentSwing',
+      userId: uid,
+      feedbackType: 'too_high',
+      overallScore: 70,
+      originalMetrics: { grip: 80 },
+      metricFeedback: { grip: 'too_high', stance: '' },
+      isProSwing: false,
+      skillLevel: 'amateur',
+      confidenceLevel: 4,
+      adjustmentPriority: 'as-needed',
+      additionalNotes: '',
+      submittedAt: new Date().toISOString(),
+      videoSignature: 'abc',
+      timestamp: serverTimestamp(),
+      ...overrides
+    });
+    const add = (db, data) => addDoc(collection(db, 'analysis_feedback'), data);
+
+    it('accepts well-formed feedback from its author', async () => {
+      await assertSucceeds(add(asUser('student'), feedback('student')));
+      await assertSucceeds(setDoc(doc(asUser('student'), 'analysis_feedback/feedback_1'), feedback('student', { clientId: 'feedback_1' })));
+    });
+
+    it('rejects feedback filed under another user', async () => {
+      await assertFails(add(asUser('player'), feedback('student')));
+      await assertFails(add(asGuest(), feedback(null)));
+    });
+
+    it('rejects malformed feedback', async () => {
+      const db = asUser('student');
+      await assertFails(add(db, feedback('student', { feedbackType: 'great' })));
+      await assertFails(add(db, feedback('student', { overallScore: 140 })));
+      await assertFails(add(db, feedback('student', { confidenceLevel: 9 })));
+      await assertFails(add(db, feedback('student', { skillLevel: 'tour' })));
+      await assertFails(add(db, feedback('student', { metricFeedback: { grip: 'wrong' } })));
+      await assertFails(add(db, feedback('student', { isProSwing: 'yes' })));
+      await assertFails(add(db, feedback('student', { timestamp: new Date(2000, 0, 1) })));
+      await assertFails(add(db, feedback('student', { isAdmin: true })));
+    });
+
+    it('does not let users edit feedback once given', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), 'analysis_feedback/given'), feedback('student', { timestamp: new Date() }));
+      });
+      await assertFails(updateDoc(doc(asUser('student'), 'analysis_feedback/given'), { feedbackType: 'accurate' }));
+    });
+
+    it('shares pro-swing feedback but keeps the rest private', async () => {
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'analysis_feedback/pro'), feedback('student', { isProSwing: true, timestamp: new Date() }));
+        await setDoc(doc(db, 'analysis_feedback/own'), feedback('student', { timestamp: new Date() }));
+      });
+
+      await assertSucceeds(getDocs(query(collection(asUser('player'), 'analysis_feedback'), where('isProSwing', '==', true))));
+      await assertFails(getDoc(doc(asUser('player'), 'analysis_feedback/own')));
+      await assertSucceeds(getDoc(doc(asUser('student'), 'analysis_feedback/own')));
+      await assertSucceeds(getDocs(collection(asUser('reviewer'), 'analysis_feedback')));
+    });
+
+    it('validates metric feedback the same way', async () => {
+      const metricFeedback = {
+        userId: 'student',
+        swingId: 'studentSwing',
+        metricKey: 'grip',
+        metricValue: 80,
+        feedbackType: 'accurate',
+        confidenceLevel: 3,
+        feedbackNote: '',
+        overallScore: 70,
+        referenceVideoUsed: true,
+        timestamp: serverTimestamp()
+      };
+      const db = asUser('student');
+      await assertSucceeds(setDoc(doc(db, 'metric_feedback/grip_1'), metricFeedback));
+      await assertFails(setDoc(doc(db, 'metric_feedback/grip_2'), { ...metricFeedback, userId: 'anonymous' }));
+      await assertFails(setDoc(doc(db, 'metric_feedback/grip_3'), { ...metricFeedback, feedbackType: 'form_issue' }));
+    });
+  });
+});
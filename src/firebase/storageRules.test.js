@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+// src/firebase/storageRules.test.js
+// The rules tests need the Storage and Firestore emulators (admins are looked up in Firestore):
+//   firebase emulators:exec --only firestore,storage "CI=true npm test -- storageRules"
+import fs from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject, listAll } from 'firebase/storage';
+
+const readRules = (file) => fs.readFileSync(path.resolve(__dirname, '../..', file), 'utf8');
+
+const EMULATORS_RUNNING = process.env.FIREBASE_STORAGE_EMULATOR_HOST && process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = EMULATORS_RUNNING ? describe : describe.skip;
+
+const VIDEO = new Uint8Array([0, 0, 0, 24, 102, 116, 121, 112]);
+
+describeWithEmulator('Storage rules (emulator)', () => {
+  let testEnv;
+
+  const storageAs = (uid) => testEnv.authenticatedContext(uid).storage();
+  const upload = (storage, filePath, contentType = 'video/mp4') => uploadBytes(ref(storage, filePath), VIDEO, { contentType });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-golf-guru-storage',
+      firestore: { rules: readRules('firestore.rules') },
+      storage: { rules: readRules('storage.rules') }
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'users/admin'), { roles: ['player', 'admin'] });
+      await setDoc(doc(context.firestore(), 'users/alice'), { email: 'alice@example.com' });
+      await uploadBytes(ref(context.storage(), 'swings/alice/swing.mp4'), VIDEO, { contentType: 'video/mp4' });
+    });
+  });
+
+  it('lets users upload videos to their own folder only', async () => {
+    await assertSucceeds(upload(storageAs('alice'), 'swings/alice/new.mp4'));
+    await assertFails(upload(storageAs('bob'), 'swings/alice/new.mp4'));
+    await assertFails(upload(testEnv.unauthenticatedContext().storage(), 'swings/alice/new.mp4'));
+  });
+
+  it('only accepts videos', async () => {
+    await assertFails(upload(storageAs('alice'), 'swings/alice/notes.txt', 'text/plain'));
+  });
+
+  it('refuses videos over MAX_STORED_VIDEO_SIZE', async () => {
+    const large = new Uint8Array(100 * 1024 * 1024 + 1);
+    await assertFails(uploadBytes(ref(storageAs('alice'), 'swings/alice/large.mp4'), large, { contentType: 'video/mp4' }));
+  });
+
+  it('refuses uploads over the user\'s quota', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'storage_usage/alice'), { usedBytes: 100, quotaBytes: 100 + VIDEO.length });
+      await setDoc(doc(context.firestore(), 'storage_usage/bob'), { usedBytes: 101, quotaBytes: 100 + VIDEO.length });
+    });
+    await assertSucceeds(upload(storageAs('alice'), 'swings/alice/fits.mp4'));
+    await assertFails(upload(storageAs('bob'), 'swings/bob/over.mp4'));
+  });
+
+  it('keeps videos private to their owner', async () => {
+    await assertSucceeds(getBytes(ref(storageAs('alice'), 'swings/alice/swing.mp4')));
+    await assertFails(getBytes(ref(storageAs('bob'), 'swings/alice/swing.mp4')));
+    await assertFails(deleteObject(ref(storageAs('bob'), 'swings/alice/swing.mp4')));
+    await assertSucceeds(deleteObject(ref(storageAs('alice'), 'swings/alice/swing.mp4')));
+  });
+
+  it('lets users list their own folder only', async () => {
+    await assertSucceeds(listAll(ref(storageAs('alice'), 'swings/alice')));
+    await assertFails(listAll(ref(storageAs('bob'), 'swings/alice')));
+  });
+
+  it('lets admins list and clean up every user\'s videos', async () => {
+    await assertFails(listAll(ref(storageAs('alice'), 'swings')));
+    await assertSucceeds(listAll(ref(storageAs('admin'), 'swings')));
+    await assertSucceeds(deleteObject(ref(storageAs('admin'), 'swings/alice/swing.mp4')));
+  });
+});
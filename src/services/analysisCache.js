@@ -0,0 +1,130 @@
+// src/services/analysisCache.js
+// Persistent cache of analysis results keyed by the SHA-256 of the video content
+// (plus the trimmed range, when the swing was trimmed).
+//
+// Entries live in localStorage under `golf_analysis_cache_<provider>_<promptVersion>_<hash>`,
+// so a cached mock result is never served when the Gemini provider is active, and a new
+// prompt version scores a known clip again instead of replaying the old rubric. The list of
+// keys is kept in most-recently-used order with each entry's size, and trimmed to
+// MAX_ENTRIES and MAX_CACHE_CHARS so the cache leaves room in the ~5MB localStorage
+// quota for the offline queue and settings.
+
+const CACHE_PREFIX = 'golf_analysis_cache_';
+const INDEX_KEY = 'golf_analysis_cache_index';
+const MAX_ENTRIES = 50;
+const MAX_CACHE_CHARS = 1024 * 1024;
+
+// Per-upload fields that must not be replayed from the cache. The keyframe thumbnails
+// (JPEG data URLs) and swing window are extracted again on a hit, without a model call.
+const UNCACHED_FIELDS = [
+  'id', 'date', 'recordedDate', 'videoUrl', 'clubName', 'clubId', 'clubType', 'outcome',
+  'fromCache', 'cachedAt', 'sessionId', 'segmentIndex', 'keyframes', 'swingWindow'
+];
+
+/**
+ * Build the storage key for a cache entry
+ * @param {string} providerName - Analysis provider name
+ * @param {string} promptVersion - Version of the prompt the analysis is scored with
+ * @param {string} contentHash - SHA-256 of the video
+ * @returns {string} localStorage key
+ */
+const getEntryKey = (providerName, promptVersion, contentHash) =>
+  `${CACHE_PREFIX}${providerName}_${promptVersion}_${contentHash}`;
+
+/**
+ * Read the most-recently-used key index
+ * @returns {Array<Object>} Entries ({ key, size } with size in characters), most recent last
+ */
+const readIndex = () => {
+  try {
+    const index = JSON.parse(localStorage.getItem(INDEX_KEY)) || [];
+    // Indexes written before sizes were kept hold only the keys
+    return index.map(entry => (typeof entry === 'string'
+      ? { key: entry, size: (localStorage.getItem(entry) || '').length }
+      : entry));
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Move a key to the end of the index and evict the oldest entries until the
+ * cache is within MAX_ENTRIES and MAX_CACHE_CHARS
+ * @param {string} entryKey - The key that was used
+ * @param {number} size - Length of the entry's JSON
+ */
+const touchIndex = (entryKey, size) => {
+  const index = readIndex().filter(entry => entry.key !== entryKey);
+  index.push({ key: entryKey, size });
+  let totalSize = index.reduce((sum, entry) => sum + entry.size, 0);
+  while (index.length > 1 && (index.length > MAX_ENTRIES || totalSize > MAX_CACHE_CHARS)) {
+    const evicted = index.shift();
+    localStorage.removeItem(evicted.key);
+    totalSize -= evicted.size;
+  }
+  localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+};
+
+/**
+ * Look up a cached analysis
+ * @param {string} providerName - Analysis provider name
+ * @param {string} promptVersion - Version of the prompt the analysis is scored with
+ * @param {string} contentHash - SHA-256 of the video
+ * @returns {Object|null} Cached entry ({ analysis, cachedAt }) or null on a miss
+ */
+export const getCachedAnalysis = (providerName, promptVersion, contentHash) => {
+  if (!contentHash) return null;
+
+  try {
+    const entryKey = getEntryKey(providerName, promptVersion, contentHash);
+    const entryJson = localStorage.getItem(entryKey);
+    if (!entryJson) return null;
+
+    touchIndex(entryKey, entryJson.length);
+    return JSON.parse(entryJson);
+  } catch (error) {
+    console.error('Error reading analysis cache:', error);
+    return null;
+  }
+};
+
+/**
+ * Store an analysis for a video
+ * @param {string} providerName - Analysis provider name
+ * @param {string} promptVersion - Version of the prompt the analysis is scored with
+ * @param {string} contentHash - SHA-256 of the video
+ * @param {Object} analysis - The analysis result
+ */
+export const setCachedAnalysis = (providerName, promptVersion, contentHash, analysis) => {
+  if (!contentHash) return;
+
+  const cached = { ...analysis };
+  UNCACHED_FIELDS.forEach(field => delete cached[field]);
+
+  try {
+    const entryKey = getEntryKey(providerName, promptVersion, contentHash);
+    const entryJson = JSON.stringify({
+      analysis: cached,
+      cachedAt: new Date().toISOString()
+    });
+    localStorage.setItem(entryKey, entryJson);
+    touchIndex(entryKey, entryJson.length);
+  } catch (error) {
+    // Storage full or unavailable - caching is best effort
+    console.error('Error writing analysis cache:', error);
+  }
+};
+
+/**
+ * Remove every cached analysis
+ */
+export const clearAnalysisCache = () => {
+  readIndex().forEach(entry => localStorage.removeItem(entry.key));
+  localStorage.removeItem(INDEX_KEY);
+};
+
+export default {
+  getCachedAnalysis,
+  setCachedAnalysis,
+  clearAnalysisCache
+};
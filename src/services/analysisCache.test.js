@@ -0,0 +1,58 @@
+// src/services/analysisCache.test.js
+import { getCachedAnalysis, setCachedAnalysis, clearAnalysisCache } from './analysisCache';
+
+const analysis = (overrides = {}) => ({
+  overallScore: 72,
+  metrics: { backswing: 70 },
+  id: '1',
+  date: '2026-05-14T12:00:00.000Z',
+  keyframes: [{ phase: 'address', time: 0.4, image: 'data:image/jpeg;base64,AAAA' }],
+  swingWindow: { start: 0.2, end: 1.8 },
+  ...overrides
+});
+
+describe('analysisCache', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps the analysis without the per-upload fields and keyframe thumbnails', () => {
+    setCachedAnalysis('gemini', 'v1', 'hash', analysis());
+    const cached = getCachedAnalysis('gemini', 'v1', 'hash');
+
+    expect(cached.analysis).toEqual({ overallScore: 72, metrics: { backswing: 70 } });
+    expect(getCachedAnalysis('mock', 'v1', 'hash')).toBeNull();
+  });
+
+  it('misses once the prompt version changes', () => {
+    setCachedAnalysis('gemini', 'v1', 'hash', analysis());
+
+    expect(getCachedAnalysis('gemini', 'v2', 'hash')).toBeNull();
+    expect(getCachedAnalysis('gemini', 'v1', 'hash')).not.toBeNull();
+  });
+
+  it('evicts the least recently used entries once the cache is over its size', () => {
+    const notes = 'x'.repeat(300 * 1024);
+    ['a', 'b', 'c', 'd'].forEach(hash => setCachedAnalysis('gemini', 'v1', hash, analysis({ notes })));
+
+    expect(getCachedAnalysis('gemini', 'v1', 'a')).toBeNull();
+    expect(getCachedAnalysis('gemini', 'v1', 'b')).not.toBeNull();
+
+    // b was just used, so c goes next
+    setCachedAnalysis('gemini', 'v1', 'e', analysis({ notes }));
+    expect(getCachedAnalysis('gemini', 'v1', 'c')).toBeNull();
+    expect(getCachedAnalysis('gemini', 'v1', 'b')).not.toBeNull();
+  });
+
+  it('reads indexes written before sizes were kept', () => {
+    localStorage.setItem('golf_analysis_cache_gemini_v1_old', JSON.stringify({ analysis: { overallScore: 60 } }));
+    localStorage.setItem('golf_analysis_cache_index', JSON.stringify(['golf_analysis_cache_gemini_v1_old']));
+
+    setCachedAnalysis('gemini', 'v1', 'new', analysis());
+    expect(getCachedAnalysis('gemini', 'v1', 'old').analysis.overallScore).toBe(60);
+
+    clearAnalysisCache();
+    expect(getCachedAnalysis('gemini', 'v1', 'old')).toBeNull();
+    expect(getCachedAnalysis('gemini', 'v1', 'new')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+// src/services/analysisProviders.js
+// Registry of swing analysis providers.
+//
+// Every provider is a plain object with the same contract:
+//   {
+//     name: 'gemini',             // unique key used in config
+//     label: 'Gemini ...',        // human readable description
+//     calibrate: true,            // run normalization/consistency/feedback adjustments on the result
+//     isMock: false,              // results are flagged as mock data when true
+//     analyze: async (videoFile, metadata, options) => ({ overallScore, metrics, recommendations }),
+//     reprompt: async (videoFile, metadata, previousResult, errors, options) => ({ ... })  // optional
+//   }
+//
+// options.feature is the usage bucket model requests are metered under ('analysis', or
+// 'reference' for pro reference clips); providers that don't call the model ignore it.
+//
+// Results are checked by analysisValidator; providers that implement `reprompt` get a
+// chance to fix issues that cannot be repaired locally (missing metrics etc.).
+//
+// The active provider is chosen with REACT_APP_ANALYSIS_PROVIDER ('gemini', 'mock' or 'local').
+// A fallback is only used when REACT_APP_ANALYSIS_FALLBACK_PROVIDER is set, and results
+// produced by it are marked with `fallbackFrom` so they are never mistaken for real analyses.
+import geminiAnalysisProvider from './geminiAnalysisProvider';
+import mockAnalysisProvider from './mockAnalysisProvider';
+import localAnalysisProvider from './localAnalysisProvider';
+
+const DEFAULT_PROVIDER = 'gemini';
+
+const providers = new Map();
+
+// Runtime override (tests, demo mode) that takes precedence over env config
+let activeProviderOverride = null;
+
+/**
+ * Register an analysis provider
+ * @param {Object} provider - Provider implementing the analysis contract
+ */
+export const registerAnalysisProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.analyze !== 'function') {
+    throw new Error('Analysis provider must have a name and an analyze function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - The provider name
+ * @returns {Object} The provider
+ */
+export const getAnalysisProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown analysis provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * List all registered providers
+ * @returns {Array<Object>} Name and label of each provider
+ */
+export const listAnalysisProviders = () => {
+  return Array.from(providers.values()).map(({ name, label }) => ({ name, label }));
+};
+
+/**
+ * Select the provider to use for subsequent analyses, overriding env config
+ * @param {string|null} name - Provider name, or null to go back to env config
+ */
+export const setActiveAnalysisProvider = (name) => {
+  if (name !== null) {
+    getAnalysisProvider(name); // Validate it exists
+  }
+  activeProviderOverride = name;
+};
+
+/**
+ * Get the name of the provider configured for analyses
+ * @returns {string} Provider name
+ */
+export const getActiveAnalysisProviderName = () => {
+  if (activeProviderOverride) {
+    return activeProviderOverride;
+  }
+  if (process.env.REACT_APP_ANALYSIS_PROVIDER) {
+    return process.env.REACT_APP_ANALYSIS_PROVIDER;
+  }
+  // Honour the older mock data flag
+  if (process.env.REACT_APP_USE_MOCK_DATA === 'true') {
+    return 'mock';
+  }
+  return DEFAULT_PROVIDER;
+};
+
+/**
+ * Get the name of the explicitly configured fallback provider, if any
+ * @returns {string|null} Provider name or null when fallback is disabled
+ */
+export const getFallbackAnalysisProviderName = () => {
+  return process.env.REACT_APP_ANALYSIS_FALLBACK_PROVIDER || null;
+};
+
+registerAnalysisProvider(geminiAnalysisProvider);
+registerAnalysisProvider(mockAnalysisProvider);
+registerAnalysisProvider(localAnalysisProvider);
+
+export default {
+  registerAnalysisProvider,
+  getAnalysisProvider,
+  listAnalysisProviders,
+  setActiveAnalysisProvider,
+  getActiveAnalysisProviderName,
+  getFallbackAnalysisProviderName
+};
@@ -0,0 +1,106 @@
+// src/services/analysisProviders.test.js
+// The upload -> analysis -> save flow with the deterministic local provider: no model,
+// no network, and Firestore and Storage replaced by in-memory fakes.
+import { addDoc } from 'firebase/firestore';
+import { setActiveAnalysisProvider, getActiveAnalysisProviderName, listAnalysisProviders } from './analysisProviders';
+import geminiService from './geminiService';
+import firestoreService from './firestoreService';
+import { getScoredMetricKeys } from '../utils/metricRegistry';
+import { generateContent } from './geminiProxy';
+
+jest.mock('../firebase/firebase', () => ({ db: {}, storage: null, auth: { currentUser: null } }));
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('./geminiProxy', () => ({
+  generateContent: jest.fn(),
+  isUsageLimitError: () => false
+}));
+jest.mock('./videoUploadService', () => ({
+  uploadVideoResumable: async (userId, file) => `https://storage.example/${userId}/${file.name}`,
+  discardUpload: async () => {}
+}));
+// Browsers decode the clip for frame extraction; jsdom can't
+jest.mock('../utils/frameExtraction', () => ({
+  extractSwingFrames: async () => ({
+    keyframes: [{ phase: 'address', time: 0.2, image: 'data:image/jpeg;base64,AAAA' }],
+    swingWindow: { start: 0.1, end: 1.5 },
+    frames: []
+  })
+}));
+jest.mock('firebase/firestore', () => ({
+  collection: (db, name) => ({ name }),
+  doc: (db, name, id) => ({ name, id }),
+  query: () => ({}),
+  where: () => ({}),
+  orderBy: () => ({}),
+  limit: () => ({}),
+  getDocs: async () => ({ docs: [], empty: true, forEach: () => {} }),
+  getDoc: async () => ({ exists: () => false }),
+  addDoc: jest.fn(),
+  setDoc: async () => {},
+  updateDoc: async () => {},
+  deleteDoc: async () => {},
+  serverTimestamp: () => 'server-time'
+}));
+
+const videoFile = () => new File(['swing video bytes'], 'range-day.mp4', { type: 'video/mp4' });
+const metadata = { clubName: '7 Iron', clubType: 'Iron', swingOwnership: 'self', recordedDate: '2026-05-14T09:00:00.000Z' };
+
+describe('analysis providers', () => {
+  beforeAll(() => {
+    URL.createObjectURL = () => 'blob:swing';
+  });
+
+  beforeEach(() => {
+    addDoc.mockResolvedValue({ id: 'swing-1' });
+    localStorage.clear();
+    setActiveAnalysisProvider('local');
+  });
+
+  afterEach(() => {
+    setActiveAnalysisProvider(null);
+  });
+
+  it('registers the gemini, mock and local providers and selects one at runtime', () => {
+    expect(listAnalysisProviders().map(provider => provider.name)).toEqual(['gemini', 'mock', 'local']);
+    expect(getActiveAnalysisProviderName()).toBe('local');
+    expect(() => setActiveAnalysisProvider('missing')).toThrow('Unknown analysis provider: missing');
+  });
+
+  it('analyzes and saves a swing without the model', async () => {
+    const analysis = await geminiService.analyzeGolfSwing(videoFile(), metadata);
+
+    expect(generateContent).not.toHaveBeenCalled();
+    expect(analysis).toEqual(expect.objectContaining({
+      analysisProvider: 'local',
+      analysisValidation: { valid: true, errors: [], repairs: [], repromptCount: 0 },
+      clubName: '7 Iron',
+      recordedDate: metadata.recordedDate,
+      keyframes: [expect.objectContaining({ phase: 'address' })],
+      _isMockData: true
+    }));
+    expect(Object.keys(analysis.metrics).sort()).toEqual(getScoredMetricKeys().sort());
+    expect(analysis.recommendations).toHaveLength(3);
+
+    const saved = await firestoreService.saveSwingAnalysis(analysis, 'alice', videoFile(), metadata);
+    const [, stored] = addDoc.mock.calls[0];
+
+    expect(saved.id).toBe('swing-1');
+    expect(stored).toEqual(expect.objectContaining({
+      userId: 'alice',
+      videoUrl: 'https://storage.example/alice/range-day.mp4',
+      overallScore: analysis.overallScore,
+      metrics: analysis.metrics,
+      analysisProvider: 'local',
+      swingOwnership: 'self'
+    }));
+    expect(stored).not.toHaveProperty('_isMockData');
+  });
+
+  it('scores the same clip the same way every time', async () => {
+    const first = await geminiService.analyzeGolfSwing(videoFile(), metadata, { forceReanalysis: true });
+    const second = await geminiService.analyzeGolfSwing(videoFile(), metadata, { forceReanalysis: true });
+
+    expect(second.metrics).toEqual(first.metrics);
+    expect(second.overallScore).toBe(first.overallScore);
+  });
+});
@@ -0,0 +1,225 @@
+// src/services/analysisValidator.js
+// Strict schema validation and repair for swing analysis payloads.
+//
+// validateAnalysisPayload() returns a report made of typed issues:
+//   { path: 'metrics.grip', code: 'out_of_range', message: '...', value: 104, repairable: true }
+//
+// Issue codes:
+//   not_an_object         - the payload itself is not an object
+//   missing_field         - overallScore, metrics or recommendations is absent
+//   wrong_type            - a field has the wrong type (e.g. metrics is an array)
+//   missing_metric        - a required metric key is absent
+//   not_a_number          - a score is not numeric (numeric strings are repairable)
+//   not_integer           - a score has a fractional part
+//   out_of_range          - a score is outside 0-100
+//   recommendation_count  - recommendations does not contain exactly three entries
+//   invalid_recommendation - a recommendation is not a non-empty string
+//
+// Repairable issues are fixed locally by repairAnalysisPayload(); the rest need a re-prompt.
+import { getScoredMetricKeys } from '../utils/metricRegistry';
+
+// Metrics the scoring prompt asks the model to return
+export const REQUIRED_METRIC_KEYS = getScoredMetricKeys();
+
+export const REQUIRED_RECOMMENDATION_COUNT = 3;
+
+const DEFAULT_RECOMMENDATIONS = [
+  "Work on your overall swing mechanics",
+  "Practice your timing and rhythm",
+  "Focus on maintaining proper form throughout your swing"
+];
+
+/**
+ * Create a validation issue
+ * @param {string} path - Dotted path of the offending value
+ * @param {string} code - Issue code (see list above)
+ * @param {string} message - Human readable description
+ * @param {*} value - The offending value
+ * @param {boolean} repairable - Whether repairAnalysisPayload can fix it locally
+ * @returns {Object} The issue
+ */
+const createIssue = (path, code, message, value, repairable) => ({
+  path,
+  code,
+  message,
+  value: value === undefined ? null : value,
+  repairable
+});
+
+/**
+ * Validate a single 0-100 integer score
+ * @param {string} path - Path of the score
+ * @param {*} value - The score value
+ * @returns {Array<Object>} Issues found
+ */
+const validateScore = (path, value) => {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return [createIssue(path, 'not_a_number', `${path} is a string, expected an integer`, value, true)];
+  }
+  if (typeof value !== 'number' || isNaN(value)) {
+    return [createIssue(path, 'not_a_number', `${path} must be an integer from 0 to 100`, value, false)];
+  }
+
+  const issues = [];
+  if (!Number.isInteger(value)) {
+    issues.push(createIssue(path, 'not_integer', `${path} must be an integer`, value, true));
+  }
+  if (value < 0 || value > 100) {
+    issues.push(createIssue(path, 'out_of_range', `${path} must be between 0 and 100`, value, true));
+  }
+  return issues;
+};
+
+/**
+ * Validate an analysis payload against the analysis schema
+ * @param {Object} data - Analysis payload ({overallScore, metrics, recommendations})
+ * @returns {{valid: boolean, errors: Array<Object>}} Validation report
+ */
+export const validateAnalysisPayload = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(createIssue('', 'not_an_object', 'Analysis must be a JSON object', data, false));
+    return { valid: false, errors };
+  }
+
+  // Overall score - can be recomputed from the metrics when missing
+  if (data.overallScore === undefined || data.overallScore === null) {
+    errors.push(createIssue('overallScore', 'missing_field', 'overallScore is missing', null, true));
+  } else {
+    errors.push(...validateScore('overallScore', data.overallScore));
+  }
+
+  // Metrics
+  if (data.metrics === undefined || data.metrics === null) {
+    errors.push(createIssue('metrics', 'missing_field', 'metrics is missing', null, false));
+  } else if (typeof data.metrics !== 'object' || Array.isArray(data.metrics)) {
+    errors.push(createIssue('metrics', 'wrong_type', 'metrics must be an object', data.metrics, false));
+  } else {
+    REQUIRED_METRIC_KEYS.forEach(key => {
+      if (data.metrics[key] === undefined || data.metrics[key] === null) {
+        errors.push(createIssue(`metrics.${key}`, 'missing_metric', `Metric "${key}" is missing`, null, false));
+      }
+    });
+    Object.entries(data.metrics).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        errors.push(...validateScore(`metrics.${key}`, value));
+      }
+    });
+  }
+
+  // Recommendations
+  if (data.recommendations === undefined || data.recommendations === null) {
+    errors.push(createIssue('recommendations', 'missing_field', 'recommendations is missing', null, false));
+  } else if (!Array.isArray(data.recommendations)) {
+    errors.push(createIssue('recommendations', 'wrong_type', 'recommendations must be an array', data.recommendations, false));
+  } else {
+    data.recommendations.forEach((recommendation, index) => {
+      if (typeof recommendation !== 'string' || recommendation.trim() === '') {
+        errors.push(createIssue(`recommendations.${index}`, 'invalid_recommendation', 'Recommendations must be non-empty strings', recommendation, false));
+      }
+    });
+    const count = data.recommendations.length;
+    if (count !== REQUIRED_RECOMMENDATION_COUNT) {
+      // Extra recommendations can simply be dropped; missing ones need the model
+      errors.push(createIssue('recommendations', 'recommendation_count',
+        `Expected exactly ${REQUIRED_RECOMMENDATION_COUNT} recommendations, got ${count}`,
+        count, count > REQUIRED_RECOMMENDATION_COUNT));
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Whether a report contains issues that only the model can fix
+ * @param {Object} report - Report from validateAnalysisPayload
+ * @returns {boolean} True when a re-prompt is needed
+ */
+export const needsReprompt = (report) => {
+  return report.errors.some(issue => !issue.repairable);
+};
+
+/**
+ * Clamp and round a score into a 0-100 integer
+ * @param {*} value - Score value
+ * @returns {number} Repaired score
+ */
+const clampScore = (value) => Math.min(100, Math.max(0, Math.round(Number(value))));
+
+/**
+ * Apply local repairs (coercion, rounding, clamping, trimming and defaults).
+ * Every change is recorded so it can be stored on the swing document.
+ * @param {Object} data - Analysis payload
+ * @param {Function} computeOverallScore - Computes an overall score from metrics when it is missing
+ * @returns {{data: Object, repairs: Array<Object>, unrepaired: Array<Object>}} Repaired payload and repair log
+ */
+export const repairAnalysisPayload = (data, computeOverallScore) => {
+  const repairs = [];
+  const repaired = {
+    ...data,
+    metrics: data.metrics && typeof data.metrics === 'object' && !Array.isArray(data.metrics)
+      ? { ...data.metrics }
+      : data.metrics,
+    recommendations: Array.isArray(data.recommendations) ? [...data.recommendations] : data.recommendations
+  };
+
+  // Scores: coerce numeric strings, round fractions, clamp to range
+  const repairScore = (path, value, assign) => {
+    const numeric = Number(value);
+    if (value === null || value === undefined || typeof value === 'boolean' || isNaN(numeric)) return;
+    const fixed = clampScore(numeric);
+    if (fixed !== value) {
+      assign(fixed);
+      repairs.push({ path, action: 'clamp', from: value, to: fixed });
+    }
+  };
+
+  if (repaired.metrics && typeof repaired.metrics === 'object' && !Array.isArray(repaired.metrics)) {
+    Object.entries(repaired.metrics).forEach(([key, value]) => {
+      repairScore(`metrics.${key}`, value, fixed => { repaired.metrics[key] = fixed; });
+    });
+  }
+
+  if (repaired.overallScore === undefined || repaired.overallScore === null) {
+    if (repaired.metrics && typeof computeOverallScore === 'function') {
+      repaired.overallScore = computeOverallScore(repaired.metrics);
+      repairs.push({ path: 'overallScore', action: 'computed_from_metrics', from: null, to: repaired.overallScore });
+    }
+  } else {
+    repairScore('overallScore', repaired.overallScore, fixed => { repaired.overallScore = fixed; });
+  }
+
+  // Recommendations: drop invalid entries, trim to three, pad with defaults
+  if (Array.isArray(repaired.recommendations)) {
+    const valid = repaired.recommendations.filter(rec => typeof rec === 'string' && rec.trim() !== '');
+    if (valid.length !== repaired.recommendations.length) {
+      repairs.push({ path: 'recommendations', action: 'dropped_invalid', from: repaired.recommendations.length, to: valid.length });
+    }
+    if (valid.length > REQUIRED_RECOMMENDATION_COUNT) {
+      repairs.push({ path: 'recommendations', action: 'truncated', from: valid.length, to: REQUIRED_RECOMMENDATION_COUNT });
+      valid.length = REQUIRED_RECOMMENDATION_COUNT;
+    }
+    if (valid.length < REQUIRED_RECOMMENDATION_COUNT) {
+      const defaults = DEFAULT_RECOMMENDATIONS.filter(rec => !valid.includes(rec));
+      const added = defaults.slice(0, REQUIRED_RECOMMENDATION_COUNT - valid.length);
+      repairs.push({ path: 'recommendations', action: 'filled_defaults', from: valid.length, to: valid.length + added.length });
+      valid.push(...added);
+    }
+    repaired.recommendations = valid;
+  } else if (repaired.recommendations === undefined || repaired.recommendations === null) {
+    repaired.recommendations = [...DEFAULT_RECOMMENDATIONS];
+    repairs.push({ path: 'recommendations', action: 'filled_defaults', from: 0, to: REQUIRED_RECOMMENDATION_COUNT });
+  }
+
+  const { errors: unrepaired } = validateAnalysisPayload(repaired);
+  return { data: repaired, repairs, unrepaired };
+};
+
+export default {
+  REQUIRED_METRIC_KEYS,
+  REQUIRED_RECOMMENDATION_COUNT,
+  validateAnalysisPayload,
+  needsReprompt,
+  repairAnalysisPayload
+};
@@ -0,0 +1,117 @@
+// src/services/analysisValidator.test.js
+import {
+  REQUIRED_METRIC_KEYS,
+  validateAnalysisPayload,
+  needsReprompt,
+  repairAnalysisPayload
+} from './analysisValidator';
+
+const payload = (overrides = {}) => ({
+  overallScore: 74,
+  metrics: Object.fromEntries(REQUIRED_METRIC_KEYS.map(key => [key, 70])),
+  recommendations: ['Keep your head still', 'Finish high', 'Shallow the club'],
+  ...overrides
+});
+
+const codes = (report) => report.errors.map(issue => `${issue.path}:${issue.code}`);
+
+describe('validateAnalysisPayload', () => {
+  it('accepts a complete payload', () => {
+    expect(validateAnalysisPayload(payload())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects anything that is not an object', () => {
+    expect(codes(validateAnalysisPayload([]))).toEqual([':not_an_object']);
+    expect(codes(validateAnalysisPayload(null))).toEqual([':not_an_object']);
+  });
+
+  it('reports typed, located score issues', () => {
+    const [first, second] = REQUIRED_METRIC_KEYS;
+    const report = validateAnalysisPayload(payload({
+      overallScore: '81',
+      metrics: { ...payload().metrics, [first]: 104.5, [second]: 'great' }
+    }));
+
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual([
+      'overallScore:not_a_number',
+      `metrics.${first}:not_integer`,
+      `metrics.${first}:out_of_range`,
+      `metrics.${second}:not_a_number`
+    ]);
+    expect(report.errors.map(issue => issue.repairable)).toEqual([true, true, true, false]);
+    expect(report.errors[1].value).toBe(104.5);
+  });
+
+  it('reports missing metrics and fields', () => {
+    const [first] = REQUIRED_METRIC_KEYS;
+    const metrics = { ...payload().metrics };
+    delete metrics[first];
+
+    expect(codes(validateAnalysisPayload(payload({ metrics, overallScore: null, recommendations: undefined }))))
+      .toEqual(['overallScore:missing_field', `metrics.${first}:missing_metric`, 'recommendations:missing_field']);
+    expect(codes(validateAnalysisPayload(payload({ metrics: [] })))).toEqual(['metrics:wrong_type']);
+  });
+
+  it('only treats extra recommendations as repairable', () => {
+    const tooMany = validateAnalysisPayload(payload({ recommendations: ['a', 'b', 'c', 'd'] }));
+    const tooFew = validateAnalysisPayload(payload({ recommendations: ['a', ' '] }));
+
+    expect(tooMany.errors).toEqual([expect.objectContaining({ code: 'recommendation_count', value: 4, repairable: true })]);
+    expect(codes(tooFew)).toEqual(['recommendations.1:invalid_recommendation', 'recommendations:recommendation_count']);
+    expect(needsReprompt(tooMany)).toBe(false);
+    expect(needsReprompt(tooFew)).toBe(true);
+  });
+});
+
+describe('repairAnalysisPayload', () => {
+  it('coerces, rounds and clamps scores and logs every change', () => {
+    const [first, second] = REQUIRED_METRIC_KEYS;
+    const original = payload({
+      overallScore: '81',
+      metrics: { ...payload().metrics, [first]: 104.5, [second]: 62.4 }
+    });
+    const { data, repairs, unrepaired } = repairAnalysisPayload(original);
+
+    expect(data.overallScore).toBe(81);
+    expect(data.metrics[first]).toBe(100);
+    expect(data.metrics[second]).toBe(62);
+    expect(repairs).toEqual([
+      { path: `metrics.${first}`, action: 'clamp', from: 104.5, to: 100 },
+      { path: `metrics.${second}`, action: 'clamp', from: 62.4, to: 62 },
+      { path: 'overallScore', action: 'clamp', from: '81', to: 81 }
+    ]);
+    expect(unrepaired).toEqual([]);
+    // The input is left alone
+    expect(original.metrics[first]).toBe(104.5);
+  });
+
+  it('computes a missing overall score from the metrics', () => {
+    const computeOverallScore = jest.fn(() => 68);
+    const { data, repairs } = repairAnalysisPayload(payload({ overallScore: undefined }), computeOverallScore);
+
+    expect(computeOverallScore).toHaveBeenCalledWith(payload().metrics);
+    expect(data.overallScore).toBe(68);
+    expect(repairs).toEqual([{ path: 'overallScore', action: 'computed_from_metrics', from: null, to: 68 }]);
+  });
+
+  it('brings recommendations to exactly three', () => {
+    const truncated = repairAnalysisPayload(payload({ recommendations: ['a', 'b', '', 'c', 'd'] }));
+    expect(truncated.data.recommendations).toEqual(['a', 'b', 'c']);
+    expect(truncated.repairs.map(repair => repair.action)).toEqual(['dropped_invalid', 'truncated']);
+
+    const padded = repairAnalysisPayload(payload({ recommendations: ['Finish high'] }));
+    expect(padded.data.recommendations).toHaveLength(3);
+    expect(padded.data.recommendations[0]).toBe('Finish high');
+    expect(padded.repairs).toEqual([{ path: 'recommendations', action: 'filled_defaults', from: 1, to: 3 }]);
+  });
+
+  it('leaves issues only the model can fix unrepaired', () => {
+    const [first] = REQUIRED_METRIC_KEYS;
+    const { unrepaired } = repairAnalysisPayload(payload({
+      metrics: { ...payload().metrics, [first]: 'great' }
+    }));
+
+    expect(codes({ errors: unrepaired })).toEqual([`metrics.${first}:not_a_number`]);
+  });
+});
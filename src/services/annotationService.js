@@ -0,0 +1,137 @@
+// src/services/annotationService.js
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+
+// Collection name constants
+const ANNOTATIONS_COLLECTION = 'swing_annotations';
+
+/**
+ * Round a video time to the millisecond annotations are keyed by
+ * @param {number} time - Time in seconds
+ * @returns {number} Rounded time in seconds
+ */
+const roundTime = (time) => Math.round(time * 1000) / 1000;
+
+/**
+ * Document ID for one author's drawing on one frame of a swing.
+ * Saving the same frame again replaces the drawing instead of adding a second one.
+ * @param {string} swingId - The swing ID
+ * @param {string} authorId - The user who drew it
+ * @param {number} time - Frame time in seconds
+ * @returns {string} Document ID
+ */
+export const getAnnotationId = (swingId, authorId, time) => `${swingId}_${authorId}_${Math.round(time * 1000)}`;
+
+/**
+ * Convert an annotation document to a plain object with Date fields
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} Annotation with id
+ */
+const formatAnnotation = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    ...data,
+    id: docSnap.id,
+    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate() : (data.updatedAt ? new Date(data.updatedAt) : null)
+  };
+};
+
+/**
+ * Get every annotated frame of a swing, from all authors
+ * @param {Object} swing - The swing ({ id, userId })
+ * @returns {Promise<Array>} Annotations ({ id, swingId, ownerId, authorId, authorName, time, shapes }) in time order
+ */
+const getSwingAnnotations = async (swing) => {
+  try {
+    // Filtering on the owner too lets security rules check the reader is them or their coach
+    const annotationsQuery = query(
+      collection(db, ANNOTATIONS_COLLECTION),
+      where('swingId', '==', swing.id),
+      where('ownerId', '==', swing.userId)
+    );
+    const snapshot = await getDocs(annotationsQuery);
+
+    return snapshot.docs
+      .map(formatAnnotation)
+      .sort((a, b) => a.time - b.time);
+  } catch (error) {
+    console.error('Error getting swing annotations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the shapes drawn on one frame, replacing the author's earlier drawing of that frame.
+ * Saving an empty list removes the frame's annotation.
+ * @param {Object} swing - The annotated swing ({ id, userId })
+ * @param {Object} author - The user drawing ({ uid, displayName })
+ * @param {number} time - Frame time in seconds
+ * @param {Array} shapes - Vector shapes ({ tool, type, color, points: [{ x, y }] } with
+ *   points as fractions of the frame width and height)
+ * @returns {Promise<Object|null>} The saved annotation, or null when it was removed
+ */
+const saveFrameAnnotations = async (swing, author, time, shapes) => {
+  try {
+    const frameTime = roundTime(time);
+    const annotationId = getAnnotationId(swing.id, author.uid, frameTime);
+    const annotationRef = doc(db, ANNOTATIONS_COLLECTION, annotationId);
+
+    if (!shapes || shapes.length === 0) {
+      await deleteDoc(annotationRef);
+      return null;
+    }
+
+    const annotation = {
+      swingId: swing.id,
+      ownerId: swing.userId,
+      authorId: author.uid,
+      authorName: author.displayName || null,
+      time: frameTime,
+      shapes,
+      updatedAt: serverTimestamp()
+    };
+
+    await setDoc(annotationRef, annotation);
+    return { ...annotation, id: annotationId, updatedAt: new Date() };
+  } catch (error) {
+    console.error('Error saving annotations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete all annotations of a swing (used when the swing is deleted)
+ * @param {Object} swing - The swing ({ id, userId })
+ * @returns {Promise<number>} Number of annotated frames deleted
+ */
+const deleteSwingAnnotations = async (swing) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, ANNOTATIONS_COLLECTION),
+      where('swingId', '==', swing.id),
+      where('ownerId', '==', swing.userId)
+    ));
+
+    await Promise.all(snapshot.docs.map(annotationDoc => deleteDoc(annotationDoc.ref)));
+    return snapshot.size;
+  } catch (error) {
+    console.error('Error deleting swing annotations:', error);
+    throw error;
+  }
+};
+
+export default {
+  getSwingAnnotations,
+  saveFrameAnnotations,
+  deleteSwingAnnotations,
+  getAnnotationId
+};
@@ -0,0 +1,356 @@
+// src/services/coachService.js
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  deleteDoc,
+  query,
+  where,
+  writeBatch,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+import { resolveMetricKey } from '../utils/metricRegistry';
+import { ROLES } from '../utils/permissions';
+
+// Collection name constants
+const USERS_COLLECTION = 'users';
+const COACH_LINKS_COLLECTION = 'coach_links';
+const SWING_REVIEWS_COLLECTION = 'swing_reviews';
+
+// A coach-student link starts as an invite to the student's email. Accepting it replaces the
+// invite with an active link stored under getLinkId(coachId, studentId), so security rules can
+// check a coach's access to a student by path. Declined and removed links are deleted.
+export const LINK_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active'
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : (value ? new Date(value) : null));
+
+/**
+ * Convert a link or review document to a plain object with Date fields
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} Document data with id
+ */
+const formatDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    ...data,
+    id: docSnap.id,
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+    acceptedAt: toDate(data.acceptedAt)
+  };
+};
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Document ID of the active link between a coach and a student
+ * @param {string} coachId - The coach's user ID
+ * @param {string} studentId - The student's user ID
+ * @returns {string} Document ID
+ */
+export const getLinkId = (coachId, studentId) => `${coachId}_${studentId}`;
+
+/**
+ * Turn on the coach account for a user by giving them the coach role. Being a coach only
+ * lets them invite students; they see nothing of a student until the student accepts.
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+const enableCoachAccount = async (userId) => {
+  try {
+    await setDoc(doc(db, USERS_COLLECTION, userId), {
+      roles: arrayUnion(ROLES.COACH),
+      coachSince: serverTimestamp()
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error enabling coach account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Invite a student by email. The student sees the invite when they sign in with that email.
+ * @param {Object} coach - The coach ({ uid, displayName, email })
+ * @param {string} studentEmail - The student's email
+ * @returns {Promise<Object>} The pending link
+ */
+const inviteStudent = async (coach, studentEmail) => {
+  try {
+    const email = normalizeEmail(studentEmail);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Please enter a valid email address');
+    }
+    if (email === normalizeEmail(coach.email)) {
+      throw new Error("You can't invite yourself");
+    }
+
+    const existing = await getDocs(query(
+      collection(db, COACH_LINKS_COLLECTION),
+      where('coachId', '==', coach.uid),
+      where('studentEmail', '==', email)
+    ));
+    if (!existing.empty) {
+      throw new Error(`${email} is already on your roster`);
+    }
+
+    const link = {
+      coachId: coach.uid,
+      coachName: coach.displayName || coach.email || 'Coach',
+      coachEmail: normalizeEmail(coach.email),
+      studentEmail: email,
+      studentId: null,
+      studentName: null,
+      status: LINK_STATUS.PENDING,
+      createdAt: serverTimestamp()
+    };
+    const docRef = await addDoc(collection(db, COACH_LINKS_COLLECTION), link);
+    return { ...link, id: docRef.id, createdAt: new Date() };
+  } catch (error) {
+    console.error('Error inviting student:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a coach's roster: pending invites and active students
+ * @param {string} coachId - The coach's user ID
+ * @returns {Promise<Array>} Links, active students first, then by name or email
+ */
+const getCoachRoster = async (coachId) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, COACH_LINKS_COLLECTION),
+      where('coachId', '==', coachId)
+    ));
+    return snapshot.docs
+      .map(formatDoc)
+      .sort((a, b) => (a.status === b.status
+        ? (a.studentName || a.studentEmail).localeCompare(b.studentName || b.studentEmail)
+        : a.status === LINK_STATUS.ACTIVE ? -1 : 1));
+  } catch (error) {
+    console.error('Error getting coach roster:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a student's coach invites and coaches
+ * @param {Object} student - The student ({ uid, email, emailVerified })
+ * @returns {Promise<Object>} { invites, coaches }
+ */
+const getStudentLinks = async (student) => {
+  try {
+    const [invitesSnapshot, coachesSnapshot] = await Promise.all([
+      // The rules only show invites to verified addresses
+      student.email && student.emailVerified
+        ? getDocs(query(
+          collection(db, COACH_LINKS_COLLECTION),
+          where('studentEmail', '==', normalizeEmail(student.email)),
+          where('status', '==', LINK_STATUS.PENDING)
+        ))
+        : Promise.resolve({ docs: [] }),
+      getDocs(query(
+        collection(db, COACH_LINKS_COLLECTION),
+        where('studentId', '==', student.uid)
+      ))
+    ]);
+
+    return {
+      invites: invitesSnapshot.docs.map(formatDoc),
+      coaches: coachesSnapshot.docs.map(formatDoc).filter(link => link.status === LINK_STATUS.ACTIVE)
+    };
+  } catch (error) {
+    console.error('Error getting coach links:', error);
+    throw error;
+  }
+};
+
+/**
+ * Accept a coach's invite, giving the coach access to the student's swings
+ * @param {Object} invite - The pending link
+ * @param {Object} student - The student ({ uid, displayName, email })
+ * @returns {Promise<Object>} The active link
+ */
+const acceptInvite = async (invite, student) => {
+  try {
+    const link = {
+      coachId: invite.coachId,
+      coachName: invite.coachName,
+      coachEmail: invite.coachEmail,
+      studentEmail: invite.studentEmail,
+      studentId: student.uid,
+      studentName: student.displayName || student.email,
+      status: LINK_STATUS.ACTIVE,
+      inviteId: invite.id,
+      createdAt: invite.createdAt || serverTimestamp(),
+      acceptedAt: serverTimestamp()
+    };
+    const linkRef = doc(db, COACH_LINKS_COLLECTION, getLinkId(invite.coachId, student.uid));
+
+    const batch = writeBatch(db);
+    batch.set(linkRef, link);
+    batch.delete(doc(db, COACH_LINKS_COLLECTION, invite.id));
+    await batch.commit();
+
+    return { ...link, id: linkRef.id, acceptedAt: new Date() };
+  } catch (error) {
+    console.error('Error accepting coach invite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a link: a student declining an invite or leaving a coach, or a coach
+ * withdrawing an invite or removing a student
+ * @param {string} linkId - The link ID
+ * @returns {Promise<void>}
+ */
+const removeLink = async (linkId) => {
+  try {
+    await deleteDoc(doc(db, COACH_LINKS_COLLECTION, linkId));
+  } catch (error) {
+    console.error('Error removing coach link:', error);
+    throw error;
+  }
+};
+
+/**
+ * Whether a coach currently has access to a student
+ * @param {string} coachId - The coach's user ID
+ * @param {string} studentId - The student's user ID
+ * @returns {Promise<boolean>} True if there is an active link
+ */
+const isCoachOf = async (coachId, studentId) => {
+  if (!coachId || !studentId || coachId === studentId) return false;
+  try {
+    const linkDoc = await getDoc(doc(db, COACH_LINKS_COLLECTION, getLinkId(coachId, studentId)));
+    return linkDoc.exists() && linkDoc.data().status === LINK_STATUS.ACTIVE;
+  } catch (error) {
+    console.error('Error checking coach access:', error);
+    return false;
+  }
+};
+
+/**
+ * Document ID of a coach's review of a swing; each coach has one review per swing
+ * @param {string} swingId - The swing ID
+ * @param {string} coachId - The coach's user ID
+ * @returns {string} Document ID
+ */
+export const getReviewId = (swingId, coachId) => `${swingId}_${coachId}`;
+
+/**
+ * Get the coach reviews of a swing
+ * @param {Object} swing - The swing ({ id, userId })
+ * @returns {Promise<Array>} Reviews, newest first
+ */
+const getSwingReviews = async (swing) => {
+  try {
+    // Filtering on the student too lets security rules check the reader is them or their coach
+    const snapshot = await getDocs(query(
+      collection(db, SWING_REVIEWS_COLLECTION),
+      where('swingId', '==', swing.id),
+      where('studentId', '==', swing.userId)
+    ));
+    return snapshot.docs
+      .map(formatDoc)
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  } catch (error) {
+    console.error('Error getting swing reviews:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a coach's written feedback and corrected metric scores on a student's swing,
+ * replacing their earlier review of it
+ * @param {Object} swing - The student's swing ({ id, userId })
+ * @param {Object} coach - The coach ({ uid, displayName, email })
+ * @param {Object} review - { comment, metricScores: { key: score } } (only corrected metrics)
+ * @returns {Promise<Object>} The saved review
+ */
+const saveSwingReview = async (swing, coach, { comment = '', metricScores = {} }) => {
+  try {
+    const scores = Object.entries(metricScores).reduce((acc, [key, value]) => {
+      const score = Math.round(Number(value));
+      if (value === '' || value === null || !Number.isFinite(score)) return acc;
+      if (score < 0 || score > 100) {
+        throw new Error('Corrected scores must be between 0 and 100');
+      }
+      acc[resolveMetricKey(key)] = score;
+      return acc;
+    }, {});
+
+    if (!comment.trim() && Object.keys(scores).length === 0) {
+      throw new Error('Add a comment or a corrected score before saving');
+    }
+
+    const review = {
+      swingId: swing.id,
+      studentId: swing.userId,
+      coachId: coach.uid,
+      coachName: coach.displayName || coach.email || 'Coach',
+      comment: comment.trim(),
+      metricScores: scores,
+      updatedAt: serverTimestamp()
+    };
+    const reviewRef = doc(db, SWING_REVIEWS_COLLECTION, getReviewId(swing.id, coach.uid));
+    const existing = await getDoc(reviewRef);
+
+    await setDoc(reviewRef, existing.exists()
+      ? { ...review, createdAt: existing.data().createdAt }
+      : { ...review, createdAt: serverTimestamp() });
+
+    return { ...review, id: reviewRef.id, updatedAt: new Date() };
+  } catch (error) {
+    console.error('Error saving swing review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a coach's review of a swing
+ * @param {string} reviewId - The review ID
+ * @returns {Promise<void>}
+ */
+const deleteSwingReview = async (reviewId) => {
+  try {
+    await deleteDoc(doc(db, SWING_REVIEWS_COLLECTION, reviewId));
+  } catch (error) {
+    console.error('Error deleting swing review:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete every review of a swing (used when the swing is deleted)
+ * @param {Object} swing - The swing ({ id, userId })
+ * @returns {Promise<number>} Number of reviews deleted
+ */
+const deleteSwingReviews = async (swing) => {
+  const reviews = await getSwingReviews(swing);
+  await Promise.all(reviews.map(review => deleteDoc(doc(db, SWING_REVIEWS_COLLECTION, review.id))));
+  return reviews.length;
+};
+
+export default {
+  enableCoachAccount,
+  inviteStudent,
+  getCoachRoster,
+  getStudentLinks,
+  acceptInvite,
+  removeLink,
+  isCoachOf,
+  getSwingReviews,
+  saveSwingReview,
+  deleteSwingReview,
+  deleteSwingReviews
+};
@@ -0,0 +1,106 @@
+// src/services/ensembleScoring.js
+// Aggregates several analyses of the same swing into one "high-confidence" result.
+//
+// Each metric (and the overall score) is the median of the runs, and the spread of the
+// runs is kept next to it:
+//   metricSpread: { grip: { median: 72, min: 68, max: 77, stdDev: 3.7 }, ... }
+//   overallSpread: { median: 71, min: 69, max: 74, stdDev: 2.1 }
+// Calibration runs after aggregation, so the UI derives the band around the final score
+// from these raw offsets (see getScoreBand in utils/swingUtils).
+
+export const DEFAULT_ENSEMBLE_RUNS = 3;
+export const MAX_ENSEMBLE_RUNS = 5;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - The values
+ * @returns {number} Median (mean of the middle two for even lengths)
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+/**
+ * Summarize the spread of a list of scores
+ * @param {Array<number>} values - Scores from each run
+ * @returns {Object} { median, min, max, stdDev }
+ */
+export const summarizeSpread = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return {
+    median: Math.round(median(values)),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    stdDev: Math.round(Math.sqrt(variance) * 10) / 10
+  };
+};
+
+/**
+ * Clamp the requested number of runs to the supported range
+ * @param {number|boolean} runs - Requested runs (true means the default)
+ * @returns {number} Number of runs to perform
+ */
+export const normalizeEnsembleRuns = (runs) => {
+  if (runs === true) return DEFAULT_ENSEMBLE_RUNS;
+  const count = Math.round(Number(runs));
+  if (!count || count < 2) return DEFAULT_ENSEMBLE_RUNS;
+  return Math.min(count, MAX_ENSEMBLE_RUNS);
+};
+
+/**
+ * Aggregate validated analyses of one swing by median
+ * @param {Array<Object>} runs - Analyses ({overallScore, metrics, recommendations})
+ * @returns {Object} Aggregated analysis with metricSpread, overallSpread and ensemble info
+ */
+export const aggregateEnsemble = (runs) => {
+  if (!runs || runs.length === 0) {
+    throw new Error('Cannot aggregate an empty set of analyses');
+  }
+
+  const metricKeys = new Set();
+  runs.forEach(run => Object.keys(run.metrics || {}).forEach(key => metricKeys.add(key)));
+
+  const metrics = {};
+  const metricSpread = {};
+  metricKeys.forEach(key => {
+    const values = runs
+      .map(run => run.metrics?.[key])
+      .filter(value => typeof value === 'number');
+    if (values.length === 0) return;
+    metricSpread[key] = summarizeSpread(values);
+    metrics[key] = metricSpread[key].median;
+  });
+
+  const overallSpread = summarizeSpread(runs.map(run => run.overallScore));
+
+  // Recommendations come from the run closest to the aggregate, so they match the scores
+  const distance = (run) => Object.keys(metrics).reduce(
+    (sum, key) => sum + Math.abs((run.metrics?.[key] ?? metrics[key]) - metrics[key]), 0
+  );
+  const representative = runs.reduce((best, run) => (distance(run) < distance(best) ? run : best), runs[0]);
+
+  return {
+    ...representative,
+    overallScore: overallSpread.median,
+    metrics,
+    metricSpread,
+    overallSpread,
+    ensemble: {
+      runs: runs.length,
+      aggregation: 'median'
+    }
+  };
+};
+
+export default {
+  aggregateEnsemble,
+  summarizeSpread,
+  normalizeEnsembleRuns,
+  DEFAULT_ENSEMBLE_RUNS,
+  MAX_ENSEMBLE_RUNS
+};
@@ -0,0 +1,80 @@
+// src/services/ensembleScoring.test.js
+import {
+  aggregateEnsemble,
+  summarizeSpread,
+  normalizeEnsembleRuns,
+  DEFAULT_ENSEMBLE_RUNS,
+  MAX_ENSEMBLE_RUNS
+} from './ensembleScoring';
+
+const run = (overallScore, metrics, recommendations = [`Run scored ${overallScore}`]) => ({
+  overallScore,
+  metrics,
+  recommendations
+});
+
+describe('summarizeSpread', () => {
+  it('reports the median, range and population standard deviation', () => {
+    expect(summarizeSpread([68, 77, 72])).toEqual({ median: 72, min: 68, max: 77, stdDev: 3.7 });
+  });
+
+  it('rounds the median of an even number of runs', () => {
+    expect(summarizeSpread([70, 73]).median).toBe(72);
+    expect(summarizeSpread([80]).stdDev).toBe(0);
+  });
+});
+
+describe('normalizeEnsembleRuns', () => {
+  it('falls back to the default for true and for fewer than two runs', () => {
+    expect(normalizeEnsembleRuns(true)).toBe(DEFAULT_ENSEMBLE_RUNS);
+    expect(normalizeEnsembleRuns(1)).toBe(DEFAULT_ENSEMBLE_RUNS);
+    expect(normalizeEnsembleRuns('abc')).toBe(DEFAULT_ENSEMBLE_RUNS);
+  });
+
+  it('rounds and caps the requested runs', () => {
+    expect(normalizeEnsembleRuns('4')).toBe(4);
+    expect(normalizeEnsembleRuns(2.4)).toBe(2);
+    expect(normalizeEnsembleRuns(12)).toBe(MAX_ENSEMBLE_RUNS);
+  });
+});
+
+describe('aggregateEnsemble', () => {
+  it('takes the median of every metric and of the overall score', () => {
+    const result = aggregateEnsemble([
+      run(69, { grip: 68, tempo: 80 }),
+      run(74, { grip: 77, tempo: 60 }),
+      run(71, { grip: 72, tempo: 70 })
+    ]);
+
+    expect(result.overallScore).toBe(71);
+    expect(result.metrics).toEqual({ grip: 72, tempo: 70 });
+    expect(result.metricSpread.grip).toEqual({ median: 72, min: 68, max: 77, stdDev: 3.7 });
+    expect(result.overallSpread).toEqual({ median: 71, min: 69, max: 74, stdDev: 2.1 });
+    expect(result.ensemble).toEqual({ runs: 3, aggregation: 'median' });
+  });
+
+  it('keeps the recommendations of the run closest to the aggregate', () => {
+    const result = aggregateEnsemble([
+      run(60, { grip: 50, tempo: 90 }, ['far']),
+      run(72, { grip: 71, tempo: 69 }, ['close']),
+      run(80, { grip: 90, tempo: 40 }, ['farther'])
+    ]);
+
+    expect(result.recommendations).toEqual(['close']);
+  });
+
+  it('aggregates metrics only over the runs that scored them', () => {
+    const result = aggregateEnsemble([
+      run(70, { grip: 70, tempo: 'n/a' }),
+      run(72, { grip: 74 }),
+      run(71, { grip: 72, tempo: 65 })
+    ]);
+
+    expect(result.metrics).toEqual({ grip: 72, tempo: 65 });
+    expect(result.metricSpread.tempo).toEqual({ median: 65, min: 65, max: 65, stdDev: 0 });
+  });
+
+  it('refuses an empty set of runs', () => {
+    expect(() => aggregateEnsemble([])).toThrow('Cannot aggregate an empty set of analyses');
+  });
+});
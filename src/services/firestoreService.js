@@ -12,50 +12,93 @@ import {
   orderBy, 
   limit, 
   serverTimestamp,
-  setDoc 
+  setDoc,
+  deleteField
 } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { ref, deleteObject } from 'firebase/storage';
 import { db, storage } from '../firebase/firebase';
+import { uploadVideoResumable } from './videoUploadService';
+import annotationService from './annotationService';
+import coachService from './coachService';
 
 // Collection name constants
 const SWINGS_COLLECTION = 'swings';
 const USERS_COLLECTION = 'users';
+const FEEDBACK_COLLECTION = 'analysis_feedback';
 
 /**
  * Upload a video file to Firebase Storage
  * @param {String} userId - The user ID
  * @param {File} videoFile - The video file to upload
+ * @param {Object} options - Resumable upload options (uploadId, onProgress, signal),
+ *   see videoUploadService.uploadVideoResumable
  * @returns {Promise<String>} The video URL
  */
-const uploadVideo = async (userId, videoFile) => {
+const uploadVideo = async (userId, videoFile, options = {}) => {
   try {
-    // Create a reference to the file in Firebase Storage
-    const videoRef = ref(storage, `swings/${userId}/${Date.now()}_${videoFile.name}`);
-    
-    // Upload the file
-    const uploadResult = await uploadBytes(videoRef, videoFile);
-    
-    // Get the download URL
-    const videoUrl = await getDownloadURL(uploadResult.ref);
-    
-    return videoUrl;
+    return await uploadVideoResumable(userId, videoFile, options);
   } catch (error) {
     console.error('Error uploading video:', error);
     throw error;
   }
 };
 
+/**
+ * Upload a swing's video, and the original recording when the user keeps it.
+ * Progress is reported across both files.
+ * @param {String} userId - The user ID
+ * @param {File} videoFile - The (compressed) video
+ * @param {File} originalFile - The original recording, or null
+ * @param {Object} options - Resumable upload options, as for uploadVideo
+ * @returns {Promise<Object>} { videoUrl, originalVideoUrl }
+ */
+const uploadSwingVideos = async (userId, videoFile, originalFile = null, options = {}) => {
+  const { onProgress } = options;
+  const total = videoFile.size + (originalFile?.size || 0);
+  const videoUrl = await uploadVideo(userId, videoFile, {
+    ...options,
+    onProgress: onProgress && ((loaded) => onProgress(loaded, total))
+  });
+  if (!originalFile) {
+    return { videoUrl, originalVideoUrl: null };
+  }
+
+  const originalVideoUrl = await uploadVideo(userId, originalFile, {
+    ...options,
+    uploadId: options.uploadId ? `${options.uploadId}_original` : null,
+    onProgress: onProgress && ((loaded) => onProgress(videoFile.size + loaded, total))
+  });
+  return { videoUrl, originalVideoUrl };
+};
+
 /**
  * Save a swing analysis to Firestore
  * @param {Object} analysisData - The swing analysis data
  * @param {string} userId - The user ID
  * @param {File} videoFile - The video file (null for YouTube videos or non-user swings)
- * @param {Object} metadata - Additional metadata (club, date, YouTube info, ownership, etc.)
+ * @param {Object} metadata - Additional metadata (club, date, YouTube info, ownership, etc.).
+ *   An originalVideo file is uploaded alongside the video when the user keeps the original.
+ * @param {Object} uploadOptions - Progress, cancellation and resume options for the video upload
  * @returns {Promise<Object>} The saved swing data with ID
  */
-const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = null) => {
+const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = null, uploadOptions = {}) => {
   try {
+    // Swings replayed from the offline queue carry a client id used as the document id,
+    // so a write that reached Firestore before the connection dropped isn't duplicated
+    const clientId = metadata?.clientId || null;
+    if (clientId) {
+      const existing = await getDoc(doc(db, SWINGS_COLLECTION, clientId));
+      if (existing.exists()) {
+        if (existing.data().userId !== userId) {
+          throw new Error('Swing already exists for another user');
+        }
+        console.log(`Swing ${clientId} was already saved, keeping the stored copy`);
+        return { ...existing.data(), id: existing.id, _alreadySynced: true };
+      }
+    }
+    
     let videoUrl;
+    let originalVideoUrl = null;
     let temporaryVideoUrl = null;
     
     // Determine if this is a YouTube video or file upload
@@ -71,11 +114,15 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
       // For YouTube videos, use the embed URL directly
       videoUrl = metadata.youtubeVideo.embedUrl;
       console.log('Using YouTube video URL:', videoUrl);
+    } else if (metadata?.storedVideoUrl && swingOwnership === 'self') {
+      // Another swing split from the same recording already uploaded the video
+      videoUrl = metadata.storedVideoUrl;
+      originalVideoUrl = metadata.storedOriginalUrl || null;
     } else if (videoFile) {
       // For file uploads, only upload to storage if it's the user's own swing
       if (swingOwnership === 'self') {
         console.log('Uploading user\'s own video file to storage');
-        videoUrl = await uploadVideo(userId, videoFile);
+        ({ videoUrl, originalVideoUrl } = await uploadSwingVideos(userId, videoFile, metadata?.originalVideo, uploadOptions));
       } else {
         // For others' swings, don't upload to storage, just use a flag
         console.log('Not uploading video for non-user swing');
@@ -97,7 +144,7 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
     const swingData = {
       ...analysisData,
       userId,
-      videoUrl,
+      videoUrl: videoUrl || null,
       date: new Date(), // When the analysis was performed
       recordedDate, // When the swing was actually recorded
       clubId: metadata?.clubId || analysisData.clubId || null,
@@ -113,6 +160,20 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
       createdAt: serverTimestamp()
     };
     
+    if (clientId) {
+      swingData.clientId = clientId;
+    }
+    
+    // Full-size recording, kept when the user opted in (see videoTranscoder)
+    if (originalVideoUrl) {
+      swingData.originalVideoUrl = originalVideoUrl;
+    }
+    
+    // Size and format of the stored video when it was compressed before upload
+    if (metadata?.videoInfo) {
+      swingData.videoInfo = metadata.videoInfo;
+    }
+    
     // Add YouTube-specific properties if this is a YouTube video
     if (isYouTubeAnalysis) {
       swingData.isYouTubeVideo = true;
@@ -126,6 +187,8 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
     
     // Remove client-specific properties
     delete swingData._isMockData;
+    delete swingData._isLocal;
+    delete swingData._syncStatus;
     
     // Add to Firestore only if this is the user's own swing or a YouTube video
     // Non-user, non-YouTube swings don't get saved to conserve storage
@@ -133,7 +196,12 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
     
     if (swingOwnership === 'self' || isYouTubeAnalysis) {
       console.log('Saving swing to Firestore - user\'s own swing or YouTube video');
-      docRef = await addDoc(collection(db, 'swings'), swingData);
+      if (clientId) {
+        docRef = doc(db, SWINGS_COLLECTION, clientId);
+        await setDoc(docRef, swingData);
+      } else {
+        docRef = await addDoc(collection(db, 'swings'), swingData);
+      }
       
       // Only update user stats if this is the user's own swing
       if (swingOwnership === 'self') {
@@ -158,6 +226,60 @@ const saveSwingAnalysis = async (analysisData, userId, videoFile, metadata = nul
   }
 };
 
+// Fields describing the recording rather than its analysis, kept when a swing is re-analyzed
+const SWING_UPLOAD_FIELDS = [
+  'id', 'userId', 'videoUrl', 'originalVideoUrl', 'videoInfo', 'recordedDate', 'clubId', 'clubName',
+  'clubType', 'outcome', 'swingOwnership', 'proGolferName', 'isUnknownPro', 'clientId', 'sessionId',
+  'segmentIndex', 'createdAt', 'isYouTubeVideo', 'youtubeVideoId', 'isVideoSkipped'
+];
+
+/**
+ * Replace the analysis of a saved swing with a new one, keeping its video, club and session
+ * @param {string} swingId - The swing ID
+ * @param {string} userId - The user ID (for security check)
+ * @param {Object} analysisData - The new swing analysis data
+ * @returns {Promise<Object>} The updated swing data with ID
+ */
+const updateSwingAnalysis = async (swingId, userId, analysisData) => {
+  try {
+    const swingRef = doc(db, SWINGS_COLLECTION, swingId);
+    const swingDoc = await getDoc(swingRef);
+
+    if (!swingDoc.exists()) {
+      throw new Error('Swing not found');
+    }
+    if (swingDoc.data().userId !== userId) {
+      throw new Error('Not authorized to update this swing');
+    }
+
+    const analysisFields = { ...analysisData, date: new Date() };
+    SWING_UPLOAD_FIELDS.forEach(field => delete analysisFields[field]);
+    delete analysisFields._isMockData;
+    delete analysisFields._isLocal;
+    delete analysisFields._syncStatus;
+
+    // A fresh analysis no longer came from the cache
+    await updateDoc(swingRef, {
+      ...analysisFields,
+      fromCache: deleteField(),
+      cachedAt: deleteField()
+    });
+    await updateUserStats(userId);
+
+    const { fromCache, cachedAt, ...storedSwing } = swingDoc.data();
+    return {
+      ...storedSwing,
+      ...analysisFields,
+      id: swingId,
+      recordedDate: storedSwing.recordedDate?.toDate ? storedSwing.recordedDate.toDate() : storedSwing.recordedDate,
+      createdAt: storedSwing.createdAt?.toDate ? storedSwing.createdAt.toDate() : storedSwing.createdAt
+    };
+  } catch (error) {
+    console.error('Error updating swing analysis:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a user's swings from Firestore (only their own swings)
  * @param {string} userId - The user ID
@@ -250,24 +372,51 @@ const deleteSwing = async (swingId, userId) => {
       throw new Error('Unauthorized access');
     }
     
-    // Try to delete the video file if URL exists
-    if (swingData.videoUrl) {
-      try {
-        // Extract the storage path from the URL
-        const url = new URL(swingData.videoUrl);
-        const path = decodeURIComponent(url.pathname.split('/o/')[1].split('?')[0]);
-        
-        // Create a reference to the file
-        const videoRef = ref(storage, path);
-        
-        // Delete the file
-        await deleteObject(videoRef);
-      } catch (videoError) {
-        console.error('Error deleting video file:', videoError);
-        // Continue with document deletion even if video delete fails
+    // Swings split from one recording share the video, so keep it while others use it
+    let videoInUse = false;
+    if (swingData.sessionId && swingData.videoUrl) {
+      const sharedQuery = query(
+        collection(db, SWINGS_COLLECTION),
+        where('userId', '==', userId),
+        where('videoUrl', '==', swingData.videoUrl)
+      );
+      const sharedSnapshot = await getDocs(sharedQuery);
+      videoInUse = sharedSnapshot.docs.some(swingDoc => swingDoc.id !== swingId);
+    }
+    
+    // Try to delete the video files if URLs exist
+    if (!videoInUse) {
+      const videoUrls = [swingData.videoUrl, swingData.originalVideoUrl]
+        .filter(videoUrl => videoUrl && videoUrl.includes('/o/'));
+      for (const videoUrl of videoUrls) {
+        try {
+          // Extract the storage path from the URL
+          const url = new URL(videoUrl);
+          const path = decodeURIComponent(url.pathname.split('/o/')[1].split('?')[0]);
+          
+          // Delete the file
+          await deleteObject(ref(storage, path));
+        } catch (videoError) {
+          console.error('Error deleting video file:', videoError);
+          // Continue with document deletion even if video delete fails
+        }
       }
     }
     
+    // Drawings on the swing's frames go with it
+    try {
+      await annotationService.deleteSwingAnnotations({ id: swingId, userId });
+    } catch (annotationError) {
+      console.error('Error deleting swing annotations:', annotationError);
+    }
+    
+    // So do coaches' reviews of it
+    try {
+      await coachService.deleteSwingReviews({ id: swingId, userId });
+    } catch (reviewError) {
+      console.error('Error deleting swing reviews:', reviewError);
+    }
+    
     // Delete the swing document
     await deleteDoc(doc(db, SWINGS_COLLECTION, swingId));
     
@@ -651,9 +800,40 @@ const getClubSwingData = async (userId, clubId) => {
   }
 };
 
+/**
+ * Save user feedback on an analysis
+ * @param {Object} feedbackData - The feedback document (timestamp is added here)
+ * @param {string} clientId - Document id for feedback replayed from the offline queue (optional)
+ * @returns {Promise<string>} The feedback document ID
+ */
+const saveAnalysisFeedback = async (feedbackData, clientId = null) => {
+  try {
+    const data = { ...feedbackData, timestamp: serverTimestamp() };
+    
+    if (clientId) {
+      // Replayed feedback: the first write wins, a repeat is a no-op
+      const feedbackRef = doc(db, FEEDBACK_COLLECTION, clientId);
+      const existing = await getDoc(feedbackRef);
+      if (!existing.exists()) {
+        await setDoc(feedbackRef, { ...data, clientId });
+      }
+      return clientId;
+    }
+    
+    const docRef = await addDoc(collection(db, FEEDBACK_COLLECTION), data);
+    return docRef.id;
+  } catch (error) {
+    console.error('Error saving analysis feedback:', error);
+    throw error;
+  }
+};
+
 // Export all functions
 export default {
   saveSwingAnalysis,
+  updateSwingAnalysis,
+  saveAnalysisFeedback,
+  uploadVideo,
   getUserSwings,
   getSwingById,
   deleteSwing,
@@ -0,0 +1,195 @@
+/**
+ * @jest-environment node
+ */
+// src/services/firestoreService.test.js
+// firestoreService run as different users against firestore.rules in the emulator:
+//   firebase emulators:exec --only firestore "CI=true npm test -- firestoreService"
+// A change to firestoreService that the rules would reject fails here.
+import fs from 'fs';
+import path from 'path';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import firestoreService from './firestoreService';
+
+// The services use whichever user signInAs picked last
+let mockDb = null;
+jest.mock('../firebase/firebase', () => ({
+  get db() {
+    return mockDb;
+  },
+  storage: null,
+  auth: { currentUser: null }
+}));
+
+// Only YouTube swings are saved here, so nothing is uploaded
+jest.mock('./videoUploadService', () => ({ uploadVideoResumable: jest.fn() }));
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+const analysis = {
+  overallScore: 72,
+  metrics: { grip: 80, stance: 70, backswing: 65 },
+  recordedDate: '2025-05-01T10:00:00.000Z'
+};
+
+const youtubeSwing = {
+  youtubeVideo: { videoId: 'abc123', embedUrl: 'https://www.youtube.com/embed/abc123' }
+};
+
+describeWithEmulator('firestoreService under the security rules (emulator)', () => {
+  let testEnv;
+
+  const signInAs = (uid) => {
+    mockDb = testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }).firestore();
+  };
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-golf-guru-service',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../../firestore.rules'), 'utf8') }
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'users/alice'), { email: 'alice@example.com' });
+      await setDoc(doc(context.firestore(), 'users/bob'), { email: 'bob@example.com' });
+    });
+  });
+
+  describe('swings', () => {
+    it('saves, lists and deletes the signed-in user\'s swings', async () => {
+      signInAs('alice');
+      const saved = await firestoreService.saveSwingAnalysis(analysis, 'alice', null, youtubeSwing);
+
+      const swings = await firestoreService.getUserSwings('alice');
+      expect(swings.map(swing => swing.id)).toEqual([saved.id]);
+
+      const stats = await firestoreService.getUserStats('alice');
+      expect(stats.totalSwings).toBe(1);
+
+      await firestoreService.deleteSwing(saved.id, 'alice');
+      expect(await firestoreService.getUserSwings('alice')).toEqual([]);
+    });
+
+    it('replays an offline swing once', async () => {
+      signInAs('alice');
+      const metadata = { ...youtubeSwing, clientId: 'swing_offline_1' };
+      await firestoreService.saveSwingAnalysis(analysis, 'alice', null, metadata);
+      const replayed = await firestoreService.saveSwingAnalysis(analysis, 'alice', null, metadata);
+      expect(replayed._alreadySynced).toBe(true);
+    });
+
+    it('re-analyzes a swing in place', async () => {
+      signInAs('alice');
+      const saved = await firestoreService.saveSwingAnalysis(
+        { ...analysis, fromCache: true, cachedAt: '2025-05-01T10:05:00.000Z' }, 'alice', null, youtubeSwing
+      );
+      const updated = await firestoreService.updateSwingAnalysis(saved.id, 'alice', { ...analysis, overallScore: 80 });
+
+      expect(updated.fromCache).toBeUndefined();
+      const swings = await firestoreService.getUserSwings('alice');
+      expect(swings).toHaveLength(1);
+      expect(swings[0]).toMatchObject({ id: saved.id, overallScore: 80, youtubeVideoId: 'abc123' });
+      expect(swings[0].fromCache).toBeUndefined();
+
+      signInAs('bob');
+      await expect(firestoreService.updateSwingAnalysis(saved.id, 'alice', analysis)).rejects.toThrow();
+    });
+
+    it('does not save swings for another user', async () => {
+      signInAs('bob');
+      await expect(firestoreService.saveSwingAnalysis(analysis, 'alice', null, youtubeSwing)).rejects.toThrow();
+    });
+
+    it('does not show or delete another user\'s swings', async () => {
+      signInAs('alice');
+      const saved = await firestoreService.saveSwingAnalysis(analysis, 'alice', null, youtubeSwing);
+
+      signInAs('bob');
+      await expect(firestoreService.getUserSwings('alice')).rejects.toThrow();
+      await expect(firestoreService.getSwingById(saved.id)).rejects.toThrow();
+      await expect(firestoreService.deleteSwing(saved.id, 'alice')).rejects.toThrow();
+    });
+  });
+
+  describe('profiles', () => {
+    it('saves the signed-in user\'s profile and clubs', async () => {
+      signInAs('alice');
+      await firestoreService.saveUserProfile('alice', { displayName: 'Alice', handicap: 12 });
+      await firestoreService.saveUserClubs('alice', [{ id: 'driver', name: 'Driver', type: 'Wood' }]);
+
+      const profile = await firestoreService.getUserProfile('alice');
+      expect(profile.displayName).toBe('Alice');
+      expect(await firestoreService.getUserClubs('alice')).toHaveLength(1);
+    });
+
+    it('does not read or change another user\'s profile', async () => {
+      signInAs('bob');
+      await expect(firestoreService.getUserProfile('alice')).rejects.toThrow();
+      await expect(firestoreService.saveUserProfile('alice', { displayName: 'Bob was here' })).rejects.toThrow();
+    });
+
+    it('does not let users raise their own storage quota', async () => {
+      signInAs('alice');
+      await expect(firestoreService.saveUserProfile('alice', {
+        storagePolicy: { quotaBytes: 1e12, videoRetentionDays: 9999 }
+      })).rejects.toThrow();
+    });
+  });
+
+  describe('analysis feedback', () => {
+    const feedback = (userId, overrides = {}) => ({
+      swingId: 'swing1',
+      userId,
+      feedbackType: 'too_high',
+      overallScore: 72,
+      originalMetrics: analysis.metrics,
+      metricFeedback: { grip: 'too_high' },
+      clubType: null,
+      clubName: null,
+      isProSwing: false,
+      skillLevel: 'amateur',
+      confidenceLevel: 3,
+      adjustmentPriority: 'as-needed',
+      additionalNotes: '',
+      modelVersion: 'gemini-2.0-flash-exp',
+      analysisProvider: null,
+      promptVersion: null,
+      submittedAt: new Date().toISOString(),
+      isYouTubeVideo: true,
+      videoSignature: 'abc123',
+      ...overrides
+    });
+
+    it('saves feedback in the shape collectAnalysisFeedback builds', async () => {
+      signInAs('alice');
+      const id = await firestoreService.saveAnalysisFeedback(feedback('alice'));
+
+      await testEnv.withSecurityRulesDisabled(async (context) => {
+        const saved = await getDoc(doc(context.firestore(), 'analysis_feedback', id));
+        expect(saved.data().feedbackType).toBe('too_high');
+      });
+    });
+
+    it('replays queued feedback once', async () => {
+      signInAs('alice');
+      await firestoreService.saveAnalysisFeedback(feedback('alice'), 'feedback_offline_1');
+      await expect(firestoreService.saveAnalysisFeedback(feedback('alice'), 'feedback_offline_1'))
+        .resolves.toBe('feedback_offline_1');
+    });
+
+    it('rejects feedback for another user or in the wrong shape', async () => {
+      signInAs('bob');
+      await expect(firestoreService.saveAnalysisFeedback(feedback('alice'))).rejects.toThrow();
+      await expect(firestoreService.saveAnalysisFeedback(feedback('bob', { feedbackType: 'love_it' }))).rejects.toThrow();
+      await expect(firestoreService.saveAnalysisFeedback(feedback('bob', { confidenceLevel: 10 }))).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,293 @@
+// src/services/geminiAnalysisProvider.js
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+import { buildSwingAnalysisPrompt, buildAnalysisRepairPrompt, buildFrameSetPrompt } from './promptTemplates';
+import { REQUIRED_METRIC_KEYS, REQUIRED_RECOMMENDATION_COUNT } from './analysisValidator';
+import { generateContent } from './geminiProxy';
+
+/**
+ * Convert a file to base64 string
+ * @param {File} file - The file to convert
+ * @returns {Promise<string>} Promise that resolves to the base64 string
+ */
+const fileToBase64 = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.readAsDataURL(file);
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = (error) => reject(error);
+  });
+};
+
+/**
+ * Load the reference models used to enrich the scoring prompt
+ * @returns {Promise<Object>} Reference models keyed by metric
+ */
+const loadReferenceModels = async () => {
+  const referenceModels = {};
+  try {
+    const referenceModelsSnapshot = await getDocs(collection(db, 'reference_models'));
+    referenceModelsSnapshot.forEach(doc => {
+      referenceModels[doc.id] = doc.data();
+    });
+    console.log(`Loaded ${Object.keys(referenceModels).length} reference models`);
+  } catch (error) {
+    console.error('Error loading reference models:', error);
+    // Continue even if reference models couldn't be loaded
+  }
+  return referenceModels;
+};
+
+// Inline requests are capped at 20MB and base64 adds a third, so larger clips go as frames
+const INLINE_VIDEO_LIMIT = 15 * 1024 * 1024;
+
+// 'auto' (frames only for large clips), 'video' or 'frames'
+const INPUT_MODE = process.env.REACT_APP_GEMINI_INPUT_MODE || 'auto';
+
+/**
+ * Decide whether to send the extracted frame set instead of the whole video
+ * @param {File} videoFile - The video file
+ * @param {Object|null} frameSet - Frames from extractSwingFrames, if any
+ * @returns {boolean} True to send frames
+ */
+const shouldSendFrames = (videoFile, frameSet) => {
+  if (!frameSet?.frames?.length) return false;
+  if (INPUT_MODE === 'frames') return true;
+  if (INPUT_MODE === 'video') return false;
+  return videoFile.size > INLINE_VIDEO_LIMIT;
+};
+
+/**
+ * Build the request parts for the extracted frames of a video
+ * @param {Object} frameSet - Frames from extractSwingFrames
+ * @returns {{parts: Array<Object>, analysisInput: Object}} Request parts and input description
+ */
+const buildFrameParts = (frameSet) => {
+  const { text, promptVersion } = buildFrameSetPrompt(frameSet.frames);
+  console.log(`Sending ${frameSet.frames.length} frames instead of the full video`);
+
+  return {
+    parts: [
+      { text },
+      ...frameSet.frames.map(frame => ({
+        inlineData: {
+          mimeType: 'image/jpeg',
+          data: frame.image.split('base64,')[1]
+        }
+      }))
+    ],
+    analysisInput: { mode: 'frames', frameCount: frameSet.frames.length, promptVersion }
+  };
+};
+
+/**
+ * Build the video parts of the request for a YouTube video, a file or its frames
+ * @param {File|null} videoFile - The video file (null for YouTube)
+ * @param {Object} metadata - Metadata including YouTube video info or an extracted frameSet
+ * @returns {Promise<{parts: Array<Object>, analysisInput: Object}>} Request parts and input description
+ */
+const buildVideoParts = async (videoFile, metadata) => {
+  if (!videoFile && metadata?.youtubeVideo?.videoId) {
+    console.log('Starting YouTube video analysis:', metadata.youtubeVideo.videoId);
+    return {
+      parts: [{
+        fileData: {
+          mimeType: "video/*",
+          fileUri: `https://youtu.be/${metadata.youtubeVideo.videoId}`
+        }
+      }],
+      analysisInput: { mode: 'youtube' }
+    };
+  }
+
+  if (!videoFile) {
+    throw new Error('No video file provided and not a YouTube video');
+  }
+
+  console.log('Starting file video analysis, file type:', videoFile.type);
+  console.log('File details:', {
+    name: videoFile.name,
+    type: videoFile.type,
+    size: `${(videoFile.size / (1024 * 1024)).toFixed(2)}MB`,
+    lastModified: new Date(videoFile.lastModified).toISOString()
+  });
+
+  if (shouldSendFrames(videoFile, metadata?.frameSet)) {
+    return buildFrameParts(metadata.frameSet);
+  }
+
+  const base64Video = await fileToBase64(videoFile);
+  const base64Data = base64Video.split('base64,')[1];
+  if (!base64Data) {
+    throw new Error('Failed to extract base64 data from video');
+  }
+
+  // Restrict the model to the trimmed swing segment
+  const trim = metadata?.trim;
+  return {
+    parts: [{
+      inlineData: {
+        mimeType: videoFile.type,
+        data: base64Data
+      },
+      ...(trim ? {
+        videoMetadata: {
+          startOffset: `${trim.start}s`,
+          endOffset: `${trim.end}s`
+        }
+      } : {})
+    }],
+    analysisInput: { mode: 'video', ...(trim ? { trim } : {}) }
+  };
+};
+
+/**
+ * Extract the analysis JSON object from the model's text response
+ * @param {string} textResponse - Raw text returned by the model
+ * @returns {Object} The parsed analysis data
+ */
+const parseAnalysisResponse = (textResponse) => {
+  try {
+    return JSON.parse(textResponse);
+  } catch (e) {
+    const jsonStart = textResponse.indexOf('{');
+    const jsonEnd = textResponse.lastIndexOf('}') + 1;
+
+    if (jsonStart === -1 || jsonEnd <= jsonStart) {
+      console.error('Raw response:', textResponse);
+      throw new Error('No valid JSON found in response');
+    }
+
+    return JSON.parse(textResponse.substring(jsonStart, jsonEnd));
+  }
+};
+
+/**
+ * Send a generateContent request and return the text of the first candidate
+ * @param {Array<Object>} contents - Conversation turns for the request
+ * @param {string} feature - Usage bucket the request is metered under (analysis or reference)
+ * @returns {Promise<string>} The model's text response
+ */
+const requestAnalysis = async (contents, feature = 'analysis') => {
+  const payload = {
+    contents,
+    generationConfig: {
+      temperature: 0.5,
+      maxOutputTokens: 2048
+    }
+  };
+
+  console.log('Sending request to Gemini API...');
+
+  let data;
+  try {
+    data = await generateContent(payload, { feature, timeout: 120000 });
+  } catch (error) {
+    console.error('Error details:', error.response?.data);
+    console.error('Error status:', error.response?.status);
+
+    if (error.response?.data?.error?.message?.includes('size') ||
+        error.response?.status === 413) {
+      throw new Error('The API rejected the file due to size limitations');
+    }
+    throw error;
+  }
+
+  console.log('Received response from Gemini API');
+
+  const textResponse = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!textResponse) {
+    console.error('Invalid API response structure:', data);
+    throw new Error('No text in API response');
+  }
+
+  return textResponse;
+};
+
+/**
+ * Build the opening user turn containing the scoring prompt and the video
+ * @param {File|null} videoFile - The video file to analyze (null if using YouTube)
+ * @param {Object} metadata - Additional metadata including YouTube video info if applicable
+ * @returns {Promise<{turn: Object, promptVersion: string, analysisInput: Object}>} The turn, prompt version and input description
+ */
+const buildAnalysisTurn = async (videoFile, metadata) => {
+  const referenceModels = await loadReferenceModels();
+  const { text: promptText, promptVersion } = buildSwingAnalysisPrompt(metadata, referenceModels);
+  const { parts: videoParts, analysisInput } = await buildVideoParts(videoFile, metadata);
+
+  return {
+    turn: {
+      role: 'user',
+      parts: [
+        { text: promptText },
+        ...videoParts
+      ]
+    },
+    promptVersion,
+    analysisInput
+  };
+};
+
+/**
+ * Analyze a golf swing with the Gemini API
+ * @param {File|null} videoFile - The video file to analyze (null if using YouTube)
+ * @param {Object} metadata - Additional metadata including YouTube video info if applicable
+ * @param {Object} options - { feature } the request is metered under (default 'analysis')
+ * @returns {Promise<Object>} Raw analysis with overallScore, metrics, recommendations, promptVersion and analysisInput
+ */
+const analyze = async (videoFile, metadata = null, { feature = 'analysis' } = {}) => {
+  const { turn, promptVersion, analysisInput } = await buildAnalysisTurn(videoFile, metadata);
+  const textResponse = await requestAnalysis([turn], feature);
+
+  console.log('Parsing response text to JSON...');
+  return {
+    ...parseAnalysisResponse(textResponse),
+    promptVersion,
+    analysisInput
+  };
+};
+
+/**
+ * Ask the model to correct an analysis that failed schema validation.
+ * The original prompt and video are replayed, followed by the invalid answer
+ * and a targeted list of the problems to fix.
+ * @param {File|null} videoFile - The video file that was analyzed
+ * @param {Object} metadata - The metadata used for the original analysis
+ * @param {Object} previousResult - The invalid analysis returned by analyze()
+ * @param {Array<Object>} errors - Issues from validateAnalysisPayload
+ * @param {Object} options - { feature } the request is metered under (default 'analysis')
+ * @returns {Promise<Object>} Corrected raw analysis
+ */
+const reprompt = async (videoFile, metadata, previousResult, errors, { feature = 'analysis' } = {}) => {
+  const { turn, promptVersion, analysisInput } = await buildAnalysisTurn(videoFile, metadata);
+  const { promptVersion: previousPromptVersion, analysisInput: previousInput, ...previousAnswer } = previousResult;
+  const { text: repairText } = buildAnalysisRepairPrompt(
+    errors,
+    REQUIRED_METRIC_KEYS,
+    REQUIRED_RECOMMENDATION_COUNT
+  );
+
+  console.log(`Re-prompting Gemini to fix ${errors.length} validation issue(s)`);
+  const textResponse = await requestAnalysis([
+    turn,
+    { role: 'model', parts: [{ text: JSON.stringify(previousAnswer) }] },
+    { role: 'user', parts: [{ text: repairText }] }
+  ], feature);
+
+  return {
+    ...parseAnalysisResponse(textResponse),
+    promptVersion: previousPromptVersion || promptVersion,
+    analysisInput: previousInput || analysisInput
+  };
+};
+
+const geminiAnalysisProvider = {
+  name: 'gemini',
+  label: 'Gemini video analysis',
+  // Raw model scores go through normalization, consistency and feedback adjustments
+  calibrate: true,
+  analyze,
+  reprompt
+};
+
+export default geminiAnalysisProvider;
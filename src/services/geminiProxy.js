@@ -0,0 +1,81 @@
+// src/services/geminiProxy.js
+// Client for the geminiProxy Cloud Function (functions/index.js). The Gemini key
+// stays on the server; requests are sent with the signed-in user's ID token.
+import axios from 'axios';
+import { auth } from '../firebase/firebase';
+
+const PROJECT_ID = process.env.REACT_APP_FIREBASE_PROJECT_ID;
+const REGION = 'us-central1';
+
+/**
+ * Get the URL of an HTTP function in functions/index.js
+ * @param {string} name - The exported function name
+ * @returns {string} The URL
+ */
+export const getFunctionUrl = (name) => {
+  if (process.env.NODE_ENV === 'development' && process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true') {
+    return `http://localhost:5001/${PROJECT_ID}/${REGION}/${name}`;
+  }
+  return `https://${REGION}-${PROJECT_ID}.cloudfunctions.net/${name}`;
+};
+
+/**
+ * Get the URL of the proxy function
+ * @returns {string} The URL
+ */
+export const getProxyUrl = () => process.env.REACT_APP_GEMINI_PROXY_URL || getFunctionUrl('geminiProxy');
+
+/**
+ * Whether an error means the user is over their rate limit or daily quota
+ * @param {Error} error - Error thrown by generateContent
+ * @returns {boolean} True for limit errors
+ */
+export const isUsageLimitError = (error) => error?.code === 'quota-exceeded' || error?.code === 'rate-limited';
+
+/**
+ * Send a generateContent request through the proxy
+ * @param {Object} payload - Gemini generateContent request body
+ * @param {Object} options - Request options
+ * @param {string} options.feature - analysis, insights or reference (the proxy meters requests with images or video
+ *   as analyses, and reference only for admins)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} The Gemini response body
+ */
+export const generateContent = async (payload, { feature = 'analysis', timeout = 120000 } = {}) => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('Sign in to use swing analysis');
+  }
+
+  const idToken = await user.getIdToken();
+
+  try {
+    const response = await axios.post(getProxyUrl(), { feature, payload }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`
+      },
+      timeout
+    });
+    return response.data;
+  } catch (error) {
+    const details = error.response?.data?.error;
+    if (error.response?.status === 429 && details?.reason) {
+      const limitError = new Error(details.message);
+      limitError.code = details.reason;
+      limitError.feature = details.feature;
+      limitError.period = details.period;
+      limitError.limit = details.limit;
+      limitError.retryAfterSeconds = details.retryAfterSeconds;
+      throw limitError;
+    }
+    throw error;
+  }
+};
+
+export default {
+  getFunctionUrl,
+  getProxyUrl,
+  isUsageLimitError,
+  generateContent
+};
@@ -0,0 +1,71 @@
+// src/services/geminiProxy.test.js
+import axios from 'axios';
+import { generateContent, isUsageLimitError } from './geminiProxy';
+
+let mockCurrentUser = null;
+jest.mock('../firebase/firebase', () => ({
+  auth: {
+    get currentUser() {
+      return mockCurrentUser;
+    }
+  }
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const payload = { contents: [{ role: 'user', parts: [{ text: 'Score this swing' }] }] };
+
+describe('generateContent', () => {
+  beforeEach(() => {
+    mockCurrentUser = { getIdToken: jest.fn(async () => 'alice-token') };
+    axios.post.mockReset();
+  });
+
+  it('sends the request with the user\'s ID token and returns the Gemini response', async () => {
+    const body = { candidates: [{ content: { parts: [{ text: '{}' }] } }] };
+    axios.post.mockResolvedValue({ data: body });
+
+    await expect(generateContent(payload, { feature: 'insights', timeout: 45000 })).resolves.toBe(body);
+
+    const [, requestBody, config] = axios.post.mock.calls[0];
+    expect(requestBody).toEqual({ feature: 'insights', payload });
+    expect(config.headers.Authorization).toBe('Bearer alice-token');
+    expect(config.timeout).toBe(45000);
+  });
+
+  it('requires a signed-in user', async () => {
+    mockCurrentUser = null;
+    await expect(generateContent(payload)).rejects.toThrow('Sign in');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('turns a 429 from the proxy into a usage limit error', async () => {
+    axios.post.mockRejectedValue({
+      response: {
+        status: 429,
+        data: {
+          error: {
+            reason: 'quota-exceeded',
+            feature: 'analysis',
+            period: 'day',
+            limit: 20,
+            message: 'You have used all 20 swing analyses for today.',
+            retryAfterSeconds: 3600
+          }
+        }
+      }
+    });
+
+    const error = await generateContent(payload).catch(e => e);
+    expect(isUsageLimitError(error)).toBe(true);
+    expect(error.message).toBe('You have used all 20 swing analyses for today.');
+    expect(error).toMatchObject({ feature: 'analysis', period: 'day', limit: 20, retryAfterSeconds: 3600 });
+  });
+
+  it('passes other errors through unchanged', async () => {
+    const tooLarge = { response: { status: 413, data: { error: { message: 'Request payload size exceeds the limit' } } } };
+    axios.post.mockRejectedValue(tooLarge);
+
+    await expect(generateContent(payload)).rejects.toBe(tooLarge);
+  });
+});
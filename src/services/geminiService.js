@@ -1,7 +1,5 @@
-import axios from 'axios';
 import { 
   collection, 
-  addDoc, 
   doc, 
   getDoc, 
   query, 
@@ -15,25 +13,27 @@ import {
 import { db, auth } from '../firebase/firebase';
 import { getAdjustmentFactors } from './adjustmentService';
 import { extractYouTubeVideoId } from '../utils/youtubeUtils';
-
-// Note: You should store your API key in an environment variable (.env file)
-// Create a .env file at the root of your project with:
-// REACT_APP_GEMINI_API_KEY=your_api_key_here
-
-const API_KEY = process.env.REACT_APP_GEMINI_API_KEY;
-const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-pro-exp-02-05:generateContent';
-
-// Flag to control whether we use real API or mock data
-const USE_MOCK_DATA = false; // Set to false to try real API
-
-/**
- * Create a unique signature for a video file to track repeated analyses
- * @param {File} videoFile - The video file
- * @returns {string} A unique identifier based on file properties
- */
-const createVideoSignature = (videoFile) => {
-  return `${videoFile.name}-${videoFile.size}-${videoFile.lastModified}`;
-};
+import { calculateWeightedOverallScore } from '../utils/swingUtils';
+import { METRIC_CATALOG, getMetricDefinition, getMetricWeighting } from '../utils/metricRegistry';
+import {
+  getAnalysisProvider,
+  getActiveAnalysisProviderName,
+  getFallbackAnalysisProviderName
+} from './analysisProviders';
+import { createMockAnalysis } from './mockAnalysisProvider';
+import { buildMetricInsightsPrompt, CURRENT_PROMPT_VERSIONS } from './promptTemplates';
+import {
+  validateAnalysisPayload,
+  needsReprompt,
+  repairAnalysisPayload
+} from './analysisValidator';
+import { getCachedAnalysis, setCachedAnalysis } from './analysisCache';
+import { aggregateEnsemble, normalizeEnsembleRuns } from './ensembleScoring';
+import { hashVideoFile } from '../utils/videoHash';
+import { extractSwingFrames } from '../utils/frameExtraction';
+import firestoreService from './firestoreService';
+import { isOnline, isRetryableError, queueFeedback } from './syncService';
+import { generateContent, isUsageLimitError } from './geminiProxy';
 
 // Add this function
 // In geminiService.js
@@ -494,150 +494,6 @@ const getUserAdjustmentPreferences = async (userId) => {
   }
 };
 
-/**
- * Check if this video has been analyzed before and ensure consistency
- * @param {Object} analysisData - The current analysis results
- * @param {File} videoFile - The video file being analyzed
- * @returns {Object} Adjusted analysis data for consistency
- */
-const ensureConsistentAnalysis = (analysisData, videoFile) => {
-  try {
-    // Create a signature for this specific video file
-    const videoSignature = createVideoSignature(videoFile);
-    
-    // Check if we've analyzed this video before
-    const previousAnalysesJson = localStorage.getItem(`golf_analysis_${videoSignature}`);
-    
-    if (previousAnalysesJson) {
-      // We've seen this video before
-      const previousAnalyses = JSON.parse(previousAnalysesJson);
-      console.log(`Found ${previousAnalyses.length} previous analyses for this video`);
-      
-      if (previousAnalyses.length > 0) {
-        // Get the most recent previous analysis
-        const lastAnalysis = previousAnalyses[previousAnalyses.length - 1];
-        
-        // Check for significant differences
-        const overallDiff = Math.abs(analysisData.overallScore - lastAnalysis.overallScore);
-        
-        if (overallDiff > 8) {
-          console.log(`Detected inconsistency in scoring. Previous: ${lastAnalysis.overallScore}, Current: ${analysisData.overallScore}`);
-          
-          // Blend the scores to make them more consistent
-          // (70% current, 30% previous for more stability)
-          analysisData.overallScore = Math.round(
-            (0.7 * analysisData.overallScore) + (0.3 * lastAnalysis.overallScore)
-          );
-          
-          // Also blend metrics that show significant differences
-          Object.keys(analysisData.metrics).forEach(key => {
-            if (lastAnalysis.metrics && lastAnalysis.metrics[key] !== undefined) {
-              const metricDiff = Math.abs(analysisData.metrics[key] - lastAnalysis.metrics[key]);
-              
-              if (metricDiff > 10) {
-                analysisData.metrics[key] = Math.round(
-                  (0.7 * analysisData.metrics[key]) + (0.3 * lastAnalysis.metrics[key])
-                );
-              }
-            }
-          });
-          
-          console.log(`Adjusted overall score for consistency: ${analysisData.overallScore}`);
-        }
-      }
-      
-      // Add this new analysis to the history (limited to last 3)
-      previousAnalyses.push({
-        timestamp: new Date().toISOString(),
-        overallScore: analysisData.overallScore,
-        metrics: {...analysisData.metrics}
-      });
-      
-      // Keep only the most recent 3 analyses to prevent storage bloat
-      if (previousAnalyses.length > 3) {
-        previousAnalyses.shift();
-      }
-      
-      // Save updated history
-      localStorage.setItem(`golf_analysis_${videoSignature}`, JSON.stringify(previousAnalyses));
-      
-    } else {
-      // First time seeing this video, start a history
-      const newHistory = [{
-        timestamp: new Date().toISOString(),
-        overallScore: analysisData.overallScore,
-        metrics: {...analysisData.metrics}
-      }];
-      
-      localStorage.setItem(`golf_analysis_${videoSignature}`, JSON.stringify(newHistory));
-    }
-    
-    return analysisData;
-    
-  } catch (error) {
-    // If anything goes wrong, just return the original data
-    console.error("Error in consistency tracking:", error);
-    return analysisData;
-  }
-};
-
-/**
- * Calculate a more accurate overall score based on weighted metrics
- * @param {Object} metrics - Object containing metric scores
- * @returns {number} Weighted overall score
- */
-const calculateWeightedOverallScore = (metrics) => {
-  // These weights are based on the Swing Recipe categories
-  const weights = {
-    // Setup (20%)
-    stance: 0.07,
-    grip: 0.07,
-    ballPosition: 0.06,
-    
-    // Swing (50%)
-    backswing: 0.10,
-    swingBack: 0.10,
-    swingForward: 0.15,
-    shallowing: 0.15,
-    impactPosition: 0.15,
-    
-    // Body (20%)
-    hipRotation: 0.08,
-    pacing: 0.04,
-    stiffness: 0.04,
-    headPosition: 0.04,
-    shoulderPosition: 0.04,
-    armPosition: 0.04,
-    followThrough: 0.04,
-    
-    // Mental (10%)
-    confidence: 0.05,
-    focus: 0.05
-  };
-  
-  let weightedSum = 0;
-  let totalWeight = 0;
-  
-  Object.entries(metrics).forEach(([key, value]) => {
-    if (weights[key]) {
-      weightedSum += value * weights[key];
-      totalWeight += weights[key];
-    } else {
-      // For metrics not in our predefined weights, use a default weight
-      weightedSum += value * 0.05;
-      totalWeight += 0.05;
-    }
-  });
-  
-  // Normalize if we don't have all metrics
-  if (totalWeight > 0 && totalWeight < 1) {
-    weightedSum = weightedSum / totalWeight;
-  }
-  
-  // Round to nearest integer
-  return Math.round(weightedSum);
-};
-
 // Modify the normalizeAndValidateScores function to include our new calculation
 const normalizeAndValidateScores = (analysisData) => {
   // First ensure overall score is within 0-100 range and rounded
@@ -794,633 +650,205 @@ const applyCorrelatedAdjustments = (analysisData, adjustments) => {
 };
 
 /**
- * Analyzes a golf swing using either a video file or YouTube URL
- * @param {File|null} videoFile - The video file to analyze (null if using YouTube)
- * @param {Object} metadata - Additional metadata including YouTube video info if applicable
- * @returns {Promise} Promise that resolves to the analysis results
+ * Validate a provider's analysis against the schema, re-prompting and repairing when needed.
+ * The validation outcome and every repair are recorded on the result as `analysisValidation`.
+ * @param {Object} analysisData - Raw analysis returned by the provider
+ * @param {Object} provider - The provider that produced it
+ * @param {File|null} videoFile - The analyzed video file
+ * @param {Object} metadata - The analysis metadata
+ * @param {Object} requestOptions - Provider options ({ feature }) for a re-prompt
+ * @returns {Promise<Object>} Valid analysis data
  */
-const analyzeGolfSwing = async (videoFile, metadata = null) => {
-  // Determine if this is a YouTube analysis.  CRITICAL CHANGE HERE:
-  const isYouTubeAnalysis = !videoFile && metadata?.youtubeVideo?.videoId;
-  console.log("videoFile:", videoFile); // Log the value of videoFile
-  console.log("metadata:", metadata);    // Log the entire metadata object
+const validateAndRepairAnalysis = async (analysisData, provider, videoFile, metadata, requestOptions) => {
+  const initialReport = validateAnalysisPayload(analysisData);
+  const repairs = [];
+  let repromptCount = 0;
+  let candidate = analysisData;
 
-  if (USE_MOCK_DATA) {
-      console.log('Using mock data instead of real API');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      return createMockAnalysis(videoFile, metadata);
+  if (initialReport.valid) {
+    return {
+      ...candidate,
+      analysisValidation: { valid: true, errors: [], repairs, repromptCount }
+    };
   }
 
-    try {
-        if (!API_KEY) {
-            console.error('Gemini API key is not configured');
-            return createMockAnalysis(videoFile, metadata);
-        }
-
-        // Load reference models for metrics
-        let referenceModels = {};
-        try {
-          const referenceModelsSnapshot = await getDocs(collection(db, 'reference_models'));
-          referenceModelsSnapshot.forEach(doc => {
-            referenceModels[doc.id] = doc.data();
-          });
-          console.log(`Loaded ${Object.keys(referenceModels).length} reference models`);
-        } catch (error) {
-          console.error('Error loading reference models:', error);
-          // Continue even if reference models couldn't be loaded
-        }
-        let clubInfo = "";
-        if (metadata?.clubName) {
-            clubInfo = `\n\nThis swing was performed with a ${metadata.clubName}. Take this into account in your analysis.`;
-        }
-        
-
-        const promptText = 
-`* You are a PGA Master Professional with 30 years of experience coaching elite golfers, specializing in biomechanics and swing analysis.
-* You are using high-speed video to assess a player's single golf swing.
-* Analyze the golf swing video in detail and provide a comprehensive assessment.
-* Remember this is a single swing and may not represent their entire game.
-
-* **Overall Swing Score (0-100):**
-    * Holistic assessment, NOT a simple average.
-    * Consider how effectively the components work together.
-    * Base it on proper form, mechanics, kinematic sequence (legs, hips, torso, arms, club), and potential for consistent, powerful ball-striking.
-    * The score should reflect the swing itself, not the player's handicap.
-    * **95-100:** Elite/Tour-Level Swing. Virtually flawless mechanics, optimal sequencing, and exceptional power generation.
-    * **88-94:** Exceptional Swing. Mechanically sound with only extremely minor deviations.
-    * **80-87:** Very Good Swing. Solid fundamentals with a few minor, identifiable areas for improvement.
-    * **70-79:** Competent Swing. Functional mechanics, but with noticeable flaws.
-    * **60-69:** Developing Swing. Some correct elements, but significant issues.
-    * **50-59:** Inconsistent Swing. Major flaws in multiple areas.
-    * **Below 50:** Beginner Swing. Fundamental issues.
-
-2. Score each of the following metrics from 0-100 using these specific criteria:
-
-   - backswing: Evaluate the takeaway, wrist position, and backswing plane. How does this affect the swing's potential power and accuracy?
-     * 90+: Perfect takeaway, ideal wrist cock, on-plane movement
-     * 70-89: Good fundamentals with minor flaws in plane or wrist position
-     * 50-69: Functional but with clear issues in takeaway or plane
-     * <50: Significant flaws causing compensations
-
-   - stance: Assess foot position, width, weight distribution, and posture. How does this stance support balance and power generation?
-     * 90+: Perfect athletic posture, ideal width and alignment
-     * 70-89: Good posture with minor alignment or width issues
-     * 50-69: Basic posture established but with noticeable flaws
-     * <50: Poor posture affecting the entire swing
-
-   - grip: Evaluate hand placement, pressure, and wrist position. How does the grip influence clubface control and swing path?
-     * 90+: Textbook grip with ideal pressure and hand placement
-     * 70-89: Functional grip with minor issues in hand position
-     * 50-69: Basic grip established but with pressure or placement issues
-     * <50: Fundamentally flawed grip requiring rebuilding
-
-   - swingBack: Rate the rotation, plane, and position at the top. Does this position maximize power and set up a good downswing?
-     * 90+: Perfect rotation with ideal club position at the top
-     * 70-89: Good rotation with minor plane issues
-     * 50-69: Functional but with restricted turn or off-plane issues
-     * <50: Severely restricted or off-plane
-
-   - swingForward: Evaluate the downswing path, transition, and follow through. Does the downswing sequence efficiently transfer energy to the ball?
-     * 90+: Perfect sequencing and path through impact
-     * 70-89: Good sequencing with minor path issues
-     * 50-69: Basic sequencing but with timing or path issues
-     * <50: Poor sequencing with major path flaws
-
-   - hipRotation: Assess the hip turn both in backswing and through impact. How does hip rotation contribute to power and swing speed?
-     * 90+: Perfect hip loading and explosive rotation through impact
-     * 70-89: Good rotation with minor timing or restriction issues
-     * 50-69: Basic rotation but with clear restrictions
-     * <50: Minimal hip involvement
-
-   - swingSpeed: Rate the tempo and acceleration through the ball. Is the swing speed appropriate for the club and does it indicate efficient power transfer?
-     * 90+: Perfect tempo with ideal acceleration through impact
-     * 70-89: Good tempo with minor acceleration issues
-     * 50-69: Inconsistent tempo affecting clubhead speed
-     * <50: Poor tempo with deceleration issues
-
-   - shallowing: Evaluate club path and shaft position in the downswing. Does the shallowing action promote optimal contact?
-     * 90+: Perfect shallowing with ideal shaft plane
-     * 70-89: Good shallowing with minor steepness issues
-     * 50-69: Inconsistent shallowing with occasional steepness
-     * <50: Consistently steep or incorrect shallowing
-
-   - pacing: Rate the overall rhythm and timing of the swing. Does the rhythm support consistent and powerful swings?
-     * 90+: Perfect rhythm throughout with ideal transitions
-     * 70-89: Good rhythm with minor timing issues
-     * 50-69: Functional but with rushed or slow segments
-     * <50: Disjointed or poorly timed
-
-   - confidence: Assess the decisiveness and commitment to the swing. Is the golfer confident and committed to the swing?
-     * 90+: Complete commitment with precise setup routine
-     * 70-89: Good commitment with occasional hesitation
-     * 50-69: Basic commitment but with visible uncertainty
-     * <50: Tentative throughout
-
-   - focus: Evaluate setup routine and swing execution. Is the golfer focused and attentive throughout the swing?
-     * 90+: Laser focus throughout with perfect routine
-     * 70-89: Good focus with minor lapses
-     * 50-69: Basic focus but with visible distractions
-     * <50: Unfocused or inconsistent attention
-
-3. Provide three specific, actionable recommendations for improvement.${clubInfo}
-
-IMPORTANT INSTRUCTIONS:
-- Be precise and discriminating in your scoring. AVOID defaulting to the 70-75 range for all metrics.
-- Each metric should show appropriate variance based on skill level.
-- The overall score should NOT be a simple average of the metrics.
-- Focus on what you actually observe, not what you assume might be happening.
-- Maintain consistency in how you evaluate similar swings.
-- Evaluate the kinematic sequence (legs, hips, torso, arms, club) and how efficiently the golfer transfers energy.
-- For pro-level swings, look for a wide backswing, lag in the downswing, a square clubface at impact, and a balanced follow-through. Pro swings often exhibit high clubhead speed, minimal energy leaks, and efficient power transfer.
-- If the video is unclear, note "Video unclear" but provide as much analysis as possible.
-- A driver swing should have a wider arc and a shallower angle of attack than a wedge swing. Evaluate if the swing mechanics are appropriate for the club being used.
-- Do not assume the skill level of the golfer. Focus only on the mechanics of the swing in the video.
-- Analyze this *single* golf swing. Do not evaluate the golfer's consistency over multiple swings.
-
-Format your response ONLY as a valid JSON object with this exact structure:
-{
-  "overallScore": 75,
-  "metrics": {
-    "backswing": 70,
-    "stance": 80,
-    "grip": 75,
-    "swingBack": 65,
-    "swingForward": 70,
-    "hipRotation": 60,
-    "swingSpeed": 75,
-    "shallowing": 65,
-    "pacing": 80,
-    "confidence": 85,
-    "focus": 80
-  },
-  "recommendations": [
-    "Keep your left arm straighter during the backswing",
-    "Rotate your hips more aggressively through impact",
-    "Maintain a more consistent tempo throughout your swing"
-  ]
-}`;
-
-        // Build enhanced prompt using reference models if available
-        let enhancedPromptText = promptText;
-        
-        if (Object.keys(referenceModels).length > 0) {
-          let referenceSection = "\n\n* Use these professional reference guidelines for scoring specific metrics:";
-          
-          Object.entries(referenceModels).forEach(([metricKey, modelData]) => {
-            if (modelData.referenceAnalysis) {
-              const analysis = modelData.referenceAnalysis;
-              
-              referenceSection += `\n\n* ${metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())} (0-100):`;
-              referenceSection += `\n  * Technical Guidelines: ${analysis.technicalGuidelines.slice(0, 3).join('; ')}`;
-              referenceSection += `\n  * Ideal Form: ${analysis.idealForm.slice(0, 2).join('; ')}`;
-              referenceSection += `\n  * Common Mistakes: ${analysis.commonMistakes.slice(0, 2).join('; ')}`;
-              
-              if (analysis.scoringRubric) {
-                referenceSection += `\n  * Scoring Criteria:`;
-                referenceSection += `\n    * 90+: ${analysis.scoringRubric['90+']}`;
-                referenceSection += `\n    * 70-89: ${analysis.scoringRubric['70-89']}`;
-                referenceSection += `\n    * 50-69: ${analysis.scoringRubric['50-69']}`;
-                referenceSection += `\n    * <50: ${analysis.scoringRubric['<50']}`;
-              }
-            }
-          });
-          
-          enhancedPromptText += referenceSection;
-        }
-
-        let payload;
-
-        if (isYouTubeAnalysis) {
-            console.log('Starting YouTube video analysis:', metadata.youtubeVideo.videoId);
-            console.log('File details: YouTube video');
-             if (!metadata || !metadata.youtubeVideo || !metadata.youtubeVideo.videoId) {
-                console.error('YouTube metadata is missing or incomplete');
-                return createMockAnalysis(videoFile, metadata);
-            }
-            payload = {
-                contents: [
-                    {
-                        parts: [
-                            { text: enhancedPromptText },
-                            {
-                                fileData: {
-                                    mimeType: "video/*",
-                                    fileUri: `https://youtu.be/${metadata.youtubeVideo.videoId}`, // Correct URL format
-                                },
-                            }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    temperature: 0.5,
-                    maxOutputTokens: 2048
-                }
-            };
-
-        } else {
-            if (!videoFile) {
-                console.error('No video file provided and not a YouTube video');
-                return createMockAnalysis(null, metadata);
-            }
-
-            console.log('Starting file video analysis, file type:', videoFile.type);
-            console.log('File details:', {
-                name: videoFile.name,
-                type: videoFile.type,
-                size: `${(videoFile.size / (1024 * 1024)).toFixed(2)}MB`,
-                lastModified: new Date(videoFile.lastModified).toISOString()
-            });
-
-            let base64Video;
-            try {
-                base64Video = await fileToBase64(videoFile);
-                console.log('Successfully converted video to base64');
-            } catch (error) {
-                console.error('Error converting file to base64:', error);
-                return createMockAnalysis(videoFile, metadata);
-            }
-
-            const base64Data = base64Video.split('base64,')[1];
-            if (!base64Data) {
-                console.error('Failed to extract base64 data from video');
-                return createMockAnalysis(videoFile, metadata);
-            }
-
-            payload = {
-                contents: [
-                    {
-                        parts: [
-                            { text: enhancedPromptText },
-                            {
-                                inlineData: {
-                                    mimeType: videoFile.type,
-                                    data: base64Data
-                                }
-                            }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    temperature: 0.5,
-                    maxOutputTokens: 2048
-                }
-            };
-        }
-
-        console.log('Sending request to Gemini API...');
-
-        try {
-            const response = await axios.post(
-                `${API_URL}?key=${API_KEY}`,
-                payload,
-                {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 120000
-                }
-            );
-
-            console.log('Received response from Gemini API');
-
-            if (!response.data || !response.data.candidates || !response.data.candidates[0]) {
-                console.error('Invalid API response structure:', response.data);
-                return createMockAnalysis(videoFile, metadata);
-            }
-
-            const textResponse = response.data.candidates[0].content.parts[0].text;
-            if (!textResponse) {
-                console.error('No text in API response');
-                return createMockAnalysis(videoFile, metadata);
-            }
-
-            console.log('Parsing response text to JSON...');
-
-            let analysisData;
-            try {
-                try {
-                    analysisData = JSON.parse(textResponse);
-                } catch (e) {
-                    const jsonStart = textResponse.indexOf('{');
-                    const jsonEnd = textResponse.lastIndexOf('}') + 1;
-
-                    if (jsonStart === -1 || jsonEnd <= jsonStart) {
-                        console.error('No valid JSON found in response');
-                        console.error('Raw response:', textResponse);
-                        return createMockAnalysis(videoFile, metadata);
-                    }
+  console.warn(`Analysis from "${provider.name}" failed validation:`, initialReport.errors);
 
-                    const jsonString = textResponse.substring(jsonStart, jsonEnd);
-                    analysisData = JSON.parse(jsonString);
-                }
-
-                if (!analysisData.overallScore || !analysisData.metrics || !analysisData.recommendations) {
-                    console.error('Parsed data missing required fields:', analysisData);
-                    return createMockAnalysis(videoFile, metadata);
-                }
-
-                if (videoFile) {
-                    analysisData = normalizeAndValidateScores(analysisData);
-                    analysisData = ensureConsistentAnalysis(analysisData, videoFile);
-                } else {
-                  // For YouTube videos, just normalize the scores
-                  analysisData = normalizeAndValidateScores(analysisData);
-                }
-
-                // INSERT THE NEW CALL HERE - right after all other score processing
-                analysisData = await applyFeedbackAdjustments(analysisData);
-
-
-                if (!Array.isArray(analysisData.recommendations) || analysisData.recommendations.length < 1) {
-                    analysisData.recommendations = [
-                        "Work on your overall swing mechanics",
-                        "Practice your timing and rhythm",
-                        "Focus on maintaining proper form throughout your swing"
-                    ];
-                } else if (analysisData.recommendations.length > 3) {
-                    analysisData.recommendations = analysisData.recommendations.slice(0, 3);
-                }
-
-                console.log('Successfully parsed analysis data');
-            } catch (error) {
-                console.error('Error parsing API response:', error);
-                console.error('Raw response text:', textResponse);
-                return createMockAnalysis(videoFile, metadata);
-            }
+  // Issues like missing metrics can only be fixed by the model itself
+  let report = initialReport;
+  if (needsReprompt(report) && typeof provider.reprompt === 'function') {
+    try {
+      candidate = await provider.reprompt(videoFile, metadata, candidate, report.errors, requestOptions);
+      repromptCount++;
+      repairs.push({
+        path: '',
+        action: 'reprompt',
+        from: report.errors.map(issue => issue.code),
+        to: null
+      });
+      report = validateAnalysisPayload(candidate);
+    } catch (error) {
+      console.error('Re-prompt failed:', error);
+    }
+  }
 
+  if (!report.valid) {
+    const repairResult = repairAnalysisPayload(candidate, calculateWeightedOverallScore);
+    if (repairResult.unrepaired.length > 0) {
+      console.error('Analysis could not be repaired:', repairResult.unrepaired);
+      const error = new Error(`The "${provider.name}" provider returned an invalid analysis: ${repairResult.unrepaired.map(issue => issue.message).join('; ')}`);
+      error.validationErrors = repairResult.unrepaired;
+      throw error;
+    }
+    candidate = repairResult.data;
+    repairs.push(...repairResult.repairs);
+  }
 
-            const recordedDate = metadata?.recordedDate || new Date();
-
-            let finalAnalysis = {
-                ...analysisData,
-                id: Date.now().toString(),
-                date: new Date().toISOString(),
-                recordedDate: recordedDate instanceof Date ? recordedDate.toISOString() : recordedDate,
-                clubName: metadata?.clubName || null,
-                clubId: metadata?.clubId || null,
-                clubType: metadata?.clubType || null,
-                outcome: metadata?.outcome || null
-            };
-
-            if (isYouTubeAnalysis) {
-                finalAnalysis = {
-                    ...finalAnalysis,
-                    videoUrl: metadata.youtubeVideo.embedUrl, // Use embed URL
-                    youtubeVideoId: metadata.youtubeVideo.videoId,
-                    isYouTubeVideo: true
-                };
-            } else {
-                finalAnalysis.videoUrl = URL.createObjectURL(videoFile);
-            }
-            return finalAnalysis;
+  console.log(`Analysis repaired with ${repairs.length} change(s)`);
+  return {
+    ...candidate,
+    analysisValidation: {
+      valid: false,
+      errors: initialReport.errors,
+      repairs,
+      repromptCount
+    }
+  };
+};
 
-        } catch (error) {
-            console.error('Error in API request:', error);
-            console.error('Error details:', error.response?.data);
-            console.error('Error status:', error.response?.status);
+/**
+ * Analyzes a golf swing using either a video file or YouTube URL
+ * @param {File|null} videoFile - The video file to analyze (null if using YouTube)
+ * @param {Object} metadata - Additional metadata including YouTube video info if applicable
+ * @param {Object} options - Analysis options
+ * @param {string} options.provider - Provider name overriding the configured one
+ * @param {boolean} options.forceReanalysis - Ignore any cached result for this video
+ * @param {boolean} options.highConfidence - Run several analyses and aggregate them by median
+ * @param {number} options.ensembleRuns - Number of runs in high-confidence mode (default 3, max 5)
+ * @param {string} options.contentHash - Precomputed hash of videoFile, when several segments of one clip are analyzed
+ * @param {string} options.feature - Usage bucket the model requests are metered under ('analysis' by
+ *   default, 'reference' for pro reference clips)
+ * @returns {Promise} Promise that resolves to the analysis results
+ */
+const analyzeGolfSwing = async (videoFile, metadata = null, options = {}) => {
+  const isYouTubeAnalysis = !videoFile && metadata?.youtubeVideo?.videoId;
 
-            if (error.response?.data?.error?.message?.includes('size') ||
-                error.response?.status === 413) {
-                console.error('The API rejected the file due to size limitations');
-            }
+  let provider = getAnalysisProvider(options.provider || getActiveAnalysisProviderName());
+  let fallbackFrom = null;
+  let analysisData;
+  let frameSet = null;
+
+  console.log(`Analyzing swing with the "${provider.name}" provider`);
+
+  const ensembleRuns = options.highConfidence ? normalizeEnsembleRuns(options.ensembleRuns || true) : 0;
+  const requestOptions = { feature: options.feature || 'analysis' };
+
+  // The same clip (even renamed) is served from the cache unless a re-analysis is requested.
+  // A high-confidence request is only served by a cached high-confidence result.
+  const contentHash = videoFile ? (options.contentHash || await hashVideoFile(videoFile)) : null;
+  const trim = metadata?.trim || null;
+  // A different trim of the same clip is a different analysis
+  const cacheKey = contentHash && trim ? `${contentHash}_${trim.start}-${trim.end}` : contentHash;
+  // A result scored with an older prompt is not served once the prompt changes
+  const promptVersion = CURRENT_PROMPT_VERSIONS.swingAnalysis;
+  let cached = cacheKey && !options.forceReanalysis
+    ? getCachedAnalysis(provider.name, promptVersion, cacheKey)
+    : null;
+  if (cached && ensembleRuns && !cached.analysis.ensemble) {
+    cached = null;
+  }
 
-            return createMockAnalysis(videoFile, metadata);
-        }
+  // Keyframes for the storyboard, and a compact frame set providers can send instead of the video.
+  // The cache doesn't keep the keyframes, so they are extracted for cached analyses too.
+  if (videoFile) {
+    try {
+      frameSet = await extractSwingFrames(videoFile, { range: trim });
     } catch (error) {
-        console.error('Unexpected error in analyzeGolfSwing:', error);
-        return createMockAnalysis(videoFile, metadata);
+      console.warn(`Frame extraction failed${cached ? '' : ', analyzing the full video'}:`, error);
     }
-};
+  }
 
-// Fix for createMockAnalysis function in geminiService.js
-// Add a mockResult object
+  if (cached) {
+    console.log(`Using cached analysis from ${cached.cachedAt} for video ${cacheKey}`);
+    analysisData = cached.analysis;
+  } else {
+    const providerMetadata = frameSet ? { ...metadata, frameSet } : metadata;
 
-/**
- * Create mock analysis data that handles both file and YouTube inputs
- * @param {File|null} videoFile - The video file or null for YouTube
- * @param {Object} metadata - Additional metadata including YouTube info if applicable
- * @returns {Object} Mock analysis data
- */
-const createMockAnalysis = (videoFile, metadata = null) => {
-  console.log('Generating mock analysis data');
-  
-  // Determine if this is a YouTube analysis
-  const isYouTubeAnalysis = !videoFile && metadata?.youtubeVideo;
-    console.log('Is YouTube Analysis:', isYouTubeAnalysis);
-    console.log('VideoFile:', videoFile);
-    console.log('Metadata:', JSON.stringify(metadata));
+    try {
+      analysisData = await provider.analyze(videoFile, providerMetadata, requestOptions);
+    } catch (error) {
+      const fallbackName = getFallbackAnalysisProviderName();
+      if (!fallbackName || fallbackName === provider.name) {
+        console.error(`Analysis with the "${provider.name}" provider failed:`, error);
+        throw error;
+      }
 
-  // Extract date information from metadata if available
-  const recordedDate = metadata?.recordedDate || new Date();
+      // Fallback is opt-in and always recorded on the result
+      console.warn(`Analysis with the "${provider.name}" provider failed, falling back to "${fallbackName}":`, error);
+      fallbackFrom = { provider: provider.name, reason: error.message };
+      provider = getAnalysisProvider(fallbackName);
+      analysisData = await provider.analyze(videoFile, providerMetadata, requestOptions);
+    }
 
-  // Generate a base skill level that will inform all metrics
-  // Using a normal distribution centered around different values based on club type
-  let baseSkillLevel = 65; // Default baseline
-  
-  // Adjust baseline based on club type if available
-  if (metadata?.clubType) {
-    switch(metadata.clubType) {
-      case 'Wood':
-        // Woods are typically harder, so lower baseline
-        baseSkillLevel = 60 + (Math.random() * 10 - 5);
-        break;
-      case 'Iron':
-        // Irons are middle difficulty
-        baseSkillLevel = 65 + (Math.random() * 10 - 5);
-        break;
-      case 'Wedge':
-        // Short game might be better for amateurs
-        baseSkillLevel = 68 + (Math.random() * 10 - 5);
-        break;
-      case 'Putter':
-        // Putting can vary widely
-        baseSkillLevel = 70 + (Math.random() * 16 - 8);
-        break;
-      default:
-        baseSkillLevel = 65 + (Math.random() * 10 - 5);
+    // Strict schema check before any score processing
+    analysisData = await validateAndRepairAnalysis(analysisData, provider, videoFile, providerMetadata, requestOptions);
+
+    // High-confidence mode: repeat the analysis and aggregate the runs by median
+    if (ensembleRuns) {
+      const runs = [analysisData];
+      while (runs.length < ensembleRuns) {
+        console.log(`High-confidence analysis: run ${runs.length + 1} of ${ensembleRuns}`);
+        const run = await provider.analyze(videoFile, providerMetadata, requestOptions);
+        runs.push(await validateAndRepairAnalysis(run, provider, videoFile, providerMetadata, requestOptions));
+      }
+      analysisData = aggregateEnsemble(runs);
     }
-  }
-  
-  // Create realistic variations between metrics
-  // Define metric groups that should be correlated
-  const metricGroups = {
-    setup: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['stance', 'grip', 'ballPosition'] },
-    swing: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['backswing', 'swingBack', 'swingForward', 'shallowing'] },
-    body: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['hipRotation', 'pacing', 'followThrough', 'headPosition', 'shoulderPosition', 'armPosition'] },
-    mental: { base: baseSkillLevel + (Math.random() * 14 - 7), metrics: ['confidence', 'focus'] }
-  };
-  
-  // Generate each metric with appropriate variation
-  const metrics = {};
-  
-  // Process each group
-  Object.entries(metricGroups).forEach(([groupName, group]) => {
-    const groupBase = group.base;
-    
-    // Add individual metrics with realistic variance
-    group.metrics.forEach(metric => {
-      // Create plausible variance within the group
-      // Bigger variance for mental factors, smaller for physical ones
-      const variance = groupName === 'mental' ? 12 : 8;
-      
-      // Generate score with BoxMuller to create a normal distribution
-      let u1 = Math.random();
-      let u2 = Math.random();
-      let z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-      let metricScore = Math.round(groupBase + z0 * (variance / 3)); // 3 sigma
-      
-      // Ensure within bounds
-      metrics[metric] = Math.max(30, Math.min(95, metricScore));
-    });
-  });
-  
-  // If some key metrics are missing, add them with default values
-  const essentialMetrics = ['backswing', 'stance', 'grip', 'swingBack', 'swingForward', 
-                           'hipRotation', 'swingSpeed', 'shallowing', 'pacing', 'confidence', 'focus'];
-  
-  essentialMetrics.forEach(metric => {
-    if (!metrics[metric]) {
-      metrics[metric] = Math.max(30, Math.min(95, Math.round(baseSkillLevel + (Math.random() * 20 - 10))));
+
+    if (provider.calibrate) {
+      analysisData = normalizeAndValidateScores(analysisData);
+      analysisData = await applyFeedbackAdjustments(analysisData);
     }
-  });
-  
-  // Special cases based on club type
-  if (metadata?.clubType === 'Wood') {
-    // Woods typically need more clubhead speed and proper shallowing
-    metrics.swingSpeed = Math.min(95, metrics.swingSpeed + Math.floor(Math.random() * 8));
-    metrics.shallowing = Math.max(30, metrics.shallowing - Math.floor(Math.random() * 10));
-  } else if (metadata?.clubType === 'Iron') {
-    // Irons need good impact position
-    metrics.swingForward = Math.min(95, metrics.swingForward + Math.floor(Math.random() * 5));
-  } else if (metadata?.clubType === 'Wedge') {
-    // Wedges need good wrist control
-    metrics.grip = Math.min(95, metrics.grip + Math.floor(Math.random() * 7));
-  } else if (metadata?.clubType === 'Putter') {
-    // Putting is more about mental and pace
-    metrics.pacing = Math.min(95, metrics.pacing + Math.floor(Math.random() * 10));
-    metrics.focus = Math.min(95, metrics.focus + Math.floor(Math.random() * 10));
-  }
-  
-  // Generate realistic overall score with appropriate weighting
-  // Not just an average but weighted toward the more important aspects
-  const overallScore = calculateWeightedOverallScore ? 
-    calculateWeightedOverallScore(metrics) :
-    Math.round(Object.values(metrics).reduce((sum, val) => sum + val, 0) / Object.keys(metrics).length);
-  
-  // Default recommendations if generateRecommendations is not defined
-  const defaultRecommendations = [
-    "Focus on a slower, more controlled takeaway",
-    "Keep your left arm straighter during the backswing",
-    "Work on maintaining your spine angle throughout the swing"
-  ];
-  
-  // Generate recommendations based on low metrics if possible
-  let recommendations = defaultRecommendations;
-  
-  // Create sorted list of metrics by score
-  const sortedMetrics = Object.entries(metrics).sort((a, b) => a[1] - b[1]);
-  
-  // Take lowest metrics for recommendations
-  const lowestMetrics = sortedMetrics.slice(0, 3);
-  
-  // Map of recommendation templates by metric
-  const recommendationTemplates = {
-    backswing: [
-      "Focus on a slower, more controlled takeaway",
-      "Keep your left arm straighter during the backswing",
-      "Work on proper wrist hinge in your backswing"
-    ],
-    stance: [
-      "Widen your stance slightly for better balance",
-      "Adjust your posture to be more athletic at address",
-      "Work on proper weight distribution in your stance"
-    ],
-    grip: [
-      "Check your grip pressure - avoid gripping too tightly",
-      "Ensure your hands work together as a unit during the swing",
-      "Position your hands slightly ahead of the ball at address"
-    ],
-    swingBack: [
-      "Focus on a full shoulder turn in your backswing",
-      "Maintain your spine angle during the backswing",
-      "Work on getting the club in the correct position at the top"
-    ],
-    swingForward: [
-      "Start your downswing with your lower body",
-      "Work on proper weight transfer to your lead side",
-      "Focus on rotating through impact with your body"
-    ],
-    hipRotation: [
-      "Increase your hip turn in the backswing",
-      "Work on clearing your hips through impact",
-      "Practice proper hip-shoulder separation"
-    ],
-    swingSpeed: [
-      "Develop a smoother tempo for more consistent speed",
-      "Work on maintaining acceleration through impact",
-      "Practice swinging at 80% effort for better control"
-    ],
-    shallowing: [
-      "Focus on dropping the club into the slot on the downswing",
-      "Avoid casting the club from the top",
-      "Work on the proper sequence to shallow the club"
-    ],
-    pacing: [
-      "Develop a consistent pre-shot routine",
-      "Count to establish a consistent tempo",
-      "Practice with a metronome to develop rhythm"
-    ],
-    focus: [
-      "Establish a consistent pre-shot routine",
-      "Stay focused on your target throughout the swing",
-      "Practice mindfulness techniques to improve focus"
-    ],
-    confidence: [
-      "Commit fully to each shot before you swing",
-      "Visualize the shot you want to hit before addressing the ball",
-      "Practice positive self-talk during your round"
-    ]
-  };
-  
-  // Try to generate recommendations from templates
-  try {
-    recommendations = lowestMetrics.map(([metric]) => {
-      const templates = recommendationTemplates[metric] || defaultRecommendations;
-      return templates[Math.floor(Math.random() * templates.length)];
-    });
-  } catch (error) {
-    console.error('Error generating recommendations:', error);
-    recommendations = defaultRecommendations;
   }
 
-  // Create the mockResult object
-  const mockResult = {
+  const recordedDate = metadata?.recordedDate || new Date();
+
+  let finalAnalysis = {
+    ...analysisData,
     id: Date.now().toString(),
-    date: new Date().toISOString(), // Analysis date (now)
+    date: new Date().toISOString(),
     recordedDate: recordedDate instanceof Date ? recordedDate.toISOString() : recordedDate,
-    overallScore: Math.round(overallScore), // Ensure it's an integer
-    metrics,
-    recommendations,
     clubName: metadata?.clubName || null,
     clubId: metadata?.clubId || null,
     clubType: metadata?.clubType || null,
     outcome: metadata?.outcome || null,
-    _isMockData: true // Flag to indicate this is mock data
+    analysisProvider: provider.name,
+    promptVersion: analysisData.promptVersion || null,
+    contentHash,
+    ...(frameSet ? { keyframes: frameSet.keyframes, swingWindow: frameSet.swingWindow } : {}),
+    ...(trim ? { trim } : {}),
+    // Swings split from one recording share a session
+    ...(metadata?.sessionId ? { sessionId: metadata.sessionId, segmentIndex: metadata.segmentIndex ?? null } : {}),
+    ...(cached ? { fromCache: true, cachedAt: cached.cachedAt } : {}),
+    ...(fallbackFrom ? { fallbackFrom } : {}),
+    ...(provider.isMock ? { _isMockData: true } : {})
   };
 
+  // Fallback results are not what was asked for, so they are never cached
+  if (cacheKey && !cached && !fallbackFrom) {
+    setCachedAnalysis(provider.name, promptVersion, cacheKey, finalAnalysis);
+  }
+
   if (isYouTubeAnalysis) {
-    return {
-      ...mockResult,
-      videoUrl: metadata.youtubeVideo.embedUrl,
+    finalAnalysis = {
+      ...finalAnalysis,
+      videoUrl: metadata.youtubeVideo.embedUrl, // Use embed URL
       youtubeVideoId: metadata.youtubeVideo.videoId,
       isYouTubeVideo: true
     };
   } else {
-    return {
-      ...mockResult,
-      videoUrl: videoFile ? URL.createObjectURL(videoFile) : null
-    };
+    finalAnalysis.videoUrl = videoFile ? URL.createObjectURL(videoFile) : null;
   }
+  return finalAnalysis;
 };
 
 /**
@@ -1507,20 +935,6 @@ const getAdjustmentContext = async (analysisData) => {
   }
 };
 
-/**
- * Convert a file to base64 string
- * @param {File} file - The file to convert
- * @returns {Promise<string>} Promise that resolves to the base64 string
- */
-const fileToBase64 = (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = (error) => reject(error);
-  });
-};
-
 /**
  * Collect user feedback on swing analysis to improve the model
  * @param {Object} swingData - The swing analysis data
@@ -1535,7 +949,6 @@ const collectAnalysisFeedback = async (swingData, feedbackType, metricFeedback =
   try {
     // Create feedback document
     const feedbackData = {
-      timestamp: serverTimestamp(),
       swingId: swingData.id || null,
       userId: auth.currentUser ? auth.currentUser.uid : null,
       feedbackType, // 'accurate', 'too_high', 'too_low'
@@ -1553,11 +966,13 @@ const collectAnalysisFeedback = async (swingData, feedbackType, metricFeedback =
       additionalNotes: additionalFeedback.additionalNotes || '',
       
       modelVersion: 'gemini-2.0-flash-exp', // Track which model version was used
+      analysisProvider: swingData.analysisProvider || null,
+      promptVersion: swingData.promptVersion || null,
       
       // Additional metadata that might help with adjustments
       submittedAt: new Date().toISOString(),
       isYouTubeVideo: swingData.isYouTubeVideo || false,
-      videoSignature: swingData.youtubeVideoId || generateVideoSignature(swingData)
+      videoSignature: swingData.youtubeVideoId || swingData.contentHash || generateVideoSignature(swingData)
     };
 
     if (!auth.currentUser && !swingData._isLocalOnly) {
@@ -1565,8 +980,22 @@ const collectAnalysisFeedback = async (swingData, feedbackType, metricFeedback =
       return true; // Pretend success but don't actually try to save
     }
     
+    // Keep the feedback on the device while there is no connection
+    if (!isOnline()) {
+      await queueFeedback(feedbackData);
+      console.log('Offline - feedback queued for sync');
+      return true;
+    }
+    
     // Store in Firestore
-    await addDoc(collection(db, 'analysis_feedback'), feedbackData);
+    try {
+      await firestoreService.saveAnalysisFeedback(feedbackData);
+    } catch (error) {
+      if (!isRetryableError(error)) throw error;
+      await queueFeedback(feedbackData);
+      console.log('Connection lost - feedback queued for sync');
+      return true;
+    }
     console.log('Feedback saved successfully');
     return true;
   } catch (error) {
@@ -1613,10 +1042,12 @@ const hashString = (str) => {
   return Math.abs(hash).toString(16);
 }
 
-// New function to enhance the metricDetails with analysis from reference videos
+// New function to enhance the metric catalog entries with analysis from reference videos
 const enhanceMetricDetailsWithReferenceAnalysis = async () => {
-  // For each metric in metricDetails
-  for (const [metricKey, metricInfo] of Object.entries(metricDetails)) {
+  const enhancedDetails = {};
+
+  // For each metric in the catalog
+  for (const [metricKey, metricInfo] of Object.entries(METRIC_CATALOG)) {
     if (metricInfo.exampleUrl) {
       try {
         console.log(`Analyzing reference video for ${metricKey}: ${metricInfo.exampleUrl}`);
@@ -1650,20 +1081,13 @@ const enhanceMetricDetailsWithReferenceAnalysis = async () => {
         };
         
         // Call the AI API
-        const response = await axios.post(
-          `${API_URL}?key=${API_KEY}`,
-          payload,
-          {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 120000
-          }
-        );
+        const data = await generateContent(payload, { feature: 'reference', timeout: 120000 });
         
         // Process and store the analysis
-        const analysis = processReferenceVideoAnalysis(response.data, metricKey);
+        const analysis = processReferenceVideoAnalysis(data, metricKey);
         
-        // Update metricDetails with enhanced information
-        metricDetails[metricKey] = {
+        // Combine the catalog entry with the enhanced information
+        enhancedDetails[metricKey] = {
           ...metricInfo,
           referenceAnalysis: analysis,
           lastAnalyzed: new Date().toISOString()
@@ -1671,7 +1095,7 @@ const enhanceMetricDetailsWithReferenceAnalysis = async () => {
         
         // Store in Firestore for future use
         await setDoc(doc(db, 'reference_models', metricKey), {
-          ...metricDetails[metricKey],
+          ...enhancedDetails[metricKey],
           updatedAt: serverTimestamp()
         });
         
@@ -1682,7 +1106,7 @@ const enhanceMetricDetailsWithReferenceAnalysis = async () => {
     }
   }
   
-  return metricDetails;
+  return enhancedDetails;
 };
 
 // ADD THESE FUNCTIONS (Implementations from Solution Part 1)
@@ -1759,164 +1183,13 @@ const processReferenceVideoAnalysis = (responseData, metricKey) => {
   }
 };
 
-// Enhanced metric descriptions and prompts from the Swing Recipe document
-// Update to metricDetails object in geminiService.js
-
-const metricDetails = {
-  confidence: {
-    category: "Mental",
-    weighting: "5.88%",
-    difficulty: 7,
-    description: "This is focused on the mental side of the game. Confidence is key to not be phased by the pressure of the game, being able to stick to your fundamentals and not get in your head after a bad shot.",
-    exampleUrl: "https://www.youtube.com/watch?v=y95_Us_qCpQ"
-  },
-  focus: {
-    category: "Mental",
-    weighting: "5.88%",
-    difficulty: 4,
-    description: "This is also focused on the mental side of the game. This is the ability to hone in on where you want to hit your shot and your concentration on the ball. Staying focused means you aren't bouncing your eyes around but remain focused on the ball.",
-    exampleUrl: "https://www.youtube.com/watch?v=SLbeLgQls_4"
-  },
-  stiffness: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 5,
-    description: "Your ability to remove tension from your body during your swing. You don't want to be too tight or else it will limit your body from being able to swing properly. But you also don't want your body to be too loose or else you will sacrifice other fundamentals of your swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=trOLRAPi07M"
-  },
-  stance: {
-    category: "Setup",
-    weighting: "5.88%",
-    difficulty: 2,
-    description: "This is the proper set up before your swing. You want to be the right distance between you and the ball. This includes your feet around shoulder width apart with your club at roughly a 45 degree angle and your hands lined up underneath your head.",
-    exampleUrl: "https://www.youtube.com/watch?v=P4d5TjzEgtk"
-  },
-  grip: {
-    category: "Setup",
-    weighting: "5.88%",
-    difficulty: 3,
-    description: "You should be using an interlocking golf grip instead of holding the club like a baseball bat. This will create a consistent swing and keep the club and your hands from rotating too much during your swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=nd6y-5nInHQ"
-  },
-  ballPosition: {
-    category: "Setup",
-    weighting: "5.88%",
-    difficulty: 1,
-    description: "You want to stand the right distance from the ball as you set up to take your shot. This should be so the club is at roughly a 45 degree angle from the ball and that the ball is positioned different based on the club you are using - a driver should have the ball closer to your lead foot while a short range club will have the ball more in between your feet. You also need to stand closer to the ball with short range clubs compared to a driver/long range clubs where you stand further away.",
-    exampleUrl: "https://www.youtube.com/watch?v=UdZfTKBfGho"
-  },
-  clubTrajectoryBackswing: {
-    category: "Club",
-    weighting: "5.88%",
-    difficulty: 8,
-    description: "The path and position of the club during the backswing phase. This involves the takeaway, wrist position, and backswing plane.",
-    exampleUrl: "https://www.youtube.com/watch?v=oszzApkv54s"
-  },
-  clubTrajectoryForswing: {
-    category: "Club",
-    weighting: "5.88%",
-    difficulty: 8,
-    description: "The path and position of the club during the forward swing phase, as you begin to swing towards the ball.",
-    exampleUrl: "https://www.youtube.com/watch?v=ASH-gJXbMSU" // Added example URL
-  },
-  swingSpeed: {
-    category: "Club",
-    weighting: "5.88%",
-    difficulty: 7,
-    description: "The velocity and acceleration of the club throughout the swing, particularly at impact.",
-    exampleUrl: "https://www.youtube.com/watch?v=vZ5pMtD2wKQ" // Added example URL
-  },
-  shallowing: {
-    category: "Club",
-    weighting: "5.88%",
-    difficulty: 9,
-    description: "How well the club 'shallows' or drops into the correct path during the downswing.",
-    exampleUrl: "https://www.youtube.com/watch?v=V2PtvBiYWNM" // Added example URL
-  },
-  impactPosition: {
-    category: "Club",
-    weighting: "5.88%",
-    difficulty: 10,
-    description: "The position and angle of the club at the moment of impact with the ball.",
-    exampleUrl: "https://www.youtube.com/watch?v=gXD-uxUloos" // Added example URL
-  },
-  hipRotation: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 6,
-    description: "How effectively the hips rotate during the entire swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=iEyIDzGjyRE" // Added example URL
-  },
-  pacing: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 6,
-    description: "The overall rhythm and timing of your swing to ensure proper technique.",
-    exampleUrl: "https://www.youtube.com/watch?v=AzdeJrIdkU4" // Added example URL
-  },
-  followThrough: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 4,
-    description: "The completion of the swing after impact with the ball.",
-    exampleUrl: "https://www.youtube.com/watch?v=o9H0T_n2KIQ" // Added example URL
-  },
-  headPosition: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 4,
-    description: "The position and stability of your head throughout the entire swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=y_PNrUtxSxE" // Added example URL
-  },
-  shoulderPosition: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 6,
-    description: "The position and movement of your shoulders through the swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=dhOvT8cXp_c" // Added example URL
-  },
-  armPosition: {
-    category: "Body",
-    weighting: "5.88%",
-    difficulty: 6,
-    description: "The proper positioning of your arms throughout the entire swing.",
-    exampleUrl: "https://www.youtube.com/watch?v=ASoOQdQJ4m0" // Added example URL
-  }
-};
-
-// Map from our code's metric keys to the swing recipe metrics
-// Enhanced metric key mapping to ensure all metrics are properly mapped
-const metricKeyMapping = {
-  // Current mappings
-  backswing: "clubTrajectoryBackswing",
-  swingBack: "clubTrajectoryBackswing",
-  swingForward: "clubTrajectoryForswing",
-  
-  // Additional mappings for consistency
-  hipRotation: "hipRotation",
-  swingSpeed: "swingSpeed",
-  shallowing: "shallowing",
-  pacing: "pacing",
-  confidence: "confidence",
-  focus: "focus",
-  stance: "stance",
-  grip: "grip",
-  shoulderPosition: "shoulderPosition",
-  armPosition: "armPosition",
-  headPosition: "headPosition",
-  followThrough: "followThrough",
-  impactPosition: "impactPosition",
-  ballPosition: "ballPosition",
-  stiffness: "stiffness"
-};
-
-
 // Updated function in geminiService.js
 /**
  * Enhanced metric insights generator that uses swing data for analysis
  * @param {Object} swingData - The complete swing analysis data
  * @param {string} metricKey - The specific metric to generate insights for
- * @returns {Promise<Object>} Detailed insights for the metric
+ * @returns {Promise<Object>} Detailed insights for the metric (defaults when the model can't answer)
+ * @throws {Error} Usage limit errors from the proxy (see isUsageLimitError)
  */
 const generateMetricInsights = async (swingData, metricKey) => {
   try {
@@ -1951,93 +1224,30 @@ const generateMetricInsights = async (swingData, metricKey) => {
     // Format the metric name for better readability
     const metricName = metricKey.replace(/([A-Z])/g, ' $1').toLowerCase();
 
-    // Get the swing recipe metric key if available
-    const swingRecipeKey = metricKeyMapping ? metricKeyMapping[metricKey] || metricKey : metricKey;
-    
-    // Get detailed information about this metric from our swing recipe
-    const metricInfo = metricDetails && metricDetails[swingRecipeKey] ? metricDetails[swingRecipeKey] : null;
-    const metricDescription = metricInfo?.description || getGenericMetricDescription(metricKey);
+    // Get detailed information about this metric from the metric catalog
+    const metricInfo = getMetricDefinition(metricKey);
+    const metricDescription = metricInfo?.description || `The ${metricName} aspect of the golf swing.`;
     const metricCategory = metricInfo?.category || "Unknown";
     const metricDifficulty = metricInfo?.difficulty || 5;
-    const metricWeight = metricInfo?.weighting || "5.88%";
+    const metricWeight = getMetricWeighting(metricKey);
     const exampleUrl = metricInfo?.exampleUrl || null;
 
-    // Create the content for the coaching prompt
-    let coachingPrompt = `You are the most renowned golf coach and instructor in the world. You know how to adjust your recommendations based on the type of player and how good they are as a golfer.`;
-    
-    if (metricInfo) {
-      coachingPrompt += `\n\nYou're analyzing the "${metricName}" aspect of the swing, which is categorized as a "${metricCategory}" element with a difficulty rating of ${metricDifficulty}/10 and represents ${metricWeight} of the overall swing.`;
-      coachingPrompt += `\n\n${metricDescription}`;
-    }
-
-    if (exampleUrl) {
-      coachingPrompt += `\n\nAn example of how to provide guidance on this is available at ${exampleUrl}, but you should also draw from your extensive knowledge of golf technique.`;
-    }
-
-    // Add information about swing ownership for context-appropriate feedback
-    if (swingData.swingOwnership === 'pro') {
-      coachingPrompt += `\n\nThis is a professional golfer's swing${swingData.proGolferName ? ` (${swingData.proGolferName})` : ''}, so focus on high-level technical aspects that would be relevant to advanced players.`;
-    } else if (swingData.swingOwnership === 'other') {
-      coachingPrompt += `\n\nThis is someone else's swing (not the user's own), so provide feedback that would be helpful for a coach or friend to relay to the golfer.`;
-    }
-
-    // Add club information if available
-    if (swingData.clubName) {
-      coachingPrompt += `\n\nThis swing was performed with a ${swingData.clubName}. Adjust your analysis accordingly, as different clubs require different techniques and expectations.`;
-    }
-
-    // Prepare the complete prompt with specific guidance for the selected metric
-    const promptContent = {
-      coachingPrompt: coachingPrompt,
-      metric: {
-          name: metricName,
-          score: safeMetricValue,
-          description: metricDescription,
-          category: metricCategory,
-          difficulty: metricDifficulty,
-          weighting: metricWeight
-      },
-      instructions: [
-          "Analyze this specific aspect of the golf swing",
-          "Provide technically accurate feedback based on the score and video if available",
-          "Identify specific strengths and weaknesses related to this aspect of the swing",
-          "Give actionable recommendations that directly address what you observe",
-          "Provide recommendations that talk about tips as well as how the swing should feel",
-          "If the video is unclear for this metric, state 'Video unclear' in the JSON response."
-      ],
-      outputFormat: {
-          metricName: "string",
-          score: "number (0-100)",
-          tone: "string (excellent/good/needs improvement/poor)",
-          goodAspects: "array of strings with specific observations",
-          improvementAreas: "array of strings with specific observations",
-          technicalBreakdown: "array of strings describing technical aspects",
-          recommendations: "array of strings with actionable advice",
-          feelTips: "array of strings explaining how correct execution should feel"
-      }
-    };
+    // Render the versioned coaching prompt for this metric
+    const { text: promptText, promptVersion } = buildMetricInsightsPrompt(swingData, {
+      metricName,
+      score: safeMetricValue,
+      description: metricDescription,
+      category: metricCategory,
+      difficulty: metricDifficulty,
+      weighting: metricWeight,
+      exampleUrl
+    }, !!metricInfo);
 
     // Prepare payload for API request
     const payload = {
       contents: [{
         parts: [{
-          text: `You are a PGA Master Professional with 30 years of experience coaching elite golfers. Analyze this golf swing ${isYouTubeVideo ? 'from YouTube' : 'data'} as a professional golf coach, focusing specifically on the ${metricName} aspect of the swing for a golfer whose skill level you should assume based on the score:
-
-Coaching Context: ${JSON.stringify(promptContent, null, 2)}
-${isYouTubeVideo ? `\nYouTube Video URL: ${videoUrl}` : ''}
-
-Please provide a detailed, professional analysis following these guidelines:
-1.  Focus ONLY on the ${metricName} aspect of the swing
-2.  Infer the golfer's likely skill level from the provided score for this metric. Tailor your feedback accordingly (e.g., more basic advice for lower scores, more advanced for higher scores).
-3.  Identify specific strengths related to ${metricName}
-4.  Identify specific weaknesses related to ${metricName}
-5.  Provide actionable, technically sound recommendations
-6.  Include tips on how the correct execution should feel
-7.  Use clear, concise language that a golfer would understand
-8.  If the video quality is poor or the swing is unclear for this specific metric, include "Video unclear" in the relevant section of the JSON response (e.g., in improvementAreas or technicalBreakdown).
-9.  Strictly adhere to the JSON output format
-
-Your response should be a valid JSON object that can be directly parsed.`
+          text: promptText
         }]
       }]
     };
@@ -2060,17 +1270,10 @@ Your response should be a valid JSON object that can be directly parsed.`
 
     // Make the API request
     try {
-      const response = await axios.post(
-        `${API_URL}?key=${API_KEY}`,
-        payload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json'
-          },
-          timeout: 45000 // Increased timeout for video processing
-        }
-      );
+      const data = await generateContent(payload, {
+        feature: 'insights',
+        timeout: 45000 // Increased timeout for video processing
+      });
 
       // Parse the response
       const extractInsights = (responseData) => {
@@ -2124,7 +1327,7 @@ Your response should be a valid JSON object that can be directly parsed.`
             return getDefaultInsights(metricKey, swingData);
           }
 
-          return insights;
+          return { ...insights, promptVersion };
         } catch (parseError) {
           console.error('Parsing error:', parseError);
           return getDefaultInsights(metricKey, swingData);
@@ -2132,14 +1335,22 @@ Your response should be a valid JSON object that can be directly parsed.`
       };
 
       // Extract and return insights
-      return extractInsights(response.data);
+      return extractInsights(data);
     } catch (error) {
+      // The caller tells the user they're over their limits rather than showing generic text
+      if (isUsageLimitError(error)) {
+        throw error;
+      }
       console.error('Error in API request for metric insights:', error);
       console.log('Falling back to score-based analysis without video');
       return getDefaultInsights(metricKey, swingData);
     }
 
   } catch (error) {
+    if (isUsageLimitError(error)) {
+      throw error;
+    }
+
     // Log error details
     console.error('Error in generateMetricInsights:', {
       message: error.message,
@@ -2164,25 +1375,6 @@ const blobToBase64 = (blob) => {
   });
 };
 
-// Helper function for generic metric descriptions when specific one isn't available
-const getGenericMetricDescription = (metricKey) => {
-  const descriptions = {
-    backswing: "The backswing involves the takeaway, wrist position, arm extension, and rotation. A proper backswing sets up the rest of the swing.",
-    stance: "Stance includes foot position, width, weight distribution, posture, and alignment relative to the target line.",
-    grip: "Grip examines hand placement, pressure, wrist position, and proper interlocking or overlapping technique.",
-    swingBack: "This evaluates the rotation, plane, wrist hinge, and position at the top of the backswing.",
-    swingForward: "The downswing path, transition, acceleration, and follow-through make up this metric.",
-    hipRotation: "Hip rotation assesses proper turn during backswing and clearing through impact.",
-    swingSpeed: "Tempo, rhythm, and acceleration through the ball are key elements of swing speed.",
-    shallowing: "Shallowing examines how the club drops into the proper path during the downswing.",
-    pacing: "Overall rhythm and timing throughout the entire swing motion.",
-    confidence: "How decisive and committed the golfer appears in their swing.",
-    focus: "Setup routine and execution concentration throughout the swing."
-  };
-  
-  return descriptions[metricKey] || `The ${metricKey.replace(/([A-Z])/g, ' $1').toLowerCase()} aspect of the golf swing.`;
-};
-
 /**
  * Provide improved default insights for a metric by leveraging the Swing Recipe details
  * Modified to add account promotion for non-user swings
@@ -2191,11 +1383,8 @@ const getGenericMetricDescription = (metricKey) => {
  * @returns {Object} Default insights object with metric-specific content
  */
 const getDefaultInsights = (metricKey, swingData = null) => {
-  // Get the swing recipe metric key if available
-  const swingRecipeKey = metricKeyMapping[metricKey] || metricKey;
-
-  // Get detailed information about this metric from our swing recipe
-  const metricInfo = metricDetails[swingRecipeKey];
+  // Get detailed information about this metric from the metric catalog
+  const metricInfo = getMetricDefinition(metricKey);
 
   // Check if this is a non-user swing
   const isNonUserSwing = swingData && swingData.swingOwnership !== 'self';
@@ -2224,7 +1413,7 @@ const getDefaultInsights = (metricKey, swingData = null) => {
           ],
           improvementAreas: [
               `${metricInfo.description}.`,
-              `This element represents ${metricInfo.weighting} of your overall swing score.`
+              `This element represents ${getMetricWeighting(metricKey)} of your overall swing score.`
           ],
           technicalBreakdown: [
               `${metricInfo.description}.`,
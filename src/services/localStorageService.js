@@ -1,10 +1,19 @@
 // src/services/localStorageService.js
-// Fallback service that uses browser localStorage when Firestore isn't available
+// On-device store for swings and their videos, used while Firestore can't be reached.
+// Backed by IndexedDB (see offlineStore); syncService uploads what is stored here when
+// the connection returns. Browsers without IndexedDB fall back to localStorage, which
+// keeps the swing data but not the video.
 
+import { STORES, isOfflineStoreSupported, putRecord, getRecord, getAllRecords, deleteRecord } from './offlineStore';
+
+// localStorage key used before swings moved to IndexedDB
 const STORAGE_KEY = 'golfguru_swings';
 
-// Get all swings from localStorage
-const getSwings = () => {
+/**
+ * Read swings from the localStorage fallback
+ * @returns {Array} Swings, most recent first
+ */
+const getLegacySwings = () => {
   try {
     const swingsJson = localStorage.getItem(STORAGE_KEY);
     return swingsJson ? JSON.parse(swingsJson) : [];
@@ -14,28 +23,138 @@ const getSwings = () => {
   }
 };
 
-// Save a swing to localStorage
-const saveSwing = (swingData) => {
+/**
+ * Move swings saved by older versions from localStorage into IndexedDB
+ * @returns {Promise<void>}
+ */
+const migrateLegacySwings = async () => {
+  const legacySwings = getLegacySwings();
+  if (legacySwings.length === 0) return;
+
+  for (const swing of legacySwings) {
+    await putRecord(STORES.SWINGS, swing);
+  }
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Get locally stored swings
+ * @param {string} userId - Only return this user's swings (optional)
+ * @returns {Promise<Array>} Swings, most recent first
+ */
+const getSwings = async (userId = null) => {
+  try {
+    let swings;
+    if (isOfflineStoreSupported()) {
+      await migrateLegacySwings();
+      swings = await getAllRecords(STORES.SWINGS);
+    } else {
+      swings = getLegacySwings();
+    }
+
+    return swings
+      .filter(swing => !userId || swing.userId === userId)
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  } catch (error) {
+    console.error('Error getting local swings:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a swing on the device
+ * @param {Object} swingData - The swing data (an existing id is kept)
+ * @returns {Promise<Object>} The stored swing
+ */
+const saveSwing = async (swingData) => {
   try {
-    const swings = getSwings();
     const newSwing = {
       ...swingData,
-      id: `local_${Date.now()}`,
-      date: new Date().toISOString(),
+      id: swingData.id || `local_${Date.now()}`,
+      date: swingData.date || new Date().toISOString(),
       _isLocal: true
     };
-    
-    swings.unshift(newSwing); // Add to beginning of array
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(swings));
-    
+
+    if (isOfflineStoreSupported()) {
+      await putRecord(STORES.SWINGS, newSwing);
+    } else {
+      const swings = getLegacySwings().filter(swing => swing.id !== newSwing.id);
+      swings.unshift(newSwing); // Add to beginning of array
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(swings));
+    }
+
     return newSwing;
   } catch (error) {
-    console.error('Error saving swing to localStorage:', error);
+    console.error('Error saving swing locally:', error);
     throw error;
   }
 };
 
+/**
+ * Get a locally stored swing
+ * @param {string} swingId - The swing id
+ * @returns {Promise<Object|null>} The swing, or null when missing
+ */
+const getSwing = async (swingId) => {
+  if (!isOfflineStoreSupported()) {
+    return getLegacySwings().find(swing => swing.id === swingId) || null;
+  }
+  return getRecord(STORES.SWINGS, swingId);
+};
+
+/**
+ * Remove a swing and its video from the device
+ * @param {string} swingId - The swing id
+ * @returns {Promise<void>}
+ */
+const deleteSwing = async (swingId) => {
+  if (!isOfflineStoreSupported()) {
+    const swings = getLegacySwings().filter(swing => swing.id !== swingId);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(swings));
+    return;
+  }
+  await deleteRecord(STORES.SWINGS, swingId);
+  await deleteRecord(STORES.VIDEOS, swingId);
+};
+
+/**
+ * Keep the video of a swing until it can be uploaded
+ * @param {string} swingId - The swing id
+ * @param {File|Blob} videoFile - The video
+ * @returns {Promise<boolean>} False when videos can't be stored in this browser
+ */
+const saveVideo = async (swingId, videoFile) => {
+  if (!isOfflineStoreSupported() || !videoFile) return false;
+
+  await putRecord(STORES.VIDEOS, {
+    id: swingId,
+    file: videoFile,
+    name: videoFile.name || `${swingId}.mp4`,
+    type: videoFile.type || 'video/mp4'
+  });
+  return true;
+};
+
+/**
+ * Get the stored video of a swing
+ * @param {string} swingId - The swing id
+ * @returns {Promise<File|null>} The video as a File, or null when missing
+ */
+const getVideo = async (swingId) => {
+  if (!isOfflineStoreSupported()) return null;
+
+  const record = await getRecord(STORES.VIDEOS, swingId);
+  if (!record) return null;
+  return record.file instanceof File
+    ? record.file
+    : new File([record.file], record.name, { type: record.type });
+};
+
 export default {
   getSwings,
-  saveSwing
-};
\ No newline at end of file
+  getSwing,
+  saveSwing,
+  deleteSwing,
+  saveVideo,
+  getVideo
+};
@@ -1,6 +1,7 @@
-import { collection, doc, getDoc, getDocs, setDoc, serverTimestamp, batch } from 'firebase/firestore';
+import { collection, doc, getDoc, getDocs, setDoc, serverTimestamp, writeBatch } from 'firebase/firestore';
 import { db } from '../firebase/firebase';
 import { extractYouTubeVideoId } from '../utils/youtubeUtils';
+import { buildMetricSeedDocuments } from '../utils/metricRegistry';
 import { analyzeReferenceVideo } from './referenceAnalysisService';
 
 /**
@@ -9,23 +10,7 @@ import { analyzeReferenceVideo } from './referenceAnalysisService';
  */
 export const initializeMetricsCollection = async () => {
   try {
-    const metrics = {
-      backswing: {
-        title: "Backswing",
-        description: "Your takeaway and club position during the backswing phase",
-        category: "Club",
-        difficulty: 8,
-        weighting: "5.88%"
-      },
-      hipRotation: {
-        title: "Hip Rotation",
-        description: "How your hips rotate throughout the swing",
-        category: "Body",
-        difficulty: 6,
-        weighting: "5.88%"
-      },
-      // Add other metrics...
-    };
+    const metrics = buildMetricSeedDocuments();
     
     // Create a batch operation
     const batchOp = writeBatch(db);
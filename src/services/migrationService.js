@@ -0,0 +1,178 @@
+// src/services/migrationService.js
+// Runs the versioned migrations from admin/migrations.js against Firestore.
+//
+// Applied migrations are recorded in the `migrations` collection (one document per id),
+// so running again skips them. Documents are read and written in pages of `batchSize`;
+// a dry run reads everything but writes nothing and returns the same report.
+//
+// The Firestore instance can be passed in, which lets the runner be exercised against the
+// emulator (see migrationService.test.js).
+import {
+  collection, doc, getDoc, getDocs, setDoc, writeBatch,
+  query, orderBy, startAfter, limit, documentId
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+import { MIGRATIONS } from '../admin/migrations';
+
+export const MIGRATIONS_COLLECTION = 'migrations';
+
+// Firestore allows 500 writes per batch
+const DEFAULT_BATCH_SIZE = 200;
+const MAX_BATCH_SIZE = 500;
+
+// Number of changed documents included in the report for each target
+const SAMPLE_SIZE = 5;
+
+/**
+ * Get the record of an applied migration
+ * @param {Object} firestore - Firestore instance
+ * @param {string} migrationId - The migration id
+ * @returns {Promise<Object|null>} Applied record or null when the migration has not run
+ */
+export const getAppliedMigration = async (firestore, migrationId) => {
+  const snapshot = await getDoc(doc(firestore, MIGRATIONS_COLLECTION, migrationId));
+  return snapshot.exists() ? snapshot.data() : null;
+};
+
+/**
+ * Run one migration target over a whole collection, page by page
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} target - { collection, transform }
+ * @param {Object} options - { dryRun, batchSize }
+ * @returns {Promise<Object>} Target report
+ */
+const runTarget = async (firestore, target, { dryRun, batchSize }) => {
+  const report = {
+    collection: target.collection,
+    scanned: 0,
+    changed: 0,
+    failed: 0,
+    samples: []
+  };
+
+  let lastDoc = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const constraints = [orderBy(documentId()), limit(batchSize)];
+    if (lastDoc) {
+      constraints.splice(1, 0, startAfter(lastDoc));
+    }
+    const snapshot = await getDocs(query(collection(firestore, target.collection), ...constraints));
+
+    const batchOp = dryRun ? null : writeBatch(firestore);
+    let pending = 0;
+
+    snapshot.docs.forEach(docSnap => {
+      report.scanned++;
+      let updates = null;
+      try {
+        updates = target.transform(docSnap.data());
+      } catch (error) {
+        console.error(`Migration transform failed for ${target.collection}/${docSnap.id}:`, error);
+        report.failed++;
+        return;
+      }
+      if (!updates) return;
+
+      report.changed++;
+      if (report.samples.length < SAMPLE_SIZE) {
+        report.samples.push({ id: docSnap.id, updates });
+      }
+      if (batchOp) {
+        batchOp.update(docSnap.ref, updates);
+        pending++;
+      }
+    });
+
+    if (batchOp && pending > 0) {
+      await batchOp.commit();
+      console.log(`Migrated ${pending} documents in ${target.collection}`);
+    }
+
+    hasMore = snapshot.docs.length === batchSize;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return report;
+};
+
+/**
+ * Run all pending migrations in version order
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report what would change without writing (default true)
+ * @param {number} options.batchSize - Documents read and written per batch
+ * @param {Object} options.firestore - Firestore instance (defaults to the app database)
+ * @param {Array<Object>} options.migrations - Migrations to run (defaults to MIGRATIONS)
+ * @returns {Promise<Object>} Report with one entry per migration
+ */
+export const runMigrations = async ({
+  dryRun = true,
+  batchSize = DEFAULT_BATCH_SIZE,
+  firestore = db,
+  migrations = MIGRATIONS
+} = {}) => {
+  if (batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new Error(`batchSize must be between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  const ids = new Set();
+  migrations.forEach(migration => {
+    if (ids.has(migration.id)) {
+      throw new Error(`Duplicate migration id: ${migration.id}`);
+    }
+    ids.add(migration.id);
+  });
+
+  const ordered = [...migrations].sort((a, b) => a.version - b.version);
+  const report = { dryRun, startedAt: new Date().toISOString(), migrations: [] };
+
+  for (const migration of ordered) {
+    const entry = {
+      id: migration.id,
+      version: migration.version,
+      description: migration.description,
+      status: 'pending',
+      targets: []
+    };
+    report.migrations.push(entry);
+
+    const applied = await getAppliedMigration(firestore, migration.id);
+    if (applied) {
+      entry.status = 'already_applied';
+      entry.appliedAt = applied.appliedAt;
+      continue;
+    }
+
+    console.log(`${dryRun ? 'Dry run of' : 'Running'} migration ${migration.id}`);
+    for (const target of migration.targets) {
+      entry.targets.push(await runTarget(firestore, target, { dryRun, batchSize }));
+    }
+
+    const failed = entry.targets.reduce((sum, target) => sum + target.failed, 0);
+    if (dryRun) {
+      entry.status = 'dry_run';
+    } else if (failed > 0) {
+      // Leave it unrecorded so the next run retries the failed documents
+      entry.status = 'failed';
+      console.error(`Migration ${migration.id} failed for ${failed} documents; stopping`);
+      break;
+    } else {
+      entry.status = 'applied';
+      await setDoc(doc(firestore, MIGRATIONS_COLLECTION, migration.id), {
+        version: migration.version,
+        description: migration.description,
+        appliedAt: new Date().toISOString(),
+        changed: entry.targets.reduce((sum, target) => sum + target.changed, 0)
+      });
+    }
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+};
+
+export default {
+  runMigrations,
+  getAppliedMigration
+};
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+// src/services/migrationService.test.js
+// The runner tests need the Firestore emulator:
+//   firebase emulators:exec --only firestore "CI=true npm test -- migrationService"
+// Without FIRESTORE_EMULATOR_HOST only the transform tests run.
+import { initializeApp, deleteApp } from 'firebase/app';
+import {
+  getFirestore, connectFirestoreEmulator, doc, getDoc, setDoc, terminate
+} from 'firebase/firestore';
+import { renameMetricKeys, MIGRATIONS } from '../admin/migrations';
+import { runMigrations, MIGRATIONS_COLLECTION } from './migrationService';
+
+// The app's own Firebase instance is not used here
+jest.mock('../firebase/firebase', () => ({ db: null }));
+
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = EMULATOR_HOST ? describe : describe.skip;
+
+const OPEN_RULES = `rules_version = '2';
+service cloud.firestore {
+  match /databases/{database}/documents {
+    match /{document=**} {
+      allow read, write: if true;
+    }
+  }
+}`;
+
+describe('renameMetricKeys', () => {
+  const renames = { clubTrajectoryBackswing: 'backswing' };
+
+  it('renames legacy keys', () => {
+    expect(renameMetricKeys({ clubTrajectoryBackswing: 70, grip: 80 }, renames))
+      .toEqual({ backswing: 70, grip: 80 });
+  });
+
+  it('keeps the current value when both keys are present', () => {
+    expect(renameMetricKeys({ clubTrajectoryBackswing: 70, backswing: 65 }, renames))
+      .toEqual({ backswing: 65 });
+  });
+
+  it('returns null when nothing needs renaming', () => {
+    expect(renameMetricKeys({ backswing: 70 }, renames)).toBeNull();
+    expect(renameMetricKeys(undefined, renames)).toBeNull();
+  });
+
+  it('is idempotent for every published migration', () => {
+    const swing = { metrics: { clubTrajectoryBackswing: 70, clubTrajectoryForswing: 60, swingBack: 65, grip: 80 } };
+    MIGRATIONS.forEach(migration => {
+      migration.targets.forEach(target => {
+        const migrated = { ...swing, ...target.transform(swing) };
+        expect(target.transform(migrated)).toBeNull();
+      });
+    });
+  });
+});
+
+describe('003-merge-swing-back', () => {
+  const { transform } = MIGRATIONS.find(migration => migration.id === '003-merge-swing-back').targets[0];
+
+  it('keeps backswing when a swing has both scores', () => {
+    expect(transform({ metrics: { swingBack: 60, backswing: 70 } })).toEqual({ metrics: { backswing: 70 } });
+    expect(transform({ metrics: { swingBack: 60, grip: 80 } })).toEqual({ metrics: { backswing: 60, grip: 80 } });
+    expect(transform({ metrics: { backswing: 70 } })).toBeNull();
+  });
+});
+
+describe('002-user-roles', () => {
+  const { transform } = MIGRATIONS.find(migration => migration.id === '002-user-roles').targets[0];
+
+  it('copies legacy role flags into roles once', () => {
+    expect(transform({ isAdmin: true, roles: ['player'] })).toEqual({ roles: ['player', 'admin'] });
+    expect(transform({ isAdmin: true, isCoach: true })).toEqual({ roles: ['admin', 'coach'] });
+    expect(transform({ isAdmin: true, roles: ['admin'] })).toBeNull();
+    expect(transform({ email: 'player@example.com' })).toBeNull();
+  });
+});
+
+describeWithEmulator('runMigrations (Firestore emulator)', () => {
+  let app;
+  let firestore;
+
+  beforeAll(async () => {
+    // These tests cover the runner, not firestore.rules (see firestoreRules.test.js), so open
+    // the database to the unauthenticated test client
+    await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/demo-golf-guru:securityRules`, {
+      method: 'PUT',
+      body: JSON.stringify({
+        rules: { files: [{ name: 'firestore.rules', content: OPEN_RULES }] }
+      })
+    });
+
+    const [host, port] = EMULATOR_HOST.split(':');
+    app = initializeApp({ projectId: 'demo-golf-guru' }, 'migration-tests');
+    firestore = getFirestore(app);
+    connectFirestoreEmulator(firestore, host, Number(port));
+  });
+
+  afterAll(async () => {
+    await terminate(firestore);
+    await deleteApp(app);
+  });
+
+  beforeEach(async () => {
+    await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/demo-golf-guru/databases/(default)/documents`, {
+      method: 'DELETE'
+    });
+    await setDoc(doc(firestore, 'swings', 'legacy'), {
+      metrics: { clubTrajectoryBackswing: 70, clubTrajectoryForswing: 60, grip: 80 }
+    });
+    await setDoc(doc(firestore, 'swings', 'current'), {
+      metrics: { backswing: 75, swingForward: 65, grip: 85 }
+    });
+    await setDoc(doc(firestore, 'analysis_feedback', 'feedback'), {
+      originalMetrics: { clubTrajectoryBackswing: 70 },
+      metricFeedback: { clubTrajectoryBackswing: 'too_high' }
+    });
+  });
+
+  it('reports changes on a dry run without writing', async () => {
+    const report = await runMigrations({ firestore, dryRun: true, batchSize: 1 });
+    const [migration] = report.migrations;
+
+    expect(migration.status).toBe('dry_run');
+    expect(migration.targets[0]).toMatchObject({ collection: 'swings', scanned: 2, changed: 1 });
+    expect(migration.targets[1]).toMatchObject({ collection: 'analysis_feedback', scanned: 1, changed: 1 });
+
+    const legacy = await getDoc(doc(firestore, 'swings', 'legacy'));
+    expect(legacy.data().metrics.clubTrajectoryBackswing).toBe(70);
+    const record = await getDoc(doc(firestore, MIGRATIONS_COLLECTION, migration.id));
+    expect(record.exists()).toBe(false);
+  });
+
+  it('rewrites documents in batches and records the migration', async () => {
+    const report = await runMigrations({ firestore, dryRun: false, batchSize: 1 });
+    expect(report.migrations[0].status).toBe('applied');
+
+    const legacy = await getDoc(doc(firestore, 'swings', 'legacy'));
+    expect(legacy.data().metrics).toEqual({ backswing: 70, swingForward: 60, grip: 80 });
+    const feedback = await getDoc(doc(firestore, 'analysis_feedback', 'feedback'));
+    expect(feedback.data()).toEqual({
+      originalMetrics: { backswing: 70 },
+      metricFeedback: { backswing: 'too_high' }
+    });
+  });
+
+  it('skips migrations that were already applied', async () => {
+    await runMigrations({ firestore, dryRun: false });
+    const report = await runMigrations({ firestore, dryRun: false });
+    expect(report.migrations[0].status).toBe('already_applied');
+  });
+});
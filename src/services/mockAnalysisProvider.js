@@ -0,0 +1,216 @@
+// src/services/mockAnalysisProvider.js
+import { calculateWeightedOverallScore } from '../utils/swingUtils';
+import { getScoredMetricKeys } from '../utils/metricRegistry';
+
+// Simulated network latency so the UI loading states still show up in demos
+const SIMULATED_DELAY_MS = 2000;
+
+/**
+ * Generate randomized but plausible analysis data
+ * @param {File|null} videoFile - The video file or null for YouTube
+ * @param {Object} metadata - Additional metadata (club type etc.)
+ * @returns {Object} Raw analysis with overallScore, metrics and recommendations
+ */
+const createMockAnalysis = (videoFile, metadata = null) => {
+  console.log('Generating mock analysis data');
+
+  // Generate a base skill level that will inform all metrics
+  // Using a normal distribution centered around different values based on club type
+  let baseSkillLevel = 65; // Default baseline
+  
+  // Adjust baseline based on club type if available
+  if (metadata?.clubType) {
+    switch(metadata.clubType) {
+      case 'Wood':
+        // Woods are typically harder, so lower baseline
+        baseSkillLevel = 60 + (Math.random() * 10 - 5);
+        break;
+      case 'Iron':
+        // Irons are middle difficulty
+        baseSkillLevel = 65 + (Math.random() * 10 - 5);
+        break;
+      case 'Wedge':
+        // Short game might be better for amateurs
+        baseSkillLevel = 68 + (Math.random() * 10 - 5);
+        break;
+      case 'Putter':
+        // Putting can vary widely
+        baseSkillLevel = 70 + (Math.random() * 16 - 8);
+        break;
+      default:
+        baseSkillLevel = 65 + (Math.random() * 10 - 5);
+    }
+  }
+  
+  // Create realistic variations between metrics
+  // Define metric groups that should be correlated
+  const metricGroups = {
+    setup: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['stance', 'grip', 'ballPosition'] },
+    swing: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['backswing', 'swingForward', 'shallowing'] },
+    body: { base: baseSkillLevel + (Math.random() * 10 - 5), metrics: ['hipRotation', 'pacing', 'followThrough', 'headPosition', 'shoulderPosition', 'armPosition'] },
+    mental: { base: baseSkillLevel + (Math.random() * 14 - 7), metrics: ['confidence', 'focus'] }
+  };
+  
+  // Generate each metric with appropriate variation
+  const metrics = {};
+  
+  // Process each group
+  Object.entries(metricGroups).forEach(([groupName, group]) => {
+    const groupBase = group.base;
+    
+    // Add individual metrics with realistic variance
+    group.metrics.forEach(metric => {
+      // Create plausible variance within the group
+      // Bigger variance for mental factors, smaller for physical ones
+      const variance = groupName === 'mental' ? 12 : 8;
+      
+      // Generate score with BoxMuller to create a normal distribution
+      let u1 = Math.random();
+      let u2 = Math.random();
+      let z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+      let metricScore = Math.round(groupBase + z0 * (variance / 3)); // 3 sigma
+      
+      // Ensure within bounds
+      metrics[metric] = Math.max(30, Math.min(95, metricScore));
+    });
+  });
+  
+  // If some key metrics are missing, add them with default values
+  getScoredMetricKeys().forEach(metric => {
+    if (!metrics[metric]) {
+      metrics[metric] = Math.max(30, Math.min(95, Math.round(baseSkillLevel + (Math.random() * 20 - 10))));
+    }
+  });
+  
+  // Special cases based on club type
+  if (metadata?.clubType === 'Wood') {
+    // Woods typically need more clubhead speed and proper shallowing
+    metrics.swingSpeed = Math.min(95, metrics.swingSpeed + Math.floor(Math.random() * 8));
+    metrics.shallowing = Math.max(30, metrics.shallowing - Math.floor(Math.random() * 10));
+  } else if (metadata?.clubType === 'Iron') {
+    // Irons need good impact position
+    metrics.swingForward = Math.min(95, metrics.swingForward + Math.floor(Math.random() * 5));
+  } else if (metadata?.clubType === 'Wedge') {
+    // Wedges need good wrist control
+    metrics.grip = Math.min(95, metrics.grip + Math.floor(Math.random() * 7));
+  } else if (metadata?.clubType === 'Putter') {
+    // Putting is more about mental and pace
+    metrics.pacing = Math.min(95, metrics.pacing + Math.floor(Math.random() * 10));
+    metrics.focus = Math.min(95, metrics.focus + Math.floor(Math.random() * 10));
+  }
+  
+  // Generate realistic overall score with appropriate weighting
+  // Not just an average but weighted toward the more important aspects
+  const overallScore = calculateWeightedOverallScore(metrics);
+  
+  // Default recommendations if generateRecommendations is not defined
+  const defaultRecommendations = [
+    "Focus on a slower, more controlled takeaway",
+    "Keep your left arm straighter during the backswing",
+    "Work on maintaining your spine angle throughout the swing"
+  ];
+  
+  // Generate recommendations based on low metrics if possible
+  let recommendations = defaultRecommendations;
+  
+  // Create sorted list of metrics by score
+  const sortedMetrics = Object.entries(metrics).sort((a, b) => a[1] - b[1]);
+  
+  // Take lowest metrics for recommendations
+  const lowestMetrics = sortedMetrics.slice(0, 3);
+  
+  // Map of recommendation templates by metric
+  const recommendationTemplates = {
+    backswing: [
+      "Focus on a slower, more controlled takeaway",
+      "Keep your left arm straighter during the backswing",
+      "Work on proper wrist hinge in your backswing",
+      "Focus on a full shoulder turn in your backswing",
+      "Work on getting the club in the correct position at the top"
+    ],
+    stance: [
+      "Widen your stance slightly for better balance",
+      "Adjust your posture to be more athletic at address",
+      "Work on proper weight distribution in your stance"
+    ],
+    grip: [
+      "Check your grip pressure - avoid gripping too tightly",
+      "Ensure your hands work together as a unit during the swing",
+      "Position your hands slightly ahead of the ball at address"
+    ],
+    swingForward: [
+      "Start your downswing with your lower body",
+      "Work on proper weight transfer to your lead side",
+      "Focus on rotating through impact with your body"
+    ],
+    hipRotation: [
+      "Increase your hip turn in the backswing",
+      "Work on clearing your hips through impact",
+      "Practice proper hip-shoulder separation"
+    ],
+    swingSpeed: [
+      "Develop a smoother tempo for more consistent speed",
+      "Work on maintaining acceleration through impact",
+      "Practice swinging at 80% effort for better control"
+    ],
+    shallowing: [
+      "Focus on dropping the club into the slot on the downswing",
+      "Avoid casting the club from the top",
+      "Work on the proper sequence to shallow the club"
+    ],
+    pacing: [
+      "Develop a consistent pre-shot routine",
+      "Count to establish a consistent tempo",
+      "Practice with a metronome to develop rhythm"
+    ],
+    focus: [
+      "Establish a consistent pre-shot routine",
+      "Stay focused on your target throughout the swing",
+      "Practice mindfulness techniques to improve focus"
+    ],
+    confidence: [
+      "Commit fully to each shot before you swing",
+      "Visualize the shot you want to hit before addressing the ball",
+      "Practice positive self-talk during your round"
+    ]
+  };
+  
+  // Try to generate recommendations from templates
+  try {
+    recommendations = lowestMetrics.map(([metric]) => {
+      const templates = recommendationTemplates[metric] || defaultRecommendations;
+      return templates[Math.floor(Math.random() * templates.length)];
+    });
+  } catch (error) {
+    console.error('Error generating recommendations:', error);
+    recommendations = defaultRecommendations;
+  }
+
+  return {
+    overallScore: Math.round(overallScore), // Ensure it's an integer
+    metrics,
+    recommendations
+  };
+};
+
+/**
+ * Produce a mock analysis after a short simulated delay
+ * @param {File|null} videoFile - The video file or null for YouTube
+ * @param {Object} metadata - Additional metadata
+ * @returns {Promise<Object>} Raw analysis with overallScore, metrics and recommendations
+ */
+const analyze = async (videoFile, metadata = null) => {
+  await new Promise(resolve => setTimeout(resolve, SIMULATED_DELAY_MS));
+  return createMockAnalysis(videoFile, metadata);
+};
+
+const mockAnalysisProvider = {
+  name: 'mock',
+  label: 'Randomized mock analysis',
+  calibrate: false,
+  isMock: true,
+  analyze
+};
+
+export { createMockAnalysis };
+export default mockAnalysisProvider;
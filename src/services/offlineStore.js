@@ -0,0 +1,129 @@
+// src/services/offlineStore.js
+// Thin promise wrapper around the IndexedDB database that keeps data on the device
+// while it waits to reach Firestore:
+//   swings    - analyzed swings saved locally, keyed by id
+//   videos    - video files of swings that have not been uploaded, keyed by swing id
+//   syncQueue - pending writes replayed by syncService, keyed by id
+//   uploads   - resumable upload sessions (see videoUploadService), keyed by upload id
+
+const DB_NAME = 'golfguru_offline';
+const DB_VERSION = 2;
+
+export const STORES = {
+  SWINGS: 'swings',
+  VIDEOS: 'videos',
+  SYNC_QUEUE: 'syncQueue',
+  UPLOADS: 'uploads'
+};
+
+let dbPromise = null;
+
+/**
+ * Whether IndexedDB can be used in this browser
+ * @returns {boolean} True when IndexedDB is available
+ */
+export const isOfflineStoreSupported = () => {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+};
+
+/**
+ * Open (and create or upgrade) the database once per page load
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+const openDatabase = () => {
+  if (!isOfflineStoreSupported()) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(storeName => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} The request result, once the transaction completes
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record with an id
+ * @returns {Promise<Object>} The stored record
+ */
+export const putRecord = async (storeName, record) => {
+  await runRequest(storeName, 'readwrite', store => store.put(record));
+  return record;
+};
+
+/**
+ * Read a record by id
+ * @param {string} storeName - Object store name
+ * @param {string} id - Record id
+ * @returns {Promise<Object|null>} The record, or null when missing
+ */
+export const getRecord = async (storeName, id) => {
+  const record = await runRequest(storeName, 'readonly', store => store.get(id));
+  return record || null;
+};
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} All records
+ */
+export const getAllRecords = (storeName) => {
+  return runRequest(storeName, 'readonly', store => store.getAll());
+};
+
+/**
+ * Delete a record by id
+ * @param {string} storeName - Object store name
+ * @param {string} id - Record id
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = async (storeName, id) => {
+  await runRequest(storeName, 'readwrite', store => store.delete(id));
+};
+
+export default {
+  STORES,
+  isOfflineStoreSupported,
+  putRecord,
+  getRecord,
+  getAllRecords,
+  deleteRecord
+};
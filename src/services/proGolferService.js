@@ -0,0 +1,473 @@
+// src/services/proGolferService.js
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+import geminiService from './geminiService';
+import { extractYouTubeVideoId, getYouTubeEmbedUrl } from '../utils/youtubeUtils';
+import { summarizeSwingSet } from '../utils/swingUtils';
+import { resolveMetricKey } from '../utils/metricRegistry';
+
+// Collection name constants
+const PRO_GOLFERS_COLLECTION = 'pro_golfers';
+
+export const PRO_TOURS = ['PGA Tour', 'LPGA Tour', 'DP World Tour', 'LIV Golf', 'Champions Tour', 'Korn Ferry Tour'];
+
+export const PRO_BODY_TYPES = [
+  { id: 'tall', label: 'Tall' },
+  { id: 'average', label: 'Average' },
+  { id: 'compact', label: 'Compact' },
+  { id: 'athletic', label: 'Athletic' },
+  { id: 'heavyset', label: 'Heavyset' }
+];
+
+export const PRO_SWING_STYLES = [
+  { id: 'power', label: 'Power' },
+  { id: 'rotational', label: 'Rotational' },
+  { id: 'one_plane', label: 'One-Plane' },
+  { id: 'two_plane', label: 'Two-Plane' },
+  { id: 'compact', label: 'Compact' },
+  { id: 'tempo', label: 'Smooth Tempo' }
+];
+
+// Clubs a reference swing can be filed under
+export const PRO_SWING_CLUBS = [
+  { name: 'Driver', type: 'Wood' },
+  { name: '3 Wood', type: 'Wood' },
+  { name: 'Hybrid', type: 'Hybrid' },
+  { name: '5 Iron', type: 'Iron' },
+  { name: '7 Iron', type: 'Iron' },
+  { name: '9 Iron', type: 'Iron' },
+  { name: 'Pitching Wedge', type: 'Wedge' },
+  { name: 'Sand Wedge', type: 'Wedge' }
+];
+
+// The pros the comparison page used to hard-code; their clips still need analyzing after seeding
+const DEFAULT_PRO_GOLFERS = [
+  {
+    name: 'Tiger Woods',
+    tour: 'PGA Tour',
+    bodyType: 'athletic',
+    swingStyle: 'power',
+    characteristics: [
+      'Extremely powerful swing',
+      'Incredible focus and mental toughness',
+      'Precise ball striking',
+      'Great course management'
+    ],
+    swings: [{ club: 'Driver', youtubeUrl: 'https://www.youtube.com/watch?v=JoA1vvsWV68' }]
+  },
+  {
+    name: 'Rory McIlroy',
+    tour: 'PGA Tour',
+    bodyType: 'compact',
+    swingStyle: 'rotational',
+    characteristics: [
+      'Exceptional swing speed',
+      'Great rhythm and tempo',
+      'Long off the tee',
+      'Natural athletic movement'
+    ],
+    swings: [{ club: 'Driver', youtubeUrl: 'https://www.youtube.com/watch?v=k72MSCnSPIM' }]
+  },
+  {
+    name: 'Jordan Spieth',
+    tour: 'PGA Tour',
+    bodyType: 'tall',
+    swingStyle: 'compact',
+    characteristics: [
+      'Exceptional short game',
+      'Great putting skills',
+      'Strong mental game',
+      'Creative shot making'
+    ],
+    swings: [{ club: 'Driver', youtubeUrl: 'https://www.youtube.com/watch?v=ALqxk9Xyzsw' }]
+  }
+];
+
+/**
+ * Get the display label of a body type or swing style id
+ * @param {Array} options - PRO_BODY_TYPES or PRO_SWING_STYLES
+ * @param {string} id - Option id
+ * @returns {string} Label, or the id itself when unknown
+ */
+export const getProOptionLabel = (options, id) => options.find(option => option.id === id)?.label || id || '';
+
+/**
+ * Document ID for a pro, derived from the name (e.g. 'tiger_woods')
+ * @param {string} name - Pro's name
+ * @returns {string} Document ID
+ */
+export const createProId = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Convert a pro golfer document to a plain object
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} Pro golfer with id
+ */
+const formatProGolfer = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    ...data,
+    id: docSnap.id,
+    characteristics: data.characteristics || [],
+    swings: data.swings || [],
+    metrics: data.metrics || {},
+    metricsByClub: data.metricsByClub || {}
+  };
+};
+
+/**
+ * Build a reference swing entry from a club and YouTube URL
+ * @param {Object} swing - { club, youtubeUrl }
+ * @returns {Object} Swing waiting to be analyzed
+ */
+const createProSwing = ({ club, youtubeUrl }) => {
+  const videoId = extractYouTubeVideoId(youtubeUrl);
+  if (!videoId) {
+    throw new Error('Please enter a valid YouTube URL');
+  }
+
+  const clubInfo = PRO_SWING_CLUBS.find(option => option.name === club);
+  return {
+    id: `${videoId}_${Date.now().toString(36)}`,
+    club,
+    clubType: clubInfo?.type || null,
+    youtubeUrl,
+    videoId,
+    embedUrl: getYouTubeEmbedUrl(videoId),
+    status: 'pending',
+    metrics: null,
+    overallScore: null,
+    analyzedAt: null,
+    error: null
+  };
+};
+
+/**
+ * Average the analyzed swings of a pro, overall and per club
+ * @param {Array} swings - The pro's reference swings
+ * @returns {Object} { metrics, metricsByClub, overallScore, analyzedSwings }
+ */
+export const summarizeProSwings = (swings) => {
+  const analyzed = (swings || []).filter(swing => swing.status === 'analyzed' && swing.metrics);
+
+  const averages = (set) => {
+    const summary = summarizeSwingSet(set);
+    if (!summary) return {};
+    return Object.fromEntries(Object.entries(summary.metrics).map(([key, stats]) => [key, stats.average]));
+  };
+
+  const clubs = [...new Set(analyzed.map(swing => swing.club))];
+  const overall = summarizeSwingSet(analyzed);
+
+  return {
+    metrics: averages(analyzed),
+    metricsByClub: Object.fromEntries(clubs.map(club => [club, averages(analyzed.filter(swing => swing.club === club))])),
+    overallScore: overall ? overall.averageScore : null,
+    analyzedSwings: analyzed.length
+  };
+};
+
+/**
+ * Which of a pro's clubs to compare a swing with: the same club, else the same kind of
+ * club, else the first club the pro has analyzed swings for
+ * @param {Object} pro - Pro golfer
+ * @param {string} clubName - Club of the user's swing (optional)
+ * @param {string} clubType - Club type of the user's swing (optional)
+ * @returns {string|null} Club name, or null if the pro has no swings
+ */
+export const getProClubForSwing = (pro, clubName = null, clubType = null) => {
+  const swings = pro?.swings || [];
+  const match = (clubName && swings.find(swing => swing.club === clubName))
+    || (clubType && swings.find(swing => swing.clubType === clubType))
+    || swings.find(swing => swing.status === 'analyzed')
+    || swings[0];
+  return match ? match.club : null;
+};
+
+/**
+ * Look up a pro's score for a metric, accepting legacy metric keys
+ * @param {Object} metrics - The pro's metrics
+ * @param {string} metricKey - Metric key or alias
+ * @returns {number|null} Score, or null when the pro has none for this metric
+ */
+export const getProMetricValue = (metrics, metricKey) => {
+  const value = metrics?.[metricKey] ?? metrics?.[resolveMetricKey(metricKey)];
+  return typeof value === 'number' ? value : null;
+};
+
+/**
+ * Filter pros by a search text and attributes
+ * @param {Array} pros - Pro golfers
+ * @param {Object} filters - { search, tour, bodyType, swingStyle, club } (empty values match all)
+ * @returns {Array} Matching pros
+ */
+export const filterProGolfers = (pros, filters = {}) => {
+  const search = (filters.search || '').trim().toLowerCase();
+
+  return (pros || []).filter(pro => {
+    if (filters.tour && pro.tour !== filters.tour) return false;
+    if (filters.bodyType && pro.bodyType !== filters.bodyType) return false;
+    if (filters.swingStyle && pro.swingStyle !== filters.swingStyle) return false;
+    if (filters.club && !pro.swings.some(swing => swing.club === filters.club)) return false;
+    if (!search) return true;
+
+    const haystack = [
+      pro.name,
+      pro.tour,
+      getProOptionLabel(PRO_BODY_TYPES, pro.bodyType),
+      getProOptionLabel(PRO_SWING_STYLES, pro.swingStyle),
+      ...pro.characteristics
+    ].join(' ').toLowerCase();
+    return haystack.includes(search);
+  });
+};
+
+/**
+ * Get every pro golfer in the library
+ * @returns {Promise<Array>} Pros sorted by name
+ */
+const getProGolfers = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, PRO_GOLFERS_COLLECTION));
+    return snapshot.docs
+      .map(formatProGolfer)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting pro golfers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one pro golfer
+ * @param {string} proId - The pro's document ID
+ * @returns {Promise<Object>} The pro
+ */
+const getProGolfer = async (proId) => {
+  try {
+    const docSnap = await getDoc(doc(db, PRO_GOLFERS_COLLECTION, proId));
+    if (!docSnap.exists()) {
+      throw new Error('Pro golfer not found');
+    }
+    return formatProGolfer(docSnap);
+  } catch (error) {
+    console.error('Error getting pro golfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a pro's profile (name, tour, body type, swing style, characteristics, image)
+ * @param {Object} profile - Profile fields; a profile without an id is created
+ * @returns {Promise<Object>} The saved pro
+ */
+const saveProGolfer = async (profile) => {
+  try {
+    const name = profile.name?.trim();
+    if (!name) {
+      throw new Error('A pro golfer needs a name');
+    }
+
+    const proId = profile.id || createProId(name);
+    const proRef = doc(db, PRO_GOLFERS_COLLECTION, proId);
+    const existing = await getDoc(proRef);
+    if (!profile.id && existing.exists()) {
+      throw new Error(`${name} is already in the library`);
+    }
+
+    const fields = {
+      name,
+      tour: profile.tour || null,
+      bodyType: profile.bodyType || null,
+      swingStyle: profile.swingStyle || null,
+      characteristics: (profile.characteristics || []).map(item => item.trim()).filter(Boolean),
+      imageUrl: profile.imageUrl?.trim() || null,
+      updatedAt: serverTimestamp()
+    };
+
+    if (existing.exists()) {
+      await updateDoc(proRef, fields);
+    } else {
+      await setDoc(proRef, {
+        ...fields,
+        swings: [],
+        metrics: {},
+        metricsByClub: {},
+        overallScore: null,
+        analyzedSwings: 0,
+        createdAt: serverTimestamp()
+      });
+    }
+
+    return getProGolfer(proId);
+  } catch (error) {
+    console.error('Error saving pro golfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a pro from the library
+ * @param {string} proId - The pro's document ID
+ * @returns {Promise<void>}
+ */
+const deleteProGolfer = async (proId) => {
+  try {
+    await deleteDoc(doc(db, PRO_GOLFERS_COLLECTION, proId));
+  } catch (error) {
+    console.error('Error deleting pro golfer:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a pro's swings along with the metrics averaged from them
+ * @param {string} proId - The pro's document ID
+ * @param {Array} swings - The full list of swings
+ * @returns {Promise<Object>} The updated pro
+ */
+const saveProSwings = async (proId, swings) => {
+  await updateDoc(doc(db, PRO_GOLFERS_COLLECTION, proId), {
+    swings,
+    ...summarizeProSwings(swings),
+    updatedAt: serverTimestamp()
+  });
+  return getProGolfer(proId);
+};
+
+/**
+ * Add a reference swing to a pro. It is analyzed separately (see analyzeProSwing).
+ * @param {string} proId - The pro's document ID
+ * @param {Object} swing - { club, youtubeUrl }
+ * @returns {Promise<Object>} The updated pro
+ */
+const addProSwing = async (proId, swing) => {
+  try {
+    const pro = await getProGolfer(proId);
+    return await saveProSwings(proId, [...pro.swings, createProSwing(swing)]);
+  } catch (error) {
+    console.error('Error adding pro swing:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a reference swing from a pro
+ * @param {string} proId - The pro's document ID
+ * @param {string} swingId - The swing's ID
+ * @returns {Promise<Object>} The updated pro
+ */
+const removeProSwing = async (proId, swingId) => {
+  try {
+    const pro = await getProGolfer(proId);
+    return await saveProSwings(proId, pro.swings.filter(swing => swing.id !== swingId));
+  } catch (error) {
+    console.error('Error removing pro swing:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run a pro's reference clip through the swing analysis pipeline and store its metrics.
+ * A failed analysis is recorded on the swing rather than thrown, so a batch can carry on.
+ * @param {string} proId - The pro's document ID
+ * @param {string} swingId - The swing's ID
+ * @returns {Promise<Object>} The updated pro
+ */
+const analyzeProSwing = async (proId, swingId) => {
+  const pro = await getProGolfer(proId);
+  const swing = pro.swings.find(item => item.id === swingId);
+  if (!swing) {
+    throw new Error('Swing not found');
+  }
+
+  let result;
+  try {
+    // Metered as reference processing, not against the admin's own analysis quota
+    const analysis = await geminiService.analyzeGolfSwing(null, {
+      youtubeVideo: { videoId: swing.videoId, embedUrl: swing.embedUrl },
+      clubName: swing.club,
+      clubType: swing.clubType,
+      swingOwnership: 'pro',
+      proGolferName: pro.name
+    }, { feature: 'reference' });
+
+    result = {
+      ...swing,
+      status: 'analyzed',
+      metrics: analysis.metrics,
+      overallScore: analysis.overallScore,
+      analysisProvider: analysis.analysisProvider || null,
+      promptVersion: analysis.promptVersion || null,
+      analyzedAt: new Date().toISOString(),
+      error: null
+    };
+  } catch (error) {
+    console.error(`Error analyzing ${pro.name}'s ${swing.club} swing:`, error);
+    result = { ...swing, status: 'failed', error: error.message };
+  }
+
+  // Re-read so swings added while the analysis ran are kept
+  const latest = await getProGolfer(proId);
+  return saveProSwings(proId, latest.swings.map(item => (item.id === swingId ? result : item)));
+};
+
+/**
+ * Add the pros the comparison page used to ship with, skipping any already in the library
+ * @returns {Promise<number>} Number of pros added
+ */
+const seedDefaultProGolfers = async () => {
+  try {
+    let added = 0;
+    for (const pro of DEFAULT_PRO_GOLFERS) {
+      const proRef = doc(db, PRO_GOLFERS_COLLECTION, createProId(pro.name));
+      const existing = await getDoc(proRef);
+      if (existing.exists()) continue;
+
+      await setDoc(proRef, {
+        name: pro.name,
+        tour: pro.tour,
+        bodyType: pro.bodyType,
+        swingStyle: pro.swingStyle,
+        characteristics: pro.characteristics,
+        imageUrl: null,
+        swings: pro.swings.map(createProSwing),
+        metrics: {},
+        metricsByClub: {},
+        overallScore: null,
+        analyzedSwings: 0,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      added++;
+    }
+    return added;
+  } catch (error) {
+    console.error('Error seeding pro golfers:', error);
+    throw error;
+  }
+};
+
+export default {
+  getProGolfers,
+  getProGolfer,
+  saveProGolfer,
+  deleteProGolfer,
+  addProSwing,
+  removeProSwing,
+  analyzeProSwing,
+  seedDefaultProGolfers,
+  filterProGolfers,
+  summarizeProSwings,
+  getProClubForSwing,
+  getProMetricValue
+};
@@ -0,0 +1,630 @@
+// src/services/promptTemplates.js
+// Versioned prompt templates for the Gemini requests.
+//
+// Templates use {{variableName}} placeholders. Never edit a published template in place -
+// add a new version and point the CURRENT_PROMPT_VERSIONS entry at it, so the
+// promptVersion recorded on each swing keeps identifying the exact rubric it was scored with.
+// The current swing-analysis version renders its per-metric rubric from the metric catalog, so
+// a change to a rubric in metricRegistry also needs a new prompt version; the previous
+// version keeps the text it rendered as literal metricRubric and metricsExample parts.
+import { METRIC_CATALOG, getScoredMetricKeys } from '../utils/metricRegistry';
+
+// Sample scores shown in the JSON example of the scoring prompt
+const EXAMPLE_SCORES = [70, 80, 75, 65, 70, 60, 75, 65, 80, 85, 80];
+
+export const CURRENT_PROMPT_VERSIONS = {
+  swingAnalysis: 'swing-analysis-v3',
+  metricInsights: 'metric-insights-v1',
+  analysisRepair: 'analysis-repair-v1',
+  frameSet: 'frame-set-v1'
+};
+
+const PROMPT_TEMPLATES = {
+  'swing-analysis-v1': {
+    prompt:
+`* You are a PGA Master Professional with 30 years of experience coaching elite golfers, specializing in biomechanics and swing analysis.
+* You are using high-speed video to assess a player's single golf swing.
+* Analyze the golf swing video in detail and provide a comprehensive assessment.
+* Remember this is a single swing and may not represent their entire game.
+
+* **Overall Swing Score (0-100):**
+    * Holistic assessment, NOT a simple average.
+    * Consider how effectively the components work together.
+    * Base it on proper form, mechanics, kinematic sequence (legs, hips, torso, arms, club), and potential for consistent, powerful ball-striking.
+    * The score should reflect the swing itself, not the player's handicap.
+    * **95-100:** Elite/Tour-Level Swing. Virtually flawless mechanics, optimal sequencing, and exceptional power generation.
+    * **88-94:** Exceptional Swing. Mechanically sound with only extremely minor deviations.
+    * **80-87:** Very Good Swing. Solid fundamentals with a few minor, identifiable areas for improvement.
+    * **70-79:** Competent Swing. Functional mechanics, but with noticeable flaws.
+    * **60-69:** Developing Swing. Some correct elements, but significant issues.
+    * **50-59:** Inconsistent Swing. Major flaws in multiple areas.
+    * **Below 50:** Beginner Swing. Fundamental issues.
+
+2. Score each of the following metrics from 0-100 using these specific criteria:
+
+   - backswing: Evaluate the takeaway, wrist position, and backswing plane. How does this affect the swing's potential power and accuracy?
+     * 90+: Perfect takeaway, ideal wrist cock, on-plane movement
+     * 70-89: Good fundamentals with minor flaws in plane or wrist position
+     * 50-69: Functional but with clear issues in takeaway or plane
+     * <50: Significant flaws causing compensations
+
+   - stance: Assess foot position, width, weight distribution, and posture. How does this stance support balance and power generation?
+     * 90+: Perfect athletic posture, ideal width and alignment
+     * 70-89: Good posture with minor alignment or width issues
+     * 50-69: Basic posture established but with noticeable flaws
+     * <50: Poor posture affecting the entire swing
+
+   - grip: Evaluate hand placement, pressure, and wrist position. How does the grip influence clubface control and swing path?
+     * 90+: Textbook grip with ideal pressure and hand placement
+     * 70-89: Functional grip with minor issues in hand position
+     * 50-69: Basic grip established but with pressure or placement issues
+     * <50: Fundamentally flawed grip requiring rebuilding
+
+   - swingBack: Rate the rotation, plane, and position at the top. Does this position maximize power and set up a good downswing?
+     * 90+: Perfect rotation with ideal club position at the top
+     * 70-89: Good rotation with minor plane issues
+     * 50-69: Functional but with restricted turn or off-plane issues
+     * <50: Severely restricted or off-plane
+
+   - swingForward: Evaluate the downswing path, transition, and follow through. Does the downswing sequence efficiently transfer energy to the ball?
+     * 90+: Perfect sequencing and path through impact
+     * 70-89: Good sequencing with minor path issues
+     * 50-69: Basic sequencing but with timing or path issues
+     * <50: Poor sequencing with major path flaws
+
+   - hipRotation: Assess the hip turn both in backswing and through impact. How does hip rotation contribute to power and swing speed?
+     * 90+: Perfect hip loading and explosive rotation through impact
+     * 70-89: Good rotation with minor timing or restriction issues
+     * 50-69: Basic rotation but with clear restrictions
+     * <50: Minimal hip involvement
+
+   - swingSpeed: Rate the tempo and acceleration through the ball. Is the swing speed appropriate for the club and does it indicate efficient power transfer?
+     * 90+: Perfect tempo with ideal acceleration through impact
+     * 70-89: Good tempo with minor acceleration issues
+     * 50-69: Inconsistent tempo affecting clubhead speed
+     * <50: Poor tempo with deceleration issues
+
+   - shallowing: Evaluate club path and shaft position in the downswing. Does the shallowing action promote optimal contact?
+     * 90+: Perfect shallowing with ideal shaft plane
+     * 70-89: Good shallowing with minor steepness issues
+     * 50-69: Inconsistent shallowing with occasional steepness
+     * <50: Consistently steep or incorrect shallowing
+
+   - pacing: Rate the overall rhythm and timing of the swing. Does the rhythm support consistent and powerful swings?
+     * 90+: Perfect rhythm throughout with ideal transitions
+     * 70-89: Good rhythm with minor timing issues
+     * 50-69: Functional but with rushed or slow segments
+     * <50: Disjointed or poorly timed
+
+   - confidence: Assess the decisiveness and commitment to the swing. Is the golfer confident and committed to the swing?
+     * 90+: Complete commitment with precise setup routine
+     * 70-89: Good commitment with occasional hesitation
+     * 50-69: Basic commitment but with visible uncertainty
+     * <50: Tentative throughout
+
+   - focus: Evaluate setup routine and swing execution. Is the golfer focused and attentive throughout the swing?
+     * 90+: Laser focus throughout with perfect routine
+     * 70-89: Good focus with minor lapses
+     * 50-69: Basic focus but with visible distractions
+     * <50: Unfocused or inconsistent attention
+
+3. Provide three specific, actionable recommendations for improvement.{{clubInfo}}{{ownershipContext}}
+
+IMPORTANT INSTRUCTIONS:
+- Be precise and discriminating in your scoring. AVOID defaulting to the 70-75 range for all metrics.
+- Each metric should show appropriate variance based on skill level.
+- The overall score should NOT be a simple average of the metrics.
+- Focus on what you actually observe, not what you assume might be happening.
+- Maintain consistency in how you evaluate similar swings.
+- Evaluate the kinematic sequence (legs, hips, torso, arms, club) and how efficiently the golfer transfers energy.
+- For pro-level swings, look for a wide backswing, lag in the downswing, a square clubface at impact, and a balanced follow-through. Pro swings often exhibit high clubhead speed, minimal energy leaks, and efficient power transfer.
+- If the video is unclear, note "Video unclear" but provide as much analysis as possible.
+- A driver swing should have a wider arc and a shallower angle of attack than a wedge swing. Evaluate if the swing mechanics are appropriate for the club being used.
+- Do not assume the skill level of the golfer. Focus only on the mechanics of the swing in the video.
+- Analyze this *single* golf swing. Do not evaluate the golfer's consistency over multiple swings.
+
+Format your response ONLY as a valid JSON object with this exact structure:
+{
+  "overallScore": 75,
+  "metrics": {
+    "backswing": 70,
+    "stance": 80,
+    "grip": 75,
+    "swingBack": 65,
+    "swingForward": 70,
+    "hipRotation": 60,
+    "swingSpeed": 75,
+    "shallowing": 65,
+    "pacing": 80,
+    "confidence": 85,
+    "focus": 80
+  },
+  "recommendations": [
+    "Keep your left arm straighter during the backswing",
+    "Rotate your hips more aggressively through impact",
+    "Maintain a more consistent tempo throughout your swing"
+  ]
+}{{referenceSection}}`,
+    clubInfo: `\n\nThis swing was performed with a {{clubName}}. Take this into account in your analysis.`,
+    proOwnership: `\n\nThis is a professional golfer's swing{{proGolferName}}. Score it against tour-level standards.`,
+    otherOwnership: `\n\nThis is someone else's swing (not the user's own). Score the mechanics exactly as you would for any other golfer.`
+  },
+  'swing-analysis-v2': {
+    prompt:
+`* You are a PGA Master Professional with 30 years of experience coaching elite golfers, specializing in biomechanics and swing analysis.
+* You are using high-speed video to assess a player's single golf swing.
+* Analyze the golf swing video in detail and provide a comprehensive assessment.
+* Remember this is a single swing and may not represent their entire game.
+
+* **Overall Swing Score (0-100):**
+    * Holistic assessment, NOT a simple average.
+    * Consider how effectively the components work together.
+    * Base it on proper form, mechanics, kinematic sequence (legs, hips, torso, arms, club), and potential for consistent, powerful ball-striking.
+    * The score should reflect the swing itself, not the player's handicap.
+    * **95-100:** Elite/Tour-Level Swing. Virtually flawless mechanics, optimal sequencing, and exceptional power generation.
+    * **88-94:** Exceptional Swing. Mechanically sound with only extremely minor deviations.
+    * **80-87:** Very Good Swing. Solid fundamentals with a few minor, identifiable areas for improvement.
+    * **70-79:** Competent Swing. Functional mechanics, but with noticeable flaws.
+    * **60-69:** Developing Swing. Some correct elements, but significant issues.
+    * **50-59:** Inconsistent Swing. Major flaws in multiple areas.
+    * **Below 50:** Beginner Swing. Fundamental issues.
+
+2. Score each of the following metrics from 0-100 using these specific criteria:
+
+{{metricRubric}}
+
+3. Provide three specific, actionable recommendations for improvement.{{clubInfo}}{{ownershipContext}}
+
+IMPORTANT INSTRUCTIONS:
+- Be precise and discriminating in your scoring. AVOID defaulting to the 70-75 range for all metrics.
+- Each metric should show appropriate variance based on skill level.
+- The overall score should NOT be a simple average of the metrics.
+- Focus on what you actually observe, not what you assume might be happening.
+- Maintain consistency in how you evaluate similar swings.
+- Evaluate the kinematic sequence (legs, hips, torso, arms, club) and how efficiently the golfer transfers energy.
+- For pro-level swings, look for a wide backswing, lag in the downswing, a square clubface at impact, and a balanced follow-through. Pro swings often exhibit high clubhead speed, minimal energy leaks, and efficient power transfer.
+- If the video is unclear, note "Video unclear" but provide as much analysis as possible.
+- A driver swing should have a wider arc and a shallower angle of attack than a wedge swing. Evaluate if the swing mechanics are appropriate for the club being used.
+- Do not assume the skill level of the golfer. Focus only on the mechanics of the swing in the video.
+- Analyze this *single* golf swing. Do not evaluate the golfer's consistency over multiple swings.
+
+Format your response ONLY as a valid JSON object with this exact structure:
+{
+  "overallScore": 75,
+  "metrics": {
+{{metricsExample}}
+  },
+  "recommendations": [
+    "Keep your left arm straighter during the backswing",
+    "Rotate your hips more aggressively through impact",
+    "Maintain a more consistent tempo throughout your swing"
+  ]
+}{{referenceSection}}`,
+    clubInfo: `\n\nThis swing was performed with a {{clubName}}. Take this into account in your analysis.`,
+    proOwnership: `\n\nThis is a professional golfer's swing{{proGolferName}}. Score it against tour-level standards.`,
+    otherOwnership: `\n\nThis is someone else's swing (not the user's own). Score the mechanics exactly as you would for any other golfer.`,
+    // The rubric and JSON example as the catalog rendered them when v2 was published
+    metricRubric:
+`   - backswing: Evaluate the takeaway, wrist position, and backswing plane. How does this affect the swing's potential power and accuracy?
+     * 90+: Perfect takeaway, ideal wrist cock, on-plane movement
+     * 70-89: Good fundamentals with minor flaws in plane or wrist position
+     * 50-69: Functional but with clear issues in takeaway or plane
+     * <50: Significant flaws causing compensations
+
+   - stance: Assess foot position, width, weight distribution, and posture. How does this stance support balance and power generation?
+     * 90+: Perfect athletic posture, ideal width and alignment
+     * 70-89: Good posture with minor alignment or width issues
+     * 50-69: Basic posture established but with noticeable flaws
+     * <50: Poor posture affecting the entire swing
+
+   - grip: Evaluate hand placement, pressure, and wrist position. How does the grip influence clubface control and swing path?
+     * 90+: Textbook grip with ideal pressure and hand placement
+     * 70-89: Functional grip with minor issues in hand position
+     * 50-69: Basic grip established but with pressure or placement issues
+     * <50: Fundamentally flawed grip requiring rebuilding
+
+   - swingBack: Rate the rotation, plane, and position at the top. Does this position maximize power and set up a good downswing?
+     * 90+: Perfect rotation with ideal club position at the top
+     * 70-89: Good rotation with minor plane issues
+     * 50-69: Functional but with restricted turn or off-plane issues
+     * <50: Severely restricted or off-plane
+
+   - swingForward: Evaluate the downswing path, transition, and follow through. Does the downswing sequence efficiently transfer energy to the ball?
+     * 90+: Perfect sequencing and path through impact
+     * 70-89: Good sequencing with minor path issues
+     * 50-69: Basic sequencing but with timing or path issues
+     * <50: Poor sequencing with major path flaws
+
+   - hipRotation: Assess the hip turn both in backswing and through impact. How does hip rotation contribute to power and swing speed?
+     * 90+: Perfect hip loading and explosive rotation through impact
+     * 70-89: Good rotation with minor timing or restriction issues
+     * 50-69: Basic rotation but with clear restrictions
+     * <50: Minimal hip involvement
+
+   - swingSpeed: Rate the tempo and acceleration through the ball. Is the swing speed appropriate for the club and does it indicate efficient power transfer?
+     * 90+: Perfect tempo with ideal acceleration through impact
+     * 70-89: Good tempo with minor acceleration issues
+     * 50-69: Inconsistent tempo affecting clubhead speed
+     * <50: Poor tempo with deceleration issues
+
+   - shallowing: Evaluate club path and shaft position in the downswing. Does the shallowing action promote optimal contact?
+     * 90+: Perfect shallowing with ideal shaft plane
+     * 70-89: Good shallowing with minor steepness issues
+     * 50-69: Inconsistent shallowing with occasional steepness
+     * <50: Consistently steep or incorrect shallowing
+
+   - pacing: Rate the overall rhythm and timing of the swing. Does the rhythm support consistent and powerful swings?
+     * 90+: Perfect rhythm throughout with ideal transitions
+     * 70-89: Good rhythm with minor timing issues
+     * 50-69: Functional but with rushed or slow segments
+     * <50: Disjointed or poorly timed
+
+   - confidence: Assess the decisiveness and commitment to the swing. Is the golfer confident and committed to the swing?
+     * 90+: Complete commitment with precise setup routine
+     * 70-89: Good commitment with occasional hesitation
+     * 50-69: Basic commitment but with visible uncertainty
+     * <50: Tentative throughout
+
+   - focus: Evaluate setup routine and swing execution. Is the golfer focused and attentive throughout the swing?
+     * 90+: Laser focus throughout with perfect routine
+     * 70-89: Good focus with minor lapses
+     * 50-69: Basic focus but with visible distractions
+     * <50: Unfocused or inconsistent attention`,
+    metricsExample:
+`    "backswing": 70,
+    "stance": 80,
+    "grip": 75,
+    "swingBack": 65,
+    "swingForward": 70,
+    "hipRotation": 60,
+    "swingSpeed": 75,
+    "shallowing": 65,
+    "pacing": 80,
+    "confidence": 85,
+    "focus": 80`
+  },
+  // v2 with the catalog's merged backswing rubric (swingBack is now an alias of backswing)
+  'swing-analysis-v3': {
+    prompt:
+`* You are a PGA Master Professional with 30 years of experience coaching elite golfers, specializing in biomechanics and swing analysis.
+* You are using high-speed video to assess a player's single golf swing.
+* Analyze the golf swing video in detail and provide a comprehensive assessment.
+* Remember this is a single swing and may not represent their entire game.
+
+* **Overall Swing Score (0-100):**
+    * Holistic assessment, NOT a simple average.
+    * Consider how effectively the components work together.
+    * Base it on proper form, mechanics, kinematic sequence (legs, hips, torso, arms, club), and potential for consistent, powerful ball-striking.
+    * The score should reflect the swing itself, not the player's handicap.
+    * **95-100:** Elite/Tour-Level Swing. Virtually flawless mechanics, optimal sequencing, and exceptional power generation.
+    * **88-94:** Exceptional Swing. Mechanically sound with only extremely minor deviations.
+    * **80-87:** Very Good Swing. Solid fundamentals with a few minor, identifiable areas for improvement.
+    * **70-79:** Competent Swing. Functional mechanics, but with noticeable flaws.
+    * **60-69:** Developing Swing. Some correct elements, but significant issues.
+    * **50-59:** Inconsistent Swing. Major flaws in multiple areas.
+    * **Below 50:** Beginner Swing. Fundamental issues.
+
+2. Score each of the following metrics from 0-100 using these specific criteria:
+
+{{metricRubric}}
+
+3. Provide three specific, actionable recommendations for improvement.{{clubInfo}}{{ownershipContext}}
+
+IMPORTANT INSTRUCTIONS:
+- Be precise and discriminating in your scoring. AVOID defaulting to the 70-75 range for all metrics.
+- Each metric should show appropriate variance based on skill level.
+- The overall score should NOT be a simple average of the metrics.
+- Focus on what you actually observe, not what you assume might be happening.
+- Maintain consistency in how you evaluate similar swings.
+- Evaluate the kinematic sequence (legs, hips, torso, arms, club) and how efficiently the golfer transfers energy.
+- For pro-level swings, look for a wide backswing, lag in the downswing, a square clubface at impact, and a balanced follow-through. Pro swings often exhibit high clubhead speed, minimal energy leaks, and efficient power transfer.
+- If the video is unclear, note "Video unclear" but provide as much analysis as possible.
+- A driver swing should have a wider arc and a shallower angle of attack than a wedge swing. Evaluate if the swing mechanics are appropriate for the club being used.
+- Do not assume the skill level of the golfer. Focus only on the mechanics of the swing in the video.
+- Analyze this *single* golf swing. Do not evaluate the golfer's consistency over multiple swings.
+
+Format your response ONLY as a valid JSON object with this exact structure:
+{
+  "overallScore": 75,
+  "metrics": {
+{{metricsExample}}
+  },
+  "recommendations": [
+    "Keep your left arm straighter during the backswing",
+    "Rotate your hips more aggressively through impact",
+    "Maintain a more consistent tempo throughout your swing"
+  ]
+}{{referenceSection}}`,
+    clubInfo: `\n\nThis swing was performed with a {{clubName}}. Take this into account in your analysis.`,
+    proOwnership: `\n\nThis is a professional golfer's swing{{proGolferName}}. Score it against tour-level standards.`,
+    otherOwnership: `\n\nThis is someone else's swing (not the user's own). Score the mechanics exactly as you would for any other golfer.`
+  },
+  'metric-insights-v1': {
+    prompt: `You are a PGA Master Professional with 30 years of experience coaching elite golfers. Analyze this golf swing {{videoSource}} as a professional golf coach, focusing specifically on the {{metricName}} aspect of the swing for a golfer whose skill level you should assume based on the score:
+
+Coaching Context: {{coachingContext}}
+{{youtubeReference}}
+
+Please provide a detailed, professional analysis following these guidelines:
+1.  Focus ONLY on the {{metricName}} aspect of the swing
+2.  Infer the golfer's likely skill level from the provided score for this metric. Tailor your feedback accordingly (e.g., more basic advice for lower scores, more advanced for higher scores).
+3.  Identify specific strengths related to {{metricName}}
+4.  Identify specific weaknesses related to {{metricName}}
+5.  Provide actionable, technically sound recommendations
+6.  Include tips on how the correct execution should feel
+7.  Use clear, concise language that a golfer would understand
+8.  If the video quality is poor or the swing is unclear for this specific metric, include "Video unclear" in the relevant section of the JSON response (e.g., in improvementAreas or technicalBreakdown).
+9.  Strictly adhere to the JSON output format
+
+Your response should be a valid JSON object that can be directly parsed.`,
+    coachingIntro: `You are the most renowned golf coach and instructor in the world. You know how to adjust your recommendations based on the type of player and how good they are as a golfer.{{metricSection}}{{exampleSection}}{{ownershipContext}}{{clubInfo}}`,
+    metricSection: `\n\nYou're analyzing the "{{metricName}}" aspect of the swing, which is categorized as a "{{category}}" element with a difficulty rating of {{difficulty}}/10 and represents {{weighting}} of the overall swing.\n\n{{description}}`,
+    exampleSection: `\n\nAn example of how to provide guidance on this is available at {{exampleUrl}}, but you should also draw from your extensive knowledge of golf technique.`,
+    proOwnership: `\n\nThis is a professional golfer's swing{{proGolferName}}, so focus on high-level technical aspects that would be relevant to advanced players.`,
+    otherOwnership: `\n\nThis is someone else's swing (not the user's own), so provide feedback that would be helpful for a coach or friend to relay to the golfer.`,
+    clubInfo: `\n\nThis swing was performed with a {{clubName}}. Adjust your analysis accordingly, as different clubs require different techniques and expectations.`,
+    youtubeReference: `\nYouTube Video URL: {{videoUrl}}`
+  },
+  'analysis-repair-v1': {
+    prompt: `Your previous response did not match the required format. Fix these problems:
+{{errorList}}
+
+Return ONLY the corrected JSON object with "overallScore" (integer 0-100), a "metrics" object containing integer scores (0-100) for {{metricKeys}}, and exactly {{recommendationCount}} strings in "recommendations". Keep every score you already gave unless it was listed as a problem.`
+  },
+  'frame-set-v1': {
+    prompt: `The swing is provided as {{frameCount}} still frames taken from the video in time order, instead of the full clip. The frames that follow are:
+{{frameList}}
+
+Score the swing from these frames exactly as you would from the video. Judge tempo and pacing from the frame times.`
+  }
+};
+
+/**
+ * Fill in the {{variable}} placeholders of a template string
+ * @param {string} template - Template text
+ * @param {Object} variables - Values keyed by variable name
+ * @returns {string} The rendered text
+ */
+export const renderTemplate = (template, variables = {}) => {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Missing prompt variable: ${name}`);
+    }
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+};
+
+/**
+ * Get the template parts for a prompt version
+ * @param {string} version - Prompt version id
+ * @returns {Object} Template parts keyed by name
+ */
+export const getPromptTemplate = (version) => {
+  const template = PROMPT_TEMPLATES[version];
+  if (!template) {
+    throw new Error(`Unknown prompt version: ${version}`);
+  }
+  return template;
+};
+
+/**
+ * List every known prompt version
+ * @returns {Array<string>} Prompt version ids
+ */
+export const listPromptVersions = () => Object.keys(PROMPT_TEMPLATES);
+
+/**
+ * Render the ownership context section shared by both prompts
+ * @param {Object} template - Template parts for the prompt version
+ * @param {string} swingOwnership - 'self', 'pro' or 'other'
+ * @param {string|null} proGolferName - Name of the pro if known
+ * @returns {string} The rendered section (empty for the user's own swing)
+ */
+const renderOwnershipContext = (template, swingOwnership, proGolferName) => {
+  if (swingOwnership === 'pro') {
+    return renderTemplate(template.proOwnership, {
+      proGolferName: proGolferName ? ` (${proGolferName})` : ''
+    });
+  }
+  if (swingOwnership === 'other') {
+    return template.otherOwnership;
+  }
+  return '';
+};
+
+/**
+ * Render the reference model guidelines appended to the scoring prompt
+ * @param {Object} referenceModels - Reference models keyed by metric
+ * @returns {string} The rendered section (empty when there are no models)
+ */
+const renderReferenceSection = (referenceModels = {}) => {
+  if (Object.keys(referenceModels).length === 0) {
+    return '';
+  }
+
+  let referenceSection = "\n\n* Use these professional reference guidelines for scoring specific metrics:";
+
+  Object.entries(referenceModels).forEach(([metricKey, modelData]) => {
+    if (modelData.referenceAnalysis) {
+      const analysis = modelData.referenceAnalysis;
+
+      referenceSection += `\n\n* ${metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())} (0-100):`;
+      referenceSection += `\n  * Technical Guidelines: ${analysis.technicalGuidelines.slice(0, 3).join('; ')}`;
+      referenceSection += `\n  * Ideal Form: ${analysis.idealForm.slice(0, 2).join('; ')}`;
+      referenceSection += `\n  * Common Mistakes: ${analysis.commonMistakes.slice(0, 2).join('; ')}`;
+
+      if (analysis.scoringRubric) {
+        referenceSection += `\n  * Scoring Criteria:`;
+        referenceSection += `\n    * 90+: ${analysis.scoringRubric['90+']}`;
+        referenceSection += `\n    * 70-89: ${analysis.scoringRubric['70-89']}`;
+        referenceSection += `\n    * 50-69: ${analysis.scoringRubric['50-69']}`;
+        referenceSection += `\n    * <50: ${analysis.scoringRubric['<50']}`;
+      }
+    }
+  });
+
+  return referenceSection;
+};
+
+/**
+ * Render the per-metric scoring criteria from the metric catalog
+ * @returns {string} The rendered rubric
+ */
+const renderMetricRubric = () => {
+  return getScoredMetricKeys().map(key => {
+    const { rubric } = METRIC_CATALOG[key];
+    return [
+      `   - ${key}: ${rubric.question}`,
+      ...Object.entries(rubric.bands).map(([band, text]) => `     * ${band}: ${text}`)
+    ].join('\n');
+  }).join('\n\n');
+};
+
+/**
+ * Render the metrics object of the JSON example in the scoring prompt
+ * @returns {string} The rendered JSON lines
+ */
+const renderMetricsExample = () => {
+  return getScoredMetricKeys()
+    .map((key, index) => `    "${key}": ${EXAMPLE_SCORES[index % EXAMPLE_SCORES.length]}`)
+    .join(',\n');
+};
+
+/**
+ * Build the swing scoring prompt
+ * @param {Object} metadata - Swing metadata (club, ownership etc.)
+ * @param {Object} referenceModels - Reference models keyed by metric
+ * @param {string} version - Prompt version to render (defaults to the current one)
+ * @returns {{text: string, promptVersion: string}} The prompt and its version
+ */
+export const buildSwingAnalysisPrompt = (metadata, referenceModels, version = CURRENT_PROMPT_VERSIONS.swingAnalysis) => {
+  const template = getPromptTemplate(version);
+
+  const text = renderTemplate(template.prompt, {
+    clubInfo: metadata?.clubName
+      ? renderTemplate(template.clubInfo, { clubName: metadata.clubName })
+      : '',
+    ownershipContext: renderOwnershipContext(template, metadata?.swingOwnership, metadata?.proGolferName),
+    referenceSection: renderReferenceSection(referenceModels),
+    metricRubric: template.metricRubric ?? renderMetricRubric(),
+    metricsExample: template.metricsExample ?? renderMetricsExample()
+  });
+
+  return { text, promptVersion: version };
+};
+
+/**
+ * Build the coaching prompt for a single metric
+ * @param {Object} swingData - The swing being coached
+ * @param {Object} metric - Metric details (name, score, description, category, difficulty, weighting, exampleUrl)
+ * @param {boolean} hasMetricDetails - Whether detailed swing recipe info exists for the metric
+ * @param {string} version - Prompt version to render (defaults to the current one)
+ * @returns {{text: string, promptVersion: string}} The prompt and its version
+ */
+export const buildMetricInsightsPrompt = (swingData, metric, hasMetricDetails, version = CURRENT_PROMPT_VERSIONS.metricInsights) => {
+  const template = getPromptTemplate(version);
+  const isYouTubeVideo = swingData.isYouTubeVideo || false;
+
+  const coachingPrompt = renderTemplate(template.coachingIntro, {
+    metricSection: hasMetricDetails ? renderTemplate(template.metricSection, metric) : '',
+    exampleSection: metric.exampleUrl
+      ? renderTemplate(template.exampleSection, { exampleUrl: metric.exampleUrl })
+      : '',
+    ownershipContext: renderOwnershipContext(template, swingData.swingOwnership, swingData.proGolferName),
+    clubInfo: swingData.clubName
+      ? renderTemplate(template.clubInfo, { clubName: swingData.clubName })
+      : ''
+  });
+
+  const promptContent = {
+    coachingPrompt: coachingPrompt,
+    metric: {
+        name: metric.metricName,
+        score: metric.score,
+        description: metric.description,
+        category: metric.category,
+        difficulty: metric.difficulty,
+        weighting: metric.weighting
+    },
+    instructions: [
+        "Analyze this specific aspect of the golf swing",
+        "Provide technically accurate feedback based on the score and video if available",
+        "Identify specific strengths and weaknesses related to this aspect of the swing",
+        "Give actionable recommendations that directly address what you observe",
+        "Provide recommendations that talk about tips as well as how the swing should feel",
+        "If the video is unclear for this metric, state 'Video unclear' in the JSON response."
+    ],
+    outputFormat: {
+        metricName: "string",
+        score: "number (0-100)",
+        tone: "string (excellent/good/needs improvement/poor)",
+        goodAspects: "array of strings with specific observations",
+        improvementAreas: "array of strings with specific observations",
+        technicalBreakdown: "array of strings describing technical aspects",
+        recommendations: "array of strings with actionable advice",
+        feelTips: "array of strings explaining how correct execution should feel"
+    }
+  };
+
+  const text = renderTemplate(template.prompt, {
+    videoSource: isYouTubeVideo ? 'from YouTube' : 'data',
+    metricName: metric.metricName,
+    coachingContext: JSON.stringify(promptContent, null, 2),
+    youtubeReference: isYouTubeVideo && swingData.videoUrl
+      ? renderTemplate(template.youtubeReference, { videoUrl: swingData.videoUrl })
+      : ''
+  });
+
+  return { text, promptVersion: version };
+};
+
+/**
+ * Build the follow-up prompt asking the model to fix an invalid analysis
+ * @param {Array<Object>} errors - Issues from validateAnalysisPayload
+ * @param {Array<string>} metricKeys - Required metric keys
+ * @param {number} recommendationCount - Required number of recommendations
+ * @param {string} version - Prompt version to render (defaults to the current one)
+ * @returns {{text: string, promptVersion: string}} The prompt and its version
+ */
+export const buildAnalysisRepairPrompt = (errors, metricKeys, recommendationCount, version = CURRENT_PROMPT_VERSIONS.analysisRepair) => {
+  const template = getPromptTemplate(version);
+
+  const text = renderTemplate(template.prompt, {
+    errorList: errors.map(issue => `- ${issue.message}`).join('\n'),
+    metricKeys: metricKeys.join(', '),
+    recommendationCount
+  });
+
+  return { text, promptVersion: version };
+};
+
+/**
+ * Build the text introducing a frame set sent instead of the full video
+ * @param {Array<Object>} frames - Frames with time (seconds) and optional swing phase
+ * @param {string} version - Prompt version to render (defaults to the current one)
+ * @returns {{text: string, promptVersion: string}} The prompt and its version
+ */
+export const buildFrameSetPrompt = (frames, version = CURRENT_PROMPT_VERSIONS.frameSet) => {
+  const template = getPromptTemplate(version);
+
+  const text = renderTemplate(template.prompt, {
+    frameCount: frames.length,
+    frameList: frames
+      .map((frame, index) => `Frame ${index + 1}: ${frame.time.toFixed(2)}s${frame.phase ? ` (${frame.phase})` : ''}`)
+      .join('\n')
+  });
+
+  return { text, promptVersion: version };
+};
+
+export default {
+  CURRENT_PROMPT_VERSIONS,
+  renderTemplate,
+  getPromptTemplate,
+  listPromptVersions,
+  buildSwingAnalysisPrompt,
+  buildMetricInsightsPrompt,
+  buildAnalysisRepairPrompt,
+  buildFrameSetPrompt
+};
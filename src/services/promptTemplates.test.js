@@ -0,0 +1,26 @@
+// src/services/promptTemplates.test.js
+import { buildSwingAnalysisPrompt, CURRENT_PROMPT_VERSIONS } from './promptTemplates';
+import { METRIC_CATALOG, getScoredMetricKeys } from '../utils/metricRegistry';
+
+describe('buildSwingAnalysisPrompt', () => {
+  it('renders the current version from the metric catalog', () => {
+    const { text, promptVersion } = buildSwingAnalysisPrompt({}, {});
+
+    expect(promptVersion).toBe(CURRENT_PROMPT_VERSIONS.swingAnalysis);
+    getScoredMetricKeys().forEach(key => {
+      expect(text).toContain(`   - ${key}: ${METRIC_CATALOG[key].rubric.question}`);
+      expect(text).toContain(`"${key}":`);
+    });
+    expect(text).not.toContain('swingBack');
+  });
+
+  it('keeps swing-analysis-v2 as it was published', () => {
+    const { text, promptVersion } = buildSwingAnalysisPrompt({}, {}, 'swing-analysis-v2');
+
+    expect(promptVersion).toBe('swing-analysis-v2');
+    expect(text).toContain('   - swingBack: Rate the rotation, plane, and position at the top.');
+    expect(text).toContain('   - backswing: Evaluate the takeaway, wrist position, and backswing plane. How does');
+    expect(text).toContain('"swingBack": 65');
+    expect(text).not.toContain(METRIC_CATALOG.backswing.rubric.question);
+  });
+});
@@ -1,12 +1,9 @@
 // src/services/referenceAnalysisService.js
-import axios from 'axios';
 import { doc, getDoc, setDoc, serverTimestamp, collection, getDocs } from 'firebase/firestore';
 import { db } from '../firebase/firebase';
 import { extractYouTubeVideoId } from '../utils/youtubeUtils';
-
-// Configuration
-const API_KEY = process.env.REACT_APP_GEMINI_API_KEY;
-const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-pro-exp-02-05:generateContent';
+import { getMetricDefinition } from '../utils/metricRegistry';
+import { generateContent } from './geminiProxy';
 
 /**
  * Analyzes a reference YouTube video for a specific golf swing metric
@@ -88,21 +85,15 @@ Provide comprehensive, detailed, and technically accurate information that could
     console.log(`API request prepared for ${metricKey}`);
     
     // Make the API request
-    const response = await axios.post(
-      `${API_URL}?key=${API_KEY}`,
-      payload,
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 180000 // 3 minutes
-      }
-    );
+    const data = await generateContent(payload, {
+      feature: 'reference',
+      timeout: 180000 // 3 minutes
+    });
     
     console.log(`Received API response for ${metricKey}`);
     
     // Process the response
-    const textResponse = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    const textResponse = data?.candidates?.[0]?.content?.parts?.[0]?.text;
     if (!textResponse) {
       throw new Error('No text in API response');
     }
@@ -191,7 +182,13 @@ const getMetricInfo = async (metricKey) => {
       return docSnap.data();
     }
     
-    // If not in Firestore, use default info
+    // If not in Firestore, use the metric registry
+    const definition = getMetricDefinition(metricKey);
+    if (definition) {
+      return definition;
+    }
+    
+    // Unknown metric, use default info
     return {
       title: metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()),
       description: `The ${metricKey.replace(/([A-Z])/g, ' $1').toLowerCase()} aspect of the golf swing.`,
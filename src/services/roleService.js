@@ -0,0 +1,99 @@
+// src/services/roleService.js
+import {
+  collection,
+  doc,
+  getDocs,
+  setDoc,
+  deleteField,
+  query,
+  where,
+  limit
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+import { ROLES, ROLE_PERMISSIONS, getUserRoles } from '../utils/permissions';
+
+// Collection name constants
+const USERS_COLLECTION = 'users';
+
+/**
+ * Convert a users document to the shape the roles panel shows
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} { userId, name, email, roles }
+ */
+const formatUser = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    userId: docSnap.id,
+    name: data.displayName || data.email || docSnap.id,
+    email: data.email || '',
+    roles: getUserRoles(data)
+  };
+};
+
+/**
+ * Users with an admin-given role (admin or reviewer), including legacy isAdmin users
+ * @returns {Promise<Array>} Users, sorted by name
+ */
+const getStaffUsers = async () => {
+  try {
+    const usersRef = collection(db, USERS_COLLECTION);
+    const [withRoles, legacyAdmins] = await Promise.all([
+      getDocs(query(usersRef, where('roles', 'array-contains-any', [ROLES.ADMIN, ROLES.REVIEWER]))),
+      getDocs(query(usersRef, where('isAdmin', '==', true)))
+    ]);
+
+    const users = new Map();
+    [...withRoles.docs, ...legacyAdmins.docs].forEach(docSnap => users.set(docSnap.id, formatUser(docSnap)));
+    return [...users.values()].sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting staff users:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find a user by the email on their profile
+ * @param {string} email - The user's email
+ * @returns {Promise<Object|null>} The user, or null if there is none
+ */
+const findUserByEmail = async (email) => {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, USERS_COLLECTION),
+      where('email', '==', email.trim()),
+      limit(1)
+    ));
+    return snapshot.empty ? null : formatUser(snapshot.docs[0]);
+  } catch (error) {
+    console.error('Error finding user by email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a user's roles. The legacy isAdmin / isCoach flags are removed so the roles array
+ * is the only source of truth for that user.
+ * @param {string} userId - The user ID
+ * @param {Array<string>} roles - Role names
+ * @returns {Promise<Array<string>>} The saved roles
+ */
+const setUserRoles = async (userId, roles) => {
+  try {
+    const validRoles = [...new Set([ROLES.PLAYER, ...roles])].filter(role => ROLE_PERMISSIONS[role]);
+    await setDoc(doc(db, USERS_COLLECTION, userId), {
+      roles: validRoles,
+      isAdmin: deleteField(),
+      isCoach: deleteField()
+    }, { merge: true });
+    return validRoles;
+  } catch (error) {
+    console.error('Error saving user roles:', error);
+    throw error;
+  }
+};
+
+export default {
+  getStaffUsers,
+  findUserByEmail,
+  setUserRoles
+};
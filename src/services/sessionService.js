@@ -0,0 +1,266 @@
+// src/services/sessionService.js
+import {
+  collection,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  serverTimestamp
+} from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+
+// Collection name constants
+const SESSIONS_COLLECTION = 'sessions';
+const SWINGS_COLLECTION = 'swings';
+
+// Where a practice session takes place
+export const SESSION_LOCATIONS = [
+  { id: 'range', label: 'Driving Range' },
+  { id: 'course', label: 'On Course' },
+  { id: 'indoor_sim', label: 'Indoor Simulator' }
+];
+
+/**
+ * Get the display label for a session location
+ * @param {string} locationId - Location ID
+ * @returns {string} Label, or 'Practice' when the location is unknown
+ */
+export const getSessionLocationLabel = (locationId) => {
+  return SESSION_LOCATIONS.find(location => location.id === locationId)?.label || 'Practice';
+};
+
+/**
+ * Convert a session document to a plain object with Date fields
+ * @param {Object} docSnap - Firestore document snapshot
+ * @returns {Object} Session with id
+ */
+const formatSession = (docSnap) => {
+  const data = docSnap.data();
+  const toDate = (value) => (value?.toDate ? value.toDate() : (value ? new Date(value) : null));
+  return {
+    ...data,
+    id: docSnap.id,
+    startedAt: toDate(data.startedAt),
+    endedAt: toDate(data.endedAt),
+    createdAt: toDate(data.createdAt)
+  };
+};
+
+/**
+ * Create a practice session
+ * @param {string} userId - The user ID
+ * @param {Object} details - { location, goal, notes, startedAt, endedAt }
+ *   A session without endedAt is the user's active session.
+ * @returns {Promise<Object>} The saved session with ID
+ */
+const createSession = async (userId, details = {}) => {
+  try {
+    const sessionData = {
+      userId,
+      location: details.location || null,
+      goal: details.goal?.trim() || null,
+      notes: details.notes?.trim() || null,
+      startedAt: details.startedAt ? new Date(details.startedAt) : new Date(),
+      endedAt: details.endedAt ? new Date(details.endedAt) : null,
+      status: details.endedAt ? 'ended' : 'active',
+      createdAt: serverTimestamp()
+    };
+
+    const docRef = await addDoc(collection(db, SESSIONS_COLLECTION), sessionData);
+    return { ...sessionData, id: docRef.id };
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a session, checking that it belongs to the user
+ * @param {string} sessionId - The session ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The session
+ */
+const getSession = async (sessionId, userId) => {
+  try {
+    const docSnap = await getDoc(doc(db, SESSIONS_COLLECTION, sessionId));
+
+    if (!docSnap.exists()) {
+      throw new Error('Session not found');
+    }
+
+    const session = formatSession(docSnap);
+    if (session.userId !== userId) {
+      throw new Error('Unauthorized access');
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Error getting session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update the goal, notes or location of a session
+ * @param {string} sessionId - The session ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ */
+const updateSession = async (sessionId, updates) => {
+  try {
+    const allowed = {};
+    ['location', 'goal', 'notes'].forEach(field => {
+      if (updates[field] !== undefined) {
+        allowed[field] = typeof updates[field] === 'string' ? updates[field].trim() || null : updates[field];
+      }
+    });
+    await updateDoc(doc(db, SESSIONS_COLLECTION, sessionId), allowed);
+  } catch (error) {
+    console.error('Error updating session:', error);
+    throw error;
+  }
+};
+
+/**
+ * End a session
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<void>}
+ */
+const endSession = async (sessionId) => {
+  try {
+    await updateDoc(doc(db, SESSIONS_COLLECTION, sessionId), {
+      endedAt: new Date(),
+      status: 'ended'
+    });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a session. Its swings are not deleted.
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<void>}
+ */
+const deleteSession = async (sessionId) => {
+  try {
+    await deleteDoc(doc(db, SESSIONS_COLLECTION, sessionId));
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's active session, if any
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The active session or null
+ */
+const getActiveSession = async (userId) => {
+  try {
+    const q = query(
+      collection(db, SESSIONS_COLLECTION),
+      where('userId', '==', userId),
+      where('status', '==', 'active')
+    );
+    const querySnapshot = await getDocs(q);
+    if (querySnapshot.empty) return null;
+
+    // Only one session should be active; use the most recent if several are
+    return querySnapshot.docs
+      .map(formatSession)
+      .sort((a, b) => b.startedAt - a.startedAt)[0];
+  } catch (error) {
+    console.error('Error getting active session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a new session, ending any session that is still active
+ * @param {string} userId - The user ID
+ * @param {Object} details - { location, goal, notes }
+ * @returns {Promise<Object>} The new active session
+ */
+const startSession = async (userId, details = {}) => {
+  const activeSession = await getActiveSession(userId);
+  if (activeSession) {
+    await endSession(activeSession.id);
+  }
+  return createSession(userId, { ...details, endedAt: null });
+};
+
+/**
+ * Get a user's sessions, most recent first
+ * @param {string} userId - The user ID
+ * @param {number} maxResults - Maximum number of sessions
+ * @returns {Promise<Array>} The sessions
+ */
+const getUserSessions = async (userId, maxResults = 50) => {
+  try {
+    const q = query(
+      collection(db, SESSIONS_COLLECTION),
+      where('userId', '==', userId),
+      orderBy('startedAt', 'desc'),
+      limit(maxResults)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(formatSession);
+  } catch (error) {
+    console.error('Error getting user sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the swings recorded in a session, in recording order
+ * @param {string} sessionId - The session ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} The swings
+ */
+const getSessionSwings = async (sessionId, userId) => {
+  try {
+    const q = query(
+      collection(db, SWINGS_COLLECTION),
+      where('userId', '==', userId),
+      where('sessionId', '==', sessionId)
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs
+      .map(docSnap => {
+        const data = docSnap.data();
+        return {
+          ...data,
+          id: docSnap.id,
+          date: data.date?.toDate ? data.date.toDate() : new Date(data.date),
+          recordedDate: data.recordedDate?.toDate ? data.recordedDate.toDate() : new Date(data.recordedDate),
+          createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date(data.createdAt)
+        };
+      })
+      .sort((a, b) => (a.date - b.date) || ((a.segmentIndex ?? 0) - (b.segmentIndex ?? 0)));
+  } catch (error) {
+    console.error('Error getting session swings:', error);
+    throw error;
+  }
+};
+
+export default {
+  createSession,
+  startSession,
+  endSession,
+  updateSession,
+  deleteSession,
+  getSession,
+  getActiveSession,
+  getUserSessions,
+  getSessionSwings,
+  SESSION_LOCATIONS,
+  getSessionLocationLabel
+};
@@ -0,0 +1,139 @@
+// src/services/storageLifecycleService.js
+// Lifecycle of the swing videos kept in Firebase Storage under swings/{userId}/. The work is
+// done by the storage functions (functions/storageLifecycle.js):
+//   quota     - each user may keep up to quotaBytes of video. storage_usage/{userId} counts
+//               their bytes and storage.rules refuses uploads past the quota; here new swings
+//               are fitted to it first, so they are saved with their analysis but without the video
+//   retention - videos past videoRetentionDays are deleted and the swing keeps only its
+//               analysis and keyframe thumbnails; kept originals expire after originalRetentionDays
+//   orphans   - files no swing points to are removed after a grace period
+//
+// Retention and the orphan sweep run every night. The admin storage page shows a dry run as
+// its report and can run them on demand.
+
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import axios from 'axios';
+import { auth, db } from '../firebase/firebase';
+import { getFunctionUrl } from './geminiProxy';
+
+const USERS_COLLECTION = 'users';
+const USAGE_COLLECTION = 'storage_usage';
+
+/**
+ * Get the storage policy of a user: system/storage_policy (written by the storage functions),
+ * overridden by the storagePolicy field of the user document
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { quotaBytes, videoRetentionDays, originalRetentionDays },
+ *   or null before the functions have written the system policy
+ */
+export const getStoragePolicy = async (userId) => {
+  const [systemDoc, userDoc] = await Promise.all([
+    getDoc(doc(db, 'system', 'storage_policy')),
+    getDoc(doc(db, USERS_COLLECTION, userId))
+  ]);
+  if (!systemDoc.exists()) return null;
+  return { ...systemDoc.data(), ...(userDoc.exists() ? userDoc.data().storagePolicy : {}) };
+};
+
+/**
+ * Override parts of a user's storage policy. A new quota applies to their next upload.
+ * @param {string} userId - The user ID
+ * @param {Object} changes - Policy fields to change
+ * @returns {Promise<Object>} The full policy
+ */
+export const setStoragePolicy = async (userId, changes) => {
+  const policy = { ...(await getStoragePolicy(userId)), ...changes };
+  await setDoc(doc(db, USERS_COLLECTION, userId), { storagePolicy: policy }, { merge: true });
+  if (changes.quotaBytes !== undefined) {
+    await setDoc(doc(db, USAGE_COLLECTION, userId), { quotaBytes: changes.quotaBytes }, { merge: true });
+  }
+  return policy;
+};
+
+/**
+ * How much storage a user is using, as counted by the storage functions
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { usedBytes, quotaBytes, percentUsed }, or null when the
+ *   quota isn't known yet
+ */
+export const getStorageUsage = async (userId) => {
+  const usageDoc = await getDoc(doc(db, USAGE_COLLECTION, userId));
+  const usage = usageDoc.exists() ? usageDoc.data() : {};
+  const quotaBytes = usage.quotaBytes ?? (await getStoragePolicy(userId))?.quotaBytes;
+  if (quotaBytes === undefined) return null;
+
+  const usedBytes = Math.max(0, usage.usedBytes || 0);
+  return {
+    usedBytes,
+    quotaBytes,
+    percentUsed: quotaBytes > 0 ? Math.round((usedBytes / quotaBytes) * 100) : 0
+  };
+};
+
+/**
+ * Decide which videos of a new swing fit in the user's quota.
+ * The original goes first, then the video; the analysis is always saved.
+ * @param {string} userId - The user ID
+ * @param {File|null} videoFile - The video to upload
+ * @param {File|null} originalVideo - The kept original, if any
+ * @returns {Promise<Object>} { videoFile, originalVideo, droppedVideo, droppedOriginal, usage }
+ */
+export const fitToQuota = async (userId, videoFile, originalVideo = null) => {
+  const result = { videoFile, originalVideo, droppedVideo: false, droppedOriginal: false, usage: null };
+  if (!videoFile) return result;
+
+  try {
+    const usage = await getStorageUsage(userId);
+    if (!usage) return result;
+    result.usage = usage;
+    const available = usage.quotaBytes - usage.usedBytes;
+
+    if (originalVideo && videoFile.size + originalVideo.size > available) {
+      result.originalVideo = null;
+      result.droppedOriginal = true;
+    }
+    if (videoFile.size > available) {
+      result.videoFile = null;
+      result.droppedVideo = true;
+    }
+  } catch (error) {
+    // Offline or Firestore unreachable: the storage rules still refuse uploads over the quota
+    console.warn('Could not check the storage quota:', error);
+  }
+  return result;
+};
+
+/**
+ * Run retention and the orphan sweep for every user through the storageAdmin function
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { dryRun, generatedAt, orphanGraceDays, freedBytes, users } with
+ *   users ({ userId, name, usedBytes, quotaBytes, fileCount, swingsWithVideo, policy, retention,
+ *   sweep, error }) sorted by usage
+ */
+export const runStorageLifecycle = async ({ dryRun = true } = {}) => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('Sign in to manage storage');
+  }
+
+  try {
+    const response = await axios.post(getFunctionUrl('storageAdmin'), { dryRun }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${await user.getIdToken()}`
+      },
+      timeout: 540000
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response?.data?.error?.message || error.message);
+  }
+};
+
+export default {
+  getStoragePolicy,
+  setStoragePolicy,
+  getStorageUsage,
+  fitToQuota,
+  runStorageLifecycle
+};
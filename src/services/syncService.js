@@ -0,0 +1,444 @@
+// src/services/syncService.js
+// Queue of writes that could not reach Firestore, replayed when the connection returns.
+//
+// Queue items live in the offline store (IndexedDB) so they survive reloads:
+//   { id, type: 'swing' | 'feedback', userId, status: 'pending' | 'failed', attempts, ... }
+// The item id doubles as the Firestore document id, which makes a replay idempotent:
+// if an earlier attempt reached Firestore but the response was lost, the stored copy wins
+// and the item is simply dropped (see firestoreService.saveSwingAnalysis).
+//
+// Own swings with a video are written to the queue before the upload starts, so an
+// upload cut off by a lost connection or a page reload resumes from the stored session
+// (see videoUploadService) instead of losing the swing.
+
+import firestoreService from './firestoreService';
+import localStorageService from './localStorageService';
+import { STORES, isOfflineStoreSupported, putRecord, getRecord, getAllRecords, deleteRecord } from './offlineStore';
+import { discardUpload } from './videoUploadService';
+
+// Give up on an item after this many failed attempts that were not connectivity problems
+const MAX_ATTEMPTS = 5;
+
+// Firestore/Storage error codes that mean "try again later" rather than "this write is bad"
+const RETRYABLE_CODES = [
+  'unavailable',
+  'deadline-exceeded',
+  'resource-exhausted',
+  'storage/retry-limit-exceeded',
+  'storage/unknown'
+];
+
+let isProcessing = false;
+// Items being synced right now, skipped by a concurrent processQueue pass
+const inFlight = new Set();
+
+/**
+ * Whether the browser reports a network connection
+ * @returns {boolean} True when online
+ */
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Whether a failed write should be kept and retried
+ * @param {Error} error - The error thrown by Firestore or Storage
+ * @returns {boolean} True for connectivity problems
+ */
+export const isRetryableError = (error) => {
+  if (!isOnline()) return true;
+  if (RETRYABLE_CODES.includes(error?.code)) return true;
+  return /network|offline|failed to fetch/i.test(error?.message || '');
+};
+
+/**
+ * Generate an id for a queued write (also used as the Firestore document id)
+ * @param {string} prefix - 'swing' or 'feedback'
+ * @returns {string} Unique id
+ */
+const createClientId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Key the original recording of a video is stored under, when the user keeps it
+ * @param {string} videoKey - Key of the (compressed) video
+ * @returns {string} Key of the original
+ */
+const getOriginalKey = (videoKey) => `${videoKey}_original`;
+
+/**
+ * Add an item to the queue
+ * @param {Object} item - Queue item without bookkeeping fields
+ * @returns {Promise<Object>} The stored item
+ */
+const enqueue = (item) => {
+  return putRecord(STORES.SYNC_QUEUE, {
+    ...item,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Keep an analyzed swing on the device and queue it for Firestore
+ * @param {Object} analysisData - The swing analysis
+ * @param {string} userId - The user ID
+ * @param {File} videoFile - The video to upload later (own swings only)
+ * @param {Object} metadata - Upload metadata, as for firestoreService.saveSwingAnalysis.
+ *   Swings split from one recording pass the same videoKey so the video is stored once;
+ *   an originalVideo file is kept and uploaded with it.
+ * @returns {Promise<Object>} The locally saved swing, flagged with _syncStatus 'pending'
+ */
+export const queueSwing = async (analysisData, userId, videoFile, metadata = {}) => {
+  if (!isOfflineStoreSupported()) {
+    throw new Error('Offline storage is not available in this browser');
+  }
+
+  const clientId = createClientId('swing');
+  const { recordedDate, videoKey = clientId, originalVideo, ...storableMetadata } = metadata || {};
+
+  const localSwing = await localStorageService.saveSwing({
+    ...analysisData,
+    id: clientId,
+    userId,
+    swingOwnership: metadata?.swingOwnership || 'self',
+    _syncStatus: 'pending'
+  });
+
+  let hasVideo = false;
+  let hasOriginal = false;
+  if (metadata?.swingOwnership === 'self' && !metadata?.storedVideoUrl && videoFile) {
+    hasVideo = !!(await localStorageService.getVideo(videoKey))
+      || await localStorageService.saveVideo(videoKey, videoFile);
+    if (originalVideo) {
+      const originalKey = getOriginalKey(videoKey);
+      hasOriginal = !!(await localStorageService.getVideo(originalKey))
+        || await localStorageService.saveVideo(originalKey, originalVideo);
+    }
+  }
+
+  await enqueue({
+    id: clientId,
+    type: 'swing',
+    userId,
+    metadata: {
+      ...storableMetadata,
+      recordedDate: recordedDate ? new Date(recordedDate).toISOString() : null
+    },
+    hasVideo,
+    hasOriginal,
+    videoKey,
+    videoUrl: metadata?.storedVideoUrl || null,
+    originalVideoUrl: metadata?.storedOriginalUrl || null
+  });
+
+  console.log(`Swing ${clientId} saved on this device and queued for sync`);
+  return {
+    ...localSwing,
+    videoUrl: videoFile ? URL.createObjectURL(videoFile) : localSwing.videoUrl
+  };
+};
+
+/**
+ * Queue feedback that could not be sent
+ * @param {Object} feedbackData - The feedback document
+ * @returns {Promise<Object>} The queue item
+ */
+export const queueFeedback = (feedbackData) => {
+  return enqueue({
+    id: createClientId('feedback'),
+    type: 'feedback',
+    userId: feedbackData.userId || null,
+    feedback: feedbackData
+  });
+};
+
+/**
+ * Delete a stored video once no queued swing needs it
+ * @param {string} videoKey - Key the video is stored under
+ * @returns {Promise<void>}
+ */
+const releaseVideo = async (videoKey) => {
+  if (!videoKey) return;
+  const items = await getAllRecords(STORES.SYNC_QUEUE);
+  if (!items.some(item => item.videoKey === videoKey)) {
+    await deleteRecord(STORES.VIDEOS, videoKey);
+    await deleteRecord(STORES.VIDEOS, getOriginalKey(videoKey));
+  }
+};
+
+/**
+ * Record an uploaded video URL on every queued swing sharing the video
+ * @param {string} videoKey - Key the video is stored under
+ * @param {Object} urls - { videoUrl } or { originalVideoUrl }
+ * @returns {Promise<void>}
+ */
+const shareUploadedUrl = async (videoKey, urls) => {
+  const sharing = (await getAllRecords(STORES.SYNC_QUEUE))
+    .filter(queued => queued.videoKey === videoKey);
+  for (const queued of sharing) {
+    await putRecord(STORES.SYNC_QUEUE, { ...queued, ...urls });
+  }
+};
+
+/**
+ * Replay one queue item
+ * @param {Object} item - The queue item
+ * @param {Object} uploadOptions - { onProgress, signal } for the video upload
+ * @returns {Promise<Object|null>} The saved swing for swing items
+ */
+const replayItem = async (item, uploadOptions = {}) => {
+  if (item.type === 'feedback') {
+    await firestoreService.saveAnalysisFeedback(item.feedback, item.id);
+    return null;
+  }
+
+  const localSwing = await localStorageService.getSwing(item.id);
+  if (!localSwing) {
+    // Deleted on the device before it was synced
+    return null;
+  }
+
+  // Upload the videos first and remember their URLs on every item sharing them,
+  // so a retry (or the next swing of the same recording) doesn't upload them again
+  let videoUrl = item.videoUrl;
+  let originalVideoUrl = item.originalVideoUrl || null;
+  const videoFile = !videoUrl && item.hasVideo
+    ? await localStorageService.getVideo(item.videoKey)
+    : null;
+  const originalFile = !originalVideoUrl && item.hasOriginal
+    ? await localStorageService.getVideo(getOriginalKey(item.videoKey))
+    : null;
+
+  // Progress covers both uploads
+  const { onProgress } = uploadOptions;
+  const total = (videoFile?.size || 0) + (originalFile?.size || 0);
+  const progressFrom = (offset) => onProgress && ((loaded) => onProgress(offset + loaded, total));
+
+  if (videoFile) {
+    videoUrl = await firestoreService.uploadVideo(item.userId, videoFile, {
+      ...uploadOptions,
+      uploadId: item.videoKey,
+      onProgress: progressFrom(0)
+    });
+    await shareUploadedUrl(item.videoKey, { videoUrl });
+  }
+  if (originalFile) {
+    originalVideoUrl = await firestoreService.uploadVideo(item.userId, originalFile, {
+      ...uploadOptions,
+      uploadId: getOriginalKey(item.videoKey),
+      onProgress: progressFrom(videoFile?.size || 0)
+    });
+    await shareUploadedUrl(item.videoKey, { originalVideoUrl });
+  }
+
+  const { id, _isLocal, _syncStatus, videoUrl: localVideoUrl, ...analysisData } = localSwing;
+  return firestoreService.saveSwingAnalysis(analysisData, item.userId, null, {
+    ...item.metadata,
+    storedVideoUrl: videoUrl,
+    storedOriginalUrl: originalVideoUrl,
+    clientId: item.id
+  });
+};
+
+/**
+ * Replay one item and remove it from the queue once it is stored
+ * @param {Object} item - The queue item
+ * @param {Object} uploadOptions - { onProgress, signal } for the video upload
+ * @returns {Promise<Object|null>} The saved swing for swing items
+ */
+const syncItem = async (item, uploadOptions = {}) => {
+  inFlight.add(item.id);
+  try {
+    const swing = await replayItem(item, uploadOptions);
+    await deleteRecord(STORES.SYNC_QUEUE, item.id);
+    if (item.type === 'swing') {
+      await localStorageService.deleteSwing(item.id);
+      await releaseVideo(item.videoKey);
+    }
+    return swing;
+  } finally {
+    inFlight.delete(item.id);
+  }
+};
+
+/**
+ * Count a failed attempt that was not a connectivity problem
+ * @param {Object} item - The queue item
+ * @param {Error} error - The error
+ * @returns {Promise<void>}
+ */
+const recordFailure = async (item, error) => {
+  const attempts = item.attempts + 1;
+  console.error(`Sync of ${item.id} failed (attempt ${attempts}):`, error);
+  await putRecord(STORES.SYNC_QUEUE, {
+    ...item,
+    attempts,
+    lastError: error.message,
+    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending'
+  });
+};
+
+/**
+ * Save a swing to Firestore, or keep it on the device when Firestore can't be reached
+ * @param {Object} analysisData - The swing analysis
+ * @param {string} userId - The user ID
+ * @param {File} videoFile - The video file (null for YouTube videos or non-user swings)
+ * @param {Object} metadata - Upload metadata
+ * @param {Object} uploadOptions - { onProgress, signal } for the video upload
+ * @returns {Promise<Object>} The saved swing, or the local copy with _syncStatus 'pending'
+ */
+export const saveSwingOrQueue = async (analysisData, userId, videoFile, metadata = {}, uploadOptions = {}) => {
+  const uploadsVideo = videoFile && metadata?.swingOwnership === 'self' && !metadata?.storedVideoUrl;
+
+  if (uploadsVideo && isOfflineStoreSupported()) {
+    let localSwing = null;
+    try {
+      localSwing = await queueSwing(analysisData, userId, videoFile, metadata);
+    } catch (error) {
+      // Device storage full: upload directly, without resume after a reload
+      console.warn('Could not keep the swing on this device, uploading directly:', error);
+    }
+
+    if (localSwing) {
+      if (!isOnline()) return localSwing;
+
+      const item = await getRecord(STORES.SYNC_QUEUE, localSwing.id);
+      try {
+        return await syncItem(item, uploadOptions);
+      } catch (error) {
+        if (error.code === 'storage/canceled') {
+          await discardItem(item.id);
+          throw error;
+        }
+        if (isRetryableError(error)) {
+          console.warn('Upload interrupted, the swing will sync later:', error);
+          return localSwing;
+        }
+        await recordFailure(item, error);
+        throw error;
+      }
+    }
+  }
+
+  if (isOnline()) {
+    try {
+      return await firestoreService.saveSwingAnalysis(analysisData, userId, videoFile, metadata, uploadOptions);
+    } catch (error) {
+      if (error.code === 'storage/canceled' || !isRetryableError(error) || !isOfflineStoreSupported()) {
+        throw error;
+      }
+      console.warn('Could not reach Firestore, keeping the swing on this device:', error);
+    }
+  }
+  return queueSwing(analysisData, userId, videoFile, metadata);
+};
+
+/**
+ * Replay the queued writes of a user
+ * @param {string} userId - The signed-in user (other users' items wait for them)
+ * @param {Object} options - { includeFailed } to also retry items that gave up
+ * @returns {Promise<Object>} { synced: [{ localId, swing }], failed, remaining }
+ */
+export const processQueue = async (userId, { includeFailed = false } = {}) => {
+  const result = { synced: [], failed: 0, remaining: 0 };
+  if (!userId || !isOnline() || !isOfflineStoreSupported() || isProcessing) {
+    return result;
+  }
+
+  isProcessing = true;
+  try {
+    const items = (await getAllRecords(STORES.SYNC_QUEUE))
+      .filter(item => item.userId === userId || (item.type === 'feedback' && !item.userId))
+      .filter(item => includeFailed || item.status !== 'failed')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const queuedItem of items) {
+      if (inFlight.has(queuedItem.id)) continue;
+      // Re-read the item: an earlier replay may have uploaded a video it shares
+      const item = await getRecord(STORES.SYNC_QUEUE, queuedItem.id);
+      if (!item) continue;
+      try {
+        const swing = await syncItem(item);
+        if (swing) result.synced.push({ localId: item.id, swing });
+      } catch (error) {
+        // Stop at the first connectivity problem; the rest would fail the same way
+        if (isRetryableError(error)) {
+          console.warn('Sync paused, connection lost:', error);
+          break;
+        }
+        await recordFailure(item, error);
+      }
+    }
+
+    const remaining = await getPendingItems(userId);
+    result.remaining = remaining.length;
+    result.failed = remaining.filter(item => item.status === 'failed').length;
+  } finally {
+    isProcessing = false;
+  }
+
+  return result;
+};
+
+/**
+ * Get the user's queued writes
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Queue items, pending and failed
+ */
+export const getPendingItems = async (userId) => {
+  if (!isOfflineStoreSupported()) return [];
+  try {
+    const items = await getAllRecords(STORES.SYNC_QUEUE);
+    return items.filter(item => item.userId === userId);
+  } catch (error) {
+    console.error('Error reading sync queue:', error);
+    return [];
+  }
+};
+
+/**
+ * Drop a queued write (and the local swing it belongs to)
+ * @param {string} itemId - The queue item id
+ * @returns {Promise<void>}
+ */
+export const discardItem = async (itemId) => {
+  const item = await getRecord(STORES.SYNC_QUEUE, itemId);
+  await deleteRecord(STORES.SYNC_QUEUE, itemId);
+  await localStorageService.deleteSwing(itemId);
+  await releaseVideo(item?.videoKey);
+  const sharedVideo = (await getAllRecords(STORES.SYNC_QUEUE)).some(queued => queued.videoKey === item?.videoKey);
+  if (item?.videoKey && !sharedVideo) {
+    await discardUpload(item.videoKey);
+    await discardUpload(getOriginalKey(item.videoKey));
+  }
+};
+
+/**
+ * Sync now and whenever the browser comes back online
+ * @param {string} userId - The signed-in user
+ * @param {Function} onSync - Called with the result of each pass
+ * @returns {Function} Cleanup function that removes the listener
+ */
+export const startBackgroundSync = (userId, onSync) => {
+  const sync = () => {
+    processQueue(userId)
+      .then(result => onSync && onSync(result))
+      .catch(error => console.error('Background sync failed:', error));
+  };
+
+  sync();
+  window.addEventListener('online', sync);
+  return () => window.removeEventListener('online', sync);
+};
+
+export default {
+  isOnline,
+  isRetryableError,
+  queueSwing,
+  queueFeedback,
+  saveSwingOrQueue,
+  processQueue,
+  getPendingItems,
+  discardItem,
+  startBackgroundSync
+};
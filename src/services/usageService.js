@@ -0,0 +1,279 @@
+// src/services/usageService.js
+// Model usage metering. The geminiProxy function counts every request per feature in
+// api_usage/{uid}/days/{YYYY-MM-DD} and api_usage/{uid}/months/{YYYY-MM} (UTC) and enforces the
+// limits; this service reads the same documents so users are warned before they hit a limit and
+// admins can see usage, including past months.
+//
+// The system-wide limits are read from system/usage_limits, which the function fills in from
+// functions/usageDefaults.json, and a user's own limits (usageLimits on their profile) override
+// them. Until the function has served a request there are no limits to warn about.
+import { collection, deleteField, doc, documentId, getDoc, getDocs, query, setDoc, where } from 'firebase/firestore';
+import { db } from '../firebase/firebase';
+
+const USAGE_COLLECTION = 'api_usage';
+const USERS_COLLECTION = 'users';
+const LIMITS_DOC = ['system', 'usage_limits'];
+
+export const USAGE_FEATURES = ['analysis', 'insights', 'reference'];
+
+export const FEATURE_LABELS = {
+  analysis: { one: 'swing analysis', other: 'swing analyses' },
+  insights: { one: 'metric insight', other: 'metric insights' },
+  reference: { one: 'reference video analysis', other: 'reference video analyses' }
+};
+
+// Users are warned once they've used this share of a limit
+export const WARNING_THRESHOLD = 0.8;
+
+// Months of history in the admin report, including the current one
+export const HISTORY_MONTHS = 6;
+
+// Day and month keys are the IDs of the function's usage documents
+
+/**
+ * Get the UTC day of a date
+ * @param {Date} now - The date
+ * @returns {string} Day as YYYY-MM-DD
+ */
+export const getDayKey = (now = new Date()) => now.toISOString().slice(0, 10);
+
+/**
+ * Get the UTC month of a date
+ * @param {Date} now - The date
+ * @returns {string} Month as YYYY-MM
+ */
+export const getMonthKey = (now = new Date()) => now.toISOString().slice(0, 7);
+
+/**
+ * Apply a user's own limits over the system-wide ones
+ * @param {Object|null} systemLimits - { perMinute, daily, monthly } from system/usage_limits
+ * @param {Object|null} userLimits - Partial { daily, monthly } from the user's profile
+ * @returns {Object|null} { perMinute, daily, monthly }, or null when there are no system limits yet
+ */
+export const applyUserLimits = (systemLimits, userLimits) => {
+  if (!systemLimits) return null;
+  if (!userLimits) return systemLimits;
+  return {
+    ...systemLimits,
+    daily: { ...systemLimits.daily, ...userLimits.daily },
+    monthly: { ...systemLimits.monthly, ...userLimits.monthly }
+  };
+};
+
+/**
+ * Counts by feature of a day or month document
+ * @param {Object} periodData - api_usage/{uid}/days or /months document data (may be null)
+ * @returns {Object} Count for each feature, zero when unused
+ */
+export const getFeatureCounts = (periodData) => Object.fromEntries(
+  USAGE_FEATURES.map(feature => [feature, periodData?.[feature] || 0])
+);
+
+/**
+ * Get the first month of the report's history
+ * @param {Date} now - Current time
+ * @returns {string} Month as YYYY-MM
+ */
+export const getHistoryStartMonth = (now = new Date()) => getMonthKey(
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (HISTORY_MONTHS - 1), 1))
+);
+
+/**
+ * Read a user's counts for a day and a month
+ * @param {string} userId - The user ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { daily, monthly } counts by feature
+ */
+const getPeriodCounts = async (userId, now) => {
+  const [dayDoc, monthDoc] = await Promise.all([
+    getDoc(doc(db, USAGE_COLLECTION, userId, 'days', getDayKey(now))),
+    getDoc(doc(db, USAGE_COLLECTION, userId, 'months', getMonthKey(now)))
+  ]);
+  return {
+    daily: getFeatureCounts(dayDoc.exists() ? dayDoc.data() : null),
+    monthly: getFeatureCounts(monthDoc.exists() ? monthDoc.data() : null)
+  };
+};
+
+/**
+ * Get the system-wide limits
+ * @returns {Promise<Object|null>} { perMinute, daily, monthly }, or null before the function has set them
+ */
+export const getSystemUsageLimits = async () => {
+  const limitsDoc = await getDoc(doc(db, ...LIMITS_DOC));
+  return limitsDoc.exists() ? limitsDoc.data() : null;
+};
+
+/**
+ * Save the system-wide limits (admins only)
+ * @param {Object} limits - { perMinute, daily, monthly }, as read with getSystemUsageLimits
+ * @returns {Promise<Object>} The saved limits
+ */
+export const saveSystemUsageLimits = async (limits) => {
+  await setDoc(doc(db, ...LIMITS_DOC), limits);
+  return limits;
+};
+
+/**
+ * Give a user their own limits, or go back to the system limits (admins only)
+ * @param {string} userId - The user ID
+ * @param {Object|null} limits - Partial { daily, monthly } limits, or null to clear them
+ */
+export const setUserUsageLimits = async (userId, limits) => {
+  await setDoc(doc(db, USERS_COLLECTION, userId), {
+    usageLimits: limits || deleteField()
+  }, { merge: true });
+};
+
+/**
+ * Get how much of a feature a user has used and may still use
+ * @param {string} userId - The user ID
+ * @param {string} feature - analysis, insights or reference
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { feature, used: {day, month}, limit: {day, month}, remaining: {day, month} },
+ *   or null when no limits are set yet
+ */
+export const getUsageStatus = async (userId, feature = 'analysis', now = new Date()) => {
+  const [counts, userDoc, systemLimits] = await Promise.all([
+    getPeriodCounts(userId, now),
+    getDoc(doc(db, USERS_COLLECTION, userId)),
+    getSystemUsageLimits()
+  ]);
+  const limits = applyUserLimits(systemLimits, userDoc.exists() ? userDoc.data().usageLimits : null);
+  if (!limits) return null;
+
+  const used = { day: counts.daily[feature], month: counts.monthly[feature] };
+  const limit = { day: limits.daily[feature], month: limits.monthly[feature] };
+
+  return {
+    feature,
+    used,
+    limit,
+    remaining: {
+      day: Math.max(0, limit.day - used.day),
+      month: Math.max(0, limit.month - used.month)
+    }
+  };
+};
+
+/**
+ * Message for a user who is close to or at a limit
+ * @param {Object} status - Result of getUsageStatus
+ * @returns {Object|null} { type: 'warning' | 'error', blocked, message }, or null when well within the limits
+ */
+export const getUsageMessage = (status) => {
+  if (!status) return null;
+  const label = FEATURE_LABELS[status.feature].other;
+
+  if (status.remaining.month === 0) {
+    return {
+      type: 'error',
+      blocked: true,
+      message: `You've used all ${status.limit.month} ${label} for this month. Your limit resets on the 1st of next month.`
+    };
+  }
+  if (status.remaining.day === 0) {
+    return {
+      type: 'error',
+      blocked: true,
+      message: `You've used all ${status.limit.day} ${label} for today. Your limit resets at midnight UTC.`
+    };
+  }
+
+  // Whichever period is closer to its limit
+  const period = status.remaining.month < status.remaining.day ? 'month' : 'day';
+  if (status.used[period] < status.limit[period] * WARNING_THRESHOLD) {
+    return null;
+  }
+
+  const remaining = status.remaining[period];
+  return {
+    type: 'warning',
+    blocked: false,
+    message: `You have ${remaining} ${remaining === 1 ? FEATURE_LABELS[status.feature].one : label} left ${period === 'month' ? 'this month' : 'today'}.`
+  };
+};
+
+/**
+ * Usage of every user who has used the model, for the admin report
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { generatedAt, day, month, limits, totals, history, users } where
+ *   history lists each of the last HISTORY_MONTHS months with its counts by feature
+ */
+export const getUsageReport = async (now = new Date()) => {
+  const [usageSnapshot, limits] = await Promise.all([
+    getDocs(collection(db, USAGE_COLLECTION)),
+    getSystemUsageLimits()
+  ]);
+  const startMonth = getHistoryStartMonth(now);
+
+  const users = await Promise.all(usageSnapshot.docs.map(async (usageDoc) => {
+    const userId = usageDoc.id;
+    const usage = usageDoc.data();
+    const [counts, monthsSnapshot] = await Promise.all([
+      getPeriodCounts(userId, now),
+      getDocs(query(collection(db, USAGE_COLLECTION, userId, 'months'), where(documentId(), '>=', startMonth)))
+    ]);
+    let profile = {};
+    try {
+      const userDoc = await getDoc(doc(db, USERS_COLLECTION, userId));
+      profile = userDoc.exists() ? userDoc.data() : {};
+    } catch (error) {
+      console.error(`Error reading profile of ${userId}:`, error);
+    }
+
+    return {
+      userId,
+      name: profile.displayName || profile.email || userId,
+      daily: counts.daily,
+      monthly: counts.monthly,
+      months: Object.fromEntries(monthsSnapshot.docs.map(monthDoc => [monthDoc.id, getFeatureCounts(monthDoc.data())])),
+      limits: applyUserLimits(limits, profile.usageLimits),
+      hasOwnLimits: !!profile.usageLimits,
+      lastUsedAt: usage.updatedAt?.toDate ? usage.updatedAt.toDate() : null
+    };
+  }));
+
+  const sumFeature = (period, feature) => users.reduce((sum, user) => sum + user[period][feature], 0);
+  const totals = {
+    daily: Object.fromEntries(USAGE_FEATURES.map(feature => [feature, sumFeature('daily', feature)])),
+    monthly: Object.fromEntries(USAGE_FEATURES.map(feature => [feature, sumFeature('monthly', feature)]))
+  };
+
+  // Every month since startMonth, newest first, including months nobody used the model
+  const history = [];
+  for (let offset = 0; offset < HISTORY_MONTHS; offset++) {
+    const month = getMonthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1)));
+    history.push({
+      month,
+      counts: Object.fromEntries(USAGE_FEATURES.map(feature => [
+        feature,
+        users.reduce((sum, user) => sum + (user.months[month]?.[feature] || 0), 0)
+      ]))
+    });
+  }
+
+  const monthlyTotal = (user) => USAGE_FEATURES.reduce((sum, feature) => sum + user.monthly[feature], 0);
+  users.sort((a, b) => monthlyTotal(b) - monthlyTotal(a));
+
+  return {
+    generatedAt: now.toISOString(),
+    day: getDayKey(now),
+    month: getMonthKey(now),
+    limits,
+    totals,
+    history,
+    users
+  };
+};
+
+export default {
+  USAGE_FEATURES,
+  FEATURE_LABELS,
+  getSystemUsageLimits,
+  saveSystemUsageLimits,
+  setUserUsageLimits,
+  getUsageStatus,
+  getUsageMessage,
+  getUsageReport
+};
@@ -0,0 +1,74 @@
+// src/services/usageService.test.js
+import {
+  applyUserLimits,
+  getFeatureCounts,
+  getHistoryStartMonth,
+  getUsageMessage
+} from './usageService';
+
+jest.mock('../firebase/firebase', () => ({ db: null }));
+
+const status = (used, limit = { day: 20, month: 300 }) => ({
+  feature: 'analysis',
+  used,
+  limit,
+  remaining: { day: limit.day - used.day, month: limit.month - used.month }
+});
+
+describe('usage limits', () => {
+  const systemLimits = {
+    perMinute: 10,
+    daily: { analysis: 20, insights: 60, reference: 20 },
+    monthly: { analysis: 300, insights: 900, reference: 100 }
+  };
+
+  it('lets a user\'s limits override the system limits', () => {
+    const limits = applyUserLimits(systemLimits, { daily: { analysis: 50 } });
+    expect(limits.daily).toEqual({ ...systemLimits.daily, analysis: 50 });
+    expect(limits.monthly).toEqual(systemLimits.monthly);
+    expect(limits.perMinute).toBe(10);
+    expect(applyUserLimits(systemLimits, null)).toBe(systemLimits);
+  });
+
+  it('has no limits before the function has written the system limits', () => {
+    expect(applyUserLimits(null, { daily: { analysis: 50 } })).toBeNull();
+  });
+
+  it('reads zero for features a period has no count for', () => {
+    expect(getFeatureCounts({ day: '2026-05-14', analysis: 4, updatedAt: {} })).toEqual({ analysis: 4, insights: 0, reference: 0 });
+    expect(getFeatureCounts(null)).toEqual({ analysis: 0, insights: 0, reference: 0 });
+  });
+
+  it('starts the report history five months before the current month', () => {
+    expect(getHistoryStartMonth(new Date('2026-05-14T12:00:00.000Z'))).toBe('2025-12');
+    expect(getHistoryStartMonth(new Date('2026-12-31T23:00:00.000Z'))).toBe('2026-07');
+  });
+});
+
+describe('getUsageMessage', () => {
+  it('says nothing while the user is well within their limits', () => {
+    expect(getUsageMessage(status({ day: 3, month: 40 }))).toBeNull();
+  });
+
+  it('warns as the user approaches the daily limit', () => {
+    expect(getUsageMessage(status({ day: 17, month: 40 }))).toEqual({
+      type: 'warning',
+      blocked: false,
+      message: 'You have 3 swing analyses left today.'
+    });
+    expect(getUsageMessage(status({ day: 19, month: 40 })).message).toBe('You have 1 swing analysis left today.');
+  });
+
+  it('warns about the month when it is the closer limit', () => {
+    expect(getUsageMessage(status({ day: 1, month: 295 })).message).toBe('You have 5 swing analyses left this month.');
+  });
+
+  it('blocks once a limit is reached', () => {
+    expect(getUsageMessage(status({ day: 20, month: 40 }))).toEqual({
+      type: 'error',
+      blocked: true,
+      message: 'You\'ve used all 20 swing analyses for today. Your limit resets at midnight UTC.'
+    });
+    expect(getUsageMessage(status({ day: 2, month: 300 })).message).toMatch(/all 300 swing analyses for this month/);
+  });
+});
@@ -0,0 +1,275 @@
+// src/services/videoUploadService.js
+// Resumable, chunked video uploads to Firebase Storage.
+//
+// Uses the Storage resumable upload protocol directly (the same one the SDK uses
+// internally) so the upload session can be persisted: the session URL is kept in the
+// offline store under an upload id, and an upload interrupted by a network drop or a
+// page reload continues from the last byte the server received instead of starting over.
+//
+// Each chunk is retried with exponential backoff; progress and cancellation are exposed
+// through onProgress(bytesUploaded, totalBytes) and an AbortSignal.
+
+import axios from 'axios';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { auth, storage } from '../firebase/firebase';
+import { STORES, isOfflineStoreSupported, putRecord, getRecord, deleteRecord } from './offlineStore';
+
+// Chunks must be a multiple of 256 KiB
+const CHUNK_SIZE = 8 * 256 * 1024;
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Base URL of the Storage REST API (the emulator in local development)
+ * @returns {string} Base URL
+ */
+const getStorageHost = () => {
+  if (process.env.NODE_ENV === 'development' && process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true') {
+    return 'http://localhost:9199';
+  }
+  return 'https://firebasestorage.googleapis.com';
+};
+
+/**
+ * Error raised when an upload fails, with a Storage-style error code
+ * @param {string} code - e.g. 'storage/canceled', 'storage/retry-limit-exceeded'
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+const uploadError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether a failed request should be retried
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, rate limits and server errors
+ */
+const isRetryableResponse = (error) => {
+  const status = error.response?.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Wait before the next attempt, unless the upload is cancelled
+ * @param {number} attempt - Attempt number (0-based)
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const backoff = (attempt, signal) => {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+  const jittered = delay / 2 + Math.random() * (delay / 2);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(uploadError('storage/canceled', 'Upload cancelled'));
+    };
+    // The signal outlives the retries, so the listener goes once the wait is over
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, jittered);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Headers authorizing a Storage request as the signed-in user
+ * @returns {Promise<Object>} Headers
+ */
+const getAuthHeaders = async () => {
+  const token = await auth.currentUser?.getIdToken();
+  return token ? { Authorization: `Firebase ${token}` } : {};
+};
+
+/**
+ * Persist the state of an upload so it can be resumed after a reload
+ * @param {Object} upload - Upload record
+ * @returns {Promise<void>}
+ */
+const saveUploadState = async (upload) => {
+  if (!isOfflineStoreSupported()) return;
+  try {
+    await putRecord(STORES.UPLOADS, upload);
+  } catch (error) {
+    // Resuming after a reload is best effort
+    console.error('Error saving upload state:', error);
+  }
+};
+
+/**
+ * Start a resumable upload session
+ * @param {Object} upload - Upload record ({ path, size, contentType })
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<string>} Session URL
+ */
+const startSession = async (upload, signal) => {
+  const url = `${getStorageHost()}/v0/b/${storage.app.options.storageBucket}/o?name=${encodeURIComponent(upload.path)}`;
+  const response = await axios.post(url, JSON.stringify({ name: upload.path, contentType: upload.contentType }), {
+    signal,
+    headers: {
+      ...(await getAuthHeaders()),
+      'Content-Type': 'application/json; charset=utf-8',
+      'X-Goog-Upload-Protocol': 'resumable',
+      'X-Goog-Upload-Command': 'start',
+      'X-Goog-Upload-Header-Content-Length': upload.size,
+      'X-Goog-Upload-Header-Content-Type': upload.contentType
+    }
+  });
+
+  const sessionUrl = response.headers['x-goog-upload-url'];
+  if (!sessionUrl) {
+    throw uploadError('storage/unknown', 'Storage did not return an upload session');
+  }
+  return sessionUrl;
+};
+
+/**
+ * Ask the server how many bytes of a session it has received
+ * @param {string} sessionUrl - Session URL
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<Object>} { received, final }
+ */
+const querySession = async (sessionUrl, signal) => {
+  const response = await axios.post(sessionUrl, null, {
+    signal,
+    headers: {
+      ...(await getAuthHeaders()),
+      'X-Goog-Upload-Command': 'query'
+    }
+  });
+  return {
+    received: Number(response.headers['x-goog-upload-size-received']) || 0,
+    final: response.headers['x-goog-upload-status'] === 'final'
+  };
+};
+
+/**
+ * Upload a video to Firebase Storage in resumable chunks
+ * @param {string} userId - The user ID
+ * @param {File|Blob} videoFile - The video
+ * @param {Object} options
+ * @param {string} options.uploadId - Stable id of this upload; passing the same id resumes it
+ * @param {Function} options.onProgress - Called with (bytesUploaded, totalBytes)
+ * @param {AbortSignal} options.signal - Cancels the upload
+ * @returns {Promise<string>} The download URL
+ */
+export const uploadVideoResumable = async (userId, videoFile, options = {}) => {
+  const { uploadId = null, onProgress, signal } = options;
+  const size = videoFile.size;
+
+  // Continue a session started earlier (possibly before a reload) for the same file
+  let upload = uploadId && isOfflineStoreSupported()
+    ? await getRecord(STORES.UPLOADS, uploadId).catch(() => null)
+    : null;
+  if (!upload || upload.size !== size) {
+    upload = {
+      id: uploadId || `upload_${Date.now()}`,
+      userId,
+      path: `swings/${userId}/${Date.now()}_${videoFile.name || 'swing.mp4'}`,
+      size,
+      contentType: videoFile.type || 'video/mp4',
+      sessionUrl: null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  let offset = 0;
+  let attempt = 0;
+  let finished = false;
+  const reportProgress = (bytes) => onProgress && onProgress(Math.min(bytes, size), size);
+
+  while (!finished) {
+    if (signal?.aborted) {
+      throw uploadError('storage/canceled', 'Upload cancelled');
+    }
+
+    try {
+      if (!upload.sessionUrl) {
+        upload = { ...upload, sessionUrl: await startSession(upload, signal) };
+        await saveUploadState(upload);
+        offset = 0;
+      } else {
+        // Resume from whatever the server actually has
+        const status = await querySession(upload.sessionUrl, signal);
+        if (status.final) {
+          finished = true;
+          break;
+        }
+        offset = status.received;
+      }
+      reportProgress(offset);
+
+      while (offset < size) {
+        const chunk = videoFile.slice(offset, offset + CHUNK_SIZE);
+        const isLast = offset + chunk.size >= size;
+        const chunkStart = offset;
+
+        await axios.post(upload.sessionUrl, chunk, {
+          signal,
+          headers: {
+            ...(await getAuthHeaders()),
+            'X-Goog-Upload-Command': isLast ? 'upload, finalize' : 'upload',
+            'X-Goog-Upload-Offset': chunkStart
+          },
+          onUploadProgress: (event) => reportProgress(chunkStart + event.loaded)
+        });
+
+        offset += chunk.size;
+        attempt = 0;
+        reportProgress(offset);
+      }
+      finished = true;
+    } catch (error) {
+      if (axios.isCancel(error) || error.code === 'storage/canceled') {
+        throw uploadError('storage/canceled', 'Upload cancelled');
+      }
+
+      const status = error.response?.status;
+      // The session expired or was never created on the server: start a new one
+      if (status === 404 || status === 410) {
+        upload = { ...upload, sessionUrl: null };
+        await saveUploadState(upload);
+      } else if (!isRetryableResponse(error)) {
+        await deleteRecord(STORES.UPLOADS, upload.id).catch(() => {});
+        throw uploadError(
+          status === 401 || status === 403 ? 'storage/unauthorized' : 'storage/unknown',
+          `Video upload failed (${status}): ${error.message}`
+        );
+      }
+
+      if (attempt >= MAX_RETRIES) {
+        // Keep the session so the next attempt can resume
+        throw uploadError('storage/retry-limit-exceeded', 'Video upload failed after several retries. Check your connection.');
+      }
+      console.warn(`Upload interrupted, retrying (attempt ${attempt + 1} of ${MAX_RETRIES}):`, error.message);
+      await backoff(attempt, signal);
+      attempt++;
+    }
+  }
+
+  if (isOfflineStoreSupported()) {
+    await deleteRecord(STORES.UPLOADS, upload.id).catch(() => {});
+  }
+  reportProgress(size);
+  return getDownloadURL(ref(storage, upload.path));
+};
+
+/**
+ * Forget a persisted upload session (e.g. when the swing it belongs to is discarded)
+ * @param {string} uploadId - The upload id
+ * @returns {Promise<void>}
+ */
+export const discardUpload = async (uploadId) => {
+  if (!isOfflineStoreSupported() || !uploadId) return;
+  await deleteRecord(STORES.UPLOADS, uploadId);
+};
+
+export default {
+  uploadVideoResumable,
+  discardUpload
+};
@@ -0,0 +1,456 @@
+// src/utils/frameExtraction.js
+// Client-side frame extraction for swing videos.
+//
+// The video is decoded in a hidden <video> element and sampled onto a canvas. Small
+// grayscale samples feed a motion-energy curve (mean absolute difference between
+// consecutive samples); the swing window is the burst of motion around the peak, and the
+// keyframes are picked from that curve:
+//   address - last still sample before the swing starts
+//   top     - quietest sample between takeaway and impact (the club changes direction)
+//   impact  - peak of motion
+//   finish  - first sample after the motion settles
+// Only a compact set of frames inside the swing window is kept as JPEGs (sent to the model
+// instead of the whole clip), plus small keyframe thumbnails for the storyboard.
+
+export const SWING_PHASES = ['address', 'top', 'impact', 'finish'];
+
+const DEFAULT_OPTIONS = {
+  sampleFps: 10,        // motion samples per second
+  maxSamples: 150,      // cap on seeks for long clips
+  motionWidth: 96,      // width of the grayscale motion samples
+  imageWidth: 480,      // width of the JPEG frames that are kept
+  imageQuality: 0.75,
+  thumbnailWidth: 240,  // width of the keyframe thumbnails stored with the analysis
+  frameCount: 12,       // frames kept across the swing window (keyframes included)
+  seekTimeoutMs: 5000
+};
+
+/**
+ * Load a video file into a detached video element
+ * @param {File|Blob} videoFile - The video file
+ * @returns {Promise<{video: HTMLVideoElement, url: string}>} Loaded element and its object URL
+ */
+const loadVideo = (videoFile) => {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(videoFile);
+    video.preload = 'auto';
+    video.muted = true;
+    video.playsInline = true;
+    video.onloadeddata = () => {
+      // WebM files written by MediaRecorder don't declare a duration; seeking past the
+      // end makes the browser work it out
+      if (video.duration !== Infinity) {
+        resolve({ video, url });
+        return;
+      }
+      video.addEventListener('durationchange', () => {
+        video.currentTime = 0;
+        resolve({ video, url });
+      }, { once: true });
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+    };
+    video.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('This video format cannot be decoded for frame extraction'));
+    };
+    video.src = url;
+  });
+};
+
+/**
+ * Seek a video element and wait until the frame is available
+ * @param {HTMLVideoElement} video - The video element
+ * @param {number} time - Time in seconds
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<void>}
+ */
+const seekTo = (video, time, timeoutMs) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      video.removeEventListener('seeked', onSeeked);
+      reject(new Error(`Timed out seeking to ${time.toFixed(2)}s`));
+    }, timeoutMs);
+    const onSeeked = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    video.addEventListener('seeked', onSeeked, { once: true });
+    video.currentTime = time;
+  });
+};
+
+/**
+ * Draw the current video frame as a small grayscale sample
+ * @param {HTMLVideoElement} video - The video element
+ * @param {HTMLCanvasElement} canvas - Canvas sized for motion samples
+ * @returns {Uint8ClampedArray} Luma values
+ */
+const captureGray = (video, canvas) => {
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  const gray = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+  }
+  return gray;
+};
+
+/**
+ * Draw the current video frame as a JPEG data URL
+ * @param {HTMLVideoElement} video - The video element
+ * @param {HTMLCanvasElement} canvas - Canvas sized for kept frames
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {string} Data URL
+ */
+const captureImage = (video, canvas, quality) => {
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', quality);
+};
+
+/**
+ * Create a canvas with the video's aspect ratio
+ * @param {HTMLVideoElement} video - The video element
+ * @param {number} width - Target width
+ * @returns {HTMLCanvasElement} The canvas
+ */
+const createCanvas = (video, width) => {
+  const canvas = document.createElement('canvas');
+  const aspect = video.videoHeight / video.videoWidth || 9 / 16;
+  canvas.width = width;
+  canvas.height = Math.max(1, Math.round(width * aspect));
+  return canvas;
+};
+
+/**
+ * Motion energy between consecutive grayscale samples
+ * @param {Array<Uint8ClampedArray>} samples - Grayscale samples in time order
+ * @returns {Array<number>} Energy per sample (0 for the first one)
+ */
+export const computeMotionEnergy = (samples) => {
+  return samples.map((sample, index) => {
+    if (index === 0) return 0;
+    const previous = samples[index - 1];
+    let total = 0;
+    for (let i = 0; i < sample.length; i++) {
+      total += Math.abs(sample[i] - previous[i]);
+    }
+    return total / sample.length;
+  });
+};
+
+/**
+ * Smooth a curve with a centered moving average
+ * @param {Array<number>} values - The curve
+ * @param {number} radius - Samples on each side
+ * @returns {Array<number>} Smoothed curve
+ */
+const smooth = (values, radius = 1) => {
+  return values.map((_, index) => {
+    const from = Math.max(0, index - radius);
+    const to = Math.min(values.length - 1, index + radius);
+    let total = 0;
+    for (let i = from; i <= to; i++) total += values[i];
+    return total / (to - from + 1);
+  });
+};
+
+/**
+ * Find the swing window as the burst of motion around the energy peak.
+ * Short lulls (like the pause at the top) do not end the window.
+ * @param {Array<number>} energy - Motion energy per sample
+ * @param {number} maxGap - Quiet samples tolerated inside the window
+ * @returns {{start: number, end: number, peak: number}} Sample indexes
+ */
+export const detectSwingWindow = (energy, maxGap = 4) => {
+  const smoothed = smooth(energy);
+  const peak = smoothed.reduce((best, value, index) => (value > smoothed[best] ? index : best), 0);
+  const baseline = [...smoothed].sort((a, b) => a - b)[Math.floor(smoothed.length / 2)];
+  const threshold = baseline + 0.15 * (smoothed[peak] - baseline);
+
+  const walk = (from, step) => {
+    let edge = from;
+    let gap = 0;
+    for (let i = from + step; i >= 0 && i < smoothed.length; i += step) {
+      if (smoothed[i] > threshold) {
+        edge = i;
+        gap = 0;
+      } else if (++gap > maxGap) {
+        break;
+      }
+    }
+    return edge;
+  };
+
+  // Step one sample outside the motion so address and finish are still frames
+  return {
+    start: Math.max(0, walk(peak, -1) - 1),
+    end: Math.min(smoothed.length - 1, walk(peak, 1) + 1),
+    peak
+  };
+};
+
+/**
+ * Find every burst of motion strong enough to be a swing, for clips with several swings.
+ * Bursts are split by quiet stretches longer than maxGap; weaker bursts (walking up to
+ * the ball, teeing up) are dropped by comparing their peak with the strongest one.
+ * @param {Array<number>} energy - Motion energy per sample
+ * @param {Object} options - { maxGap, minPeakRatio, minLength }
+ * @returns {Array<{start: number, end: number, peak: number}>} Sample indexes in time order
+ */
+export const findMotionBursts = (energy, { maxGap = 4, minPeakRatio = 0.35, minLength = 3 } = {}) => {
+  const smoothed = smooth(energy);
+  const globalPeak = Math.max(...smoothed);
+  const baseline = [...smoothed].sort((a, b) => a - b)[Math.floor(smoothed.length / 2)];
+  const threshold = baseline + 0.15 * (globalPeak - baseline);
+  const peakThreshold = baseline + minPeakRatio * (globalPeak - baseline);
+
+  const bursts = [];
+  let current = null;
+  let gap = 0;
+  smoothed.forEach((value, index) => {
+    if (value > threshold) {
+      if (!current) {
+        current = { start: index, end: index, peak: index };
+      }
+      current.end = index;
+      if (value > smoothed[current.peak]) current.peak = index;
+      gap = 0;
+    } else if (current && ++gap > maxGap) {
+      bursts.push(current);
+      current = null;
+      gap = 0;
+    }
+  });
+  if (current) bursts.push(current);
+
+  // Step one sample outside each burst so address and finish are still frames
+  return bursts
+    .filter(burst => smoothed[burst.peak] >= peakThreshold && burst.end - burst.start + 1 >= minLength)
+    .map(burst => ({
+      start: Math.max(0, burst.start - 1),
+      end: Math.min(smoothed.length - 1, burst.end + 1),
+      peak: burst.peak
+    }));
+};
+
+/**
+ * Pick the sample index of each swing phase inside the swing window
+ * @param {Array<number>} energy - Motion energy per sample
+ * @param {{start: number, end: number, peak: number}} swingWindow - Swing window
+ * @returns {Object} Sample index keyed by phase
+ */
+export const selectKeyframes = (energy, swingWindow) => {
+  const smoothed = smooth(energy);
+  const { start, end, peak } = swingWindow;
+
+  // The top sits in the later part of the backswing, where motion dips before the downswing
+  const searchFrom = Math.min(peak - 1, start + Math.ceil((peak - start) * 0.3));
+  let top = Math.max(start, peak - 1);
+  for (let i = Math.max(start + 1, searchFrom); i < peak; i++) {
+    if (smoothed[i] < smoothed[top]) top = i;
+  }
+
+  return {
+    address: start,
+    top: Math.max(start, top),
+    impact: peak,
+    finish: end
+  };
+};
+
+/**
+ * Spread a number of sample indexes evenly over a window, keeping the keyframes
+ * @param {{start: number, end: number}} swingWindow - Swing window
+ * @param {Array<number>} keyIndexes - Indexes that must be included
+ * @param {number} count - Total frames wanted
+ * @returns {Array<number>} Sorted unique indexes
+ */
+const spreadIndexes = (swingWindow, keyIndexes, count) => {
+  const indexes = new Set(keyIndexes);
+  const span = swingWindow.end - swingWindow.start;
+  for (let i = 0; indexes.size < count && i < count; i++) {
+    indexes.add(swingWindow.start + Math.round((span * i) / Math.max(1, count - 1)));
+  }
+  return Array.from(indexes).sort((a, b) => a - b);
+};
+
+/**
+ * Get the video duration, failing for streams without a usable one
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @returns {number} Duration in seconds
+ */
+const getDuration = (video) => {
+  const duration = video.duration;
+  if (!duration || !isFinite(duration)) {
+    throw new Error('Video duration is unknown');
+  }
+  return duration;
+};
+
+/**
+ * Sample the video and compute its motion-energy curve
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @param {Object} settings - Extraction settings
+ * @param {{start: number, end: number}} range - Time range to sample, in seconds
+ * @returns {Promise<{times: Array<number>, energy: Array<number>, sampleInterval: number}>} Samples
+ */
+const sampleMotion = async (video, settings, range) => {
+  const span = range.end - range.start;
+  const sampleInterval = Math.max(1 / settings.sampleFps, span / settings.maxSamples);
+  const times = [];
+  for (let time = range.start; time < range.end; time += sampleInterval) {
+    times.push(Number(time.toFixed(3)));
+  }
+
+  const motionCanvas = createCanvas(video, settings.motionWidth);
+  const samples = [];
+  for (const time of times) {
+    await seekTo(video, time, settings.seekTimeoutMs);
+    samples.push(captureGray(video, motionCanvas));
+  }
+
+  return { times, energy: computeMotionEnergy(samples), sampleInterval };
+};
+
+/**
+ * Clamp a requested time range to the video
+ * @param {Object|null} range - Requested { start, end } in seconds
+ * @param {number} duration - Video duration
+ * @returns {{start: number, end: number}} Usable range
+ */
+const clampRange = (range, duration) => {
+  const start = Math.max(0, Math.min(range?.start ?? 0, duration));
+  const end = Math.min(duration, range?.end ?? duration);
+  return end > start ? { start, end } : { start: 0, end: duration };
+};
+
+/**
+ * Release a video element loaded by loadVideo
+ * @param {HTMLVideoElement} video - The video element
+ * @param {string} url - Its object URL
+ */
+const releaseVideo = (video, url) => {
+  video.removeAttribute('src');
+  video.load();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Detect the swing segments of a clip, used to suggest trim points and to split
+ * range sessions recorded as one video
+ * @param {File|Blob} videoFile - The video file
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Promise<Object>} { duration, segments: [{ start, end, address, strength }], primary }
+ *   Times are in seconds; primary is the index of the strongest segment.
+ */
+export const detectSwingSegments = async (videoFile, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { video, url } = await loadVideo(videoFile);
+
+  try {
+    const duration = getDuration(video);
+    const { times, energy, sampleInterval } = await sampleMotion(video, settings, { start: 0, end: duration });
+    let bursts = findMotionBursts(energy);
+    if (bursts.length === 0) {
+      bursts = [detectSwingWindow(energy)];
+    }
+
+    // Leave a little room around the motion so the handles are not on the swing itself,
+    // without running into the neighbouring swing
+    const segments = bursts.map((burst, index) => {
+      const previousEnd = index > 0 ? times[bursts[index - 1].end] : 0;
+      const nextStart = index < bursts.length - 1 ? times[bursts[index + 1].start] : duration;
+      return {
+        start: Math.max(previousEnd, times[burst.start] - sampleInterval * 2),
+        end: Math.min(nextStart, times[burst.end] + sampleInterval * 2),
+        address: times[burst.start],
+        strength: energy[burst.peak]
+      };
+    });
+
+    const primary = segments.reduce((best, segment, index) => (
+      segment.strength > segments[best].strength ? index : best
+    ), 0);
+
+    return { duration, segments, primary };
+  } finally {
+    releaseVideo(video, url);
+  }
+};
+
+/**
+ * Extract keyframes and a compact frame set from a swing video
+ * @param {File|Blob} videoFile - The video file
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS, plus an optional
+ *   range ({ start, end } in seconds) to restrict extraction to a trimmed segment
+ * @returns {Promise<Object>} { duration, sampleInterval, swingWindow, keyframes, frames }
+ *   keyframes: [{ phase, time, image }] with thumbnail data URLs
+ *   frames: [{ time, phase, image }] with full-size data URLs
+ */
+export const extractSwingFrames = async (videoFile, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { video, url } = await loadVideo(videoFile);
+
+  try {
+    const duration = getDuration(video);
+
+    // Pass 1: grayscale samples for motion analysis
+    const range = clampRange(settings.range, duration);
+    const { times, energy, sampleInterval } = await sampleMotion(video, settings, range);
+
+    const motionWindow = detectSwingWindow(energy);
+    const keyIndexes = selectKeyframes(energy, motionWindow);
+    const frameIndexes = spreadIndexes(motionWindow, Object.values(keyIndexes), settings.frameCount);
+
+    // Pass 2: JPEGs only for the frames that are kept, plus small keyframe thumbnails
+    const imageCanvas = createCanvas(video, settings.imageWidth);
+    const thumbnailCanvas = createCanvas(video, settings.thumbnailWidth);
+    const keyIndexSet = new Set(Object.values(keyIndexes));
+    const images = {};
+    const thumbnails = {};
+    for (const index of frameIndexes) {
+      await seekTo(video, times[index], settings.seekTimeoutMs);
+      images[index] = captureImage(video, imageCanvas, settings.imageQuality);
+      if (keyIndexSet.has(index)) {
+        thumbnails[index] = captureImage(video, thumbnailCanvas, settings.imageQuality);
+      }
+    }
+
+    const phaseByIndex = {};
+    SWING_PHASES.forEach(phase => {
+      if (phaseByIndex[keyIndexes[phase]] === undefined) {
+        phaseByIndex[keyIndexes[phase]] = phase;
+      }
+    });
+
+    return {
+      duration,
+      sampleInterval,
+      swingWindow: { start: times[motionWindow.start], end: times[motionWindow.end] },
+      keyframes: SWING_PHASES.map(phase => ({
+        phase,
+        time: times[keyIndexes[phase]],
+        image: thumbnails[keyIndexes[phase]]
+      })),
+      frames: frameIndexes.map(index => ({
+        time: times[index],
+        phase: phaseByIndex[index] || null,
+        image: images[index]
+      }))
+    };
+  } finally {
+    releaseVideo(video, url);
+  }
+};
+
+export default {
+  SWING_PHASES,
+  extractSwingFrames,
+  detectSwingSegments,
+  computeMotionEnergy,
+  detectSwingWindow,
+  findMotionBursts,
+  selectKeyframes
+};
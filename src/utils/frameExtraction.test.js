@@ -0,0 +1,79 @@
+// src/utils/frameExtraction.test.js
+import { computeMotionEnergy, detectSwingWindow, findMotionBursts, selectKeyframes } from './frameExtraction';
+
+const idle = (count) => new Array(count).fill(1);
+
+// One swing: takeaway, the pause at the top, downswing to impact, then the follow through
+const SWING = [5, 8, 8, 3, 2, 3, 15, 30, 40, 20, 8];
+
+describe('computeMotionEnergy', () => {
+  it('is the mean absolute difference from the previous sample', () => {
+    const samples = [
+      new Uint8ClampedArray([0, 0, 0, 0]),
+      new Uint8ClampedArray([10, 0, 20, 0]),
+      new Uint8ClampedArray([10, 0, 20, 0])
+    ];
+    expect(computeMotionEnergy(samples)).toEqual([0, 7.5, 0]);
+  });
+});
+
+describe('detectSwingWindow', () => {
+  const energy = [...idle(8), ...SWING, ...idle(9)];
+
+  it('spans the burst of motion around the peak, one still sample either side', () => {
+    expect(detectSwingWindow(energy)).toEqual({ start: 8, end: 19, peak: 16 });
+  });
+
+  it('only bridges lulls up to maxGap samples', () => {
+    // The two quiet samples at the top end the window when no gap is tolerated
+    expect(detectSwingWindow(energy, 1)).toEqual({ start: 12, end: 19, peak: 16 });
+  });
+});
+
+describe('selectKeyframes', () => {
+  it('picks address, the dip at the top, impact and finish', () => {
+    const energy = [...idle(8), ...SWING, ...idle(9)];
+    expect(selectKeyframes(energy, detectSwingWindow(energy))).toEqual({
+      address: 8,
+      top: 12,
+      impact: 16,
+      finish: 19
+    });
+  });
+
+  it('keeps the top inside the window when the swing starts at the peak', () => {
+    const keyframes = selectKeyframes([40, 20, 5, 1], { start: 0, end: 3, peak: 0 });
+    expect(keyframes).toEqual({ address: 0, top: 0, impact: 0, finish: 3 });
+  });
+});
+
+describe('findMotionBursts', () => {
+  it('finds each swing of a range session and drops weak motion', () => {
+    const energy = [
+      ...idle(12),
+      8, 12, 8, // a waggle, well below the swings
+      ...idle(12),
+      ...SWING, // 27-37
+      ...idle(20),
+      ...SWING, // 58-68
+      ...idle(12)
+    ];
+
+    expect(findMotionBursts(energy)).toEqual([
+      { start: 27, end: 38, peak: 35 },
+      { start: 58, end: 69, peak: 66 }
+    ]);
+  });
+
+  it('keeps bursts apart only when the quiet stretch is longer than maxGap', () => {
+    const energy = [...idle(20), ...SWING, ...idle(2), ...SWING, ...idle(20)];
+
+    expect(findMotionBursts(energy)).toHaveLength(1);
+    expect(findMotionBursts(energy, { maxGap: 2 })).toHaveLength(2);
+  });
+
+  it('ignores bursts shorter than minLength', () => {
+    const energy = [...idle(10), 40, ...idle(10)];
+    expect(findMotionBursts(energy, { minLength: 4 })).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+// src/utils/frameRate.js
+// Frame rate of a clip, read from the media times of the frames the browser presents
+// (requestVideoFrameCallback). Containers don't expose the rate to the page, and stepping
+// by a guessed 1/30s skips frames of 60 and 120 fps phone recordings.
+
+export const COMMON_FRAME_RATES = [24, 25, 30, 48, 50, 60, 90, 120, 240];
+
+// Deltas collected before settling on a rate, and the longest gap counted as a frame
+// (longer gaps are pauses or dropped frames)
+const SAMPLE_DELTAS = 8;
+const MAX_FRAME_GAP = 0.25;
+const PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Estimate the frame rate from the media time gaps between presented frames.
+ * Gaps are whole numbers of frames (the display may skip some), so the smallest is one frame.
+ * @param {Array<number>} deltas - Seconds between consecutive presented frames
+ * @returns {number|null} Frames per second, snapped to a common rate when within 3%
+ */
+export const estimateFrameRate = (deltas) => {
+  const gaps = deltas.filter(delta => delta > 0 && delta < MAX_FRAME_GAP);
+  if (gaps.length === 0) return null;
+
+  const rate = 1 / Math.min(...gaps);
+  const common = COMMON_FRAME_RATES.find(candidate => Math.abs(candidate - rate) / candidate < 0.03);
+  return common || Math.round(rate);
+};
+
+/**
+ * Whether the browser reports presented frames
+ * @param {HTMLVideoElement} video - A video element
+ * @returns {boolean} True when requestVideoFrameCallback is available
+ */
+export const canObserveFrames = (video) => typeof video?.requestVideoFrameCallback === 'function';
+
+/**
+ * Watch a video's presented frames while it plays and report its frame rate once.
+ * Frames shown by seeks (stepping, scrubbing) are ignored: their gaps are the step size.
+ * @param {HTMLVideoElement} video - The video element
+ * @param {Function} onFrameRate - Called with the frames per second
+ * @returns {Function} Stops watching
+ */
+export const observeFrameRate = (video, onFrameRate) => {
+  if (!canObserveFrames(video)) return () => {};
+
+  const deltas = [];
+  let lastMediaTime = null;
+  let handle = null;
+  let stopped = false;
+
+  const handleFrame = (now, metadata) => {
+    if (stopped) return;
+    if (video.paused || video.seeking) {
+      lastMediaTime = null;
+    } else {
+      if (lastMediaTime !== null) deltas.push(metadata.mediaTime - lastMediaTime);
+      lastMediaTime = metadata.mediaTime;
+    }
+
+    const rate = deltas.length >= SAMPLE_DELTAS ? estimateFrameRate(deltas) : null;
+    if (rate) {
+      stopped = true;
+      onFrameRate(rate);
+      return;
+    }
+    handle = video.requestVideoFrameCallback(handleFrame);
+  };
+
+  // A seek starts a new run of frames
+  const handleSeeking = () => {
+    lastMediaTime = null;
+  };
+
+  video.addEventListener('seeking', handleSeeking);
+  handle = video.requestVideoFrameCallback(handleFrame);
+
+  return () => {
+    stopped = true;
+    video.removeEventListener('seeking', handleSeeking);
+    video.cancelVideoFrameCallback(handle);
+  };
+};
+
+/**
+ * Play the start of a video file off screen to measure its frame rate. Playing at a
+ * quarter speed lets the display show every frame of clips up to 240 fps.
+ * @param {File|Blob} videoFile - The video file
+ * @returns {Promise<number|null>} Frames per second, or null when it can't be measured
+ */
+export const probeFrameRate = (videoFile) => {
+  const video = document.createElement('video');
+  if (!canObserveFrames(video)) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(videoFile);
+    let stopObserving = () => {};
+    let settled = false;
+
+    const finish = (rate) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stopObserving();
+      video.pause();
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+      resolve(rate);
+    };
+    const timer = setTimeout(() => finish(null), PROBE_TIMEOUT_MS);
+
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadeddata = () => {
+      video.playbackRate = 0.25;
+      stopObserving = observeFrameRate(video, finish);
+      video.play().catch(() => finish(null));
+    };
+    video.onerror = () => finish(null);
+    video.src = url;
+  });
+};
+
+export default {
+  COMMON_FRAME_RATES,
+  estimateFrameRate,
+  canObserveFrames,
+  observeFrameRate,
+  probeFrameRate
+};
@@ -0,0 +1,20 @@
+// src/utils/frameRate.test.js
+import { estimateFrameRate } from './frameRate';
+
+describe('estimateFrameRate', () => {
+  it('reads the rate from the smallest gap between frames', () => {
+    expect(estimateFrameRate([1 / 60, 2 / 60, 1 / 60, 3 / 60])).toBe(60);
+    expect(estimateFrameRate([2 / 120, 1 / 120])).toBe(120);
+  });
+
+  it('snaps NTSC and slightly uneven rates to the common ones', () => {
+    expect(estimateFrameRate([1001 / 30000, 1001 / 30000])).toBe(30);
+    expect(estimateFrameRate([1 / 59.5])).toBe(60);
+    expect(estimateFrameRate([1 / 15])).toBe(15);
+  });
+
+  it('ignores pauses and backwards jumps', () => {
+    expect(estimateFrameRate([0.5, -1 / 30, 0])).toBeNull();
+    expect(estimateFrameRate([0.5, 1 / 24])).toBe(24);
+  });
+});
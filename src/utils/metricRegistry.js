@@ -0,0 +1,413 @@
+// src/utils/metricRegistry.js
+// Single source of truth for the swing metric catalog.
+//
+// Each metric defines:
+//   title       - display name
+//   aliases     - legacy keys that refer to the same metric
+//   category    - Setup, Club, Body or Mental
+//   weight      - relative weight in the overall score (scores divide by the weights present,
+//                 so only the ratios matter; getMetricWeighting shows each as a share of the total)
+//   difficulty  - 1 (easy) to 10 (hard)
+//   scored      - whether the analysis prompt asks the model to score it
+//   phase       - swing phase where the metric is best judged (address, top, impact, finish), or null
+//   summary     - one-line description used in the UI
+//   description - full Swing Recipe description used in prompts and admin seeding
+//   rubric      - scoring question and bands for the analysis prompt (scored metrics only)
+//   exampleUrl  - reference video
+//
+// The analysis prompt, the UI helpers in swingUtils and the admin seeding all read from here.
+import { extractYouTubeVideoId } from './youtubeUtils';
+
+// Weight used for keys that are not in the catalog
+const DEFAULT_METRIC_WEIGHT = 0.05;
+
+export const METRIC_CATALOG = {
+  backswing: {
+    title: "Backswing",
+    aliases: ["clubTrajectoryBackswing", "swingBack"],
+    category: "Club",
+    weight: 0.10,
+    difficulty: 8,
+    scored: true,
+    phase: "top",
+    summary: "Your takeaway and club position during the backswing phase",
+    description: "Your takeaway and club position during the backswing phase. The path and position of the club during the backswing phase. This involves the takeaway, wrist position, backswing plane, and the rotation and position at the top of the backswing.",
+    rubric: {
+      question: "Evaluate the takeaway, wrist position, backswing plane, and the rotation and position at the top. How does this affect the swing's potential power and accuracy, and does it set up a good downswing?",
+      bands: {
+        '90+': "Perfect takeaway, ideal wrist cock, full on-plane rotation to an ideal position at the top",
+        '70-89': "Good fundamentals with minor flaws in plane, wrist position or turn",
+        '50-69': "Functional but with clear issues in takeaway, plane or a restricted turn",
+        '<50': "Significant flaws causing compensations, severely restricted or off-plane at the top"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=oszzApkv54s"
+  },
+  stance: {
+    title: "Stance",
+    aliases: [],
+    category: "Setup",
+    weight: 0.07,
+    difficulty: 2,
+    scored: true,
+    phase: "address",
+    summary: "Your foot position, width, alignment, and posture",
+    description: "This is the proper set up before your swing. You want to be the right distance between you and the ball. This includes your feet around shoulder width apart with your club at roughly a 45 degree angle and your hands lined up underneath your head.",
+    rubric: {
+      question: "Assess foot position, width, weight distribution, and posture. How does this stance support balance and power generation?",
+      bands: {
+        '90+': "Perfect athletic posture, ideal width and alignment",
+        '70-89': "Good posture with minor alignment or width issues",
+        '50-69': "Basic posture established but with noticeable flaws",
+        '<50': "Poor posture affecting the entire swing"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=P4d5TjzEgtk"
+  },
+  grip: {
+    title: "Grip",
+    aliases: [],
+    category: "Setup",
+    weight: 0.07,
+    difficulty: 3,
+    scored: true,
+    phase: "address",
+    summary: "How you hold the club and hand positioning",
+    description: "You should be using an interlocking golf grip instead of holding the club like a baseball bat. This will create a consistent swing and keep the club and your hands from rotating too much during your swing.",
+    rubric: {
+      question: "Evaluate hand placement, pressure, and wrist position. How does the grip influence clubface control and swing path?",
+      bands: {
+        '90+': "Textbook grip with ideal pressure and hand placement",
+        '70-89': "Functional grip with minor issues in hand position",
+        '50-69': "Basic grip established but with pressure or placement issues",
+        '<50': "Fundamentally flawed grip requiring rebuilding"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=nd6y-5nInHQ"
+  },
+  swingForward: {
+    title: "Downswing",
+    aliases: ["clubTrajectoryForswing"],
+    category: "Club",
+    weight: 0.15,
+    difficulty: 8,
+    scored: true,
+    phase: "impact",
+    summary: "The path your club takes on the way down to impact",
+    description: "The path and position of the club during the forward swing phase, as you begin to swing towards the ball.",
+    rubric: {
+      question: "Evaluate the downswing path, transition, and follow through. Does the downswing sequence efficiently transfer energy to the ball?",
+      bands: {
+        '90+': "Perfect sequencing and path through impact",
+        '70-89': "Good sequencing with minor path issues",
+        '50-69': "Basic sequencing but with timing or path issues",
+        '<50': "Poor sequencing with major path flaws"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=xia6slsDGd4"
+  },
+  hipRotation: {
+    title: "Hip Rotation",
+    aliases: [],
+    category: "Body",
+    weight: 0.08,
+    difficulty: 6,
+    scored: true,
+    phase: "impact",
+    summary: "How your hips rotate throughout the swing",
+    description: "How your hips rotate throughout the swing.",
+    rubric: {
+      question: "Assess the hip turn both in backswing and through impact. How does hip rotation contribute to power and swing speed?",
+      bands: {
+        '90+': "Perfect hip loading and explosive rotation through impact",
+        '70-89': "Good rotation with minor timing or restriction issues",
+        '50-69': "Basic rotation but with clear restrictions",
+        '<50': "Minimal hip involvement"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=p_HZJ2u0TIo&t=2s"
+  },
+  swingSpeed: {
+    title: "Swing Speed",
+    aliases: [],
+    category: "Club",
+    weight: 0.05,
+    difficulty: 7,
+    scored: true,
+    phase: "impact",
+    summary: "The velocity and acceleration through your swing",
+    description: "Finding the way to maximize your swing speed where you are able to stay in control but still generate enough power to increase distance. The velocity and acceleration of the club throughout the swing, particularly at impact.",
+    rubric: {
+      question: "Rate the tempo and acceleration through the ball. Is the swing speed appropriate for the club and does it indicate efficient power transfer?",
+      bands: {
+        '90+': "Perfect tempo with ideal acceleration through impact",
+        '70-89': "Good tempo with minor acceleration issues",
+        '50-69': "Inconsistent tempo affecting clubhead speed",
+        '<50': "Poor tempo with deceleration issues"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=FSDH0DXWP7M"
+  },
+  shallowing: {
+    title: "Shallowing",
+    aliases: [],
+    category: "Club",
+    weight: 0.15,
+    difficulty: 9,
+    scored: true,
+    phase: "impact",
+    summary: "How well your club drops into the proper path during downswing",
+    description: "How well the club 'shallows' or drops into the correct path during the downswing.",
+    rubric: {
+      question: "Evaluate club path and shaft position in the downswing. Does the shallowing action promote optimal contact?",
+      bands: {
+        '90+': "Perfect shallowing with ideal shaft plane",
+        '70-89': "Good shallowing with minor steepness issues",
+        '50-69': "Inconsistent shallowing with occasional steepness",
+        '<50': "Consistently steep or incorrect shallowing"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=OaeUTaBo6hw"
+  },
+  pacing: {
+    title: "Tempo & Rhythm",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 6,
+    scored: true,
+    phase: null,
+    summary: "The timing and rhythm throughout your swing",
+    description: "The overall rhythm and timing of your swing to ensure proper technique.",
+    rubric: {
+      question: "Rate the overall rhythm and timing of the swing. Does the rhythm support consistent and powerful swings?",
+      bands: {
+        '90+': "Perfect rhythm throughout with ideal transitions",
+        '70-89': "Good rhythm with minor timing issues",
+        '50-69': "Functional but with rushed or slow segments",
+        '<50': "Disjointed or poorly timed"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=t8npyrOQ9Os"
+  },
+  confidence: {
+    title: "Confidence",
+    aliases: [],
+    category: "Mental",
+    weight: 0.05,
+    difficulty: 7,
+    scored: true,
+    phase: null,
+    summary: "Your mental composure and commitment to the swing",
+    description: "This is focused on the mental side of the game. Confidence is key to not be phased by the pressure of the game, being able to stick to your fundamentals and not get in your head after a bad shot.",
+    rubric: {
+      question: "Assess the decisiveness and commitment to the swing. Is the golfer confident and committed to the swing?",
+      bands: {
+        '90+': "Complete commitment with precise setup routine",
+        '70-89': "Good commitment with occasional hesitation",
+        '50-69': "Basic commitment but with visible uncertainty",
+        '<50': "Tentative throughout"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=y95_Us_qCpQ"
+  },
+  focus: {
+    title: "Focus",
+    aliases: [],
+    category: "Mental",
+    weight: 0.05,
+    difficulty: 4,
+    scored: true,
+    phase: null,
+    summary: "Your concentration and attention during setup and swing",
+    description: "This is also focused on the mental side of the game. This is the ability to hone in on where you want to hit your shot and your concentration on the ball. Staying focused means you aren't bouncing your eyes around but remain focused on the ball.",
+    rubric: {
+      question: "Evaluate setup routine and swing execution. Is the golfer focused and attentive throughout the swing?",
+      bands: {
+        '90+': "Laser focus throughout with perfect routine",
+        '70-89': "Good focus with minor lapses",
+        '50-69': "Basic focus but with visible distractions",
+        '<50': "Unfocused or inconsistent attention"
+      }
+    },
+    exampleUrl: "https://www.youtube.com/watch?v=SLbeLgQls_4"
+  },
+  ballPosition: {
+    title: "Ball Position",
+    aliases: [],
+    category: "Setup",
+    weight: 0.06,
+    difficulty: 1,
+    scored: false,
+    phase: "address",
+    summary: "The position of the ball relative to your stance and club type",
+    description: "You want to stand the right distance from the ball as you set up to take your shot. This should be so the club is at roughly a 45 degree angle from the ball and that the ball is positioned different based on the club you are using - a driver should have the ball closer to your lead foot while a short range club will have the ball more in between your feet.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=UdZfTKBfGho"
+  },
+  impactPosition: {
+    title: "Impact Position",
+    aliases: [],
+    category: "Club",
+    weight: 0.15,
+    difficulty: 10,
+    scored: false,
+    phase: "impact",
+    summary: "The position and angle of the club at the moment of impact",
+    description: "The position and angle of the club at the moment of impact with the ball.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=Wu7jMcPK2yM"
+  },
+  stiffness: {
+    title: "Stiffness",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 5,
+    scored: false,
+    phase: "address",
+    summary: "Your ability to remove tension from your body during your swing",
+    description: "Your ability to remove tension from your body during your swing. You don't want to be too tight or else it will limit your body from being able to swing properly. But you also don't want your body to be too loose or else you will sacrifice other fundamentals of your swing.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=trOLRAPi07M"
+  },
+  followThrough: {
+    title: "Follow Through",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 4,
+    scored: false,
+    phase: "finish",
+    summary: "Your swing completion after ball contact",
+    description: "The completion of the swing after impact with the ball.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=kf0v-iCntNo"
+  },
+  headPosition: {
+    title: "Head Position",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 4,
+    scored: false,
+    phase: "impact",
+    summary: "The stability and position of your head during the swing",
+    description: "The position and stability of your head throughout the entire swing.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=CsDhFI0A8-Y"
+  },
+  shoulderPosition: {
+    title: "Shoulder Position",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 6,
+    scored: false,
+    phase: "top",
+    summary: "How your shoulders move and position throughout the swing",
+    description: "The position and movement of your shoulders through the swing.",
+    rubric: null,
+    exampleUrl: "https://www.youtube.com/watch?v=OCuK7nWvHt0"
+  },
+  armPosition: {
+    title: "Arm Position",
+    aliases: [],
+    category: "Body",
+    weight: 0.04,
+    difficulty: 6,
+    scored: false,
+    phase: "top",
+    summary: "The positioning of your arms throughout the swing",
+    description: "The proper positioning of your arms throughout the entire swing.",
+    rubric: null,
+    exampleUrl: "https://youtu.be/ToDcjnxouQU"
+  }
+};
+
+// Legacy key -> canonical key
+const ALIAS_MAP = Object.entries(METRIC_CATALOG).reduce((map, [key, metric]) => {
+  metric.aliases.forEach(alias => {
+    map[alias] = key;
+  });
+  return map;
+}, {});
+
+const TOTAL_CATALOG_WEIGHT = Object.values(METRIC_CATALOG)
+  .reduce((sum, metric) => sum + metric.weight, 0);
+
+/**
+ * Resolve a metric key or legacy alias to its canonical key
+ * @param {string} metricKey - Metric key or alias
+ * @returns {string} Canonical key (unknown keys are returned unchanged)
+ */
+export const resolveMetricKey = (metricKey) => {
+  if (METRIC_CATALOG[metricKey]) return metricKey;
+  return ALIAS_MAP[metricKey] || metricKey;
+};
+
+/**
+ * Get the catalog definition for a metric
+ * @param {string} metricKey - Metric key or alias
+ * @returns {Object|null} Definition including its canonical key, or null if unknown
+ */
+export const getMetricDefinition = (metricKey) => {
+  const key = resolveMetricKey(metricKey);
+  const metric = METRIC_CATALOG[key];
+  return metric ? { key, ...metric } : null;
+};
+
+/**
+ * Get every canonical metric key in catalog order
+ * @returns {Array<string>} Metric keys
+ */
+export const getAllMetricKeys = () => Object.keys(METRIC_CATALOG);
+
+/**
+ * Get the metric keys the analysis prompt asks the model to score
+ * @returns {Array<string>} Metric keys in prompt order
+ */
+export const getScoredMetricKeys = () => {
+  return Object.keys(METRIC_CATALOG).filter(key => METRIC_CATALOG[key].scored);
+};
+
+/**
+ * Get the weight of a metric in the overall score
+ * @param {string} metricKey - Metric key or alias
+ * @returns {number} Relative weight
+ */
+export const getMetricWeight = (metricKey) => {
+  const metric = getMetricDefinition(metricKey);
+  return metric ? metric.weight : DEFAULT_METRIC_WEIGHT;
+};
+
+/**
+ * Get the share of the overall score a metric represents, formatted for display
+ * @param {string} metricKey - Metric key or alias
+ * @returns {string} Percentage string, e.g. "11.36%"
+ */
+export const getMetricWeighting = (metricKey) => {
+  return `${((getMetricWeight(metricKey) / TOTAL_CATALOG_WEIGHT) * 100).toFixed(2)}%`;
+};
+
+/**
+ * Build the documents used to seed the `metrics` collection
+ * @returns {Object} Seed documents keyed by metric
+ */
+export const buildMetricSeedDocuments = () => {
+  return Object.entries(METRIC_CATALOG).reduce((docs, [key, metric]) => {
+    const videoId = extractYouTubeVideoId(metric.exampleUrl);
+    docs[key] = {
+      title: metric.title,
+      description: metric.description,
+      category: metric.category,
+      difficulty: metric.difficulty,
+      weighting: getMetricWeighting(key),
+      aliases: metric.aliases,
+      exampleUrl: metric.exampleUrl,
+      embedUrl: videoId ? `https://www.youtube.com/embed/${videoId}` : null,
+      youtubeVideoId: videoId
+    };
+    return docs;
+  }, {});
+};
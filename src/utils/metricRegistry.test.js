@@ -0,0 +1,35 @@
+// src/utils/metricRegistry.test.js
+import {
+  METRIC_CATALOG,
+  resolveMetricKey,
+  getMetricDefinition,
+  getScoredMetricKeys,
+  getMetricWeighting
+} from './metricRegistry';
+import { calculateWeightedOverallScore } from './swingUtils';
+
+describe('metricRegistry', () => {
+  it('gives every metric its own title', () => {
+    const titles = Object.values(METRIC_CATALOG).map(metric => metric.title);
+    expect(new Set(titles).size).toBe(titles.length);
+  });
+
+  it('resolves legacy keys to the metric that replaced them', () => {
+    expect(resolveMetricKey('swingBack')).toBe('backswing');
+    expect(resolveMetricKey('clubTrajectoryForswing')).toBe('swingForward');
+    expect(getMetricDefinition('swingBack').title).toBe('Backswing');
+    expect(getScoredMetricKeys()).not.toContain('swingBack');
+  });
+
+  it('shows the weightings as shares of the whole score', () => {
+    const total = Object.keys(METRIC_CATALOG)
+      .reduce((sum, key) => sum + parseFloat(getMetricWeighting(key)), 0);
+    expect(total).toBeCloseTo(100, 1);
+  });
+
+  it('scores a swing with every metric at 80 as 80', () => {
+    const metrics = Object.fromEntries(Object.keys(METRIC_CATALOG).map(key => [key, 80]));
+    expect(calculateWeightedOverallScore(metrics)).toBe(80);
+    expect(calculateWeightedOverallScore({ grip: 60, backswing: 90 })).toBe(Math.round((60 * 0.07 + 90 * 0.10) / 0.17));
+  });
+});
@@ -0,0 +1,95 @@
+// src/utils/permissions.js
+// Roles and the permissions they grant.
+//
+// A user's roles are stored in the `roles` array of their users/{uid} document. Every signed-in
+// user is a player; the legacy isAdmin / isCoach flags still count as the admin / coach roles.
+// firestore.rules keeps the same table (permission -> roles) in permissionRoles(); a test in
+// src/firebase/firestoreRules.test.js parses it and fails when the two disagree.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  COACH: 'coach',
+  PLAYER: 'player',
+  REVIEWER: 'reviewer'
+};
+
+export const PERMISSIONS = {
+  ADMIN_ACCESS: 'admin:access',         // open the admin dashboard
+  FEEDBACK_PROCESS: 'feedback:process', // review analysis feedback and apply adjustments
+  METRICS_VIEW: 'metrics:view',         // model performance tracking
+  METRICS_EDIT: 'metrics:edit',         // metric definitions and reference videos
+  PROS_EDIT: 'pros:edit',               // pro golfer library
+  MIGRATIONS_RUN: 'migrations:run',
+  STORAGE_MANAGE: 'storage:manage',     // storage report, quotas and cleanup for all users
+  ROLES_MANAGE: 'roles:manage',         // give other users roles
+  USAGE_MANAGE: 'usage:manage',         // model usage report and analysis limits
+  STUDENTS_MANAGE: 'students:manage',   // invite students and see their swings
+  SWINGS_REVIEW: 'swings:review',       // leave reviews on students' swings
+  SWINGS_ANALYZE: 'swings:analyze'      // analyze and keep your own swings
+};
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.REVIEWER]: [
+    PERMISSIONS.ADMIN_ACCESS,
+    PERMISSIONS.FEEDBACK_PROCESS,
+    PERMISSIONS.METRICS_VIEW,
+    PERMISSIONS.SWINGS_ANALYZE
+  ],
+  [ROLES.COACH]: [
+    PERMISSIONS.STUDENTS_MANAGE,
+    PERMISSIONS.SWINGS_REVIEW,
+    PERMISSIONS.SWINGS_ANALYZE
+  ],
+  [ROLES.PLAYER]: [
+    PERMISSIONS.SWINGS_ANALYZE
+  ]
+};
+
+// Roles users may give themselves; the rest are given by an admin
+export const SELF_ASSIGNABLE_ROLES = [ROLES.PLAYER, ROLES.COACH];
+
+/**
+ * Roles of a user from their users/{uid} document
+ * @param {Object} userData - The user document's data (may be null)
+ * @returns {Array<string>} Roles, always including player
+ */
+export const getUserRoles = (userData) => {
+  const roles = new Set([ROLES.PLAYER]);
+  (Array.isArray(userData?.roles) ? userData.roles : [])
+    .filter(role => ROLE_PERMISSIONS[role])
+    .forEach(role => roles.add(role));
+
+  // Flags from before roles existed
+  if (userData?.isAdmin === true) roles.add(ROLES.ADMIN);
+  if (userData?.isCoach === true) roles.add(ROLES.COACH);
+
+  return [...roles];
+};
+
+/**
+ * Permissions granted by a set of roles
+ * @param {Array<string>} roles - Role names
+ * @returns {Set<string>} Permissions
+ */
+export const getRolePermissions = (roles) => new Set(
+  (roles || []).flatMap(role => ROLE_PERMISSIONS[role] || [])
+);
+
+/**
+ * Whether a set of roles grants a permission
+ * @param {Array<string>} roles - Role names
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if any role grants it
+ */
+export const rolesHavePermission = (roles, permission) => getRolePermissions(roles).has(permission);
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  SELF_ASSIGNABLE_ROLES,
+  getUserRoles,
+  getRolePermissions,
+  rolesHavePermission
+};
@@ -0,0 +1,146 @@
+// src/utils/proMatching.js
+import { resolveMetricKey } from './metricRegistry';
+import { getMetricInfo, summarizeSwingSet } from './swingUtils';
+
+// Spread assumed for a metric when neither the reference model nor the pro library has one
+const DEFAULT_METRIC_STD_DEV = 10;
+
+// Pros sharing fewer metrics than this with the user aren't ranked
+const MIN_SHARED_METRICS = 5;
+
+/**
+ * Collect numeric metrics under their current catalog keys
+ * @param {Object} metrics - Metrics keyed by current or legacy key
+ * @returns {Object} Metric values keyed by current key
+ */
+const normalizeMetrics = (metrics) => Object.entries(metrics || {}).reduce((acc, [key, value]) => {
+  if (typeof value === 'number') acc[resolveMetricKey(key)] = value;
+  return acc;
+}, {});
+
+/**
+ * Average metric vector of a set of swings
+ * @param {Array} swings - The user's swings
+ * @returns {Object|null} { metrics, swingCount }, or null if no swing has been scored
+ */
+export const getMetricProfile = (swings) => {
+  const normalized = (swings || []).map(swing => ({ ...swing, metrics: normalizeMetrics(swing?.metrics) }));
+  const summary = summarizeSwingSet(normalized);
+  if (!summary) return null;
+
+  return {
+    metrics: Object.fromEntries(Object.entries(summary.metrics).map(([key, stats]) => [key, stats.average])),
+    swingCount: summary.count
+  };
+};
+
+/**
+ * Spread of each metric used to scale differences: the reference model's stdDev, else the
+ * spread across the pros being compared, else a default
+ * @param {Object} referenceModel - Output of createReferenceModel (optional)
+ * @param {Array} pros - Pros being compared
+ * @returns {Function} (metricKey) => stdDev
+ */
+export const getMetricScale = (referenceModel, pros = []) => {
+  const librarySpread = {};
+  pros.forEach(pro => {
+    Object.entries(normalizeMetrics(pro.metrics)).forEach(([key, value]) => {
+      (librarySpread[key] = librarySpread[key] || []).push(value);
+    });
+  });
+
+  return (metricKey) => {
+    const modelStdDev = referenceModel?.metrics?.[metricKey]?.stdDev;
+    if (modelStdDev > 0) return modelStdDev;
+
+    const values = librarySpread[metricKey] || [];
+    if (values.length > 1) {
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const spread = Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+      if (spread > 0) return spread;
+    }
+
+    return DEFAULT_METRIC_STD_DEV;
+  };
+};
+
+/**
+ * How similar a user's metric profile is to a pro's. Each metric difference is divided by
+ * that metric's spread (a z-score), and the distance is the root mean square of those
+ * z-scores. Correlations between metrics are ignored, so related metrics that move together
+ * count once each.
+ * @param {Object} userMetrics - The user's average metrics
+ * @param {Object} proMetrics - The pro's metrics
+ * @param {Function} scale - (metricKey) => stdDev, see getMetricScale
+ * @returns {Object|null} { distance, similarity (0-100), gaps } or null if too few metrics are shared.
+ *   gaps is one row per shared metric ({ key, title, user, pro, gap, z }) where gap is pro - user
+ */
+export const compareMetricProfiles = (userMetrics, proMetrics, scale) => {
+  const user = normalizeMetrics(userMetrics);
+  const pro = normalizeMetrics(proMetrics);
+  const keys = Object.keys(user).filter(key => key in pro);
+  if (keys.length < MIN_SHARED_METRICS) return null;
+
+  const gaps = keys.map(key => {
+    const gap = pro[key] - user[key];
+    return {
+      key,
+      title: getMetricInfo(key).title,
+      user: user[key],
+      pro: pro[key],
+      gap,
+      z: gap / scale(key)
+    };
+  });
+
+  const distance = Math.sqrt(gaps.reduce((sum, row) => sum + row.z * row.z, 0) / gaps.length);
+
+  return {
+    distance,
+    // One stdDev apart on average scores about 61
+    similarity: Math.round(100 * Math.exp(-(distance * distance) / 2)),
+    gaps
+  };
+};
+
+/**
+ * Rank pros by how closely their metric profile matches the user's
+ * @param {Object} userMetrics - The user's average metrics (see getMetricProfile)
+ * @param {Array} pros - Pro golfers with metrics
+ * @param {Object} referenceModel - Output of createReferenceModel (optional)
+ * @returns {Array<Object>} Matches, closest first: { pro, distance, similarity, sharedMetrics,
+ *   closestMetrics (the three metrics that match best), biggestLever (the metric whose gap adds
+ *   most to the distance, preferring ones where the user trails the pro) }
+ */
+export const findClosestPros = (userMetrics, pros, referenceModel = null) => {
+  const scale = getMetricScale(referenceModel, pros);
+
+  return (pros || [])
+    .map(pro => {
+      const comparison = compareMetricProfiles(userMetrics, pro.metrics, scale);
+      if (!comparison) return null;
+
+      const byFit = [...comparison.gaps].sort((a, b) => Math.abs(a.z) - Math.abs(b.z));
+      const trailing = comparison.gaps.filter(row => row.gap > 0);
+      const biggestLever = (trailing.length > 0 ? trailing : comparison.gaps)
+        .reduce((biggest, row) => (Math.abs(row.z) > Math.abs(biggest.z) ? row : biggest));
+
+      return {
+        pro,
+        distance: comparison.distance,
+        similarity: comparison.similarity,
+        sharedMetrics: comparison.gaps.length,
+        closestMetrics: byFit.slice(0, 3),
+        biggestLever
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance);
+};
+
+export default {
+  getMetricProfile,
+  getMetricScale,
+  compareMetricProfiles,
+  findClosestPros
+};
@@ -0,0 +1,98 @@
+// src/utils/proMatching.test.js
+import { getMetricProfile, getMetricScale, compareMetricProfiles, findClosestPros } from './proMatching';
+
+const KEYS = ['backswing', 'stance', 'grip', 'swingForward', 'hipRotation'];
+
+/**
+ * Metrics with every key set to the same value, plus overrides
+ * @param {number} value - Default score
+ * @param {Object} overrides - Scores to replace
+ * @returns {Object} Metrics
+ */
+const metrics = (value, overrides = {}) => ({
+  ...Object.fromEntries(KEYS.map(key => [key, value])),
+  ...overrides
+});
+
+describe('getMetricProfile', () => {
+  it('averages scored swings under the current metric keys', () => {
+    const profile = getMetricProfile([
+      { overallScore: 70, metrics: { swingBack: 60, grip: 80 } },
+      { overallScore: 74, metrics: { backswing: 70, grip: 90 } },
+      { metrics: { backswing: 10 } }
+    ]);
+
+    expect(profile).toEqual({ metrics: { backswing: 65, grip: 85 }, swingCount: 2 });
+  });
+
+  it('returns null when no swing has been scored', () => {
+    expect(getMetricProfile([{ metrics: { grip: 80 } }])).toBeNull();
+    expect(getMetricProfile(null)).toBeNull();
+  });
+});
+
+describe('getMetricScale', () => {
+  it('prefers the reference model, then the spread across pros, then a default', () => {
+    const scale = getMetricScale(
+      { metrics: { grip: { stdDev: 4 }, stance: { stdDev: 0 } } },
+      [{ metrics: { stance: 70, grip: 60 } }, { metrics: { stance: 80, grip: 60 } }]
+    );
+
+    expect(scale('grip')).toBe(4);
+    expect(scale('stance')).toBe(5);
+    expect(scale('hipRotation')).toBe(10);
+  });
+});
+
+describe('compareMetricProfiles', () => {
+  const scale = () => 10;
+
+  it('takes the root mean square of the z-scores of the shared metrics', () => {
+    const comparison = compareMetricProfiles(
+      metrics(70),
+      metrics(70, { backswing: 90, grip: 50 }),
+      scale
+    );
+
+    // z-scores of 2, -2, 0, 0, 0
+    expect(comparison.distance).toBeCloseTo(Math.sqrt(8 / 5));
+    expect(comparison.similarity).toBe(Math.round(100 * Math.exp(-0.8)));
+    expect(comparison.gaps.find(row => row.key === 'grip')).toEqual(expect.objectContaining({
+      user: 70, pro: 50, gap: -20, z: -2
+    }));
+  });
+
+  it('scores identical profiles as a perfect match', () => {
+    expect(compareMetricProfiles(metrics(70), metrics(70), scale)).toEqual(expect.objectContaining({
+      distance: 0,
+      similarity: 100
+    }));
+  });
+
+  it('needs enough shared metrics to compare', () => {
+    const { hipRotation, ...fewer } = metrics(70);
+    expect(hipRotation).toBe(70);
+    expect(compareMetricProfiles(metrics(70), fewer, scale)).toBeNull();
+  });
+});
+
+describe('findClosestPros', () => {
+  const pros = [
+    { name: 'Far', metrics: metrics(40) },
+    { name: 'Close', metrics: metrics(72, { hipRotation: 90, stance: 60 }) },
+    { name: 'Partial', metrics: { grip: 70 } }
+  ];
+
+  it('ranks pros by distance and skips those sharing too few metrics', () => {
+    const matches = findClosestPros(metrics(70), pros);
+    expect(matches.map(match => match.pro.name)).toEqual(['Close', 'Far']);
+    expect(matches[0].sharedMetrics).toBe(5);
+    expect(matches[0].closestMetrics).toHaveLength(3);
+  });
+
+  it('picks the biggest gap where the user trails the pro as the lever', () => {
+    const [closest] = findClosestPros(metrics(70), pros);
+    // stance is a bigger gap in the other direction, but hipRotation is where the user trails
+    expect(closest.biggestLever).toEqual(expect.objectContaining({ key: 'hipRotation', gap: 20 }));
+  });
+});
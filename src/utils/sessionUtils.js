@@ -0,0 +1,101 @@
+// src/utils/sessionUtils.js
+import { summarizeSwingSet } from './swingUtils';
+
+/**
+ * Group swings by practice session
+ * @param {Array} swings - Array of swing data objects
+ * @returns {Object} Swings grouped by session ID (swings without a session are left out)
+ */
+export const groupSwingsBySession = (swings) => {
+  return (swings || []).reduce((acc, swing) => {
+    if (!swing.sessionId) return acc;
+
+    if (!acc[swing.sessionId]) {
+      acc[swing.sessionId] = [];
+    }
+
+    acc[swing.sessionId].push(swing);
+    return acc;
+  }, {});
+};
+
+/**
+ * Count how often each value of a swing field appears
+ * @param {Array} swings - Array of swing data objects
+ * @param {string} field - Field to count (e.g. 'clubName', 'outcome')
+ * @returns {Array<Object>} [{ value, count, percentage }] sorted by count
+ */
+const countField = (swings, field) => {
+  const counts = {};
+  swings.forEach(swing => {
+    if (swing[field]) {
+      counts[swing[field]] = (counts[swing[field]] || 0) + 1;
+    }
+  });
+
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([value, count]) => ({
+      value,
+      count,
+      percentage: Math.round((count / swings.length) * 100)
+    }));
+};
+
+/**
+ * Summarize the swings of one session
+ * @param {Array} swings - The session's swings
+ * @returns {Object|null} Average/best/worst swing and metric consistency (see summarizeSwingSet),
+ *   plus clubMix and outcomeDistribution as [{ value, count, percentage }]
+ */
+export const summarizeSession = (swings) => {
+  const summary = summarizeSwingSet(swings);
+  if (!summary) return null;
+
+  return {
+    ...summary,
+    clubMix: countField(swings, 'clubName'),
+    outcomeDistribution: countField(swings, 'outcome')
+  };
+};
+
+/**
+ * Collapse swings into one entry per session, for trends measured session to session.
+ * Swings without a session count as a session of their own.
+ * @param {Array} swings - Array of swing data objects
+ * @returns {Array<Object>} Entries shaped like swings ({ overallScore, metrics, recordedDate })
+ *   with sessionId and swingCount
+ */
+export const aggregateSwingsBySession = (swings) => {
+  const grouped = groupSwingsBySession(swings);
+  const standalone = (swings || []).filter(swing => !swing.sessionId);
+
+  const sessionEntries = Object.entries(grouped).map(([sessionId, sessionSwings]) => {
+    const summary = summarizeSwingSet(sessionSwings);
+    const metrics = Object.fromEntries(
+      Object.entries(summary?.metrics || {}).map(([key, stats]) => [key, stats.average])
+    );
+    const firstRecorded = sessionSwings.reduce((earliest, swing) => (
+      new Date(swing.recordedDate) < new Date(earliest) ? swing.recordedDate : earliest
+    ), sessionSwings[0].recordedDate);
+
+    return {
+      sessionId,
+      swingCount: sessionSwings.length,
+      overallScore: summary?.averageScore ?? 0,
+      metrics,
+      recordedDate: firstRecorded
+    };
+  });
+
+  return [
+    ...sessionEntries,
+    ...standalone.map(swing => ({ ...swing, sessionId: null, swingCount: 1 }))
+  ];
+};
+
+export default {
+  groupSwingsBySession,
+  summarizeSession,
+  aggregateSwingsBySession
+};
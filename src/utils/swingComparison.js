@@ -0,0 +1,80 @@
+// src/utils/swingComparison.js
+import { getAllMetricKeys, resolveMetricKey } from './metricRegistry';
+import { getMetricInfo } from './swingUtils';
+
+/**
+ * Point in a swing's video that two swings are lined up on: the impact keyframe, else the
+ * start of the swing (address keyframe or trim in point), else the start of the video
+ * @param {Object} swing - Swing data ({ keyframes, trim })
+ * @returns {Object} { time, phase } where phase is 'impact', 'address', 'start' or 'video'
+ */
+export const getSyncAnchor = (swing) => {
+  const keyframes = swing?.keyframes || [];
+  const impact = keyframes.find(keyframe => keyframe.phase === 'impact');
+  if (impact) return { time: impact.time, phase: 'impact' };
+
+  const address = keyframes.find(keyframe => keyframe.phase === 'address');
+  if (address) return { time: address.time, phase: 'address' };
+
+  if (typeof swing?.trim?.start === 'number') return { time: swing.trim.start, phase: 'start' };
+  return { time: 0, phase: 'video' };
+};
+
+/**
+ * Shared timeline of two swings lined up on their anchors. Times on it are seconds from the
+ * anchor (negative before impact); it covers the part where both swings have video.
+ * @param {Array<Object>} clips - Two clips ({ anchor, start, end }) in seconds of their own video
+ * @returns {Object|null} { start, end } relative to the anchors, or null if the clips don't overlap
+ */
+export const getSyncWindow = (clips) => {
+  const start = Math.max(...clips.map(clip => clip.start - clip.anchor));
+  const end = Math.min(...clips.map(clip => clip.end - clip.anchor));
+  return end > start ? { start, end } : null;
+};
+
+/**
+ * Per-metric difference between two swings
+ * @param {Object} before - The earlier or reference swing ({ metrics, overallScore })
+ * @param {Object} after - The swing compared against it
+ * @returns {Array<Object>} Rows ({ key, title, category, before, after, delta }) with the overall
+ *   score first, then metrics in catalog order; values missing from a swing are null
+ */
+export const getMetricDeltas = (before, after) => {
+  const collect = (metrics) => Object.entries(metrics || {}).reduce((acc, [key, value]) => {
+    if (typeof value === 'number') acc[resolveMetricKey(key)] = value;
+    return acc;
+  }, {});
+
+  const beforeMetrics = collect(before?.metrics);
+  const afterMetrics = collect(after?.metrics);
+
+  // Catalog order first, then any keys the catalog doesn't know
+  const catalogKeys = getAllMetricKeys();
+  const extraKeys = [...new Set([...Object.keys(beforeMetrics), ...Object.keys(afterMetrics)])]
+    .filter(key => !catalogKeys.includes(key));
+  const keys = [...catalogKeys, ...extraKeys]
+    .filter(key => key in beforeMetrics || key in afterMetrics);
+
+  const row = (key, title, category, beforeValue, afterValue) => ({
+    key,
+    title,
+    category,
+    before: beforeValue ?? null,
+    after: afterValue ?? null,
+    delta: typeof beforeValue === 'number' && typeof afterValue === 'number' ? afterValue - beforeValue : null
+  });
+
+  return [
+    row('overallScore', 'Overall Score', null, before?.overallScore, after?.overallScore),
+    ...keys.map(key => {
+      const info = getMetricInfo(key);
+      return row(key, info.title, info.category, beforeMetrics[key], afterMetrics[key]);
+    })
+  ];
+};
+
+export default {
+  getSyncAnchor,
+  getSyncWindow,
+  getMetricDeltas
+};
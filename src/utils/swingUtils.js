@@ -1,170 +1,33 @@
+import { getMetricDefinition, getMetricWeight, getMetricWeighting } from './metricRegistry';
+
 /**
  * Gets consistent information about a swing metric
  * @param {string} metricKey - The metric identifier
  * @returns {Object} Information about the metric
  */
 export const getMetricInfo = (metricKey) => {
-    // Map between internal metric keys and display information
-    const metricsMap = {
-      // Mental metrics
-      confidence: {
-        title: "Confidence",
-        description: "Your mental composure and commitment to the swing",
-        category: "Mental",
-        difficulty: 7,
-        weight: "5.88%"
-      },
-      focus: {
-        title: "Focus",
-        description: "Your concentration and attention during setup and swing",
-        category: "Mental",
-        difficulty: 4,
-        weight: "5.88%"
-      },
-      
-      // Setup metrics
-      stance: {
-        title: "Stance",
-        description: "Your foot position, width, alignment, and posture",
-        category: "Setup",
-        difficulty: 2,
-        weight: "5.88%"
-      },
-      grip: {
-        title: "Grip",
-        description: "How you hold the club and hand positioning",
-        category: "Setup",
-        difficulty: 3,
-        weight: "5.88%"
-      },
-      ballPosition: {
-        title: "Ball Position",
-        description: "The position of the ball relative to your stance and club type",
-        category: "Setup",
-        difficulty: 1,
-        weight: "5.88%"
-      },
-      
-      // Club metrics
-      backswing: {
-        title: "Backswing",
-        description: "Your takeaway and club position during the backswing phase",
-        category: "Club",
-        difficulty: 8,
-        weight: "5.88%"
-      },
-      swingBack: {
-        title: "Backswing",
-        description: "Your takeaway and club position during the backswing phase",
-        category: "Club",
-        difficulty: 8,
-        weight: "5.88%"
-      },
-      clubTrajectoryBackswing: {
-        title: "Backswing",
-        description: "Your takeaway and club position during the backswing phase",
-        category: "Club",
-        difficulty: 8,
-        weight: "5.88%"
-      },
-      swingForward: {
-        title: "Downswing",
-        description: "The path your club takes on the way down to impact",
-        category: "Club",
-        difficulty: 8,
-        weight: "5.88%"
-      },
-      clubTrajectoryForswing: {
-        title: "Downswing",
-        description: "The path your club takes on the way down to impact",
-        category: "Club",
-        difficulty: 8,
-        weight: "5.88%"
-      },
-      swingSpeed: {
-        title: "Swing Speed",
-        description: "The velocity and acceleration through your swing",
-        category: "Club",
-        difficulty: 7,
-        weight: "5.88%"
-      },
-      shallowing: {
-        title: "Shallowing",
-        description: "How well your club drops into the proper path during downswing",
-        category: "Club",
-        difficulty: 9,
-        weight: "5.88%"
-      },
-      impactPosition: {
-        title: "Impact Position",
-        description: "The position and angle of the club at the moment of impact",
-        category: "Club",
-        difficulty: 10,
-        weight: "5.88%"
-      },
-      
-      // Body metrics
-      stiffness: {
-        title: "Stiffness",
-        description: "Your ability to remove tension from your body during your swing",
-        category: "Body",
+    const metric = getMetricDefinition(metricKey);
+  
+    // Default info for metrics not in the catalog
+    if (!metric) {
+      return {
+        title: metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()),
+        description: "An important aspect of your golf swing",
+        category: "General",
         difficulty: 5,
-        weight: "5.88%"
-      },
-      hipRotation: {
-        title: "Hip Rotation",
-        description: "How your hips rotate throughout the swing",
-        category: "Body",
-        difficulty: 6,
-        weight: "5.88%"
-      },
-      pacing: {
-        title: "Tempo & Rhythm",
-        description: "The timing and rhythm throughout your swing",
-        category: "Body",
-        difficulty: 6,
-        weight: "5.88%"
-      },
-      followThrough: {
-        title: "Follow Through",
-        description: "Your swing completion after ball contact",
-        category: "Body",
-        difficulty: 4,
-        weight: "5.88%"
-      },
-      headPosition: {
-        title: "Head Position",
-        description: "The stability and position of your head during the swing",
-        category: "Body",
-        difficulty: 4,
-        weight: "5.88%"
-      },
-      shoulderPosition: {
-        title: "Shoulder Position",
-        description: "How your shoulders move and position throughout the swing",
-        category: "Body",
-        difficulty: 6,
-        weight: "5.88%"
-      },
-      armPosition: {
-        title: "Arm Position",
-        description: "The positioning of your arms throughout the swing",
-        category: "Body", 
-        difficulty: 6,
-        weight: "5.88%"
-      }
-    };
+        weight: getMetricWeighting(metricKey),
+        phase: null
+      };
+    }
   
-    // Default info for metrics not in the map
-    const defaultInfo = {
-      title: metricKey.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()),
-      description: "An important aspect of your golf swing",
-      category: "General",
-      difficulty: 5,
-      weight: "5.88%"
+    return {
+      title: metric.title,
+      description: metric.summary,
+      category: metric.category,
+      difficulty: metric.difficulty,
+      weight: getMetricWeighting(metricKey),
+      phase: metric.phase
     };
-  
-    return metricsMap[metricKey] || defaultInfo;
   };
   
   /**
@@ -191,4 +54,87 @@ export const getMetricInfo = (metricKey) => {
     if (score >= 80) return '#27ae60'; // Green for good
     if (score >= 60) return '#f39c12'; // Orange for average
     return '#e74c3c'; // Red for needs improvement
-  };
\ No newline at end of file
+  };
+
+/**
+ * Get the confidence band around a score from a high-confidence analysis.
+ * The spread is measured on the raw runs, so its offsets are applied to the final score.
+ * @param {number} score - The displayed score
+ * @param {Object} spread - Spread of the runs ({ median, min, max })
+ * @returns {Object|null} { low, high } or null when there is no spread
+ */
+export const getScoreBand = (score, spread) => {
+  if (!spread || typeof score !== 'number') return null;
+  const clamp = (value) => Math.min(100, Math.max(0, Math.round(value)));
+  return {
+    low: clamp(score - (spread.median - spread.min)),
+    high: clamp(score + (spread.max - spread.median))
+  };
+};
+
+/**
+ * Calculate a more accurate overall score based on weighted metrics
+ * @param {Object} metrics - Object containing metric scores
+ * @returns {number} Weighted overall score
+ */
+export const calculateWeightedOverallScore = (metrics) => {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  
+  // Weights come from the metric catalog; unknown metrics get a default weight
+  Object.entries(metrics).forEach(([key, value]) => {
+    const weight = getMetricWeight(key);
+    weightedSum += value * weight;
+    totalWeight += weight;
+  });
+  
+  // Weights are relative, so divide by the weights of the metrics present
+  if (totalWeight > 0) {
+    weightedSum = weightedSum / totalWeight;
+  }
+  
+  // Round to nearest integer
+  return Math.round(weightedSum);
+};
+
+/**
+ * Summarize a set of swings recorded together (e.g. one range session)
+ * @param {Array<Object>} swings - Analyzed swings ({ overallScore, metrics })
+ * @returns {Object|null} { count, averageScore, bestSwing, worstSwing, metrics } where metrics maps
+ *   each metric key to { average, min, max, stdDev }, sorted from most to least consistent
+ */
+export const summarizeSwingSet = (swings) => {
+  const scored = (swings || []).filter(swing => typeof swing?.overallScore === 'number');
+  if (scored.length === 0) return null;
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const metricValues = {};
+  scored.forEach(swing => {
+    Object.entries(swing.metrics || {}).forEach(([key, value]) => {
+      if (typeof value !== 'number') return;
+      (metricValues[key] = metricValues[key] || []).push(value);
+    });
+  });
+
+  const metrics = Object.entries(metricValues)
+    .map(([key, values]) => {
+      const mean = average(values);
+      const variance = average(values.map(value => Math.pow(value - mean, 2)));
+      return [key, {
+        average: Math.round(mean),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        stdDev: Math.round(Math.sqrt(variance) * 10) / 10
+      }];
+    })
+    .sort((a, b) => a[1].stdDev - b[1].stdDev);
+
+  return {
+    count: scored.length,
+    averageScore: Math.round(average(scored.map(swing => swing.overallScore))),
+    bestSwing: scored.reduce((best, swing) => (swing.overallScore > best.overallScore ? swing : best)),
+    worstSwing: scored.reduce((worst, swing) => (swing.overallScore < worst.overallScore ? swing : worst)),
+    metrics: Object.fromEntries(metrics)
+  };
+};
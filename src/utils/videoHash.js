@@ -0,0 +1,46 @@
+// src/utils/videoHash.js
+
+/**
+ * Convert an ArrayBuffer to a lowercase hex string
+ * @param {ArrayBuffer} buffer - The buffer
+ * @returns {string} Hex string
+ */
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Whether content hashing is available (SubtleCrypto needs a secure context)
+ * @returns {boolean} True when SHA-256 hashing can be used
+ */
+export const isContentHashSupported = () => {
+  return typeof window !== 'undefined' && !!window.crypto?.subtle;
+};
+
+/**
+ * Compute the SHA-256 hash of a video file's bytes.
+ * The hash only depends on the content, so a renamed copy of a clip hashes the same.
+ * @param {File|Blob} videoFile - The video file
+ * @returns {Promise<string|null>} Hex digest, or null when hashing is unavailable
+ */
+export const hashVideoFile = async (videoFile) => {
+  if (!videoFile || !isContentHashSupported()) {
+    return null;
+  }
+
+  try {
+    const buffer = await videoFile.arrayBuffer();
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return toHex(digest);
+  } catch (error) {
+    console.error('Error hashing video file:', error);
+    return null;
+  }
+};
+
+export default {
+  hashVideoFile,
+  isContentHashSupported
+};
@@ -0,0 +1,552 @@
+// src/utils/videoTranscoder.js
+// Client-side compression of swing videos before they are analyzed and stored.
+//
+// Phone recordings (HEVC/MOV, 4K at 60 fps) are far larger than the analysis needs. The
+// clip is played once in a hidden <video> element and every presented frame that falls on
+// the target frame rate is drawn, downscaled, onto a canvas, then re-encoded:
+//   webcodecs     - VideoEncoder (VP9, or VP8) written to WebM by webmWriter
+//   mediarecorder - MediaRecorder on the canvas stream, for browsers without a usable encoder
+// Stored clips are also watched on other devices (coaches often review on iPhones), and
+// older Safari, iOS in particular, doesn't play WebM at all. So when MediaRecorder can
+// record H.264 MP4 that is used first, and WebM is only written when MP4 isn't available.
+// Audio is dropped. Timestamps follow the source, so trim points and detected swing
+// segments stay valid for the compressed file. Clips that are already small enough are
+// returned untouched, and so is everything when neither encoder is available.
+
+import { writeWebm } from './webmWriter';
+
+const SETTINGS_KEY = 'golfguru_transcode_settings';
+
+// Largest video that is uploaded to Storage
+export const MAX_STORED_VIDEO_SIZE = 100 * 1024 * 1024;
+// Largest recording accepted when it can be compressed before upload
+export const MAX_SOURCE_VIDEO_SIZE = 1024 * 1024 * 1024;
+
+// Output resolutions, by the length of the short side (so portrait clips are handled alike)
+export const TRANSCODE_RESOLUTIONS = [
+  { value: 480, label: '480p', bitrate: 1200000 },
+  { value: 720, label: '720p', bitrate: 2500000 },
+  { value: 1080, label: '1080p', bitrate: 5000000 }
+];
+
+export const TRANSCODE_FRAME_RATES = [30, 60];
+
+export const DEFAULT_TRANSCODE_SETTINGS = {
+  enabled: true,
+  resolution: 720,
+  frameRate: 30,
+  keepOriginal: false
+};
+
+// WebCodecs encoders, in order of preference; the result must also play back in this browser
+const WEBCODECS_CODECS = [
+  { codec: 'vp09.00.41.08', codecId: 'V_VP9', playbackType: 'video/webm; codecs="vp9"' },
+  { codec: 'vp8', codecId: 'V_VP8', playbackType: 'video/webm; codecs="vp8"' }
+];
+
+// MediaRecorder formats, in order of preference; MP4 first as it plays everywhere
+const MP4_RECORDER_MIME_TYPES = ['video/mp4;codecs=avc1', 'video/mp4'];
+const RECORDER_MIME_TYPES = [
+  'video/mp4;codecs=avc1',
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+  'video/mp4'
+];
+
+const KEYFRAME_INTERVAL_S = 1;   // frequent keyframes keep seeking and frame stepping quick
+const MAX_ENCODE_QUEUE = 8;      // playback pauses while the encoder catches up
+const LOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Error raised when a transcode is cancelled
+ * @returns {Error} The error, with code 'transcode/canceled'
+ */
+const cancelError = () => {
+  const error = new Error('Video compression cancelled');
+  error.code = 'transcode/canceled';
+  return error;
+};
+
+/**
+ * Get the compression settings saved on this device
+ * @returns {Object} Settings ({ enabled, resolution, frameRate, keepOriginal })
+ */
+export const getTranscodeSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_TRANSCODE_SETTINGS, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_TRANSCODE_SETTINGS };
+  }
+};
+
+/**
+ * Save compression settings on this device
+ * @param {Object} settings - Settings to change
+ * @returns {Object} The full settings
+ */
+export const saveTranscodeSettings = (settings) => {
+  const updated = { ...getTranscodeSettings(), ...settings };
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(updated));
+  } catch (error) {
+    console.error('Error saving video settings:', error);
+  }
+  return updated;
+};
+
+const canUseWebCodecs = () => (
+  typeof window !== 'undefined' &&
+  typeof window.VideoEncoder === 'function' &&
+  typeof window.VideoFrame === 'function' &&
+  typeof HTMLVideoElement.prototype.requestVideoFrameCallback === 'function'
+);
+
+const canUseMediaRecorder = () => (
+  typeof window !== 'undefined' &&
+  typeof window.MediaRecorder === 'function' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function'
+);
+
+/**
+ * Whether MediaRecorder can record MP4 in this browser
+ * @returns {boolean} True when an MP4 recording format is supported
+ */
+const canRecordMp4 = () => (
+  canUseMediaRecorder() &&
+  MP4_RECORDER_MIME_TYPES.some(type => window.MediaRecorder.isTypeSupported(type))
+);
+
+/**
+ * Whether videos can be compressed in this browser
+ * @returns {boolean} True when WebCodecs or MediaRecorder is available
+ */
+export const isTranscodingSupported = () => canUseWebCodecs() || canUseMediaRecorder();
+
+/**
+ * Largest recording that can be picked for upload
+ * @param {Object} settings - Compression settings
+ * @returns {number} Size in bytes
+ */
+export const getMaxSourceSize = (settings = getTranscodeSettings()) => {
+  return settings.enabled && isTranscodingSupported() ? MAX_SOURCE_VIDEO_SIZE : MAX_STORED_VIDEO_SIZE;
+};
+
+/**
+ * Target bitrate for the chosen resolution and frame rate
+ * @param {Object} settings - Compression settings
+ * @returns {number} Bits per second
+ */
+const getTargetBitrate = (settings) => {
+  const resolution = TRANSCODE_RESOLUTIONS.find(option => option.value === settings.resolution)
+    || TRANSCODE_RESOLUTIONS[1];
+  // Twice the frames need less than twice the bits: consecutive frames are closer
+  return settings.frameRate > 30 ? Math.round(resolution.bitrate * 1.5) : resolution.bitrate;
+};
+
+/**
+ * Output frame size: the short side scaled down to the target resolution, never up.
+ * Encoders need even dimensions.
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} resolution - Target length of the short side
+ * @returns {{width: number, height: number}} Output size
+ */
+export const getOutputSize = (width, height, resolution) => {
+  const scale = Math.min(1, resolution / Math.min(width, height));
+  const even = (value) => Math.max(2, Math.round((value * scale) / 2) * 2);
+  return { width: even(width), height: even(height) };
+};
+
+/**
+ * Load a video file into a detached video element
+ * @param {File|Blob} videoFile - The video file
+ * @returns {Promise<{video: HTMLVideoElement, url: string}>} Loaded element and its object URL
+ */
+const loadVideo = (videoFile) => {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(videoFile);
+    const timer = setTimeout(() => fail(new Error('Timed out loading the video')), LOAD_TIMEOUT_MS);
+    const fail = (error) => {
+      clearTimeout(timer);
+      URL.revokeObjectURL(url);
+      reject(error);
+    };
+
+    video.preload = 'auto';
+    video.muted = true;
+    video.playsInline = true;
+    video.onloadeddata = () => {
+      clearTimeout(timer);
+      if (!video.videoWidth || !video.videoHeight) {
+        fail(new Error('This video has no picture that can be decoded'));
+        return;
+      }
+      resolve({ video, url });
+    };
+    video.onerror = () => fail(new Error('This video format cannot be decoded for compression'));
+    video.src = url;
+  });
+};
+
+/**
+ * Release a video element loaded by loadVideo
+ * @param {HTMLVideoElement} video - The video element
+ * @param {string} url - Its object URL
+ */
+const releaseVideo = (video, url) => {
+  video.pause();
+  video.removeAttribute('src');
+  video.load();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Whether a clip is worth re-encoding
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @param {File|Blob} videoFile - The video file
+ * @param {Object} settings - Compression settings
+ * @returns {boolean} True for formats browsers don't all play, larger frames or higher bitrates than the target
+ */
+const needsTranscode = (video, videoFile, settings) => {
+  const isWebFriendly = /^video\/(mp4|webm)/.test(videoFile.type);
+  const shortSide = Math.min(video.videoWidth, video.videoHeight);
+  const bitrate = isFinite(video.duration) && video.duration > 0
+    ? (videoFile.size * 8) / video.duration
+    : Infinity;
+
+  return !isWebFriendly || shortSide > settings.resolution || bitrate > getTargetBitrate(settings) * 1.5;
+};
+
+/**
+ * Play a video once, calling onFrame for the presented frames that fall on the target rate.
+ * When onFrame returns a promise, playback pauses until it settles.
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @param {number} frameRate - Target frames per second
+ * @param {Function} onFrame - Called with the frame's media time in seconds
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise<void>} Resolves when playback ends
+ */
+const playFrames = (video, frameRate, onFrame, signal) => {
+  return new Promise((resolve, reject) => {
+    const interval = 1 / frameRate;
+    const useFrameCallback = typeof video.requestVideoFrameCallback === 'function';
+    let nextTime = 0;
+    let handle = null;
+    let done = false;
+
+    const finish = (error) => {
+      if (done) return;
+      done = true;
+      video.pause();
+      video.removeEventListener('ended', onEnded);
+      video.removeEventListener('error', onError);
+      signal?.removeEventListener('abort', onAbort);
+      if (useFrameCallback) {
+        video.cancelVideoFrameCallback(handle);
+      } else {
+        cancelAnimationFrame(handle);
+      }
+      error ? reject(error) : resolve();
+    };
+
+    const scheduleNext = () => {
+      if (done) return;
+      handle = useFrameCallback
+        ? video.requestVideoFrameCallback(handleFrame)
+        : requestAnimationFrame(() => handleFrame(null, null));
+    };
+
+    const handleFrame = async (now, metadata) => {
+      if (done) return;
+      const mediaTime = metadata ? metadata.mediaTime : video.currentTime;
+
+      // Skip frames that come faster than the target rate (e.g. every other frame of a 60 fps clip)
+      if (mediaTime >= nextTime - interval / 4) {
+        nextTime = Math.max(nextTime + interval, mediaTime + interval * 0.75);
+        try {
+          const pending = onFrame(mediaTime);
+          if (pending && typeof pending.then === 'function') {
+            video.pause();
+            await pending;
+            if (done) return;
+            await video.play();
+          }
+        } catch (error) {
+          finish(error);
+          return;
+        }
+      }
+      scheduleNext();
+    };
+
+    const onEnded = () => finish();
+    const onError = () => finish(new Error('The video could not be decoded for compression'));
+    const onAbort = () => finish(cancelError());
+
+    if (signal?.aborted) {
+      finish(cancelError());
+      return;
+    }
+    video.addEventListener('ended', onEnded);
+    video.addEventListener('error', onError);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    video.currentTime = 0;
+    scheduleNext();
+    video.play().catch(error => finish(error));
+  });
+};
+
+/**
+ * Report progress as whole percentages, so callers aren't flooded with updates
+ * @param {Function} onProgress - Called with a fraction (0-1)
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Function} Receives the current media time
+ */
+const createProgressReporter = (onProgress, duration) => {
+  let lastPercent = -1;
+  return (mediaTime) => {
+    if (!onProgress || !duration) return;
+    const percent = Math.min(100, Math.floor((mediaTime / duration) * 100));
+    if (percent !== lastPercent) {
+      lastPercent = percent;
+      onProgress(percent / 100);
+    }
+  };
+};
+
+/**
+ * Find a WebCodecs encoder configuration this browser supports
+ * @param {{width: number, height: number}} output - Output frame size
+ * @param {Object} settings - Compression settings
+ * @returns {Promise<Object|null>} { codecId, encoderConfig }, or null when none is supported
+ */
+const findEncoderConfig = async (output, settings) => {
+  const probe = document.createElement('video');
+  for (const candidate of WEBCODECS_CODECS) {
+    if (!probe.canPlayType(candidate.playbackType)) continue;
+
+    const encoderConfig = {
+      codec: candidate.codec,
+      width: output.width,
+      height: output.height,
+      bitrate: getTargetBitrate(settings),
+      framerate: settings.frameRate,
+      latencyMode: 'quality'
+    };
+    try {
+      const { supported } = await window.VideoEncoder.isConfigSupported(encoderConfig);
+      if (supported) {
+        return { codecId: candidate.codecId, encoderConfig };
+      }
+    } catch (error) {
+      // Not supported with these parameters, try the next codec
+    }
+  }
+  return null;
+};
+
+/**
+ * Re-encode with a WebCodecs VideoEncoder into WebM
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @param {{width: number, height: number}} output - Output frame size
+ * @param {Object} settings - Compression settings
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Blob|null>} The WebM file, or null when no encoder configuration is supported
+ */
+const transcodeWithWebCodecs = async (video, output, settings, { onProgress, signal }) => {
+  const config = await findEncoderConfig(output, settings);
+  if (!config) return null;
+
+  const chunks = [];
+  let encodeError = null;
+  const encoder = new window.VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push({ data, timestamp: chunk.timestamp, isKey: chunk.type === 'key' });
+    },
+    error: (error) => {
+      encodeError = error;
+    }
+  });
+  encoder.configure(config.encoderConfig);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = output.width;
+  canvas.height = output.height;
+  const context = canvas.getContext('2d');
+  const reportProgress = createProgressReporter(onProgress, video.duration);
+  let lastKeyTime = -Infinity;
+
+  const waitForEncoder = async () => {
+    while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE / 2 && !encodeError) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  try {
+    await playFrames(video, settings.frameRate, (mediaTime) => {
+      if (encodeError) throw encodeError;
+
+      context.drawImage(video, 0, 0, output.width, output.height);
+      const frame = new window.VideoFrame(canvas, { timestamp: Math.round(mediaTime * 1000000) });
+      const keyFrame = mediaTime - lastKeyTime >= KEYFRAME_INTERVAL_S;
+      if (keyFrame) lastKeyTime = mediaTime;
+      encoder.encode(frame, { keyFrame });
+      frame.close();
+      reportProgress(mediaTime);
+
+      return encoder.encodeQueueSize > MAX_ENCODE_QUEUE ? waitForEncoder() : null;
+    }, signal);
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  if (encodeError) throw encodeError;
+
+  chunks.sort((a, b) => a.timestamp - b.timestamp);
+  return writeWebm(
+    { codecId: config.codecId, width: output.width, height: output.height },
+    chunks,
+    video.duration * 1000
+  );
+};
+
+/**
+ * Re-encode by recording the canvas the frames are drawn on with MediaRecorder
+ * @param {HTMLVideoElement} video - The loaded video element
+ * @param {{width: number, height: number}} output - Output frame size
+ * @param {Object} settings - Compression settings
+ * @param {Object} options - { onProgress, signal }
+ * @returns {Promise<Blob|null>} The recording, or null when no format is supported
+ */
+const transcodeWithMediaRecorder = async (video, output, settings, { onProgress, signal }) => {
+  const mimeType = RECORDER_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type));
+  if (!mimeType) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = output.width;
+  canvas.height = output.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(video, 0, 0, output.width, output.height);
+
+  const stream = canvas.captureStream(settings.frameRate);
+  const recorder = new window.MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: getTargetBitrate(settings)
+  });
+  const data = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) data.push(event.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+  const reportProgress = createProgressReporter(onProgress, video.duration);
+
+  recorder.start(1000);
+  try {
+    await playFrames(video, settings.frameRate, (mediaTime) => {
+      context.drawImage(video, 0, 0, output.width, output.height);
+      reportProgress(mediaTime);
+    }, signal);
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop();
+    stream.getTracks().forEach(track => track.stop());
+  }
+  await stopped;
+
+  return new Blob(data, { type: mimeType.split(';')[0] });
+};
+
+/**
+ * Compress a video to the configured resolution and frame rate
+ * @param {File} videoFile - The recording
+ * @param {Object} settings - Compression settings (defaults to the saved ones)
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done (0-1)
+ * @param {AbortSignal} options.signal - Cancels the compression
+ * @returns {Promise<Object>} { file, transcoded, method, width, height, frameRate, size, originalSize }
+ *   file is the recording itself when it was not re-encoded
+ */
+export const transcodeVideo = async (videoFile, settings = getTranscodeSettings(), options = {}) => {
+  const result = {
+    file: videoFile,
+    transcoded: false,
+    method: null,
+    width: null,
+    height: null,
+    frameRate: null,
+    size: videoFile.size,
+    originalSize: videoFile.size
+  };
+  if (!settings.enabled || !isTranscodingSupported()) {
+    return result;
+  }
+
+  const { video, url } = await loadVideo(videoFile);
+  try {
+    result.width = video.videoWidth;
+    result.height = video.videoHeight;
+    if (!needsTranscode(video, videoFile, settings)) {
+      return result;
+    }
+
+    const output = getOutputSize(video.videoWidth, video.videoHeight, settings.resolution);
+    let blob = null;
+    let method = null;
+    if (canRecordMp4()) {
+      blob = await transcodeWithMediaRecorder(video, output, settings, options);
+      method = 'mediarecorder';
+    }
+    if (!blob && canUseWebCodecs()) {
+      blob = await transcodeWithWebCodecs(video, output, settings, options);
+      method = 'webcodecs';
+    }
+    if (!blob && canUseMediaRecorder()) {
+      blob = await transcodeWithMediaRecorder(video, output, settings, options);
+      method = 'mediarecorder';
+    }
+
+    // Nothing could encode it, or re-encoding didn't help
+    if (!blob || blob.size >= videoFile.size) {
+      return result;
+    }
+
+    const baseName = (videoFile.name || 'swing').replace(/\.[^.]+$/, '');
+    const extension = blob.type === 'video/mp4' ? 'mp4' : 'webm';
+    console.log(`Compressed ${videoFile.name} with ${method}: ${(videoFile.size / 1048576).toFixed(1)} MB -> ${(blob.size / 1048576).toFixed(1)} MB`);
+
+    return {
+      ...result,
+      // Keep lastModified: the recorded date is read from it
+      file: new File([blob], `${baseName}.${extension}`, { type: blob.type, lastModified: videoFile.lastModified }),
+      transcoded: true,
+      method,
+      width: output.width,
+      height: output.height,
+      frameRate: settings.frameRate,
+      size: blob.size
+    };
+  } finally {
+    releaseVideo(video, url);
+  }
+};
+
+export default {
+  MAX_STORED_VIDEO_SIZE,
+  MAX_SOURCE_VIDEO_SIZE,
+  TRANSCODE_RESOLUTIONS,
+  TRANSCODE_FRAME_RATES,
+  DEFAULT_TRANSCODE_SETTINGS,
+  getTranscodeSettings,
+  saveTranscodeSettings,
+  isTranscodingSupported,
+  getMaxSourceSize,
+  getOutputSize,
+  transcodeVideo
+};
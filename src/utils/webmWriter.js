@@ -0,0 +1,281 @@
+// src/utils/webmWriter.js
+// Minimal WebM (Matroska) writer for a single video track, used to store the chunks
+// produced by a WebCodecs VideoEncoder (see videoTranscoder).
+//
+// The whole file is laid out in memory, so every element is written with a known size:
+//   EBML header
+//   Segment
+//     SeekHead  - positions of Info, Tracks and Cues
+//     Info      - timecode scale (1 ms) and duration
+//     Tracks    - one VP8/VP9 video track
+//     Cluster*  - one per keyframe (or every 30 s), holding SimpleBlocks
+//     Cues      - keyframe positions, so players can seek without scanning the file
+
+const TIMECODE_SCALE = 1000000; // nanoseconds per timecode unit (1 ms)
+const MAX_CLUSTER_DURATION_MS = 30000; // block timecodes are signed 16-bit, relative to the cluster
+
+const IDS = {
+  EBML: 0x1A45DFA3,
+  EBML_VERSION: 0x4286,
+  EBML_READ_VERSION: 0x42F7,
+  EBML_MAX_ID_LENGTH: 0x42F2,
+  EBML_MAX_SIZE_LENGTH: 0x42F3,
+  DOC_TYPE: 0x4282,
+  DOC_TYPE_VERSION: 0x4287,
+  DOC_TYPE_READ_VERSION: 0x4285,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114D9B74,
+  SEEK: 0x4DBB,
+  SEEK_ID: 0x53AB,
+  SEEK_POSITION: 0x53AC,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  MUXING_APP: 0x4D80,
+  WRITING_APP: 0x5741,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_NUMBER: 0xD7,
+  TRACK_UID: 0x73C5,
+  TRACK_TYPE: 0x83,
+  FLAG_LACING: 0x9C,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  SIMPLE_BLOCK: 0xA3,
+  CUES: 0x1C53BB6B,
+  CUE_POINT: 0xBB,
+  CUE_TIME: 0xB3,
+  CUE_TRACK_POSITIONS: 0xB7,
+  CUE_TRACK: 0xF7,
+  CUE_CLUSTER_POSITION: 0xF1
+};
+
+/**
+ * Total length of a list of byte arrays
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {number} Length in bytes
+ */
+const byteLength = (parts) => parts.reduce((total, part) => total + part.length, 0);
+
+/**
+ * Big-endian bytes of an unsigned integer
+ * @param {number} value - The value
+ * @param {number} length - Number of bytes (defaults to the fewest that fit)
+ * @returns {Uint8Array} Bytes
+ */
+const uintBytes = (value, length = null) => {
+  let size = length;
+  if (!size) {
+    size = 1;
+    while (value >= Math.pow(2, 8 * size)) size++;
+  }
+  const bytes = new Uint8Array(size);
+  let remaining = value;
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = remaining % 256;
+    remaining = Math.floor(remaining / 256);
+  }
+  return bytes;
+};
+
+/**
+ * Bytes of an element id (ids already include their length marker)
+ * @param {number} id - Element id
+ * @returns {Uint8Array} Bytes
+ */
+const idBytes = (id) => {
+  if (id > 0xFFFFFF) return uintBytes(id, 4);
+  if (id > 0xFFFF) return uintBytes(id, 3);
+  if (id > 0xFF) return uintBytes(id, 2);
+  return uintBytes(id, 1);
+};
+
+/**
+ * Element size as an 8-byte variable-length integer.
+ * Always using the widest form keeps sizes predictable while the file is laid out.
+ * @param {number} size - Payload size
+ * @returns {Uint8Array} Bytes
+ */
+const sizeBytes = (size) => {
+  const bytes = uintBytes(size, 8);
+  bytes[0] = 0x01;
+  return bytes;
+};
+
+/**
+ * An element wrapping child elements or raw payload bytes
+ * @param {number} id - Element id
+ * @param {Array<Uint8Array|Array>} children - Payload parts (nested arrays are flattened)
+ * @returns {Array<Uint8Array>} Element bytes as parts
+ */
+const element = (id, children) => {
+  const parts = children.flat(Infinity);
+  return [idBytes(id), sizeBytes(byteLength(parts)), ...parts];
+};
+
+const uintElement = (id, value, length = null) => element(id, [uintBytes(value, length)]);
+
+const stringElement = (id, value) => element(id, [new TextEncoder().encode(value)]);
+
+const floatElement = (id, value) => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [bytes]);
+};
+
+/**
+ * A SimpleBlock holding one encoded frame of track 1
+ * @param {Uint8Array} data - Encoded frame
+ * @param {number} relativeTime - Milliseconds from the cluster timecode
+ * @param {boolean} isKey - Whether the frame is a keyframe
+ * @returns {Array<Uint8Array>} Element bytes as parts
+ */
+const simpleBlock = (data, relativeTime, isKey) => {
+  const header = new Uint8Array(4);
+  header[0] = 0x81; // track number 1 as a 1-byte variable-length integer
+  new DataView(header.buffer).setInt16(1, relativeTime);
+  header[3] = isKey ? 0x80 : 0x00;
+  return element(IDS.SIMPLE_BLOCK, [header, data]);
+};
+
+/**
+ * Group encoded frames into clusters that start at keyframes
+ * @param {Array<Object>} chunks - Frames ({ data, timestamp (µs), isKey }) in time order
+ * @returns {Array<Object>} Clusters ({ time (ms), bytes, startsWithKey })
+ */
+const buildClusters = (chunks) => {
+  const clusters = [];
+  let current = null;
+
+  const closeCluster = () => {
+    if (current) {
+      clusters.push({
+        time: current.time,
+        startsWithKey: current.startsWithKey,
+        bytes: element(IDS.CLUSTER, [uintElement(IDS.TIMECODE, current.time), current.blocks])
+      });
+    }
+  };
+
+  chunks.forEach(chunk => {
+    const time = Math.round(chunk.timestamp / 1000);
+    if (!current || chunk.isKey || time - current.time > MAX_CLUSTER_DURATION_MS) {
+      closeCluster();
+      current = { time, startsWithKey: chunk.isKey, blocks: [] };
+    }
+    current.blocks.push(simpleBlock(chunk.data, time - current.time, chunk.isKey));
+  });
+  closeCluster();
+
+  return clusters;
+};
+
+/**
+ * SeekHead pointing at the top-level elements.
+ * Positions are written as 8-byte integers so the size doesn't depend on them.
+ * @param {Array<Object>} entries - { id, position } relative to the segment payload
+ * @returns {Array<Uint8Array>} Element bytes as parts
+ */
+const seekHead = (entries) => element(IDS.SEEK_HEAD, entries.map(entry => element(IDS.SEEK, [
+  element(IDS.SEEK_ID, [idBytes(entry.id)]),
+  uintElement(IDS.SEEK_POSITION, entry.position, 8)
+])));
+
+/**
+ * Write encoded video frames to a WebM file
+ * @param {Object} track
+ * @param {string} track.codecId - Matroska codec id ('V_VP8' or 'V_VP9')
+ * @param {number} track.width - Frame width in pixels
+ * @param {number} track.height - Frame height in pixels
+ * @param {Array<Object>} chunks - Encoded frames ({ data: Uint8Array, timestamp: µs, isKey }) in time order
+ * @param {number} duration - Duration in milliseconds
+ * @returns {Blob} The WebM file
+ */
+export const writeWebm = ({ codecId, width, height }, chunks, duration) => {
+  if (!chunks.length) {
+    throw new Error('No video frames to write');
+  }
+
+  const header = element(IDS.EBML, [
+    uintElement(IDS.EBML_VERSION, 1),
+    uintElement(IDS.EBML_READ_VERSION, 1),
+    uintElement(IDS.EBML_MAX_ID_LENGTH, 4),
+    uintElement(IDS.EBML_MAX_SIZE_LENGTH, 8),
+    stringElement(IDS.DOC_TYPE, 'webm'),
+    uintElement(IDS.DOC_TYPE_VERSION, 2),
+    uintElement(IDS.DOC_TYPE_READ_VERSION, 2)
+  ]);
+
+  const info = element(IDS.INFO, [
+    uintElement(IDS.TIMECODE_SCALE, TIMECODE_SCALE),
+    floatElement(IDS.DURATION, duration),
+    stringElement(IDS.MUXING_APP, 'GolfGuru'),
+    stringElement(IDS.WRITING_APP, 'GolfGuru')
+  ]);
+
+  const tracks = element(IDS.TRACKS, [
+    element(IDS.TRACK_ENTRY, [
+      uintElement(IDS.TRACK_NUMBER, 1),
+      uintElement(IDS.TRACK_UID, 1),
+      uintElement(IDS.TRACK_TYPE, 1), // video
+      uintElement(IDS.FLAG_LACING, 0),
+      stringElement(IDS.CODEC_ID, codecId),
+      element(IDS.VIDEO, [
+        uintElement(IDS.PIXEL_WIDTH, width),
+        uintElement(IDS.PIXEL_HEIGHT, height)
+      ])
+    ])
+  ]);
+
+  const clusters = buildClusters(chunks);
+
+  // Lay out the segment payload: SeekHead, Info, Tracks, clusters, Cues
+  const seekHeadSize = byteLength(seekHead([
+    { id: IDS.INFO, position: 0 },
+    { id: IDS.TRACKS, position: 0 },
+    { id: IDS.CUES, position: 0 }
+  ]));
+  const infoPosition = seekHeadSize;
+  const tracksPosition = infoPosition + byteLength(info);
+  let position = tracksPosition + byteLength(tracks);
+
+  const cuePoints = [];
+  clusters.forEach(cluster => {
+    if (cluster.startsWithKey) {
+      cuePoints.push(element(IDS.CUE_POINT, [
+        uintElement(IDS.CUE_TIME, cluster.time),
+        element(IDS.CUE_TRACK_POSITIONS, [
+          uintElement(IDS.CUE_TRACK, 1),
+          uintElement(IDS.CUE_CLUSTER_POSITION, position)
+        ])
+      ]));
+    }
+    position += byteLength(cluster.bytes);
+  });
+  const cues = element(IDS.CUES, cuePoints);
+
+  const segmentPayload = [
+    seekHead([
+      { id: IDS.INFO, position: infoPosition },
+      { id: IDS.TRACKS, position: tracksPosition },
+      { id: IDS.CUES, position }
+    ]),
+    info,
+    tracks,
+    clusters.map(cluster => cluster.bytes),
+    cues
+  ].flat(Infinity);
+
+  return new Blob(
+    [...header, ...element(IDS.SEGMENT, segmentPayload)],
+    { type: 'video/webm' }
+  );
+};
+
+export default {
+  writeWebm
+};
@@ -0,0 +1,187 @@
+// src/utils/webmWriter.test.js
+import { TextEncoder, TextDecoder } from 'util';
+import { writeWebm } from './webmWriter';
+
+// jsdom doesn't provide the encoding API that browsers do
+global.TextEncoder = TextEncoder;
+
+const TRACK = { codecId: 'V_VP9', width: 320, height: 240 };
+
+/**
+ * Read a Blob's bytes (jsdom's Blob has no arrayBuffer())
+ * @param {Blob} blob - The blob
+ * @returns {Promise<Uint8Array>} Bytes
+ */
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * Parse a run of EBML elements
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - Offset of the first element
+ * @param {number} end - Offset just past the last element
+ * @returns {Array<Object>} Elements ({ id, offset, start, end })
+ */
+const parseElements = (bytes, start = 0, end = bytes.length) => {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const idLength = Math.clz32(bytes[offset]) - 23;
+    let id = 0;
+    for (let i = 0; i < idLength; i++) id = id * 256 + bytes[offset + i];
+
+    const sizeOffset = offset + idLength;
+    const sizeLength = Math.clz32(bytes[sizeOffset]) - 23;
+    let size = bytes[sizeOffset] & (0xFF >> sizeLength);
+    for (let i = 1; i < sizeLength; i++) size = size * 256 + bytes[sizeOffset + i];
+
+    const payload = sizeOffset + sizeLength;
+    elements.push({ id, offset, start: payload, end: payload + size });
+    offset = payload + size;
+  }
+  return elements;
+};
+
+const children = (bytes, parent) => parseElements(bytes, parent.start, parent.end);
+const find = (list, id) => list.find(item => item.id === id);
+const findAll = (list, id) => list.filter(item => item.id === id);
+const readUint = (bytes, item) => bytes.slice(item.start, item.end).reduce((value, byte) => value * 256 + byte, 0);
+
+const chunk = (timestamp, isKey, size = 16) => ({
+  data: new Uint8Array(size).fill(isKey ? 1 : 2),
+  timestamp,
+  isKey
+});
+
+describe('writeWebm', () => {
+  let bytes;
+  let segment;
+
+  beforeEach(async () => {
+    const blob = writeWebm(TRACK, [
+      chunk(0, true),
+      chunk(33333, false),
+      chunk(66667, false),
+      chunk(1000000, true),
+      chunk(1033333, false)
+    ], 1066.7);
+    expect(blob.type).toBe('video/webm');
+
+    bytes = await readBytes(blob);
+    const top = parseElements(bytes);
+    expect(top.map(item => item.id)).toEqual([0x1A45DFA3, 0x18538067]);
+    segment = top[1];
+    expect(segment.end).toBe(bytes.length);
+  });
+
+  it('writes an EBML header with the webm doc type', () => {
+    const header = children(bytes, parseElements(bytes)[0]);
+    const docType = find(header, 0x4282);
+    expect(new TextDecoder().decode(bytes.slice(docType.start, docType.end))).toBe('webm');
+  });
+
+  it('writes the duration and a 1 ms timecode scale', () => {
+    const info = find(children(bytes, segment), 0x1549A966);
+    const fields = children(bytes, info);
+    expect(readUint(bytes, find(fields, 0x2AD7B1))).toBe(1000000);
+
+    const duration = find(fields, 0x4489);
+    const view = new DataView(bytes.buffer, duration.start, 8);
+    expect(view.getFloat64(0)).toBeCloseTo(1066.7);
+  });
+
+  it('starts a cluster at each keyframe with block times relative to it', () => {
+    const clusters = findAll(children(bytes, segment), 0x1F43B675);
+    expect(clusters).toHaveLength(2);
+
+    const layout = clusters.map(cluster => {
+      const items = children(bytes, cluster);
+      return {
+        timecode: readUint(bytes, find(items, 0xE7)),
+        blocks: findAll(items, 0xA3).map(block => ({
+          track: bytes[block.start] & 0x7F,
+          time: new DataView(bytes.buffer, block.start + 1, 2).getInt16(0),
+          isKey: (bytes[block.start + 3] & 0x80) !== 0
+        }))
+      };
+    });
+    expect(layout).toEqual([
+      {
+        timecode: 0,
+        blocks: [
+          { track: 1, time: 0, isKey: true },
+          { track: 1, time: 33, isKey: false },
+          { track: 1, time: 67, isKey: false }
+        ]
+      },
+      {
+        timecode: 1000,
+        blocks: [
+          { track: 1, time: 0, isKey: true },
+          { track: 1, time: 33, isKey: false }
+        ]
+      }
+    ]);
+  });
+
+  it('writes cues that point at the keyframe clusters', () => {
+    const items = children(bytes, segment);
+    const clusters = findAll(items, 0x1F43B675);
+    const cuePoints = findAll(children(bytes, find(items, 0x1C53BB6B)), 0xBB);
+
+    const cues = cuePoints.map(point => {
+      const fields = children(bytes, point);
+      const positions = children(bytes, find(fields, 0xB7));
+      return {
+        time: readUint(bytes, find(fields, 0xB3)),
+        track: readUint(bytes, find(positions, 0xF7)),
+        position: readUint(bytes, find(positions, 0xF1))
+      };
+    });
+    // Positions are relative to the start of the segment payload
+    expect(cues).toEqual([
+      { time: 0, track: 1, position: clusters[0].offset - segment.start },
+      { time: 1000, track: 1, position: clusters[1].offset - segment.start }
+    ]);
+  });
+
+  it('points the seek head at info, tracks and cues', () => {
+    const items = children(bytes, segment);
+    const seeks = findAll(children(bytes, find(items, 0x114D9B74)), 0x4DBB).map(seek => {
+      const fields = children(bytes, seek);
+      return {
+        id: readUint(bytes, find(fields, 0x53AB)),
+        position: readUint(bytes, find(fields, 0x53AC))
+      };
+    });
+
+    expect(seeks).toEqual([0x1549A966, 0x1654AE6B, 0x1C53BB6B].map(id => ({
+      id,
+      position: find(items, id).offset - segment.start
+    })));
+  });
+
+  it('splits long runs without keyframes so block times fit in 16 bits', async () => {
+    const longBytes = await readBytes(writeWebm(TRACK, [
+      chunk(0, true),
+      chunk(20000000, false),
+      chunk(31000000, false)
+    ], 31000));
+    const longSegment = parseElements(longBytes)[1];
+    const items = children(longBytes, longSegment);
+
+    const timecodes = findAll(items, 0x1F43B675)
+      .map(cluster => readUint(longBytes, find(children(longBytes, cluster), 0xE7)));
+    expect(timecodes).toEqual([0, 31000]);
+    // Only clusters that start with a keyframe are cued
+    expect(findAll(children(longBytes, find(items, 0x1C53BB6B)), 0xBB)).toHaveLength(1);
+  });
+
+  it('rejects an empty list of frames', () => {
+    expect(() => writeWebm(TRACK, [], 0)).toThrow('No video frames to write');
+  });
+});